@@ -4,6 +4,13 @@ require('dotenv').config();
 // 기본 키와 솔트 (개발 환경용)
 const DEFAULT_ENCRYPTION_KEY = 'a'.repeat(64); // 32바이트를 hex로 표현
 const DEFAULT_PASSWORD_SALT = 'b'.repeat(32); // 16바이트를 hex로 표현
+const DEFAULT_AI_MODEL = process.env.AI_MODEL || 'gpt-4';
+
+// 숫자로 읽을 수 없을 때만 기본값 사용 (0도 유효한 값으로 유지)
+const parseNumber = (value, fallback, parse = (v) => parseInt(v, 10)) => {
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
 
 module.exports = {
   mongoURI: process.env.MONGO_URI,
@@ -13,5 +20,47 @@ module.exports = {
   redisHost: process.env.REDIS_HOST,
   redisPort: process.env.REDIS_PORT,
   openaiApiKey: process.env.OPENAI_API_KEY,
+  // AI 응답 제공자 (openai: OpenAI 호환 API, mock: 네트워크 없는 테스트용 응답)
+  aiProvider: process.env.AI_PROVIDER || 'openai',
+  aiModel: DEFAULT_AI_MODEL,
+  // AI 페르소나에 지정할 수 있는 모델 (쉼표로 구분, 기본값: AI_MODEL과 mock 제공자 모델)
+  aiAllowedModels: (process.env.AI_ALLOWED_MODELS || `${DEFAULT_AI_MODEL},mock-model`)
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean),
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  mockAiChunkDelay: parseInt(process.env.MOCK_AI_CHUNK_DELAY_MS, 10) || 20,
+  // AI 응답에 포함할 채팅방 대화 기록 (채팅방별 메시지 수 기본값, 토큰 예산)
+  aiContextMessages: parseNumber(process.env.AI_CONTEXT_MESSAGES, 20),
+  aiContextTokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET, 10) || 3000,
   vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
+  // 채팅방 문서 검색(RAG) 임베딩 (openai: OpenAI 호환 /embeddings API, mock: 네트워크 없는 해시 기반 임베딩)
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  embeddingBaseUrl: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  embeddingApiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  // AI 응답에 포함할 문서 조각 수와 최소 유사도
+  ragTopK: parseInt(process.env.RAG_TOP_K, 10) || 4,
+  ragMinScore: parseNumber(process.env.RAG_MIN_SCORE, 0.2, parseFloat),
+  messageEditWindowMs: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 기본 15분
+  maxPinnedMessages: parseInt(process.env.MAX_PINNED_MESSAGES, 10) || 10, // 채팅방별 고정 메시지 기본 한도
+  // Web Push (키가 없으면 푸시 알림 비활성화, npm run vapid:generate로 생성)
+  vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+  vapidPrivateKey: process.env.VAPID_PRIVATE_KEY,
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+  // 메일 발송 (SMTP_HOST가 없으면 MAIL_TRANSPORT=log일 때만 콘솔 출력, 그 외에는 이메일 요약 비활성화)
+  smtpHost: process.env.SMTP_HOST,
+  smtpPort: parseInt(process.env.SMTP_PORT, 10) || 587,
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS,
+  mailTransport: process.env.MAIL_TRANSPORT,
+  mailFrom: process.env.MAIL_FROM || 'BootcampChat <no-reply@localhost>',
+  // 메일 본문의 링크 주소 (프론트엔드, 백엔드 공개 주소)
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+  // 이메일 요약 발송 일정 (cron, 기본: 매일/매주 월요일 오전 9시)
+  digestDailyCron: process.env.DIGEST_DAILY_CRON || '0 9 * * *',
+  digestWeeklyCron: process.env.DIGEST_WEEKLY_CRON || '0 9 * * 1',
+  digestTimezone: process.env.DIGEST_TIMEZONE || 'Asia/Seoul',
 };
\ No newline at end of file
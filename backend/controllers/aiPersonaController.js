@@ -0,0 +1,121 @@
+const aiPersonaService = require("../services/aiPersonaService");
+const llmProvider = require("../services/llmProvider");
+
+// AI 목록 (채팅방 설정에서 선택 가능한 AI, 내가 만든 AI는 수정 가능)
+exports.getPersonas = async (req, res) => {
+  try {
+    const personas = await aiPersonaService.list();
+    res.json({
+      success: true,
+      data: {
+        personas: personas.map((persona) =>
+          aiPersonaService.serialize(persona, req.user.id)
+        ),
+        providers: llmProvider.getNames(),
+        models: aiPersonaService.getAllowedModels(),
+      },
+    });
+  } catch (error) {
+    console.error("AI persona list error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "AI 목록을 불러오는데 실패했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// AI 상세
+exports.getPersona = async (req, res) => {
+  try {
+    const persona = await aiPersonaService.getById(req.params.personaId);
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: "AI를 찾을 수 없습니다.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: aiPersonaService.serialize(persona, req.user.id),
+    });
+  } catch (error) {
+    console.error("AI persona fetch error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "AI 정보를 불러오는데 실패했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// AI 만들기
+exports.createPersona = async (req, res) => {
+  try {
+    const persona = await aiPersonaService.create(req.user.id, req.body);
+    res.status(201).json({
+      success: true,
+      message: "AI가 생성되었습니다.",
+      data: aiPersonaService.serialize(persona, req.user.id),
+    });
+  } catch (error) {
+    console.error("AI persona create error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "AI 생성 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// AI 수정 (만든 사용자만, 멘션 이름은 변경 불가)
+exports.updatePersona = async (req, res) => {
+  try {
+    const persona = await aiPersonaService.update(
+      req.user.id,
+      req.params.personaId,
+      req.body
+    );
+    res.json({
+      success: true,
+      message: "AI 정보가 수정되었습니다.",
+      data: aiPersonaService.serialize(persona, req.user.id),
+    });
+  } catch (error) {
+    console.error("AI persona update error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "AI 수정 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// AI 삭제 (만든 사용자만, 사용 중인 채팅방에서도 제외)
+exports.deletePersona = async (req, res) => {
+  try {
+    await aiPersonaService.remove(req.user.id, req.params.personaId);
+    res.json({
+      success: true,
+      message: "AI가 삭제되었습니다.",
+    });
+  } catch (error) {
+    console.error("AI persona delete error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "AI 삭제 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
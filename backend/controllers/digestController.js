@@ -0,0 +1,101 @@
+const digestService = require("../services/digestService");
+const mailService = require("../services/mailService");
+
+const renderUnsubscribePage = (title, message) => `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Apple SD Gothic Neo','Malgun Gothic',sans-serif;text-align:center;padding:48px 16px;color:#222;">
+  <h1 style="font-size:20px;">${title}</h1>
+  <p style="color:#555;">${message}</p>
+</body>
+</html>`;
+
+// 이메일 요약 설정 조회
+exports.getSettings = async (req, res) => {
+  try {
+    const frequency = await digestService.getFrequency(req.user.id);
+    res.json({
+      success: true,
+      data: {
+        digestFrequency: frequency,
+        enabled: mailService.isEnabled(),
+      },
+    });
+  } catch (error) {
+    console.error("Digest settings fetch error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "이메일 요약 설정을 불러오는 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// 이메일 요약 발송 주기 변경 (off, daily, weekly)
+exports.updateSettings = async (req, res) => {
+  try {
+    const frequency = await digestService.setFrequency(
+      req.user.id,
+      req.body?.digestFrequency
+    );
+    res.json({
+      success: true,
+      message: "이메일 요약 설정이 변경되었습니다.",
+      data: { digestFrequency: frequency },
+    });
+  } catch (error) {
+    console.error("Digest settings update error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "이메일 요약 설정 변경 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// 메일의 수신 거부 링크 (로그인 없이 토큰으로 처리, 브라우저에 안내 페이지 표시)
+exports.unsubscribePage = async (req, res) => {
+  try {
+    await digestService.unsubscribe(req.query.token);
+    res.send(renderUnsubscribePage(
+      "수신 거부 완료",
+      "이메일 요약을 더 이상 보내지 않습니다. 프로필 설정에서 언제든 다시 켤 수 있습니다."
+    ));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Digest unsubscribe error:", error);
+    }
+    res.status(error.status || 500).send(renderUnsubscribePage(
+      "수신 거부 실패",
+      error.status ? error.message : "수신 거부 처리 중 오류가 발생했습니다."
+    ));
+  }
+};
+
+// 메일 클라이언트의 원클릭 수신 거부 (List-Unsubscribe-Post)
+exports.unsubscribe = async (req, res) => {
+  try {
+    await digestService.unsubscribe(req.query.token || req.body?.token);
+    res.json({
+      success: true,
+      message: "이메일 요약 수신을 거부했습니다.",
+    });
+  } catch (error) {
+    console.error("Digest unsubscribe error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "수신 거부 처리 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
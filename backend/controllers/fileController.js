@@ -1,7 +1,8 @@
 const File = require("../models/File");
 const Message = require("../models/Message");
 const Room = require("../models/Room");
-const { processFileForRAG } = require("../services/fileService");
+const { isRAGSupported } = require("../services/fileService");
+const documentIndexService = require("../services/documentIndexService");
 const path = require("path");
 const fs = require("fs");
 const { promisify } = require("util");
@@ -94,22 +95,41 @@ exports.uploadFile = async (req, res) => {
     }
 
     // 파일 유효성 검사
+    // purpose=document로 올린 문서(PDF, DOCX, TXT)만 20MB까지 허용하고 채팅방 문서 색인에 추가
     const fileSize = req.file.size;
     const fileType = req.file.mimetype;
-    const maxSize = 5 * 1024 * 1024; // 5MB
-
-    if (fileSize > maxSize) {
-      return res.status(400).json({
-        success: false,
-        message: "파일 크기는 5MB를 초과할 수 없습니다.",
-      });
-    }
-
-    if (!fileType.startsWith("image/")) {
-      return res.status(400).json({
-        success: false,
-        message: "이미지 파일만 업로드할 수 있습니다.",
-      });
+    const indexForAI = req.body?.purpose === "document";
+
+    if (indexForAI) {
+      if (!isRAGSupported(fileType)) {
+        return res.status(400).json({
+          success: false,
+          message: "PDF, DOCX, TXT 문서만 AI 답변에 활용할 수 있습니다.",
+        });
+      }
+
+      if (fileSize > 20 * 1024 * 1024) {
+        return res.status(400).json({
+          success: false,
+          message: "문서 크기는 20MB를 초과할 수 없습니다.",
+        });
+      }
+    } else {
+      const maxSize = 5 * 1024 * 1024; // 5MB
+
+      if (fileSize > maxSize) {
+        return res.status(400).json({
+          success: false,
+          message: "파일 크기는 5MB를 초과할 수 없습니다.",
+        });
+      }
+
+      if (!fileType.startsWith("image/")) {
+        return res.status(400).json({
+          success: false,
+          message: "이미지 파일만 업로드할 수 있습니다.",
+        });
+      }
     }
 
     // 안전한 파일명 생성
@@ -138,6 +158,7 @@ exports.uploadFile = async (req, res) => {
       size: req.file.size,
       s3Key: uploadResult.key,
       s3Url: uploadResult.url,
+      indexForAI,
     });
 
     await file.save();
@@ -270,6 +291,7 @@ exports.deleteFile = async (req, res) => {
     }
 
     await file.deleteOne();
+    await documentIndexService.removeByFile(file._id);
 
     res.json({
       success: true,
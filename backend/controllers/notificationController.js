@@ -0,0 +1,99 @@
+const notificationService = require("../services/notificationService");
+
+// 알림 목록 (최근 순, before: 마지막으로 받은 알림 ID)
+exports.getNotifications = async (req, res) => {
+  try {
+    const result = await notificationService.list(req.user.id, {
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: "잘못된 페이지 정보입니다.",
+      });
+    }
+
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        unreadCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "알림을 불러오는데 실패했습니다.",
+    });
+  }
+};
+
+// 읽지 않은 알림 수
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error("Get unread notification count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "알림 정보를 불러오는데 실패했습니다.",
+    });
+  }
+};
+
+// 선택한 알림 읽음 처리 (ids 배열)
+exports.markRead = async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "읽음 처리할 알림이 없습니다.",
+      });
+    }
+
+    const unreadCount = await notificationService.markRead(req.user.id, ids);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error("Mark notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "알림 읽음 처리 중 오류가 발생했습니다.",
+    });
+  }
+};
+
+// 모든 알림 읽음 처리
+exports.markAllRead = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.markRead(req.user.id);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "알림 읽음 처리 중 오류가 발생했습니다.",
+    });
+  }
+};
+
+module.exports = exports;
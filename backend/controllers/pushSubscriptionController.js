@@ -0,0 +1,66 @@
+const pushService = require("../services/pushService");
+
+// 푸시 알림 설정 정보 (서버 사용 가능 여부와 VAPID 공개 키)
+exports.getPushConfig = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: pushService.isEnabled(),
+      publicKey: pushService.getPublicKey(),
+    },
+  });
+};
+
+// 브라우저 푸시 구독 등록
+exports.subscribe = async (req, res) => {
+  try {
+    await pushService.subscribe(
+      req.user.id,
+      req.body?.subscription || req.body,
+      req.headers["user-agent"]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "푸시 알림이 등록되었습니다.",
+    });
+  } catch (error) {
+    console.error("Push subscribe error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "푸시 알림 등록 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
+// 브라우저 푸시 구독 해제
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+
+    if (typeof endpoint !== "string" || !endpoint) {
+      return res.status(400).json({
+        success: false,
+        message: "구독 정보가 없습니다.",
+      });
+    }
+
+    await pushService.unsubscribe(req.user.id, endpoint);
+
+    res.json({
+      success: true,
+      message: "푸시 알림이 해제되었습니다.",
+    });
+  } catch (error) {
+    console.error("Push unsubscribe error:", error);
+    res.status(500).json({
+      success: false,
+      message: "푸시 알림 해제 중 오류가 발생했습니다.",
+    });
+  }
+};
+
+module.exports = exports;
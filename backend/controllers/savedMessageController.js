@@ -0,0 +1,269 @@
+const mongoose = require("mongoose");
+const SavedMessage = require("../models/SavedMessage");
+const Message = require("../models/Message");
+const Room = require("../models/Room");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const PREVIEW_LENGTH = 300;
+
+const encodeCursor = (saved) =>
+  Buffer.from(
+    JSON.stringify({
+      createdAt: new Date(saved.createdAt).toISOString(),
+      id: saved._id.toString(),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// 채팅방 표시 이름 (1:1 대화방은 상대방 이름)
+const getRoomLabel = (room, userId) => {
+  if (!room) return "알 수 없는 채팅방";
+  if (room.type !== "direct") return room.name || "제목 없음";
+
+  const other = (room.participants || []).find(
+    (participant) => participant._id.toString() !== userId
+  );
+  return other?.name || "1:1 대화";
+};
+
+const toSavedResponse = (saved, userId) => {
+  const message = saved.message;
+  const isDeleted = !message || message.isDeleted;
+
+  return {
+    _id: saved._id.toString(),
+    savedAt: saved.createdAt,
+    room: {
+      _id: saved.room?._id?.toString() || null,
+      name: getRoomLabel(saved.room, userId),
+      type: saved.room?.type || "group",
+    },
+    message: isDeleted
+      ? {
+          _id: message?._id?.toString() || null,
+          isDeleted: true,
+        }
+      : {
+          _id: message._id.toString(),
+          type: message.type,
+          aiType: message.aiType,
+          content: (message.content || "").slice(0, PREVIEW_LENGTH),
+          sender: message.sender
+            ? {
+                _id: message.sender._id.toString(),
+                name: message.sender.name,
+                email: message.sender.email,
+              }
+            : null,
+          file: message.file
+            ? {
+                originalname: message.file.originalname,
+                mimetype: message.file.mimetype,
+              }
+            : null,
+          parentMessage: message.parentMessage || null,
+          timestamp: message.timestamp,
+          isDeleted: false,
+        },
+  };
+};
+
+// 메시지 저장
+exports.saveMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, isDeleted: false }).select(
+          "room type"
+        )
+      : null;
+
+    if (!message || message.type === "system") {
+      return res.status(404).json({
+        success: false,
+        message: "메시지를 찾을 수 없습니다.",
+      });
+    }
+
+    // 현재 참여 중인 채팅방의 메시지만 저장 가능
+    const isMember = await Room.exists({
+      _id: message.room,
+      participants: req.user.id,
+    });
+    if (!isMember) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 접근 권한이 없습니다.",
+      });
+    }
+
+    const saved = await SavedMessage.findOneAndUpdate(
+      { user: req.user.id, message: message._id },
+      { $setOnInsert: { room: message.room, createdAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: saved._id.toString(),
+        messageId: message._id.toString(),
+        savedAt: saved.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Save message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "메시지 저장 중 오류가 발생했습니다.",
+    });
+  }
+};
+
+// 저장한 메시지 삭제
+exports.removeSavedMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const result = mongoose.isValidObjectId(messageId)
+      ? await SavedMessage.deleteOne({ user: req.user.id, message: messageId })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "저장된 메시지를 찾을 수 없습니다.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { messageId },
+    });
+  } catch (error) {
+    console.error("Remove saved message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "저장 취소 중 오류가 발생했습니다.",
+    });
+  }
+};
+
+// 저장한 메시지 목록 (현재 참여 중인 채팅방의 메시지만, 최근 저장 순)
+exports.getSavedMessages = async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT),
+      MAX_LIMIT
+    );
+
+    const roomIds = await Room.find({ participants: req.user.id }).distinct(
+      "_id"
+    );
+
+    const filter = {
+      user: req.user.id,
+      room: { $in: roomIds },
+    };
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "잘못된 페이지 정보입니다.",
+        });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    const savedMessages = await SavedMessage.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate({
+        path: "message",
+        select:
+          "content type aiType sender file parentMessage timestamp isDeleted",
+        populate: [
+          { path: "sender", select: "name email" },
+          { path: "file", select: "originalname mimetype" },
+        ],
+      })
+      .populate({
+        path: "room",
+        select: "name type participants",
+        populate: { path: "participants", select: "name" },
+      })
+      .lean();
+
+    const hasMore = savedMessages.length > limit;
+    const page = savedMessages.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        results: page.map((saved) => toSavedResponse(saved, req.user.id)),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get saved messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "저장한 메시지를 불러오는데 실패했습니다.",
+    });
+  }
+};
+
+// 지정한 메시지 중 저장된 메시지 ID 목록 (채팅 화면 표시용)
+exports.getSavedMessageIds = async (req, res) => {
+  try {
+    const { roomId } = req.query;
+
+    if (!mongoose.isValidObjectId(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "올바르지 않은 채팅방 ID입니다.",
+      });
+    }
+
+    const messageIds = await SavedMessage.find({
+      user: req.user.id,
+      room: roomId,
+    }).distinct("message");
+
+    res.json({
+      success: true,
+      data: messageIds.map((id) => id.toString()),
+    });
+  } catch (error) {
+    console.error("Get saved message ids error:", error);
+    res.status(500).json({
+      success: false,
+      message: "저장한 메시지를 불러오는데 실패했습니다.",
+    });
+  }
+};
+
+module.exports = exports;
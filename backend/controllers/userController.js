@@ -1,8 +1,14 @@
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const SavedMessage = require("../models/SavedMessage");
 const { upload } = require("../middleware/upload");
 const path = require("path");
 const s3Service = require("../services/S3Service");
+const readStateService = require("../services/readStateService");
+const userStatusService = require("../services/userStatusService");
+const notificationService = require("../services/notificationService");
+const pushService = require("../services/pushService");
+const notificationPreferenceService = require("../services/notificationPreferenceService");
 
 // 회원가입
 exports.register = async (req, res) => {
@@ -288,6 +294,8 @@ exports.getProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         profileImage: imageUrl,
+        customStatus: userStatusService.getActiveStatus(user),
+        doNotDisturb: userStatusService.isDoNotDisturb(user),
       },
     });
   } catch (error) {
@@ -299,6 +307,43 @@ exports.getProfile = async (req, res) => {
   }
 };
 
+// 상태 메시지 및 방해 금지 설정
+exports.updateStatus = async (req, res) => {
+  try {
+    const { customStatus, doNotDisturb } = req.body;
+
+    if (customStatus === undefined && doNotDisturb === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "변경할 상태 정보가 없습니다.",
+      });
+    }
+
+    const status = await userStatusService.updateStatus(req.user.id, {
+      customStatus,
+      doNotDisturb,
+    });
+
+    res.json({
+      success: true,
+      message: "상태가 업데이트되었습니다.",
+      data: {
+        customStatus: status.customStatus,
+        doNotDisturb: status.doNotDisturb,
+      },
+    });
+  } catch (error) {
+    console.error("Update status error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : "상태 업데이트 중 오류가 발생했습니다.",
+      code: error.code,
+    });
+  }
+};
+
 // 회원 탈퇴
 exports.deleteAccount = async (req, res) => {
   try {
@@ -321,6 +366,11 @@ exports.deleteAccount = async (req, res) => {
       }
     }
 
+    await SavedMessage.deleteMany({ user: user._id });
+    await readStateService.deleteForUser(user._id);
+    await notificationService.deleteForUser(user._id);
+    await pushService.deleteForUser(user._id);
+    await notificationPreferenceService.deleteForUser(user._id);
     await user.deleteOne();
 
     res.json({
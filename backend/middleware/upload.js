@@ -19,6 +19,7 @@ const ALLOWED_TYPES = {
   "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
     ".docx",
   ],
+  "text/plain": [".txt"],
 };
 
 // 파일 타입별 크기 제한 설정 유지
@@ -38,6 +39,7 @@ const getFileType = (mimetype) => {
     video: "동영상",
     audio: "오디오",
     application: "문서",
+    text: "문서",
   };
   const type = mimetype.split("/")[0];
   return typeMap[type] || "파일";
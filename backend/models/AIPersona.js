@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// 멘션(@handle)으로 호출하는 AI 페르소나
+// 삭제해도 기존 AI 메시지의 이름 표시를 위해 기록은 남기고 isDeleted로 구분
+const AIPersonaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'AI 이름은 필수입니다.'],
+    trim: true,
+    maxlength: [50, 'AI 이름은 50자 이내로 입력해주세요.']
+  },
+  // 멘션에 사용하는 식별자 (영문으로 시작하는 영문/숫자/밑줄 2~30자)
+  handle: {
+    type: String,
+    required: [true, 'AI 멘션 이름은 필수입니다.'],
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]{1,29}$/, 'AI 멘션 이름은 영문으로 시작하는 영문, 숫자, 밑줄 2~30자여야 합니다.']
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, '시스템 프롬프트는 필수입니다.'],
+    trim: true,
+    maxlength: [4000, '시스템 프롬프트는 4000자 이내로 입력해주세요.']
+  },
+  tone: {
+    type: String,
+    trim: true,
+    maxlength: [100, '톤은 100자 이내로 입력해주세요.'],
+    default: ''
+  },
+  // 지정하지 않으면 AI_PROVIDER, AI_MODEL 기본값 사용
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  temperature: {
+    type: Number,
+    min: [0, 'temperature는 0~2 사이여야 합니다.'],
+    max: [2, 'temperature는 0~2 사이여야 합니다.'],
+    default: 0.7
+  },
+  // 만든 사용자 (null이면 기본 제공 페르소나, 수정/삭제 불가)
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 채팅방에서 AI를 따로 선택하지 않았을 때 사용 가능한 페르소나
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 멘션 이름은 대소문자 구분 없이 중복 불가
+AIPersonaSchema.index(
+  { handle: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+AIPersonaSchema.index({ isDeleted: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AIPersona', AIPersonaSchema);
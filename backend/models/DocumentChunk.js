@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// 채팅방에 업로드된 문서의 검색용 조각과 임베딩 (채팅방별 로컬 벡터 색인)
+const DocumentChunkSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // 출처 표시용 원본 파일 메시지
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // 임베딩 제공자:모델 (다른 모델로 만든 임베딩은 검색에서 제외)
+  embeddingModel: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 검색 시 채팅방의 최근 조각만 색인 순서대로 읽도록 정렬 기준 포함
+DocumentChunkSchema.index({ room: 1, embeddingModel: 1, createdAt: -1 });
+DocumentChunkSchema.index({ message: 1, chunkIndex: 1 });
+DocumentChunkSchema.index({ file: 1 });
+
+module.exports = mongoose.model('DocumentChunk', DocumentChunkSchema);
@@ -67,6 +67,11 @@ const FileSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
+    // AI 답변에 활용하도록 채팅방 문서 색인용으로 업로드한 문서
+    indexForAI: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const InviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    index: true
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null이면 사용 횟수 제한 없음
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // null이면 만료 없음
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InviteSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+// 초대 링크 상태 (active, revoked, expired, exhausted)
+InviteSchema.methods.getStatus = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxUses !== null && this.uses >= this.maxUses) return 'exhausted';
+  return 'active';
+};
+
+InviteSchema.methods.hasAccepted = function(userId) {
+  return this.acceptedBy.some(id => id.toString() === String(userId));
+};
+
+// 사용 가능한 초대 링크인 경우에만 사용 횟수를 원자적으로 증가
+InviteSchema.statics.consume = function(token, userId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      token,
+      revokedAt: null,
+      acceptedBy: { $ne: userId },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    {
+      $inc: { uses: 1 },
+      $addToSet: { acceptedBy: userId }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Invite', InviteSchema);
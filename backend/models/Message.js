@@ -32,13 +32,32 @@ const MessageSchema = new mongoose.Schema({
       return this.type === 'file';
     }
   },
+  // AI 페르소나의 멘션 이름 (AIPersona.handle)
   aiType: {
     type: String,
-    enum: ['wayneAI', 'consultingAI'],
     required: function() { 
       return this.type === 'ai'; 
     }
   },
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+    index: true
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  threadReplyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastThreadReplyAt: {
+    type: Date
+  },
   mentions: [{ 
     type: String,
     trim: true
@@ -48,6 +67,7 @@ const MessageSchema = new mongoose.Schema({
     default: Date.now,
     index: true 
   },
+  // 이전 방식의 메시지별 읽음 기록 (현재는 RoomReadState의 읽음 위치 사용)
   readers: [{
     userId: { 
       type: mongoose.Schema.Types.ObjectId,
@@ -73,10 +93,53 @@ const MessageSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // 다시 생성한 AI 응답 목록 (처음 다시 생성할 때 기존 응답 포함, content는 가장 최근 응답)
+  aiVariants: [{
+    content: {
+      type: String,
+      required: true
+    },
+    completionTokens: Number,
+    totalTokens: Number,
+    // 답변에 인용한 채팅방 문서 ({ index, messageId, fileId, fileName })
+    sources: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    }
+  }],
   isDeleted: {
     type: Boolean,
     default: false,
     index: true
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -93,46 +156,17 @@ const MessageSchema = new mongoose.Schema({
 // 복합 인덱스 설정
 MessageSchema.index({ room: 1, timestamp: -1 });
 MessageSchema.index({ room: 1, isDeleted: 1 });
+MessageSchema.index({ parentMessage: 1, timestamp: -1 });
 MessageSchema.index({ 'readers.userId': 1 });
 MessageSchema.index({ sender: 1 });
 MessageSchema.index({ type: 1 });
 MessageSchema.index({ timestamp: -1 });
 MessageSchema.index({ 'reactions.userId': 1 });
-
-// 읽음 처리 Static 메소드 개선
-MessageSchema.statics.markAsRead = async function(messageIds, userId) {
-  if (!messageIds?.length || !userId) return;
-
-  const bulkOps = messageIds.map(messageId => ({
-    updateOne: {
-      filter: {
-        _id: messageId,
-        isDeleted: false,
-        'readers.userId': { $ne: userId }
-      },
-      update: {
-        $push: {
-          readers: {
-            userId: new mongoose.Types.ObjectId(userId),
-            readAt: new Date()
-          }
-        }
-      }
-    }
-  }));
-
-  try {
-    const result = await this.bulkWrite(bulkOps, { ordered: false });
-    return result.modifiedCount;
-  } catch (error) {
-    console.error('Mark as read error:', {
-      error,
-      messageIds,
-      userId
-    });
-    throw error;
-  }
-};
+// 메시지 검색용 텍스트 인덱스 (한국어 형태소 분석이 없으므로 언어 처리 비활성화)
+MessageSchema.index(
+  { content: 'text' },
+  { default_language: 'none', name: 'content_text' }
+);
 
 // 리액션 처리 메소드 개선
 MessageSchema.methods.addReaction = async function(emoji, userId) {
@@ -188,12 +222,101 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
   }
 };
 
+// 다시 생성한 AI 응답 추가 (새 응답을 대표 내용으로 사용)
+MessageSchema.methods.addAIVariant = async function({ content, completionTokens, totalTokens, sources }) {
+  if (this.aiVariants.length === 0) {
+    this.aiVariants.push({
+      content: this.content,
+      completionTokens: this.metadata?.get('completionTokens'),
+      totalTokens: this.metadata?.get('totalTokens'),
+      sources: this.metadata?.get('sources'),
+      createdAt: this.timestamp
+    });
+  }
+
+  this.aiVariants.push({ content, completionTokens, totalTokens, sources });
+  this.content = content;
+  if (sources?.length) {
+    this.metadata.set('sources', sources);
+  } else {
+    this.metadata.delete('sources');
+  }
+
+  await this.save();
+  return this;
+};
+
+// 메시지 수정 메소드 (이전 내용은 수정 이력으로 보관)
+MessageSchema.methods.editContent = async function(newContent) {
+  try {
+    const editedAt = new Date();
+
+    this.editHistory.push({
+      content: this.content,
+      editedAt
+    });
+    this.content = newContent;
+    this.isEdited = true;
+    this.editedAt = editedAt;
+
+    await this.save();
+    return this;
+  } catch (error) {
+    console.error('Edit message error:', {
+      error,
+      messageId: this._id
+    });
+    throw error;
+  }
+};
+
 // 메시지 소프트 삭제 메소드 추가
-MessageSchema.methods.softDelete = async function() {
+MessageSchema.methods.softDelete = async function(deletedBy) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  if (deletedBy) {
+    this.deletedBy = deletedBy;
+  }
   await this.save();
 };
 
+// 인용 답장 원본 메시지 populate 옵션
+MessageSchema.statics.getReplyToPopulate = function() {
+  return {
+    path: 'replyTo',
+    select: 'content type sender file isDeleted timestamp',
+    populate: [
+      { path: 'sender', select: 'name' },
+      { path: 'file', select: 'originalname' }
+    ]
+  };
+};
+
+// 삭제된 메시지를 내용 없는 표시용 객체로 변환
+MessageSchema.statics.toTombstone = function(message) {
+  // 인용한 원본 메시지가 삭제된 경우 인용 내용도 숨김
+  if (message?.replyTo?.isDeleted) {
+    message = {
+      ...message,
+      replyTo: { ...message.replyTo, content: '', file: null }
+    };
+  }
+
+  if (!message?.isDeleted) return message;
+
+  return {
+    ...message,
+    content: '',
+    file: null,
+    mentions: [],
+    reactions: {},
+    metadata: {},
+    editHistory: [],
+    aiVariants: [],
+    isDeleted: true
+  };
+};
+
 // 메시지 삭제 전 후크 개선
 MessageSchema.pre('remove', async function(next) {
   try {
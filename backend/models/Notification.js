@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// 사용자 알림함 항목 (현재는 @멘션 알림)
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention'],
+    default: 'mention'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // 스레드 답글에서 멘션된 경우 스레드를 열어서 이동
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  preview: {
+    type: String,
+    default: ''
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 같은 메시지에 대한 알림은 사용자당 하나
+NotificationSchema.index({ user: 1, message: 1, type: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ user: 1, isRead: 1 });
+NotificationSchema.index({ room: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// 브라우저별 Web Push 구독 정보
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// 같은 브라우저(endpoint)는 하나의 구독만 유지 (다른 계정으로 로그인하면 소유자 변경)
+PushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+PushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -1,12 +1,61 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { maxPinnedMessages, aiContextMessages } = require('../config/keys');
+
+const ROLE_RANK = {
+  member: 0,
+  moderator: 1,
+  owner: 2
+};
+
+const RestrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const isRestrictionActive = (restriction, now = new Date()) =>
+  !restriction.expiresAt || restriction.expiresAt > now;
 
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: true,
+    required: function() {
+      return this.type !== 'direct';
+    },
     trim: true
   },
+  type: {
+    type: String,
+    enum: ['group', 'direct'],
+    default: 'group',
+    index: true
+  },
+  // 1:1 대화방 식별 키 (두 참여자 ID를 정렬하여 결합)
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -27,7 +76,42 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 차단 목록 (expiresAt이 null이면 영구 차단)
+  bans: [RestrictionSchema],
+  // 채팅 금지 목록 (expiresAt이 null이면 해제 전까지 유지)
+  mutes: [RestrictionSchema],
+  // 고정 메시지 ID (최근 고정한 순서)
+  pinnedMessages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  }],
+  // 고정 메시지 한도 (null이면 서버 기본값 사용)
+  pinLimit: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 50
+  },
+  // AI 응답에 함께 보낼 최근 메시지 수 (0이면 대화 기록 미공유, null이면 서버 기본값 사용)
+  aiContextSize: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 50
+  },
+  // 멘션으로 호출할 수 있는 AI (설정하지 않으면 기본 AI 사용)
+  aiPersonas: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AIPersona'
+    }],
+    default: undefined
+  }
 });
 
 // 비밀번호 해싱 미들웨어
@@ -50,4 +134,98 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+RoomSchema.methods.isDirect = function() {
+  return this.type === 'direct';
+};
+
+// 채팅방 내 역할 조회 (owner: 생성자, moderator: 관리자, member: 일반 참여자)
+// 1:1 대화방은 대화를 시작한 사람도 관리 권한 없이 두 참여자 모두 member
+RoomSchema.methods.getRole = function(userId) {
+  if (this.isDirect()) return 'member';
+  const id = String(userId);
+  const creatorId = this.creator?._id || this.creator;
+  if (String(creatorId) === id) return 'owner';
+  if ((this.moderators || []).some(m => String(m._id || m) === id)) return 'moderator';
+  return 'member';
+};
+
+RoomSchema.methods.isModerator = function(userId) {
+  return ROLE_RANK[this.getRole(userId)] >= ROLE_RANK.moderator;
+};
+
+// actor가 target보다 높은 역할일 때만 제재 가능
+RoomSchema.methods.outranks = function(actorId, targetId) {
+  return ROLE_RANK[this.getRole(actorId)] > ROLE_RANK[this.getRole(targetId)];
+};
+
+RoomSchema.methods.getActiveBan = function(userId) {
+  return (this.bans || []).find(ban =>
+    String(ban.user) === String(userId) && isRestrictionActive(ban)
+  ) || null;
+};
+
+RoomSchema.methods.getActiveMute = function(userId) {
+  return (this.mutes || []).find(mute =>
+    String(mute.user) === String(userId) && isRestrictionActive(mute)
+  ) || null;
+};
+
+RoomSchema.methods.getActiveMutes = function() {
+  return (this.mutes || []).filter(mute => isRestrictionActive(mute));
+};
+
+// 만료된 차단/채팅 금지 항목 정리
+RoomSchema.methods.pruneRestrictions = function() {
+  const now = new Date();
+  this.bans = (this.bans || []).filter(ban => isRestrictionActive(ban, now));
+  this.mutes = (this.mutes || []).filter(mute => isRestrictionActive(mute, now));
+};
+
+RoomSchema.methods.getPinLimit = function() {
+  return this.pinLimit || maxPinnedMessages;
+};
+
+RoomSchema.methods.getAIContextSize = function() {
+  return this.aiContextSize ?? aiContextMessages;
+};
+
+// 1:1 대화방은 두 참여자 모두, 그룹 채팅방은 방장/관리자만 메시지 고정 가능
+RoomSchema.methods.canPin = function(userId) {
+  if (this.isDirect()) {
+    return (this.participants || []).some(p => String(p._id || p) === String(userId));
+  }
+  return this.isModerator(userId);
+};
+
+RoomSchema.statics.getDirectKey = function(userIdA, userIdB) {
+  return [String(userIdA), String(userIdB)].sort().join(':');
+};
+
+// 두 사용자의 1:1 대화방 조회 또는 생성 (동일한 두 참여자에 대해 항상 같은 방 반환)
+RoomSchema.statics.findOrCreateDirect = async function(userIdA, userIdB) {
+  const directKey = this.getDirectKey(userIdA, userIdB);
+
+  const existingRoom = await this.findOne({ directKey });
+  if (existingRoom) {
+    return { room: existingRoom, created: false };
+  }
+
+  try {
+    const room = await this.create({
+      type: 'direct',
+      directKey,
+      creator: userIdA,
+      participants: [userIdA, userIdB]
+    });
+    return { room, created: true };
+  } catch (error) {
+    // 동시에 생성 요청이 들어온 경우 먼저 생성된 방을 반환
+    if (error.code === 11000) {
+      const room = await this.findOne({ directKey });
+      return { room, created: false };
+    }
+    throw error;
+  }
+};
+
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// 사용자별 채팅방 알림 설정 (설정이 없으면 전체 알림)
+const RoomNotificationSettingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // all: 모든 알림, mentions: 멘션/답장만, muted: 알림 끔
+  level: {
+    type: String,
+    enum: ['all', 'mentions', 'muted'],
+    default: 'all'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoomNotificationSettingSchema.index({ user: 1, room: 1 }, { unique: true });
+RoomNotificationSettingSchema.index({ room: 1 });
+
+module.exports = mongoose.model('RoomNotificationSetting', RoomNotificationSettingSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// 사용자별 채팅방 마지막 읽음 위치 (이 시각 이전의 타임라인 메시지는 읽은 것으로 간주)
+const RoomReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoomReadStateSchema.index({ user: 1, room: 1 }, { unique: true });
+RoomReadStateSchema.index({ room: 1 });
+
+module.exports = mongoose.model('RoomReadState', RoomReadStateSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const SavedMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // 채팅방 참여 여부 확인과 채팅방 이름 조회용
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 같은 메시지는 사용자당 한 번만 저장
+SavedMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+SavedMessageSchema.index({ user: 1, createdAt: -1, _id: -1 });
+SavedMessageSchema.index({ message: 1 });
+
+module.exports = mongoose.model('SavedMessage', SavedMessageSchema);
@@ -41,6 +41,40 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // 사용자 지정 상태 메시지 (expiresAt이 지나면 표시하지 않음)
+  customStatus: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [100, "상태 메시지는 100자 이하여야 합니다."],
+      default: "",
+    },
+    emoji: {
+      type: String,
+      trim: true,
+      maxlength: [16, "상태 이모지가 올바르지 않습니다."],
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // 방해 금지 모드 (알림 보내지 않음)
+  doNotDisturb: {
+    type: Boolean,
+    default: false,
+  },
+  // 읽지 않은 멘션/1:1 메시지 이메일 요약 발송 주기
+  digestFrequency: {
+    type: String,
+    enum: ["off", "daily", "weekly"],
+    default: "off",
+  },
+  lastDigestSentAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 // 이메일 암호화 함수
@@ -191,5 +225,6 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ encryptedEmail: 1 }, { unique: true, sparse: true });
 UserSchema.index({ createdAt: 1 });
 UserSchema.index({ lastActive: 1 });
+UserSchema.index({ digestFrequency: 1 });
 
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const aiPersonaController = require('../../controllers/aiPersonaController');
+const auth = require('../../middleware/auth');
+
+// AI 목록
+router.get('/',
+  auth,
+  aiPersonaController.getPersonas
+);
+
+// AI 만들기
+router.post('/',
+  auth,
+  aiPersonaController.createPersona
+);
+
+// AI 상세
+router.get('/:personaId',
+  auth,
+  aiPersonaController.getPersona
+);
+
+// AI 수정
+router.put('/:personaId',
+  auth,
+  aiPersonaController.updatePersona
+);
+
+// AI 삭제
+router.delete('/:personaId',
+  auth,
+  aiPersonaController.deletePersona
+);
+
+module.exports = router;
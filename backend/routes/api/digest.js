@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const digestController = require('../../controllers/digestController');
+
+// 공개 라우트 (메일의 수신 거부 링크, 서명된 토큰으로 사용자 확인)
+// 수신 거부 안내 페이지
+router.get('/unsubscribe',
+  digestController.unsubscribePage
+);
+
+// 원클릭 수신 거부
+router.post('/unsubscribe',
+  digestController.unsubscribe
+);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const Room = require('../../models/Room');
+const Invite = require('../../models/Invite');
+const roomListBroadcaster = require('../../services/roomListBroadcaster');
+const { rateLimit } = require('express-rate-limit');
+
+// 속도 제한 설정 (토큰 대입 방지)
+const limiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1분
+  max: 30, // IP당 최대 요청 수
+  message: {
+    success: false,
+    error: {
+      message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.',
+      code: 'TOO_MANY_REQUESTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const INVITE_STATUS_MESSAGES = {
+  revoked: '폐기된 초대 링크입니다.',
+  expired: '만료된 초대 링크입니다.',
+  exhausted: '사용 횟수가 모두 소진된 초대 링크입니다.'
+};
+
+// 초대 링크와 채팅방 조회 (1:1 대화방 초대는 허용하지 않음)
+const findInviteWithRoom = async (token) => {
+  const invite = await Invite.findOne({ token: String(token) });
+  if (!invite) return {};
+
+  const room = await Room.findById(invite.room);
+  if (!room || room.isDirect()) return {};
+
+  return { invite, room };
+};
+
+// 초대 링크 미리보기
+router.get('/:token', [limiter, auth], async (req, res) => {
+  try {
+    const { invite, room } = await findInviteWithRoom(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: '초대 링크를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: invite.getStatus(),
+        expiresAt: invite.expiresAt,
+        remainingUses: invite.maxUses === null
+          ? null
+          : Math.max(invite.maxUses - invite.uses, 0),
+        room: {
+          _id: room._id.toString(),
+          name: room.name,
+          hasPassword: room.hasPassword,
+          participantsCount: room.participants.length
+        },
+        alreadyMember: room.participants.some(id => id.toString() === req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Invite preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: '초대 링크 정보를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 수락 (비밀번호 확인 없이 참여자로 추가)
+router.post('/:token/accept', [limiter, auth], async (req, res) => {
+  try {
+    const { invite, room } = await findInviteWithRoom(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: '초대 링크를 찾을 수 없습니다.'
+      });
+    }
+
+    // 초대 링크로도 차단과 채팅 금지는 우회할 수 없음
+    if (room.getActiveBan(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '이 채팅방에서 차단되었습니다.',
+        code: 'BANNED'
+      });
+    }
+
+    if (room.getActiveMute(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅이 금지된 상태입니다.',
+        code: 'MUTED'
+      });
+    }
+
+    const isParticipant = room.participants.some(id => id.toString() === req.user.id);
+
+    // 이미 참여 중이거나 이전에 수락한 사용자는 사용 횟수를 차감하지 않음
+    if (!isParticipant && !invite.hasAccepted(req.user.id)) {
+      const consumed = await Invite.consume(invite.token, req.user.id);
+
+      if (!consumed) {
+        const latest = await Invite.findById(invite._id);
+        const status = latest ? latest.getStatus() : 'revoked';
+        return res.status(410).json({
+          success: false,
+          message: INVITE_STATUS_MESSAGES[status] || '사용할 수 없는 초대 링크입니다.',
+          code: `INVITE_${status.toUpperCase()}`
+        });
+      }
+    } else if (!isParticipant && ['revoked', 'expired'].includes(invite.getStatus())) {
+      // 이전 수락자의 재입장은 횟수 제한만 면제
+      const status = invite.getStatus();
+      return res.status(410).json({
+        success: false,
+        message: INVITE_STATUS_MESSAGES[status],
+        code: `INVITE_${status.toUpperCase()}`
+      });
+    }
+
+    if (!isParticipant) {
+      const updatedRoom = await Room.findByIdAndUpdate(
+        room._id,
+        { $addToSet: { participants: req.user.id } },
+        { new: true }
+      );
+      if (updatedRoom) {
+        roomListBroadcaster.participantCountChanged(updatedRoom);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room._id.toString()
+      }
+    });
+  } catch (error) {
+    console.error('Invite accept error:', error);
+    res.status(500).json({
+      success: false,
+      message: '초대 수락 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../../controllers/notificationController');
+const auth = require('../../middleware/auth');
+
+// 알림 목록
+router.get('/',
+  auth,
+  notificationController.getNotifications
+);
+
+// 읽지 않은 알림 수
+router.get('/unread-count',
+  auth,
+  notificationController.getUnreadCount
+);
+
+// 선택한 알림 읽음 처리
+router.post('/read',
+  auth,
+  notificationController.markRead
+);
+
+// 모든 알림 읽음 처리
+router.post('/read-all',
+  auth,
+  notificationController.markAllRead
+);
+
+module.exports = router;
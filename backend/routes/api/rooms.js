@@ -1,8 +1,20 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const Room = require('../../models/Room');
 const User = require('../../models/User');
+const Invite = require('../../models/Invite');
+const messageSearchService = require('../../services/messageSearchService');
+const roomModerationService = require('../../services/roomModerationService');
+const roomService = require('../../services/roomService');
+const roomListBroadcaster = require('../../services/roomListBroadcaster');
+const messagePinService = require('../../services/messagePinService');
+const readStateService = require('../../services/readStateService');
+const presenceService = require('../../services/presenceService');
+const notificationPreferenceService = require('../../services/notificationPreferenceService');
+const aiContextService = require('../../services/aiContextService');
+const aiPersonaService = require('../../services/aiPersonaService');
 const { rateLimit } = require('express-rate-limit');
 let io;
 
@@ -89,8 +101,8 @@ router.get('/', [limiter, auth], async (req, res) => {
       ? req.query.sortOrder
       : 'desc';
 
-    // 검색 필터 구성
-    const filter = {};
+    // 검색 필터 구성 (1:1 대화방은 공개 목록에서 제외)
+    const filter = { type: { $ne: 'direct' } };
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
@@ -107,30 +119,22 @@ router.get('/', [limiter, auth], async (req, res) => {
       .limit(pageSize)
       .lean();
 
+    // 입장한 적 있는 채팅방의 읽지 않은 메시지 수
+    const unreadMap = await readStateService.getUnreadCounts(
+      req.user.id,
+      rooms.map(room => room._id.toString()),
+      { trackedOnly: true }
+    );
+
     // 안전한 응답 데이터 구성 
     const safeRooms = rooms.map(room => {
       if (!room) return null;
 
-      const creator = room.creator || { _id: 'unknown', name: '알 수 없음', email: '' };
-      const participants = Array.isArray(room.participants) ? room.participants : [];
-
+      const safeRoom = roomListBroadcaster.formatRoom(room);
       return {
-        _id: room._id?.toString() || 'unknown',
-        name: room.name || '제목 없음',
-        hasPassword: !!room.hasPassword,
-        creator: {
-          _id: creator._id?.toString() || 'unknown',
-          name: creator.name || '알 수 없음',
-          email: creator.email || ''
-        },
-        participants: participants.filter(p => p && p._id).map(p => ({
-          _id: p._id.toString(),
-          name: p.name || '알 수 없음',
-          email: p.email || ''
-        })),
-        participantsCount: participants.length,
-        createdAt: room.createdAt || new Date(),
-        isCreator: creator._id?.toString() === req.user.id,
+        ...safeRoom,
+        isCreator: safeRoom.creator._id === req.user.id,
+        unreadCount: unreadMap.get(safeRoom._id) || 0
       };
     }).filter(room => room !== null);
 
@@ -205,13 +209,8 @@ router.post('/', auth, async (req, res) => {
       .populate('creator', 'name email')
       .populate('participants', 'name email');
     
-    // Socket.IO를 통해 새 채팅방 생성 알림
-    if (io) {
-      io.to('room-list').emit('roomCreated', {
-        ...populatedRoom.toObject(),
-        password: undefined
-      });
-    }
+    // 로비 구독자에게 새 채팅방 생성 알림
+    roomListBroadcaster.roomCreated(populatedRoom);
     
     res.status(201).json({
       success: true,
@@ -230,6 +229,143 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// 1:1 대화방 응답 데이터 구성
+const toDirectRoomResponse = (room, userId, unreadCount = 0) => {
+  const participants = Array.isArray(room.participants) ? room.participants : [];
+  const otherUser = participants.find(p => p?._id?.toString() !== userId) || null;
+
+  return {
+    _id: room._id.toString(),
+    type: 'direct',
+    participants: participants.filter(p => p && p._id).map(p => ({
+      _id: p._id.toString(),
+      name: p.name || '알 수 없음',
+      email: p.email || '',
+      profileImage: p.profileImage || ''
+    })),
+    otherUser: otherUser && {
+      _id: otherUser._id.toString(),
+      name: otherUser.name || '알 수 없음',
+      email: otherUser.email || '',
+      profileImage: otherUser.profileImage || ''
+    },
+    unreadCount,
+    createdAt: room.createdAt
+  };
+};
+
+// 내 1:1 대화방 목록 조회 (읽지 않은 메시지 수 포함)
+router.get('/direct', [limiter, auth], async (req, res) => {
+  try {
+    const rooms = await Room.find({
+      type: 'direct',
+      participants: req.user.id
+    })
+      .populate('participants', 'name email profileImage')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const unreadMap = await readStateService.getUnreadCounts(
+      req.user.id,
+      rooms.map(room => room._id.toString())
+    );
+
+    const directRooms = rooms.map(room => toDirectRoomResponse(
+      room,
+      req.user.id,
+      unreadMap.get(room._id.toString()) || 0
+    ));
+
+    // 대화 상대의 접속 상태 추가
+    const otherUsers = await presenceService.attachPresence(
+      directRooms.map(room => room.otherUser).filter(Boolean)
+    );
+    const otherUserMap = new Map(otherUsers.map(user => [user._id, user]));
+
+    res.json({
+      success: true,
+      data: directRooms.map(room => (
+        room.otherUser
+          ? { ...room, otherUser: otherUserMap.get(room.otherUser._id) }
+          : room
+      ))
+    });
+  } catch (error) {
+    console.error('Direct rooms fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '1:1 대화 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 1:1 대화방 생성 (이미 있으면 기존 대화방 반환)
+router.post('/direct', [limiter, auth], async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '대화 상대를 선택해주세요.'
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: '자기 자신과는 1:1 대화를 시작할 수 없습니다.'
+      });
+    }
+
+    const targetUser = await User.findById(userId).select('_id').lean();
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    const { room, created } = await Room.findOrCreateDirect(req.user.id, userId);
+    const populatedRoom = await Room.findById(room._id)
+      .populate('participants', 'name email profileImage')
+      .lean();
+
+    // 상대방에게 새 1:1 대화방 알림
+    if (created && io) {
+      io.to(`user:${userId}`).emit(
+        'directRoomCreated',
+        toDirectRoomResponse(populatedRoom, userId)
+      );
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: toDirectRoomResponse(populatedRoom, req.user.id)
+    });
+  } catch (error) {
+    console.error('Direct room create error:', error);
+    res.status(500).json({
+      success: false,
+      message: '1:1 대화를 시작하는데 실패했습니다.'
+    });
+  }
+});
+
+// 내 채팅방별 알림 설정 목록 (기본값(all)이 아닌 채팅방만, roomId → 설정)
+router.get('/notification-settings', [limiter, auth], async (req, res) => {
+  try {
+    const levels = await notificationPreferenceService.getUserLevels(req.user.id);
+    res.json({ success: true, data: levels });
+  } catch (error) {
+    console.error('Notification settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '알림 설정을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
 // 특정 채팅방 조회
 router.get('/:roomId', auth, async (req, res) => {
   try {
@@ -244,11 +380,62 @@ router.get('/:roomId', auth, async (req, res) => {
       });
     }
 
+    const isParticipant = room.participants.some(p => p._id.toString() === req.user.id);
+
+    if (!isParticipant && room.isDirect()) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    // 참여하지 않은 사용자에게는 공개 목록과 같은 정보만 제공
+    // (고정 메시지, 읽음 정보, 접속 상태 등은 입장 후 다시 조회)
+    if (!isParticipant) {
+      return res.json({
+        success: true,
+        data: {
+          ...roomListBroadcaster.formatRoom(room.toObject()),
+          isParticipant: false
+        }
+      });
+    }
+
+    const isModerator = room.isModerator(req.user.id);
+    const [
+      pinnedMessages,
+      readCursors,
+      readState,
+      participants,
+      notificationLevel,
+      aiPersonas
+    ] = await Promise.all([
+      messagePinService.getPinnedMessages(room),
+      readStateService.getReadCursors(room._id),
+      readStateService.getRoomReadState(req.user.id, room._id),
+      presenceService.attachPresence(room.participants),
+      notificationPreferenceService.getLevel(req.user.id, room._id),
+      aiPersonaService.getRoomPersonas(room)
+    ]);
+
     res.json({
       success: true,
       data: {
         ...room.toObject(),
-        password: undefined
+        password: undefined,
+        participants,
+        bans: isModerator ? room.bans : undefined,
+        mutes: room.getActiveMutes(),
+        myRole: room.getRole(req.user.id),
+        pinnedMessages,
+        pinLimit: room.getPinLimit(),
+        aiContextSize: room.getAIContextSize(),
+        aiPersonas: aiPersonas.map(persona => aiPersonaService.summarize(persona)),
+        usesDefaultAIPersonas: !Array.isArray(room.aiPersonas),
+        readCursors,
+        readState,
+        notificationLevel,
+        isParticipant: true
       }
     });
   } catch (error) {
@@ -273,6 +460,37 @@ router.post('/:roomId/join', auth, async (req, res) => {
       });
     }
 
+    // 1:1 대화방은 참여자만 입장 가능
+    if (room.isDirect() && !room.participants.some(id => id.toString() === req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 입장 권한이 없습니다.'
+      });
+    }
+
+    // 차단되거나 채팅 금지된 사용자는 입장 불가
+    const activeBan = room.getActiveBan(req.user.id);
+    if (activeBan) {
+      return res.status(403).json({
+        success: false,
+        message: activeBan.expiresAt
+          ? `${activeBan.expiresAt.toLocaleString('ko-KR')}까지 이 채팅방에서 차단되었습니다.`
+          : '이 채팅방에서 차단되었습니다.',
+        code: 'BANNED'
+      });
+    }
+
+    const activeMute = room.getActiveMute(req.user.id);
+    if (activeMute) {
+      return res.status(403).json({
+        success: false,
+        message: activeMute.expiresAt
+          ? `${activeMute.expiresAt.toLocaleString('ko-KR')}까지 채팅이 금지되었습니다.`
+          : '채팅이 금지된 상태입니다.',
+        code: 'MUTED'
+      });
+    }
+
     // 비밀번호 확인
     if (room.hasPassword) {
       const isPasswordValid = await room.checkPassword(password);
@@ -292,6 +510,8 @@ router.post('/:roomId/join', auth, async (req, res) => {
 
     const populatedRoom = await room.populate('participants', 'name email');
 
+    roomListBroadcaster.participantCountChanged(populatedRoom);
+
     // Socket.IO를 통해 참여자 업데이트 알림
     if (io) {
       io.to(req.params.roomId).emit('roomUpdate', {
@@ -317,6 +537,497 @@ router.post('/:roomId/join', auth, async (req, res) => {
   }
 });
 
+
+// 방장 전용 채팅방 조회 (1:1 대화방 제외)
+const findOwnedRoom = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.roomId)) {
+    res.status(404).json({
+      success: false,
+      message: '채팅방을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  const room = await Room.findById(req.params.roomId).select('+password');
+
+  if (!room || room.isDirect()) {
+    res.status(404).json({
+      success: false,
+      message: '채팅방을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (room.getRole(req.user.id) !== 'owner') {
+    res.status(403).json({
+      success: false,
+      message: '방장만 채팅방 설정을 변경할 수 있습니다.'
+    });
+    return null;
+  }
+
+  return room;
+};
+
+// 채팅방 설정 변경 (이름, 비밀번호, 고정 한도, AI 대화 맥락, 사용할 AI)
+router.put('/:roomId', [limiter, auth], async (req, res) => {
+  try {
+    const {
+      name,
+      password,
+      removePassword,
+      pinLimit,
+      aiContextSize,
+      aiPersonas
+    } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: '방 이름은 필수입니다.'
+      });
+    }
+
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: '올바르지 않은 비밀번호입니다.'
+      });
+    }
+
+    let parsedPinLimit;
+    let parsedAIContextSize;
+    let parsedAIPersonas;
+    try {
+      parsedPinLimit = pinLimit === undefined
+        ? undefined
+        : messagePinService.parsePinLimit(pinLimit);
+      parsedAIContextSize = aiContextSize === undefined
+        ? undefined
+        : aiContextService.parseContextSize(aiContextSize);
+      parsedAIPersonas = aiPersonas === undefined
+        ? undefined
+        : await aiPersonaService.parseRoomPersonaIds(aiPersonas);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    if (name !== undefined) {
+      room.name = String(name).trim();
+    }
+
+    // 한도를 줄여도 이미 고정된 메시지는 유지하고 새 고정만 제한
+    if (parsedPinLimit !== undefined) {
+      room.pinLimit = parsedPinLimit;
+    }
+
+    // null이면 서버 기본값(AI_CONTEXT_MESSAGES) 사용
+    if (parsedAIContextSize !== undefined) {
+      room.aiContextSize = parsedAIContextSize;
+    }
+
+    // null이면 기본 AI 사용, 빈 목록이면 AI 호출 불가
+    if (parsedAIPersonas !== undefined) {
+      room.aiPersonas = parsedAIPersonas === null ? undefined : parsedAIPersonas;
+    }
+
+    if (removePassword) {
+      room.password = undefined;
+    } else if (password) {
+      room.password = password;
+    }
+
+    await room.save();
+
+    const populatedRoom = await Room.findById(room._id)
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage');
+
+    const roomPersonas = await aiPersonaService.getRoomPersonas(populatedRoom);
+    const roomData = {
+      ...populatedRoom.toObject(),
+      password: undefined,
+      bans: undefined,
+      pinnedMessages: undefined,
+      pinLimit: populatedRoom.getPinLimit(),
+      aiContextSize: populatedRoom.getAIContextSize(),
+      aiPersonas: roomPersonas.map(persona => aiPersonaService.summarize(persona)),
+      usesDefaultAIPersonas: !Array.isArray(populatedRoom.aiPersonas)
+    };
+
+    if (io) {
+      io.to(req.params.roomId).emit('roomUpdate', roomData);
+    }
+    roomListBroadcaster.roomUpdated(populatedRoom);
+
+    res.json({
+      success: true,
+      data: roomData
+    });
+  } catch (error) {
+    console.error('Room update error:', error);
+    res.status(500).json({
+      success: false,
+      message: '채팅방 설정 변경에 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 삭제 (메시지와 첨부 파일 포함)
+router.delete('/:roomId', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const roomId = room._id.toString();
+    const result = await roomService.deleteRoom(roomId);
+
+    if (io) {
+      io.to(roomId).emit('roomDeleted', { roomId });
+      io.in(roomId).socketsLeave(roomId);
+    }
+    roomListBroadcaster.roomDeleted(roomId);
+
+    res.json({
+      success: true,
+      data: { roomId, ...result }
+    });
+  } catch (error) {
+    console.error('Room delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: '채팅방 삭제에 실패했습니다.'
+    });
+  }
+});
+
+const MAX_INVITE_USES = 1000;
+const MAX_INVITE_EXPIRY_MINUTES = 60 * 24 * 30;
+
+// 초대 링크 응답 데이터 구성
+const toInviteResponse = (invite) => ({
+  _id: invite._id.toString(),
+  token: invite.token,
+  path: `/invite/${invite.token}`,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  status: invite.getStatus(),
+  createdAt: invite.createdAt
+});
+
+// 선택 입력값을 1 ~ max 범위의 정수로 변환 (미입력 시 null)
+const parseOptionalLimit = (value, max) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 && number <= max ? number : undefined;
+};
+
+// 초대 링크 생성 (방장 전용)
+router.post('/:roomId/invites', [limiter, auth], async (req, res) => {
+  try {
+    const maxUses = parseOptionalLimit(req.body.maxUses, MAX_INVITE_USES);
+    const expiresInMinutes = parseOptionalLimit(
+      req.body.expiresInMinutes,
+      MAX_INVITE_EXPIRY_MINUTES
+    );
+
+    if (maxUses === undefined || expiresInMinutes === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: '사용 횟수 또는 만료 시간이 올바르지 않습니다.'
+      });
+    }
+
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const invite = await Invite.create({
+      token: Invite.generateToken(),
+      room: room._id,
+      creator: req.user.id,
+      maxUses,
+      expiresAt: expiresInMinutes
+        ? new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toInviteResponse(invite)
+    });
+  } catch (error) {
+    console.error('Invite create error:', error);
+    res.status(500).json({
+      success: false,
+      message: '초대 링크 생성에 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크 목록 조회 (방장 전용)
+router.get('/:roomId/invites', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const invites = await Invite.find({ room: room._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: invites.map(toInviteResponse)
+    });
+  } catch (error) {
+    console.error('Invite list error:', error);
+    res.status(500).json({
+      success: false,
+      message: '초대 링크 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크 폐기 (방장 전용)
+router.delete('/:roomId/invites/:inviteId', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const invite = mongoose.isValidObjectId(req.params.inviteId)
+      ? await Invite.findOneAndUpdate(
+          { _id: req.params.inviteId, room: room._id, revokedAt: null },
+          { revokedAt: new Date() },
+          { new: true }
+        )
+      : null;
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: '초대 링크를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toInviteResponse(invite)
+    });
+  } catch (error) {
+    console.error('Invite revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: '초대 링크 폐기에 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 관리 API 에러 응답
+const sendModerationError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error('Room moderation error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// 채팅방 관리 상태 조회 (관리자 이상)
+router.get('/:roomId/moderation', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.getModerationState(
+      req.params.roomId,
+      req.user.id
+    );
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '채팅방 관리 정보를 불러오는데 실패했습니다.');
+  }
+});
+
+// 참여자 역할 변경 (방장 전용)
+router.put('/:roomId/members/:userId/role', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.setRole({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId,
+      role: req.body.role
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '역할 변경에 실패했습니다.');
+  }
+});
+
+// 참여자 내보내기
+router.post('/:roomId/members/:userId/kick', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.kick({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId,
+      reason: req.body.reason
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '참여자 내보내기에 실패했습니다.');
+  }
+});
+
+// 참여자 차단 (durationMinutes 미지정 시 영구 차단)
+router.post('/:roomId/members/:userId/ban', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.ban({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId,
+      durationMinutes: req.body.durationMinutes,
+      reason: req.body.reason
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '참여자 차단에 실패했습니다.');
+  }
+});
+
+// 차단 해제
+router.delete('/:roomId/members/:userId/ban', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.unban({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '차단 해제에 실패했습니다.');
+  }
+});
+
+// 채팅 금지 (durationMinutes 미지정 시 해제 전까지 유지)
+router.post('/:roomId/members/:userId/mute', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.mute({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId,
+      durationMinutes: req.body.durationMinutes,
+      reason: req.body.reason
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '채팅 금지에 실패했습니다.');
+  }
+});
+
+// 채팅 금지 해제
+router.delete('/:roomId/members/:userId/mute', [limiter, auth], async (req, res) => {
+  try {
+    const state = await roomModerationService.unmute({
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetId: req.params.userId
+    }, io);
+    res.json({ success: true, data: state });
+  } catch (error) {
+    sendModerationError(res, error, '채팅 금지 해제에 실패했습니다.');
+  }
+});
+
+// 채팅방 메시지 검색
+router.get('/:roomId/messages/search', [limiter, auth], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없습니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const { results, hasMore, nextCursor } = await messageSearchService.search(
+      req.params.roomId,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: results,
+      metadata: {
+        hasMore,
+        nextCursor,
+        currentCount: results.length
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Message search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 알림 설정 변경 (all: 모든 메시지, mentions: 멘션/답장만, muted: 알림 끔)
+router.put('/:roomId/notification-settings', [limiter, auth], async (req, res) => {
+  try {
+    const data = await notificationPreferenceService.setLevel(
+      req.user.id,
+      req.params.roomId,
+      req.body.level
+    );
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Notification settings update error:', error);
+    res.status(500).json({
+      success: false,
+      message: '알림 설정 변경에 실패했습니다.'
+    });
+  }
+});
+
 module.exports = {
   router,
   initializeSocket
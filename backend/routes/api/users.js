@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../../controllers/userController');
+const savedMessageController = require('../../controllers/savedMessageController');
+const pushSubscriptionController = require('../../controllers/pushSubscriptionController');
+const digestController = require('../../controllers/digestController');
 const auth = require('../../middleware/auth');
 const { upload } = require('../../middleware/upload');
 
@@ -40,6 +43,66 @@ router.delete('/account',
   userController.deleteAccount
 );
 
+// 상태 메시지 및 방해 금지 설정
+router.put('/me/status',
+  auth,
+  userController.updateStatus
+);
+
+// 푸시 알림 설정 정보 (VAPID 공개 키)
+router.get('/me/push-subscriptions/config',
+  auth,
+  pushSubscriptionController.getPushConfig
+);
+
+// 푸시 알림 구독 등록
+router.post('/me/push-subscriptions',
+  auth,
+  pushSubscriptionController.subscribe
+);
+
+// 푸시 알림 구독 해제
+router.delete('/me/push-subscriptions',
+  auth,
+  pushSubscriptionController.unsubscribe
+);
+
+// 이메일 요약 설정 조회
+router.get('/me/digest',
+  auth,
+  digestController.getSettings
+);
+
+// 이메일 요약 발송 주기 변경
+router.put('/me/digest',
+  auth,
+  digestController.updateSettings
+);
+
+// 저장한 메시지 목록
+router.get('/me/saved',
+  auth,
+  savedMessageController.getSavedMessages
+);
+
+// 채팅방 내 저장한 메시지 ID 목록
+router.get('/me/saved/ids',
+  auth,
+  savedMessageController.getSavedMessageIds
+);
+
+// 메시지 저장
+router.post('/me/saved/:messageId',
+  auth,
+  savedMessageController.saveMessage
+);
+
+// 메시지 저장 취소
+router.delete('/me/saved/:messageId',
+  auth,
+  savedMessageController.removeSavedMessage
+);
+
 // API 상태 확인
 router.get('/status', (req, res) => {
   res.json({
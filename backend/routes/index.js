@@ -6,6 +6,10 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const inviteRoutes = require('./api/invites');
+const notificationRoutes = require('./api/notifications');
+const digestRoutes = require('./api/digest');
+const aiPersonaRoutes = require('./api/aiPersonas');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -27,6 +31,10 @@ router.get('/', (req, res) => {
       users: '/users',
       rooms: '/rooms',
       files: '/files',
+      invites: '/invites',
+      notifications: '/notifications',
+      digest: '/digest',
+      aiPersonas: '/ai-personas',
       ai: '/ai'
     }
   });
@@ -37,5 +45,9 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/invites', inviteRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/digest', digestRoutes);
+router.use('/ai-personas', aiPersonaRoutes);
 
 module.exports = router;
\ No newline at end of file
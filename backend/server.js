@@ -7,6 +7,8 @@ const socketIO = require('socket.io');
 const path = require('path');
 const { router: roomsRouter, initializeSocket } = require('./routes/api/rooms');
 const routes = require('./routes');
+const digestScheduler = require('./services/digestScheduler');
+const aiPersonaService = require('./services/aiPersonaService');
 
 const app = express();
 const server = http.createServer(app);
@@ -99,6 +101,14 @@ mongoose.connect(process.env.MONGO_URI)
       console.log('Environment:', process.env.NODE_ENV);
       console.log('API Base URL:', `http://0.0.0.0:${PORT}/api`);
     });
+
+    aiPersonaService.ensureDefaults().catch(error => {
+      console.error('[AI] Default persona setup error:', error);
+    });
+
+    digestScheduler.start().catch(error => {
+      console.error('[Digest] Scheduler start error:', error);
+    });
   })
   .catch(err => {
     console.error('Server startup error:', err);
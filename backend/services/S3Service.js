@@ -58,6 +58,22 @@ class S3Service {
     }
   }
 
+  // 서버에서 파일 내용을 처리할 때 사용 (문서 색인 등)
+  async getFileBuffer(key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      });
+
+      const response = await this.client.send(command);
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      console.error("S3 download error:", error);
+      throw new Error("파일 다운로드 중 오류가 발생했습니다.");
+    }
+  }
+
   async getSignedUrl(key, expiresIn = 3600) {
     try {
       const command = new GetObjectCommand({
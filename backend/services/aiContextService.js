@@ -0,0 +1,93 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const aiPersonaService = require('./aiPersonaService');
+const { aiContextTokenBudget } = require('../config/keys');
+
+// AI 응답에 포함할 채팅방 대화 기록 구성
+// 최근 메시지부터 토큰 예산 안에서 거슬러 올라가며 모으고, 채팅 역할(user/assistant)로 변환
+class AIContextService {
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  parseContextSize(value) {
+    if (value === null || value === '') return null;
+
+    const size = Number(value);
+    const max = Room.schema.path('aiContextSize').options.max;
+    if (!Number.isInteger(size) || size < 0 || size > max) {
+      throw this.createError(`AI 대화 기록 메시지 수는 0~${max} 사이의 정수여야 합니다.`, 400, 'INVALID_AI_CONTEXT_SIZE');
+    }
+    return size;
+  }
+
+  // 대략적인 토큰 수 (영문 약 4자당 1토큰, 한글 등은 글자당 1토큰으로 넉넉하게 계산)
+  estimateTokens(text) {
+    const value = text || '';
+    const asciiLength = value.replace(/[^\x00-\x7F]/g, '').length;
+    return Math.ceil(asciiLength / 4 + (value.length - asciiLength));
+  }
+
+  // 메시지를 채팅 역할로 변환 (같은 페르소나의 이전 답변만 assistant)
+  // aiNames: 다른 AI 답변에 붙일 이름 (멘션 이름 → 표시 이름)
+  toChatMessage(message, aiType, aiNames = new Map()) {
+    if (message.type === 'ai') {
+      if (message.aiType === aiType) {
+        return { role: 'assistant', content: message.content };
+      }
+      const name = aiNames.get(message.aiType) || message.aiType;
+      return { role: 'user', content: `${name}: ${message.content}` };
+    }
+
+    const senderName = message.sender?.name || '알 수 없음';
+    const fileName = message.file?.originalname;
+    const content = message.type === 'file'
+      ? [`[파일: ${fileName || '첨부 파일'}]`, message.content].filter(Boolean).join(' ')
+      : message.content;
+    return { role: 'user', content: `${senderName}: ${content}` };
+  }
+
+  // before 이전의 최근 메시지를 오래된 순서의 채팅 메시지 목록으로 반환
+  async buildHistory(roomId, aiType, { before = new Date(), reservedTokens = 0 } = {}) {
+    const room = await Room.findById(roomId).select('aiContextSize');
+    const limit = room ? room.getAIContextSize() : 0;
+    if (limit <= 0) return [];
+
+    const messages = await Message.find({
+      room: String(roomId),
+      type: { $in: ['text', 'file', 'ai'] },
+      isDeleted: false,
+      parentMessage: null,
+      timestamp: { $lt: before }
+    })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .populate('sender', 'name')
+      .populate('file', 'originalname')
+      .lean();
+
+    const aiNames = await aiPersonaService.getNames(
+      messages.filter(message => message.type === 'ai').map(message => message.aiType)
+    );
+
+    const history = [];
+    let usedTokens = reservedTokens;
+    for (const message of messages) {
+      if (!message.content && message.type !== 'file') continue;
+
+      const chatMessage = this.toChatMessage(message, aiType, aiNames);
+      const tokens = this.estimateTokens(chatMessage.content);
+      if (usedTokens + tokens > aiContextTokenBudget) break;
+
+      usedTokens += tokens;
+      history.push(chatMessage);
+    }
+
+    return history.reverse();
+  }
+}
+
+module.exports = new AIContextService();
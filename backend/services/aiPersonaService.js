@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const AIPersona = require('../models/AIPersona');
+const Room = require('../models/Room');
+const llmProvider = require('./llmProvider');
+const { aiAllowedModels } = require('../config/keys');
+
+const MAX_ROOM_PERSONAS = 20;
+const EDITABLE_FIELDS = ['name', 'handle', 'systemPrompt', 'tone', 'provider', 'model', 'temperature'];
+const MIN_TEMPERATURE = 0;
+const MAX_TEMPERATURE = 2;
+const MENTION_PATTERN = /@([A-Za-z][A-Za-z0-9_]*)\b/g;
+
+// 기본 제공 페르소나 (서버 시작 시 없으면 생성)
+const DEFAULT_PERSONAS = [
+  {
+    name: 'Wayne AI',
+    handle: 'wayneAI',
+    systemPrompt: `역할: 친절하고 도움이 되는 어시스턴트
+특성: 전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.`,
+    tone: '전문적이면서도 친근한 톤'
+  },
+  {
+    name: 'Consulting AI',
+    handle: 'consultingAI',
+    systemPrompt: `역할: 비즈니스 컨설팅 전문가
+특성: 비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.`,
+    tone: '전문적이고 분석적인 톤'
+  }
+];
+
+// AI 페르소나 관리와 채팅방별 사용 설정
+// 채팅방의 aiPersonas가 없으면(null) 기본 페르소나를 사용
+class AIPersonaService {
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  async ensureDefaults() {
+    await AIPersona.bulkWrite(DEFAULT_PERSONAS.map(persona => ({
+      updateOne: {
+        filter: { handle: persona.handle },
+        update: { $setOnInsert: { ...persona, isDefault: true } },
+        upsert: true
+      }
+    })));
+  }
+
+  // 시스템 프롬프트는 만든 사용자에게만 전달
+  serialize(persona, userId) {
+    const plain = typeof persona.toObject === 'function' ? persona.toObject() : persona;
+    const isOwner = !!plain.creator && !!userId && String(plain.creator) === String(userId);
+    return {
+      _id: plain._id,
+      name: plain.name,
+      handle: plain.handle,
+      ...(isOwner && { systemPrompt: plain.systemPrompt }),
+      tone: plain.tone,
+      provider: plain.provider,
+      model: plain.model,
+      temperature: plain.temperature,
+      isDefault: plain.isDefault,
+      isBuiltIn: !plain.creator,
+      canEdit: isOwner,
+      createdAt: plain.createdAt,
+      updatedAt: plain.updatedAt
+    };
+  }
+
+  // 채팅방 화면에 필요한 정보만 (시스템 프롬프트 제외)
+  summarize(persona) {
+    return {
+      _id: persona._id,
+      name: persona.name,
+      handle: persona.handle
+    };
+  }
+
+  async list() {
+    return AIPersona.find({ isDeleted: false })
+      .sort({ isDefault: -1, createdAt: 1 })
+      .lean();
+  }
+
+  async getById(personaId) {
+    if (!mongoose.isValidObjectId(personaId)) return null;
+    return AIPersona.findOne({ _id: personaId, isDeleted: false });
+  }
+
+  // 멘션 이름 → 표시 이름 (삭제된 페르소나 포함, 이전 AI 메시지 표시용)
+  async getNames(handles) {
+    const unique = Array.from(new Set((handles || []).filter(Boolean)));
+    if (unique.length === 0) return new Map();
+
+    const personas = await AIPersona.find({ handle: { $in: unique } })
+      .select('handle name')
+      .lean();
+    return new Map(personas.map(persona => [persona.handle, persona.name]));
+  }
+
+  getAllowedModels() {
+    return aiAllowedModels;
+  }
+
+  // temperature는 허용 범위로 맞춰 저장 (숫자가 아니면 스키마 검증에서 거부)
+  pickFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] === undefined) return fields;
+
+      if (['provider', 'model'].includes(key)) {
+        fields[key] = data[key] === '' ? null : data[key];
+      } else if (key === 'temperature' && data[key] !== null && Number.isFinite(Number(data[key]))) {
+        fields[key] = Math.min(MAX_TEMPERATURE, Math.max(MIN_TEMPERATURE, Number(data[key])));
+      } else {
+        fields[key] = data[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  async validate(persona) {
+    if (persona.provider && !llmProvider.has(persona.provider)) {
+      throw this.createError('지원하지 않는 AI 제공자입니다.', 400, 'INVALID_PROVIDER');
+    }
+    if (persona.model && !aiAllowedModels.includes(persona.model)) {
+      throw this.createError('사용할 수 없는 AI 모델입니다.', 400, 'INVALID_MODEL');
+    }
+
+    try {
+      await persona.validate();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const [first] = Object.values(error.errors);
+        throw this.createError(first?.message || '입력값이 올바르지 않습니다.', 400, 'INVALID_PERSONA');
+      }
+      throw error;
+    }
+
+    const duplicate = await AIPersona.findOne({
+      _id: { $ne: persona._id },
+      handle: persona.handle
+    })
+      .collation({ locale: 'en', strength: 2 })
+      .select('_id')
+      .lean();
+    if (duplicate) {
+      throw this.createError('이미 사용 중인 AI 멘션 이름입니다.', 409, 'DUPLICATE_HANDLE');
+    }
+  }
+
+  async create(userId, data) {
+    const persona = new AIPersona({
+      ...this.pickFields(data),
+      creator: userId
+    });
+    await this.validate(persona);
+    await persona.save();
+    return persona;
+  }
+
+  async findEditable(userId, personaId) {
+    const persona = await this.getById(personaId);
+    if (!persona) {
+      throw this.createError('AI를 찾을 수 없습니다.', 404, 'PERSONA_NOT_FOUND');
+    }
+    if (!persona.creator || String(persona.creator) !== String(userId)) {
+      throw this.createError('AI를 수정할 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+    return persona;
+  }
+
+  // 멘션 이름은 기존 AI 메시지와 연결되어 있어 변경 불가
+  async update(userId, personaId, data) {
+    const persona = await this.findEditable(userId, personaId);
+    const { handle, ...fields } = this.pickFields(data);
+    if (handle !== undefined && handle !== persona.handle) {
+      throw this.createError('AI 멘션 이름은 변경할 수 없습니다.', 400, 'HANDLE_IMMUTABLE');
+    }
+
+    persona.set({ ...fields, updatedAt: new Date() });
+    await this.validate(persona);
+    await persona.save();
+    return persona;
+  }
+
+  // 사용 중인 채팅방에서도 제외 (기존 메시지는 유지)
+  async remove(userId, personaId) {
+    const persona = await this.findEditable(userId, personaId);
+    persona.isDeleted = true;
+    persona.updatedAt = new Date();
+    await persona.save();
+
+    await Room.updateMany(
+      { aiPersonas: persona._id },
+      { $pull: { aiPersonas: persona._id } }
+    );
+    return persona;
+  }
+
+  // 채팅방에서 멘션할 수 있는 페르소나 (설정하지 않은 채팅방은 기본 페르소나)
+  async getRoomPersonas(room) {
+    const personaIds = room?.aiPersonas;
+    if (!Array.isArray(personaIds)) {
+      return AIPersona.find({ isDefault: true, isDeleted: false })
+        .sort({ createdAt: 1 })
+        .lean();
+    }
+    if (personaIds.length === 0) return [];
+
+    const ids = personaIds.map(id => String(id._id || id));
+    const personas = await AIPersona.find({ _id: { $in: ids }, isDeleted: false }).lean();
+    const personaMap = new Map(personas.map(persona => [persona._id.toString(), persona]));
+    return ids.map(id => personaMap.get(id)).filter(Boolean);
+  }
+
+  // 채팅방 설정의 AI 목록 검증 (null이면 기본 페르소나 사용으로 되돌림)
+  async parseRoomPersonaIds(value) {
+    if (value === null) return null;
+    if (!Array.isArray(value) || value.length > MAX_ROOM_PERSONAS) {
+      throw this.createError(`AI는 최대 ${MAX_ROOM_PERSONAS}개까지 선택할 수 있습니다.`, 400, 'INVALID_AI_PERSONAS');
+    }
+
+    const ids = Array.from(new Set(value.map(String)));
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      throw this.createError('AI 정보가 올바르지 않습니다.', 400, 'INVALID_AI_PERSONAS');
+    }
+
+    const count = await AIPersona.countDocuments({ _id: { $in: ids }, isDeleted: false });
+    if (count !== ids.length) {
+      throw this.createError('선택한 AI를 찾을 수 없습니다.', 404, 'PERSONA_NOT_FOUND');
+    }
+    return ids;
+  }
+
+  // 메시지에서 채팅방에서 사용 가능한 AI 멘션 추출 (중복 제거, 등장 순서)
+  async findMentioned(room, content) {
+    if (!content || !content.includes('@')) return [];
+
+    const handles = Array.from(content.matchAll(MENTION_PATTERN), match => match[1]);
+    if (handles.length === 0) return [];
+
+    const personas = await this.getRoomPersonas(room);
+    const personaMap = new Map(personas.map(persona => [persona.handle, persona]));
+    return Array.from(new Set(handles))
+      .map(handle => personaMap.get(handle))
+      .filter(Boolean);
+  }
+}
+
+module.exports = new AIPersonaService();
@@ -1,130 +1,91 @@
-const axios = require('axios');
-const { openaiApiKey } = require('../config/keys');
+const llmProvider = require('./llmProvider');
 
 class AIService {
-  constructor() {
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  // 페르소나의 시스템 프롬프트에 공통 답변 지침 추가
+  buildSystemPrompt(aiPersona, { hasDocuments = false } = {}) {
+    const guidelines = [
+      '명확하고 이해하기 쉬운 언어로 답변하세요.',
+      '정확하지 않은 정보는 제공하지 마세요.',
+      '필요한 경우 예시를 들어 설명하세요.',
+      aiPersona.tone && `${aiPersona.tone}을 유지하세요.`,
+      '이전 대화는 "이름: 내용" 형식으로 전달되며, 누가 한 말인지 참고해 마지막 질문에 답변하세요.',
+      hasDocuments && '채팅방 문서의 내용을 활용한 문장 끝에는 [1]처럼 문서 번호로 출처를 표시하고, 문서에 없는 내용은 추측하지 마세요.'
+    ].filter(Boolean);
+
+    return [
+      `당신은 ${aiPersona.name}입니다.`,
+      aiPersona.systemPrompt,
+      ...(aiPersona.tone ? [`톤: ${aiPersona.tone}`] : []),
+      '',
+      '답변 시 주의사항:',
+      ...guidelines.map((guideline, index) => `${index + 1}. ${guideline}`)
+    ].join('\n');
   }
 
-  async generateResponse(message, persona = 'wayneAI', callbacks) {
-    try {
-      const aiPersona = {
-        wayneAI: {
-          name: 'Wayne AI',
-          role: '친절하고 도움이 되는 어시스턴트',
-          traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
-          tone: '전문적이면서도 친근한 톤',
-        },
-        consultingAI: {
-          name: 'Consulting AI',
-          role: '비즈니스 컨설팅 전문가',
-          traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
-          tone: '전문적이고 분석적인 톤',
-        }
-      }[persona];
+  // 질문과 관련된 채팅방 문서 내용 (번호는 답변의 출처 표시에 사용)
+  buildDocumentPrompt(documents) {
+    return [
+      '다음은 채팅방에 업로드된 문서에서 질문과 관련된 내용입니다.',
+      ...documents.map(doc => `\n[${doc.index}] ${doc.fileName}\n${doc.content}`)
+    ].join('\n');
+  }
 
+  // 페르소나에 지정된 LLM 제공자로 응답을 스트리밍 (signal로 생성 중단 가능)
+  // aiPersona: AIPersona 문서 (name, systemPrompt, tone, provider, model, temperature)
+  // history: 질문 이전의 채팅방 대화 ({ role, content } 목록, 오래된 순)
+  // documents: 참고할 채팅방 문서 ({ index, fileName, content } 목록)
+  async generateResponse(message, aiPersona, callbacks, { signal, history = [], documents = [] } = {}) {
+    try {
       if (!aiPersona) {
         throw new Error('Unknown AI persona');
       }
 
-      const systemPrompt = `당신은 ${aiPersona.name}입니다.
-역할: ${aiPersona.role}
-특성: ${aiPersona.traits}
-톤: ${aiPersona.tone}
-
-답변 시 주의사항:
-1. 명확하고 이해하기 쉬운 언어로 답변하세요.
-2. 정확하지 않은 정보는 제공하지 마세요.
-3. 필요한 경우 예시를 들어 설명하세요.
-4. ${aiPersona.tone}을 유지하세요.`;
+      const provider = llmProvider.get(aiPersona.provider);
 
       callbacks.onStart();
 
-      const response = await this.openaiClient.post('/chat/completions', {
-        model: 'gpt-4',
+      let isCodeBlock = false;
+      const result = await provider.streamChat({
+        model: aiPersona.model,
         messages: [
-          { role: 'system', content: systemPrompt },
+          { role: 'system', content: this.buildSystemPrompt(aiPersona, { hasDocuments: documents.length > 0 }) },
+          ...(documents.length > 0
+            ? [{ role: 'system', content: this.buildDocumentPrompt(documents) }]
+            : []),
+          ...history,
           { role: 'user', content: message }
         ],
-        temperature: 0.7,
-        stream: true
+        temperature: aiPersona.temperature,
+        signal
       }, {
-        responseType: 'stream'
-      });
-
-      let fullResponse = '';
-      let isCodeBlock = false;
-      let buffer = '';
-
-      return new Promise((resolve, reject) => {
-        response.data.on('data', async chunk => {
-          try {
-            // 청크 데이터를 문자열로 변환하고 버퍼에 추가
-            buffer += chunk.toString();
-
-            // 완전한 JSON 객체를 찾아 처리
-            while (true) {
-              const newlineIndex = buffer.indexOf('\n');
-              if (newlineIndex === -1) break;
-
-              const line = buffer.slice(0, newlineIndex).trim();
-              buffer = buffer.slice(newlineIndex + 1);
-
-              if (line === '') continue;
-              if (line === 'data: [DONE]') {
-                callbacks.onComplete({
-                  content: fullResponse.trim()
-                });
-                resolve(fullResponse.trim());
-                return;
-              }
-
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  const content = data.choices[0]?.delta?.content;
-                  
-                  if (content) {
-                    // 코드 블록 상태 업데이트
-                    if (content.includes('```')) {
-                      isCodeBlock = !isCodeBlock;
-                    }
-
-                    // 현재 청크만 전송
-                    await callbacks.onChunk({
-                      currentChunk: content,
-                      isCodeBlock
-                    });
-
-                    // 전체 응답은 서버에서만 관리
-                    fullResponse += content;
-                  }
-                } catch (err) {
-                  console.error('JSON parsing error:', err);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            callbacks.onError(error);
-            reject(error);
+        onChunk: async (content) => {
+          // 코드 블록 상태 업데이트
+          if (content.includes('```')) {
+            isCodeBlock = !isCodeBlock;
           }
-        });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          callbacks.onError(error);
-          reject(error);
-        });
+          // 현재 청크만 전송 (전체 응답은 서버에서만 관리)
+          await callbacks.onChunk({
+            currentChunk: content,
+            isCodeBlock
+          });
+        }
       });
 
+      const finalContent = {
+        content: result.content.trim(),
+        completionTokens: result.completionTokens,
+        totalTokens: result.totalTokens
+      };
+      await callbacks.onComplete(finalContent);
+      return finalContent.content;
+
     } catch (error) {
+      // 사용자가 중지한 경우 호출한 쪽에서 처리
+      if (llmProvider.isAbortError(error)) {
+        throw error;
+      }
+
       console.error('AI response generation error:', error);
       callbacks.onError(error);
       throw new Error('AI 응답 생성 중 오류가 발생했습니다.');
@@ -132,4 +93,4 @@ class AIService {
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
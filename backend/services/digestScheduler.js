@@ -0,0 +1,106 @@
+const Queue = require('bull');
+const digestService = require('./digestService');
+const mailService = require('./mailService');
+const {
+  redisHost,
+  redisPort,
+  digestDailyCron,
+  digestWeeklyCron,
+  digestTimezone
+} = require('../config/keys');
+
+const QUEUE_NAME = 'emailDigest';
+const SEND_CONCURRENCY = 5;
+const SEND_ATTEMPTS = 3;
+
+// 이메일 요약 발송 작업 (bull)
+// 주기별 반복 작업(schedule)이 대상 사용자마다 발송 작업(send)을 등록하고,
+// 여러 서버에서 실행해도 반복 작업은 Redis에서 하나로 관리됨
+class DigestScheduler {
+  constructor() {
+    this.queue = null;
+  }
+
+  getSchedules() {
+    return [
+      { frequency: 'daily', cron: digestDailyCron },
+      { frequency: 'weekly', cron: digestWeeklyCron }
+    ];
+  }
+
+  async start() {
+    if (this.queue) return;
+    if (!mailService.isEnabled()) {
+      console.warn('[Digest] Mail transport is not configured. Email digest is disabled.');
+      return;
+    }
+
+    this.queue = new Queue(QUEUE_NAME, {
+      redis: {
+        host: redisHost,
+        port: redisPort
+      }
+    });
+
+    this.queue.process('schedule', (job) => this.enqueueRecipients(job.data.frequency));
+    this.queue.process('send', SEND_CONCURRENCY, (job) => (
+      digestService.sendDigest(job.data.userId, job.data.frequency)
+    ));
+
+    this.queue.on('failed', (job, error) => {
+      console.error(`[Digest] Job ${job.name} failed:`, error.message);
+    });
+
+    await this.registerSchedules();
+    console.log('[Digest] Email digest scheduler started');
+  }
+
+  // 설정된 cron으로 반복 작업 등록 (설정이 바뀌어 남은 이전 반복 작업은 제거)
+  async registerSchedules() {
+    const schedules = this.getSchedules();
+    const repeatableJobs = await this.queue.getRepeatableJobs();
+
+    await Promise.all(repeatableJobs
+      .filter(job => !schedules.some(schedule => (
+        job.name === 'schedule' && job.id === schedule.frequency &&
+        job.cron === schedule.cron && job.tz === digestTimezone
+      )))
+      .map(job => this.queue.removeRepeatableByKey(job.key)));
+
+    await Promise.all(schedules.map(({ frequency, cron }) => (
+      this.queue.add('schedule', { frequency }, {
+        jobId: frequency,
+        repeat: { cron, tz: digestTimezone },
+        removeOnComplete: true,
+        removeOnFail: true
+      })
+    )));
+  }
+
+  async enqueueRecipients(frequency) {
+    const dateKey = new Date().toISOString().slice(0, 10);
+    let count = 0;
+
+    await digestService.forEachRecipient(frequency, async (userId) => {
+      await this.queue.add('send', { userId, frequency }, {
+        jobId: `${frequency}:${userId}:${dateKey}`,
+        attempts: SEND_ATTEMPTS,
+        backoff: { type: 'exponential', delay: 60 * 1000 },
+        removeOnComplete: true,
+        removeOnFail: 100
+      });
+      count += 1;
+    });
+
+    console.log(`[Digest] Queued ${count} ${frequency} digest(s)`);
+    return count;
+  }
+
+  async stop() {
+    if (!this.queue) return;
+    await this.queue.close();
+    this.queue = null;
+  }
+}
+
+module.exports = new DigestScheduler();
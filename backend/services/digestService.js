@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const RoomReadState = require('../models/RoomReadState');
+const readStateService = require('./readStateService');
+const notificationService = require('./notificationService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const mailService = require('./mailService');
+const { jwtSecret, appUrl, apiUrl } = require('../config/keys');
+const {
+  getDigestSubject,
+  renderDigestHtml,
+  renderDigestText
+} = require('../templates/digestEmail');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+// 재시도/중복 실행으로 같은 주기에 두 번 발송되지 않도록 주기보다 조금 짧게 잡은 최소 간격
+const MIN_INTERVAL_RATIO = 0.9;
+const MAX_DIGEST_ITEMS = 10;
+
+// 읽지 않은 멘션/1:1 메시지 이메일 요약
+class DigestService {
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  // 로그인 없이 수신 거부할 수 있는 사용자별 서명 토큰
+  signUnsubscribe(userId) {
+    return crypto
+      .createHmac('sha256', jwtSecret)
+      .update(`digest-unsubscribe:${userId}`)
+      .digest('base64url');
+  }
+
+  createUnsubscribeToken(userId) {
+    return `${userId}.${this.signUnsubscribe(userId)}`;
+  }
+
+  verifyUnsubscribeToken(token) {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature || !mongoose.isValidObjectId(userId)) return null;
+
+    const expected = Buffer.from(this.signUnsubscribe(userId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return userId;
+  }
+
+  getUnsubscribeUrl(userId) {
+    return `${apiUrl}/api/digest/unsubscribe?token=${encodeURIComponent(this.createUnsubscribeToken(userId))}`;
+  }
+
+  async getFrequency(userId) {
+    const user = await User.findById(userId).select('digestFrequency').lean();
+    if (!user) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404, 'USER_NOT_FOUND');
+    }
+    return user.digestFrequency || 'off';
+  }
+
+  async setFrequency(userId, frequency) {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      throw this.createError('이메일 요약 주기가 올바르지 않습니다.', 400, 'INVALID_FREQUENCY');
+    }
+
+    const result = await User.updateOne({ _id: userId }, { $set: { digestFrequency: frequency } });
+    if (result.matchedCount === 0) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404, 'USER_NOT_FOUND');
+    }
+    return frequency;
+  }
+
+  async unsubscribe(token) {
+    const userId = this.verifyUnsubscribeToken(token);
+    if (!userId) {
+      throw this.createError('수신 거부 링크가 올바르지 않습니다.', 400, 'INVALID_TOKEN');
+    }
+    await User.updateOne({ _id: userId }, { $set: { digestFrequency: 'off' } });
+    return userId;
+  }
+
+  getMessageUrl(roomId, message) {
+    const query = message?.parentMessage
+      ? `thread=${message.parentMessage}`
+      : `message=${message?._id || message}`;
+    return `${appUrl}/chat?room=${roomId}&${query}`;
+  }
+
+  // 기간 내 읽지 않은 멘션 (채팅방 알림 설정에서 멘션을 허용하는 경우만)
+  async collectMentions(userId, since) {
+    const notifications = await Notification.find({
+      user: userId,
+      type: 'mention',
+      isRead: false,
+      createdAt: { $gt: since }
+    })
+      .sort({ createdAt: -1 })
+      .populate('actor', 'name')
+      .populate('room', 'name type')
+      .populate('message', 'isDeleted parentMessage')
+      .lean();
+
+    const levels = await notificationPreferenceService.getUserLevels(userId);
+    const mentions = notifications.filter(item => (
+      item.room &&
+      !item.message?.isDeleted &&
+      notificationPreferenceService.allows(levels[item.room._id.toString()], 'mention')
+    ));
+
+    return {
+      total: mentions.length,
+      items: mentions.slice(0, MAX_DIGEST_ITEMS).map(item => ({
+        actorName: item.actor?.name || '알 수 없음',
+        roomName: item.room.type === 'direct' ? '1:1 대화' : item.room.name,
+        preview: item.preview,
+        createdAt: item.createdAt,
+        url: this.getMessageUrl(item.room._id, {
+          _id: item.message?._id,
+          parentMessage: item.parentMessage
+        })
+      }))
+    };
+  }
+
+  // 기간 내 읽지 않은 1:1 메시지 (대화방별 개수와 최근 메시지)
+  async collectDirectMessages(userId, since) {
+    const rooms = await Room.find({ type: 'direct', participants: userId })
+      .select('participants')
+      .populate('participants', 'name')
+      .lean();
+    if (rooms.length === 0) return { total: 0, roomTotal: 0, items: [] };
+
+    const [states, levels] = await Promise.all([
+      RoomReadState.find({ user: userId, room: { $in: rooms.map(room => room._id) } })
+        .select('room lastReadAt')
+        .lean(),
+      notificationPreferenceService.getUserLevels(userId)
+    ]);
+    const lastReadMap = new Map(states.map(state => [state.room.toString(), state.lastReadAt]));
+
+    const conditions = rooms
+      .map(room => room._id.toString())
+      .filter(roomId => notificationPreferenceService.allows(levels[roomId], 'direct'))
+      .map(roomId => ({
+        $and: [
+          { room: roomId, timestamp: { $gt: since } },
+          readStateService.buildCursorFilter(userId, lastReadMap.get(roomId))
+        ]
+      }));
+    if (conditions.length === 0) return { total: 0, roomTotal: 0, items: [] };
+
+    const stats = await Message.aggregate([
+      { $match: { $or: conditions, ...readStateService.buildUnreadFilter(userId) } },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$room',
+          unreadCount: { $sum: 1 },
+          latestMessageId: { $first: '$_id' }
+        }
+      },
+      { $sort: { unreadCount: -1 } }
+    ]);
+    if (stats.length === 0) return { total: 0, roomTotal: 0, items: [] };
+
+    const shown = stats.slice(0, MAX_DIGEST_ITEMS);
+    const latestMessages = await Message.find({
+      _id: { $in: shown.map(stat => stat.latestMessageId) }
+    })
+      .populate('file', 'originalname')
+      .lean();
+    const latestMap = new Map(latestMessages.map(message => [message._id.toString(), message]));
+    const roomMap = new Map(rooms.map(room => [room._id.toString(), room]));
+
+    return {
+      total: stats.reduce((sum, stat) => sum + stat.unreadCount, 0),
+      roomTotal: stats.length,
+      items: shown.map(stat => {
+        const room = roomMap.get(stat._id);
+        const partner = room?.participants.find(participant => (
+          participant._id.toString() !== String(userId)
+        ));
+        const latest = latestMap.get(stat.latestMessageId.toString());
+        return {
+          partnerName: partner?.name || '알 수 없음',
+          unreadCount: stat.unreadCount,
+          preview: latest ? notificationService.getPreview(latest) : '',
+          url: this.getMessageUrl(stat._id, latest || stat.latestMessageId)
+        };
+      })
+    };
+  }
+
+  // 사용자 한 명에게 요약 발송 (보낼 내용이 없거나 이미 이번 주기에 보냈으면 생략)
+  async sendDigest(userId, frequency) {
+    if (!mailService.isEnabled() || !DIGEST_PERIODS[frequency]) return false;
+
+    const user = await User.findById(userId)
+      .select('name email digestFrequency lastDigestSentAt')
+      .lean();
+    if (!user?.email || user.digestFrequency !== frequency) return false;
+
+    const now = Date.now();
+    const period = DIGEST_PERIODS[frequency];
+    const lastSentAt = user.lastDigestSentAt ? new Date(user.lastDigestSentAt).getTime() : 0;
+    if (now - lastSentAt < period * MIN_INTERVAL_RATIO) return false;
+
+    // 지난 요약 이후(최대 한 주기 전까지)의 읽지 않은 항목
+    const since = new Date(Math.max(lastSentAt, now - period));
+    const [mentions, directs] = await Promise.all([
+      this.collectMentions(user._id, since),
+      this.collectDirectMessages(user._id, since)
+    ]);
+    if (mentions.total === 0 && directs.total === 0) return false;
+
+    const unsubscribeUrl = this.getUnsubscribeUrl(user._id);
+    const data = {
+      userName: user.name,
+      frequency,
+      mentions: mentions.items,
+      mentionTotal: mentions.total,
+      directs: directs.items,
+      directTotal: directs.total,
+      directRoomTotal: directs.roomTotal,
+      appUrl,
+      settingsUrl: `${appUrl}/profile`,
+      unsubscribeUrl
+    };
+
+    await mailService.send({
+      to: user.email,
+      subject: getDigestSubject(data),
+      html: renderDigestHtml(data),
+      text: renderDigestText(data),
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+
+    await User.updateOne({ _id: user._id }, { $set: { lastDigestSentAt: new Date(now) } });
+    return true;
+  }
+
+  // 발송 주기별 대상 사용자 ID (커서로 순회)
+  async forEachRecipient(frequency, callback) {
+    const cursor = User.find({ digestFrequency: frequency, email: { $exists: true } })
+      .select('_id')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      await callback(user._id.toString());
+    }
+  }
+}
+
+const digestService = new DigestService();
+digestService.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+module.exports = digestService;
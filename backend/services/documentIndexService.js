@@ -0,0 +1,178 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const embeddingProvider = require('./embeddingProvider');
+const { ragTopK, ragMinScore } = require('../config/keys');
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+const MAX_CHUNKS_PER_DOCUMENT = 200;
+const EMBED_BATCH_SIZE = 32;
+// 검색 시 비교할 채팅방별 최대 조각 수 (최근 색인한 조각부터)
+const MAX_SEARCH_CHUNKS = 500;
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+// 채팅방 문서 색인과 검색
+// 문서를 조각으로 나눠 임베딩과 함께 저장하고, 질문과 코사인 유사도가 높은 조각을 찾음
+class DocumentIndexService {
+  // 문단을 CHUNK_SIZE 이내로 묶어 조각으로 나눔
+  // CHUNK_SIZE보다 긴 문단은 앞 조각과 CHUNK_OVERLAP만큼 겹치게 잘라 문맥이 끊기지 않도록 함
+  chunkText(text) {
+    const pieces = (text || '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(paragraph => {
+        const parts = [];
+        for (let start = 0; start < paragraph.length; start += CHUNK_SIZE - CHUNK_OVERLAP) {
+          parts.push(paragraph.slice(start, start + CHUNK_SIZE));
+          if (start + CHUNK_SIZE >= paragraph.length) break;
+        }
+        return parts;
+      });
+
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 1 > CHUNK_SIZE) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    });
+    if (current) chunks.push(current);
+
+    return chunks.slice(0, MAX_CHUNKS_PER_DOCUMENT);
+  }
+
+  async embedAll(texts) {
+    const provider = embeddingProvider.get();
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      embeddings.push(...await provider.embed(texts.slice(i, i + EMBED_BATCH_SIZE)));
+    }
+    return embeddings;
+  }
+
+  // 파일 메시지의 문서 색인 (같은 메시지의 이전 색인은 교체), 저장한 조각 수 반환
+  async indexDocument({ roomId, messageId, fileId, fileName, text }) {
+    const chunks = this.chunkText(text);
+    const embeddings = chunks.length > 0 ? await this.embedAll(chunks) : [];
+    const embeddingModel = embeddingProvider.getModelId();
+
+    await DocumentChunk.deleteMany({ message: messageId });
+    if (chunks.length === 0) return 0;
+
+    await DocumentChunk.insertMany(chunks.map((content, index) => ({
+      room: roomId,
+      message: messageId,
+      file: fileId,
+      fileName,
+      chunkIndex: index,
+      content,
+      embedding: embeddings[index],
+      embeddingModel
+    })));
+    return chunks.length;
+  }
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // 질문과 관련된 채팅방 문서 조각 (유사도 높은 순)
+  async search(roomId, query, { limit = ragTopK } = {}) {
+    if (!query?.trim()) return [];
+
+    const embeddingModel = embeddingProvider.getModelId();
+    const hasDocuments = await DocumentChunk.exists({ room: roomId, embeddingModel });
+    if (!hasDocuments) return [];
+
+    // 유사도 계산에는 임베딩만 불러오고, 본문은 상위 조각만 다시 조회
+    const [queryEmbedding] = await embeddingProvider.get().embed([query]);
+    const candidates = await DocumentChunk.find({ room: roomId, embeddingModel })
+      .select('embedding')
+      .sort({ createdAt: -1 })
+      .limit(MAX_SEARCH_CHUNKS)
+      .lean();
+
+    const scores = new Map(
+      candidates
+        .map(chunk => [chunk._id.toString(), this.cosineSimilarity(queryEmbedding, chunk.embedding)])
+        .filter(([, score]) => score >= ragMinScore)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+    );
+    if (scores.size === 0) return [];
+
+    const chunks = await DocumentChunk.find({ _id: { $in: Array.from(scores.keys()) } })
+      .select('message file fileName chunkIndex content')
+      .lean();
+
+    return chunks
+      .map(chunk => ({ ...chunk, score: scores.get(chunk._id.toString()) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // 검색한 조각을 파일 메시지별로 묶어 번호를 붙임
+  // documents: AI에 전달할 참고 문서, sources: 답변에 표시할 출처 (파일 메시지 링크용)
+  buildReferences(chunks) {
+    const groups = new Map();
+    chunks.forEach(chunk => {
+      const key = chunk.message.toString();
+      if (!groups.has(key)) {
+        groups.set(key, { chunk, contents: [] });
+      }
+      groups.get(key).contents.push(chunk);
+    });
+
+    const references = Array.from(groups.values()).map(({ chunk, contents }, index) => ({
+      index: index + 1,
+      messageId: chunk.message.toString(),
+      fileId: chunk.file.toString(),
+      fileName: chunk.fileName,
+      content: contents
+        .sort((a, b) => a.chunkIndex - b.chunkIndex)
+        .map(item => item.content)
+        .join('\n...\n')
+    }));
+
+    return {
+      documents: references.map(({ index, fileName, content }) => ({ index, fileName, content })),
+      sources: references.map(({ content, ...source }) => source)
+    };
+  }
+
+  // 답변에서 [번호]로 인용한 출처만 남김 (인용 표시가 없으면 참고한 문서 전체)
+  pickCitedSources(content, sources) {
+    if (!sources?.length) return [];
+
+    const cited = new Set(
+      Array.from((content || '').matchAll(CITATION_PATTERN), match => Number(match[1]))
+    );
+    const citedSources = sources.filter(source => cited.has(source.index));
+    return citedSources.length > 0 ? citedSources : sources;
+  }
+
+  async removeByMessage(messageId) {
+    await DocumentChunk.deleteMany({ message: messageId });
+  }
+
+  async removeByFile(fileId) {
+    await DocumentChunk.deleteMany({ file: fileId });
+  }
+
+  async deleteForRoom(roomId) {
+    await DocumentChunk.deleteMany({ room: roomId });
+  }
+}
+
+module.exports = new DocumentIndexService();
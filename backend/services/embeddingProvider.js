@@ -0,0 +1,49 @@
+const OpenAIEmbeddingProvider = require('./openAIEmbeddingProvider');
+const MockEmbeddingProvider = require('./mockEmbeddingProvider');
+const {
+  embeddingProvider,
+  embeddingModel,
+  embeddingBaseUrl,
+  embeddingApiKey
+} = require('../config/keys');
+
+// 문서 검색용 임베딩 제공자 목록
+// 모든 제공자는 name, model과 embed(texts, { signal }) → 입력 순서대로의 벡터 목록을 구현
+// 제공자나 모델이 바뀌면 이전 임베딩과 비교할 수 없으므로 getModelId()로 구분해 저장
+class EmbeddingProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = embeddingProvider;
+
+    this.register('openai', new OpenAIEmbeddingProvider({
+      baseURL: embeddingBaseUrl,
+      apiKey: embeddingApiKey,
+      model: embeddingModel
+    }));
+    this.register('mock', new MockEmbeddingProvider());
+  }
+
+  register(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  // EMBEDDING_PROVIDER로 설정한 제공자
+  get() {
+    const provider = this.providers.get(this.defaultProvider);
+    if (!provider) {
+      throw new Error(`Unknown embedding provider: ${this.defaultProvider}`);
+    }
+    return provider;
+  }
+
+  getModelId() {
+    const provider = this.get();
+    return `${provider.name}:${provider.model}`;
+  }
+}
+
+module.exports = new EmbeddingProviderRegistry();
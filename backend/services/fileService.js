@@ -1,19 +1,40 @@
-const fs = require('fs');
 const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const s3Service = require('./S3Service');
+const documentIndexService = require('./documentIndexService');
 
-exports.processFileForRAG = async (filePath) => {
-  let textContent = '';
+// AI 답변에 활용할 수 있는 문서 형식별 텍스트 추출
+const TEXT_EXTRACTORS = {
+  'application/pdf': async (buffer) => (await pdfParse(buffer)).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  'text/plain': async (buffer) => buffer.toString('utf-8')
+};
 
-  // PDF 파일 처리
-  if (filePath.endsWith('.pdf')) {
-    const dataBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdfParse(dataBuffer);
-    textContent = pdfData.text;
-  } else {
-    // 텍스트 파일 처리
-    textContent = fs.readFileSync(filePath, 'utf-8');
+exports.isRAGSupported = (mimetype) => !!TEXT_EXTRACTORS[mimetype];
+
+exports.extractText = async (buffer, mimetype) => {
+  const extract = TEXT_EXTRACTORS[mimetype];
+  if (!extract) {
+    throw new Error(`Unsupported document type: ${mimetype}`);
   }
+  return extract(buffer);
+};
+
+// 파일 메시지의 문서를 S3에서 받아 채팅방 문서 색인에 추가, 저장한 조각 수 반환
+// message: 파일 메시지 (file은 originalname, mimetype, s3Key, indexForAI를 포함해 populate)
+exports.processFileForRAG = async (message) => {
+  const { file } = message;
+  if (!file?.s3Key || !file.indexForAI || !exports.isRAGSupported(file.mimetype)) return 0;
+
+  const buffer = await s3Service.getFileBuffer(file.s3Key);
+  const text = await exports.extractText(buffer, file.mimetype);
 
-  // 텍스트를 벡터화하여 벡터 DB에 저장
-  await vectorDB.storeDocument(textContent);
-};
\ No newline at end of file
+  return documentIndexService.indexDocument({
+    roomId: message.room,
+    messageId: message._id,
+    fileId: file._id,
+    fileName: file.originalname,
+    text
+  });
+};
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockLLMProvider = require('./mockLLMProvider');
+const {
+  openaiApiKey,
+  openaiBaseUrl,
+  aiProvider,
+  aiModel,
+  mockAiChunkDelay
+} = require('../config/keys');
+
+// LLM 제공자 목록
+// 모든 제공자는 streamChat({ messages, model, temperature, maxTokens, signal }, { onChunk })를 구현하고,
+// onChunk(text)로 응답 조각을 전달한 뒤 { content, completionTokens, totalTokens }로 완료
+// signal이 중단되면 code가 ERR_CANCELED인 에러로 종료
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = aiProvider;
+
+    this.register('openai', new OpenAICompatibleProvider({
+      baseURL: openaiBaseUrl,
+      apiKey: openaiApiKey,
+      defaultModel: aiModel
+    }));
+    this.register('mock', new MockLLMProvider({ chunkDelay: mockAiChunkDelay }));
+  }
+
+  register(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  // 지정하지 않으면 AI_PROVIDER로 설정한 기본 제공자
+  get(name) {
+    const provider = this.providers.get(name || this.defaultProvider);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name || this.defaultProvider}`);
+    }
+    return provider;
+  }
+
+  isAbortError(error) {
+    return axios.isCancel(error) || error?.code === 'ERR_CANCELED' || error?.name === 'AbortError';
+  }
+}
+
+module.exports = new LLMProviderRegistry();
@@ -0,0 +1,36 @@
+const keys = require('../config/keys');
+const { createMailTransport } = require('./mailTransport');
+
+// 메일 발송 (transport는 설정으로 생성하고, 필요하면 setTransport로 교체)
+class MailService {
+  constructor() {
+    this.transport = createMailTransport(keys);
+    if (!this.transport) {
+      console.warn('[Mail] SMTP is not configured. Email delivery is disabled.');
+    }
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isEnabled() {
+    return !!this.transport;
+  }
+
+  async send({ to, subject, html, text, headers }) {
+    if (!this.transport) {
+      throw new Error('Mail transport is not configured');
+    }
+    return this.transport.send({
+      from: keys.mailFrom,
+      to,
+      subject,
+      html,
+      text,
+      headers
+    });
+  }
+}
+
+module.exports = new MailService();
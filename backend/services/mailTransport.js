@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+
+// 메일 발송 transport
+// 모든 transport는 send({ from, to, subject, html, text, headers })를 구현하며,
+// 개발/테스트 환경에서는 로컬 SMTP 서버(MailHog 등)를 SMTP_HOST로 지정하거나
+// mailService.setTransport()로 다른 구현을 주입해서 사용
+
+// SMTP 서버로 발송
+class SmtpTransport {
+  constructor({ host, port, secure = false, user, pass }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(mail) {
+    const info = await this.transporter.sendMail(mail);
+    return { messageId: info.messageId };
+  }
+
+  async verify() {
+    return this.transporter.verify();
+  }
+}
+
+// 실제로 발송하지 않고 콘솔에 출력 (로컬 개발용)
+class LogTransport {
+  async send(mail) {
+    console.log('[Mail] To:', mail.to, 'Subject:', mail.subject);
+    console.log(mail.text);
+    return { messageId: `log-${Date.now()}` };
+  }
+}
+
+// 설정에 맞는 transport 생성 (사용할 수 없으면 null)
+const createMailTransport = ({ smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass, mailTransport }) => {
+  if (smtpHost) {
+    return new SmtpTransport({
+      host: smtpHost,
+      port: smtpPort,
+      secure: smtpSecure,
+      user: smtpUser,
+      pass: smtpPass
+    });
+  }
+  if (mailTransport === 'log') {
+    return new LogTransport();
+  }
+  return null;
+};
+
+module.exports = {
+  SmtpTransport,
+  LogTransport,
+  createMailTransport
+};
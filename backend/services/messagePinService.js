@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+
+const PREVIEW_LENGTH = 200;
+
+class MessagePinService {
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  // 고정 한도 입력값 검증 (null이면 서버 기본값 사용)
+  parsePinLimit(value) {
+    if (value === null || value === '') return null;
+
+    const limit = Number(value);
+    const max = Room.schema.path('pinLimit').options.max;
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+      throw this.createError(`고정 메시지 한도는 1~${max} 사이의 정수여야 합니다.`, 400, 'INVALID_PIN_LIMIT');
+    }
+    return limit;
+  }
+
+  async loadContext(messageId, actorId) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const message = await Message.findOne({ _id: messageId, isDeleted: false })
+      .select('room type parentMessage');
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const room = await Room.findOne({ _id: message.room, participants: actorId })
+      .select('type creator participants moderators pinnedMessages pinLimit');
+    if (!room) {
+      throw this.createError('채팅방 접근 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+    if (!room.canPin(actorId)) {
+      throw this.createError('메시지를 고정할 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+
+    return { message, room };
+  }
+
+  async pin({ messageId, actorId }) {
+    const { message, room } = await this.loadContext(messageId, actorId);
+
+    if (message.type === 'system') {
+      throw this.createError('시스템 메시지는 고정할 수 없습니다.', 400, 'INVALID_MESSAGE');
+    }
+    if (message.parentMessage) {
+      throw this.createError('스레드 답글은 고정할 수 없습니다.', 400, 'INVALID_MESSAGE');
+    }
+
+    const limit = room.getPinLimit();
+
+    // 한도 확인과 추가를 하나의 연산으로 처리해 동시 요청에도 한도를 넘지 않도록 함
+    const updatedRoom = await Room.findOneAndUpdate(
+      {
+        _id: room._id,
+        pinnedMessages: { $ne: message._id },
+        $expr: { $lt: [{ $size: { $ifNull: ['$pinnedMessages', []] } }, limit] }
+      },
+      { $push: { pinnedMessages: { $each: [message._id], $position: 0 } } },
+      { new: true }
+    );
+
+    if (!updatedRoom) {
+      if (room.pinnedMessages.some(id => id.equals(message._id))) {
+        throw this.createError('이미 고정된 메시지입니다.', 409, 'ALREADY_PINNED');
+      }
+      throw this.createError(`메시지는 최대 ${limit}개까지 고정할 수 있습니다.`, 409, 'PIN_LIMIT_REACHED');
+    }
+
+    return updatedRoom;
+  }
+
+  async unpin({ messageId, actorId }) {
+    const { message, room } = await this.loadContext(messageId, actorId);
+
+    const updatedRoom = await Room.findOneAndUpdate(
+      { _id: room._id, pinnedMessages: message._id },
+      { $pull: { pinnedMessages: message._id } },
+      { new: true }
+    );
+
+    if (!updatedRoom) {
+      throw this.createError('고정되지 않은 메시지입니다.', 404, 'NOT_PINNED');
+    }
+
+    return updatedRoom;
+  }
+
+  // 삭제된 메시지를 고정 목록에서 제거, 제거된 경우 갱신된 채팅방 반환
+  async removeDeleted(roomId, messageId) {
+    return Room.findOneAndUpdate(
+      { _id: roomId, pinnedMessages: messageId },
+      { $pull: { pinnedMessages: messageId } },
+      { new: true }
+    );
+  }
+
+  // 고정 메시지 목록 (고정 순서 유지, 삭제된 메시지 제외)
+  async getPinnedMessages(room) {
+    const ids = room.pinnedMessages || [];
+    if (ids.length === 0) return [];
+
+    const messages = await Message.find({ _id: { $in: ids }, isDeleted: false })
+      .populate('sender', 'name email')
+      .populate('file', 'originalname mimetype')
+      .select('content type aiType sender file timestamp')
+      .lean();
+
+    const messageMap = new Map(messages.map(message => [message._id.toString(), message]));
+
+    return ids
+      .map(id => messageMap.get(id.toString()))
+      .filter(Boolean)
+      .map(message => ({
+        _id: message._id.toString(),
+        type: message.type,
+        aiType: message.aiType,
+        content: (message.content || '').slice(0, PREVIEW_LENGTH),
+        sender: message.sender
+          ? { _id: message.sender._id.toString(), name: message.sender.name }
+          : null,
+        file: message.file
+          ? { originalname: message.file.originalname, mimetype: message.file.mimetype }
+          : null,
+        timestamp: message.timestamp
+      }));
+  }
+
+  async broadcast(io, room) {
+    const pinnedMessages = await this.getPinnedMessages(room);
+    const payload = {
+      roomId: room._id.toString(),
+      pinnedMessages,
+      pinLimit: room.getPinLimit()
+    };
+
+    if (io) {
+      io.to(payload.roomId).emit('pinsUpdated', payload);
+    }
+    return payload;
+  }
+}
+
+module.exports = new MessagePinService();
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+const SEARCHABLE_TYPES = ['text', 'file', 'ai'];
+const SNIPPET_CONTEXT = 60;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+class MessageSearchService {
+  // 검색어를 하이라이트용 단어 목록으로 분리 (따옴표, 제외 연산자 제거)
+  extractTerms(query) {
+    return [...new Set(
+      query
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(term => term.toLowerCase())
+    )];
+  }
+
+  encodeCursor(message) {
+    return Buffer.from(JSON.stringify({
+      timestamp: new Date(message.timestamp).toISOString(),
+      id: message._id.toString()
+    })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { timestamp, id } = JSON.parse(
+        Buffer.from(cursor, 'base64url').toString('utf8')
+      );
+      const date = new Date(timestamp);
+
+      if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      return { timestamp: date, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  // 같은 이름의 쿼리 파라미터를 여러 번 보내면 배열이 되므로 문자열만 허용
+  isOptionalString(value) {
+    return value === undefined || typeof value === 'string';
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 요청 파라미터 검증 후 MongoDB 쿼리 조건 생성
+  // 텍스트 인덱스는 공백 단위로만 나누므로 조사가 붙는 한국어 등 비ASCII 검색어는
+  // 모든 단어를 포함하는 메시지를 부분 일치로 검색 (관련도 점수 없음)
+  buildFilter(roomId, params) {
+    const query = typeof params.q === 'string' ? params.q.trim() : '';
+    if (!query) {
+      throw this.createError('검색어를 입력해주세요.', 'INVALID_QUERY');
+    }
+
+    const terms = this.extractTerms(query);
+    const useTextIndex = !/[^\x00-\x7F]/.test(query);
+    if (!useTextIndex && terms.length === 0) {
+      throw this.createError('검색어를 입력해주세요.', 'INVALID_QUERY');
+    }
+
+    const filter = {
+      room: roomId,
+      isDeleted: false,
+      ...(useTextIndex
+        ? { $text: { $search: query } }
+        : {
+          $and: terms.map(term => ({
+            content: { $regex: this.escapeRegex(term), $options: 'i' }
+          }))
+        })
+    };
+
+    if (params.type) {
+      if (typeof params.type !== 'string' || !SEARCHABLE_TYPES.includes(params.type)) {
+        throw this.createError('지원하지 않는 메시지 유형입니다.', 'INVALID_TYPE');
+      }
+      filter.type = params.type;
+    } else {
+      filter.type = { $in: SEARCHABLE_TYPES };
+    }
+
+    if (params.sender) {
+      if (!mongoose.isValidObjectId(params.sender)) {
+        throw this.createError('올바르지 않은 사용자 ID입니다.', 'INVALID_SENDER');
+      }
+      filter.sender = new mongoose.Types.ObjectId(params.sender);
+    }
+
+    if (params.hasFile === 'true') {
+      filter.file = { $ne: null };
+    } else if (params.hasFile === 'false') {
+      filter.file = null;
+    }
+
+    if (!this.isOptionalString(params.from) || !this.isOptionalString(params.to)) {
+      throw this.createError('올바르지 않은 날짜 형식입니다.', 'INVALID_DATE');
+    }
+    const from = this.parseDate(params.from);
+    const to = this.parseDate(params.to);
+    if (from === undefined || to === undefined) {
+      throw this.createError('올바르지 않은 날짜 형식입니다.', 'INVALID_DATE');
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    if (params.cursor) {
+      const cursor = typeof params.cursor === 'string' ? this.decodeCursor(params.cursor) : null;
+      if (!cursor) {
+        throw this.createError('올바르지 않은 커서입니다.', 'INVALID_CURSOR');
+      }
+      filter.$or = [
+        { timestamp: { $lt: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    return { filter, terms, useTextIndex };
+  }
+
+  // 첫 번째 일치 위치 주변을 잘라 스니펫을 만들고 일치 구간을 계산
+  buildSnippet(content = '', terms = []) {
+    const lowerContent = content.toLowerCase();
+    const firstMatch = terms
+      .map(term => lowerContent.indexOf(term))
+      .filter(index => index !== -1)
+      .sort((a, b) => a - b)[0];
+
+    const start = firstMatch === undefined
+      ? 0
+      : Math.max(0, firstMatch - SNIPPET_CONTEXT);
+    const end = Math.min(content.length, (firstMatch || 0) + SNIPPET_CONTEXT * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+    const body = content.slice(start, end);
+    const text = `${prefix}${body}${suffix}`;
+
+    const lowerText = text.toLowerCase();
+    const ranges = [];
+    terms.forEach(term => {
+      let index = lowerText.indexOf(term);
+      while (index !== -1) {
+        ranges.push({ start: index, end: index + term.length });
+        index = lowerText.indexOf(term, index + term.length);
+      }
+    });
+
+    // 겹치는 구간 병합
+    const highlights = ranges
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ ...range });
+        }
+        return merged;
+      }, []);
+
+    return { text, highlights };
+  }
+
+  async search(roomId, params = {}) {
+    const limit = Math.min(
+      Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT),
+      MAX_LIMIT
+    );
+    const { filter, terms, useTextIndex } = this.buildFilter(roomId, params);
+    const projection = useTextIndex ? { score: { $meta: 'textScore' } } : {};
+
+    const messages = await Message.find(filter, projection)
+      .populate('sender', 'name email profileImage')
+      .populate('file', 'originalname mimetype size')
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const results = messages.slice(0, limit).map(message => ({
+      _id: message._id,
+      type: message.type,
+      aiType: message.aiType,
+      sender: message.sender,
+      file: message.file || null,
+      timestamp: message.timestamp,
+      parentMessage: message.parentMessage || null,
+      score: message.score ?? null,
+      snippet: this.buildSnippet(message.content, terms)
+    }));
+
+    return {
+      results,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(results[results.length - 1]) : null
+    };
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new MessageSearchService();
@@ -0,0 +1,46 @@
+// 네트워크 없이 동작하는 테스트용 임베딩
+// 단어와 글자 2-gram을 고정 차원으로 해싱해 같은 단어가 많이 겹칠수록 유사도가 높아짐
+const DEFAULT_DIMENSIONS = 256;
+
+class MockEmbeddingProvider {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.name = 'mock';
+    this.model = `hash-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  // FNV-1a 해시
+  hash(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  tokenize(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const bigrams = words.flatMap(word => (
+      Array.from({ length: Math.max(word.length - 1, 0) }, (_, i) => word.slice(i, i + 2))
+    ));
+    return [...words, ...bigrams];
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    this.tokenize(text).forEach(token => {
+      const hash = this.hash(token);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+module.exports = MockEmbeddingProvider;
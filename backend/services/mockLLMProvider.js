@@ -0,0 +1,80 @@
+// 네트워크 없이 동작하는 테스트용 모의 LLM
+// 같은 입력에는 항상 같은 응답을 정해진 조각 단위로 스트리밍
+const DEFAULT_CHUNK_DELAY = 20;
+const CHARS_PER_TOKEN = 4;
+
+class MockLLMProvider {
+  constructor({ chunkDelay = DEFAULT_CHUNK_DELAY } = {}) {
+    this.name = 'mock';
+    this.defaultModel = 'mock-model';
+    this.chunkDelay = chunkDelay;
+  }
+
+  buildResponse(messages, model) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const query = (lastUserMessage?.content || '').replace(/\s+/g, ' ').trim();
+
+    return [
+      `[${model}] 테스트 응답입니다.`,
+      '',
+      `질문: ${query || '(내용 없음)'}`,
+      '',
+      '```',
+      `echo "${query.length}"`,
+      '```'
+    ].join('\n');
+  }
+
+  // 단어(뒤 공백 포함) 단위로 분할해 코드 블록 구분자(```)가 나뉘지 않도록 함
+  splitChunks(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+  }
+
+  wait(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, this.chunkDelay);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  createAbortError() {
+    const error = new Error('canceled');
+    error.name = 'CanceledError';
+    error.code = 'ERR_CANCELED';
+    return error;
+  }
+
+  async streamChat({ messages, model, signal }, { onChunk }) {
+    const resolvedModel = model || this.defaultModel;
+    const chunks = this.splitChunks(this.buildResponse(messages, resolvedModel));
+    let content = '';
+
+    for (const chunk of chunks) {
+      await this.wait(signal);
+      content += chunk;
+      await onChunk(chunk);
+    }
+
+    return {
+      content,
+      completionTokens: chunks.length,
+      totalTokens: chunks.length + messages.reduce(
+        (sum, message) => sum + Math.ceil((message.content || '').length / CHARS_PER_TOKEN),
+        0
+      )
+    };
+  }
+}
+
+module.exports = MockLLMProvider;
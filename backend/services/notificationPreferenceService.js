@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const RoomNotificationSetting = require('../models/RoomNotificationSetting');
+const readStateService = require('./readStateService');
+
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'muted'];
+const DEFAULT_LEVEL = 'all';
+
+// 알림 설정별로 허용되는 알림 사유
+// (direct: 1:1 메시지, message: 일반 메시지, mention: 멘션, reply: 내 메시지에 대한 답장)
+const ALLOWED_REASONS = {
+  all: ['direct', 'message', 'mention', 'reply'],
+  mentions: ['mention', 'reply'],
+  muted: []
+};
+
+// 채팅방별 알림 설정 (토스트/소리, 푸시, 이메일 발송 여부 판단에 공통 사용)
+class NotificationPreferenceService {
+  constructor() {
+    this.io = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+  }
+
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  allows(level, reason) {
+    return (ALLOWED_REASONS[level] || ALLOWED_REASONS[DEFAULT_LEVEL]).includes(reason);
+  }
+
+  async getLevel(userId, roomId) {
+    const setting = await RoomNotificationSetting.findOne({ user: userId, room: roomId })
+      .select('level')
+      .lean();
+    return setting?.level || DEFAULT_LEVEL;
+  }
+
+  // 여러 사용자의 같은 채팅방 알림 설정 (userId 문자열 → 설정)
+  async getLevels(userIds, roomId) {
+    const settings = await RoomNotificationSetting.find({
+      user: { $in: userIds },
+      room: roomId
+    })
+      .select('user level')
+      .lean();
+
+    const levels = new Map(settings.map(setting => [setting.user.toString(), setting.level]));
+    return new Map(userIds.map(userId => [
+      userId.toString(),
+      levels.get(userId.toString()) || DEFAULT_LEVEL
+    ]));
+  }
+
+  // 기본값이 아닌 내 채팅방 알림 설정 목록 (roomId 문자열 → 설정)
+  async getUserLevels(userId) {
+    const settings = await RoomNotificationSetting.find({ user: userId })
+      .select('room level')
+      .lean();
+
+    return settings.reduce((levels, setting) => {
+      levels[setting.room.toString()] = setting.level;
+      return levels;
+    }, {});
+  }
+
+  async setLevel(userId, roomId, level) {
+    if (!NOTIFICATION_LEVELS.includes(level)) {
+      throw this.createError('알림 설정 값이 올바르지 않습니다.', 400, 'INVALID_LEVEL');
+    }
+    if (!mongoose.isValidObjectId(roomId)) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404, 'ROOM_NOT_FOUND');
+    }
+
+    // 현재 참여 중이거나 한 번이라도 입장했던 채팅방만 설정 가능
+    const [room, isTracking] = await Promise.all([
+      Room.findById(roomId).select('participants').lean(),
+      readStateService.isTracking(userId, roomId)
+    ]);
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404, 'ROOM_NOT_FOUND');
+    }
+    const isParticipant = room.participants.some(id => id.toString() === String(userId));
+    if (!isParticipant && !isTracking) {
+      throw this.createError('채팅방 접근 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+
+    // 기본값으로 되돌리면 설정 삭제
+    if (level === DEFAULT_LEVEL) {
+      await RoomNotificationSetting.deleteOne({ user: userId, room: roomId });
+    } else {
+      await RoomNotificationSetting.updateOne(
+        { user: userId, room: roomId },
+        { $set: { level, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    const payload = { roomId: roomId.toString(), level };
+    // 같은 사용자의 다른 탭/기기 동기화
+    if (this.io) {
+      this.io.to(`user:${userId}`).emit('notificationPreferenceUpdated', payload);
+    }
+    return payload;
+  }
+
+  async deleteForRoom(roomId) {
+    await RoomNotificationSetting.deleteMany({ room: roomId });
+  }
+
+  async deleteForUser(userId) {
+    await RoomNotificationSetting.deleteMany({ user: userId });
+  }
+}
+
+const notificationPreferenceService = new NotificationPreferenceService();
+notificationPreferenceService.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
+notificationPreferenceService.DEFAULT_LEVEL = DEFAULT_LEVEL;
+
+module.exports = notificationPreferenceService;
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const readStateService = require('./readStateService');
+
+const PREVIEW_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @멘션 알림 생성/조회 및 수신자 개인 채널(user:{id})로 실시간 전송
+class NotificationService {
+  constructor() {
+    this.io = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+  }
+
+  // 채팅방 참여자 이름과 대조해 멘션된 사용자 ID 추출
+  // 입력창에서 "@이름 " 형식으로 삽입되므로 공백이 포함된 이름도 지원하고,
+  // 다른 이름의 앞부분과 겹치지 않도록 긴 이름부터 확인
+  parseMentions(content, participants = []) {
+    if (!content || !content.includes('@')) return [];
+
+    let remaining = content;
+    const mentioned = new Set();
+
+    [...participants]
+      .filter(participant => participant?.name)
+      .sort((a, b) => b.name.length - a.name.length)
+      .forEach(participant => {
+        const pattern = new RegExp(`@${escapeRegExp(participant.name)}(?![\\w.-])`, 'g');
+        if (pattern.test(remaining)) {
+          mentioned.add(participant._id.toString());
+          remaining = remaining.replace(pattern, ' ');
+        }
+      });
+
+    return Array.from(mentioned);
+  }
+
+  // 멘션 대상: 현재 참여자와 한 번이라도 입장했던(읽음 위치가 있는) 사용자, 차단된 사용자 제외
+  // 다른 채팅방을 보고 있어 참여자 목록에서 빠진 사용자도 멘션 가능
+  async resolveMentions(roomId, content) {
+    if (!content || !content.includes('@')) return [];
+
+    const room = await Room.findById(roomId).select('participants bans');
+    if (!room) return [];
+
+    const trackingUserIds = await readStateService.getTrackingUserIds(roomId);
+    const memberIds = [...new Set([
+      ...room.participants.map(id => id.toString()),
+      ...trackingUserIds
+    ])].filter(userId => !room.getActiveBan(userId));
+
+    const members = await User.find({ _id: { $in: memberIds } })
+      .select('name')
+      .lean();
+    return this.parseMentions(content, members);
+  }
+
+  getPreview(message) {
+    if (message.type === 'file') {
+      const fileName = message.file?.originalname || message.metadata?.originalName;
+      return message.content?.trim() || (fileName ? `파일: ${fileName}` : '파일');
+    }
+    const content = (message.content || '').replace(/\s+/g, ' ').trim();
+    return content.length > PREVIEW_LENGTH
+      ? `${content.slice(0, PREVIEW_LENGTH)}…`
+      : content;
+  }
+
+  // populate된 알림을 응답 형식으로 변환
+  format(notification) {
+    const room = notification.room;
+    const message = notification.message;
+
+    return {
+      _id: notification._id.toString(),
+      type: notification.type,
+      actor: notification.actor
+        ? {
+            _id: notification.actor._id.toString(),
+            name: notification.actor.name,
+            email: notification.actor.email,
+            profileImage: notification.actor.profileImage
+          }
+        : null,
+      room: {
+        _id: room?._id?.toString() || room?.toString() || null,
+        name: room?.name,
+        type: room?.type
+      },
+      messageId: (message?._id || message)?.toString() || null,
+      parentMessage: notification.parentMessage?.toString() || null,
+      isMessageDeleted: !!message?.isDeleted,
+      preview: message?.isDeleted ? '' : notification.preview,
+      isRead: notification.isRead,
+      createdAt: notification.createdAt
+    };
+  }
+
+  populate(query) {
+    return query
+      .populate('actor', 'name email profileImage')
+      .populate('room', 'name type')
+      .populate('message', 'isDeleted');
+  }
+
+  // 멘션 알림 생성 후 수신자에게 전송 (보낸 사람 본인은 제외)
+  async createMentionNotifications(message, userIds) {
+    const senderId = message.sender?._id?.toString() || message.sender?.toString();
+    const recipients = [...new Set(userIds)].filter(userId => userId !== senderId);
+    if (recipients.length === 0) return [];
+
+    const base = {
+      type: 'mention',
+      actor: senderId || null,
+      room: message.room,
+      message: message._id,
+      parentMessage: message.parentMessage || null,
+      preview: this.getPreview(message),
+      createdAt: message.timestamp || new Date()
+    };
+
+    // 메시지 재처리(nack) 시 중복 생성되지 않도록 upsert
+    await Notification.bulkWrite(recipients.map(userId => ({
+      updateOne: {
+        filter: { user: userId, message: message._id, type: 'mention' },
+        update: { $setOnInsert: { user: userId, ...base } },
+        upsert: true
+      }
+    })));
+
+    const notifications = await this.populate(
+      Notification.find({ user: { $in: recipients }, message: message._id, type: 'mention' })
+    ).lean();
+
+    await Promise.all(notifications.map(async (notification) => {
+      const unreadCount = await this.getUnreadCount(notification.user);
+      this.emitToUser(notification.user, 'notification', {
+        notification: this.format(notification),
+        unreadCount
+      });
+    }));
+
+    return notifications;
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(`user:${userId}`).emit(event, payload);
+  }
+
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ user: userId, isRead: false });
+  }
+
+  // 최근 알림 목록 (createdAt, _id 커서 기반)
+  async list(userId, { before, limit } = {}) {
+    const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT), MAX_LIMIT);
+    const filter = { user: userId };
+
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) return null;
+      const cursor = await Notification.findOne({ _id: before, user: userId })
+        .select('createdAt')
+        .lean();
+      if (!cursor) return null;
+
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+      ];
+    }
+
+    const notifications = await this.populate(
+      Notification.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1)
+    ).lean();
+
+    const hasMore = notifications.length > pageSize;
+    return {
+      notifications: notifications.slice(0, pageSize).map(item => this.format(item)),
+      hasMore
+    };
+  }
+
+  // ids가 없으면 전체 읽음 처리
+  async markRead(userId, ids) {
+    const filter = { user: userId, isRead: false };
+    if (Array.isArray(ids)) {
+      filter._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+    }
+
+    await Notification.updateMany(filter, {
+      $set: { isRead: true, readAt: new Date() }
+    });
+
+    const unreadCount = await this.getUnreadCount(userId);
+    // 같은 사용자의 다른 탭/기기 알림함 동기화
+    this.emitToUser(userId, 'notificationsRead', {
+      ids: Array.isArray(ids) ? ids : null,
+      unreadCount
+    });
+    return unreadCount;
+  }
+
+  async deleteForRoom(roomId) {
+    await Notification.deleteMany({ room: roomId });
+  }
+
+  async deleteForUser(userId) {
+    await Notification.deleteMany({ user: userId });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,122 @@
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 60000;
+
+// OpenAI Chat Completions 호환 API 스트리밍 (OpenAI, Azure 호환 게이트웨이, vLLM/Ollama 등)
+class OpenAICompatibleProvider {
+  constructor({ baseURL, apiKey, defaultModel, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'openai';
+    this.defaultModel = defaultModel;
+    this.client = axios.create({
+      baseURL: baseURL.replace(/\/+$/, ''),
+      timeout,
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // SSE 한 줄 처리: 내용 조각이면 문자열, 종료면 null, 그 외에는 undefined
+  parseLine(line, usage) {
+    if (!line.startsWith('data:')) return undefined;
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return null;
+
+    try {
+      const data = JSON.parse(payload);
+      if (data.usage) {
+        usage.completionTokens = data.usage.completion_tokens;
+        usage.totalTokens = data.usage.total_tokens;
+      }
+      return data.choices?.[0]?.delta?.content || undefined;
+    } catch (error) {
+      console.error('JSON parsing error:', error);
+      return undefined;
+    }
+  }
+
+  async streamChat({ messages, model, temperature = 0.7, maxTokens, signal }, { onChunk }) {
+    const response = await this.client.post('/chat/completions', {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      stream: true
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    const usage = {};
+    let content = '';
+    let buffer = '';
+    let finished = false;
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ content, ...usage });
+      };
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        signal?.removeEventListener('abort', onAbort);
+        response.data.destroy();
+        reject(error);
+      };
+      const onAbort = () => {
+        const error = new Error('canceled');
+        error.name = 'CanceledError';
+        error.code = 'ERR_CANCELED';
+        fail(error);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      const processChunk = async (chunk) => {
+        buffer += chunk.toString();
+
+        let newlineIndex;
+        while (!finished && (newlineIndex = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newlineIndex).trim();
+          buffer = buffer.slice(newlineIndex + 1);
+          if (line === '') continue;
+
+          const text = this.parseLine(line, usage);
+          if (text === null) {
+            finish();
+            response.data.destroy();
+            return;
+          }
+          if (text) {
+            content += text;
+            await onChunk(text);
+          }
+        }
+      };
+
+      // 앞 청크의 전송이 끝난 뒤 다음 청크를 처리하도록 순서대로 연결
+      let processing = Promise.resolve();
+      response.data.on('data', (chunk) => {
+        processing = processing
+          .then(() => (finished ? null : processChunk(chunk)))
+          .catch(fail);
+      });
+
+      // [DONE] 없이 끝나는 서버도 있으므로 스트림 종료 시 완료 처리
+      response.data.on('end', () => {
+        processing.then(finish);
+      });
+      response.data.on('error', fail);
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// OpenAI Embeddings 호환 API (OpenAI, Ollama/vLLM 등 로컬 임베딩 서버)
+class OpenAIEmbeddingProvider {
+  constructor({ baseURL, apiKey, model, timeout = DEFAULT_TIMEOUT }) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = axios.create({
+      baseURL: baseURL.replace(/\/+$/, ''),
+      timeout,
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async embed(texts, { signal } = {}) {
+    const response = await this.client.post('/embeddings', {
+      model: this.model,
+      input: texts
+    }, { signal });
+
+    // 입력 순서대로 정렬 (index가 없는 서버는 응답 순서 사용)
+    return [...response.data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
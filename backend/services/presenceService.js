@@ -0,0 +1,129 @@
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const userStatusService = require('./userStatusService');
+
+// 클라이언트 하트비트(25초)보다 넉넉하게 잡은 연결별 만료 시간
+const PRESENCE_TTL = 60;
+const PRESENCE_STATUSES = ['online', 'away'];
+
+// Redis 기반 접속 상태 관리 (여러 서버에서 공유)
+// presence:{userId} 해시에 소켓별 상태를 저장하고, 하트비트가 끊긴 연결은 만료 시각으로 제외
+class PresenceService {
+  getKey(userId) {
+    return `presence:${userId}`;
+  }
+
+  // 소켓별 상태를 합쳐서 사용자 상태 계산 (online > away > offline)
+  summarize(connections, fallbackLastActive = null) {
+    const now = Date.now();
+    const entries = Object.values(connections || {});
+    const active = entries.filter(entry => entry?.expiresAt > now);
+
+    const status = active.some(entry => entry.status === 'online')
+      ? 'online'
+      : active.length > 0 ? 'away' : 'offline';
+
+    const lastActive = entries.reduce((latest, entry) => {
+      const value = entry?.lastActive ? new Date(entry.lastActive) : null;
+      return value && (!latest || value > latest) ? value : latest;
+    }, fallbackLastActive ? new Date(fallbackLastActive) : null);
+
+    return { status, lastActive };
+  }
+
+  async getPresence(userId) {
+    const connections = await redisClient.hGetAll(this.getKey(userId));
+    return this.summarize(connections);
+  }
+
+  // 상태가 바뀐 경우에만 새 상태 반환
+  async setConnection(userId, socketId, status) {
+    const key = this.getKey(userId);
+    const connections = await redisClient.hGetAll(key);
+    const previous = this.summarize(connections);
+    const now = Date.now();
+
+    // 서버 장애 등으로 정리되지 못한 만료된 연결 제거
+    const expiredSocketIds = Object.keys(connections).filter(
+      id => id !== socketId && !(connections[id]?.expiresAt > now)
+    );
+    await Promise.all(expiredSocketIds.map(id => redisClient.hDel(key, id)));
+
+    // 사용자가 활동 중일 때만 마지막 활동 시각 갱신
+    const lastActive = status === 'online'
+      ? new Date(now)
+      : connections[socketId]?.lastActive || previous.lastActive || new Date(now);
+
+    await redisClient.hSet(key, socketId, {
+      status,
+      lastActive,
+      expiresAt: now + PRESENCE_TTL * 1000
+    });
+    await redisClient.expire(key, PRESENCE_TTL);
+
+    const next = await this.getPresence(userId);
+    if (next.status === previous.status) return null;
+
+    await User.updateOne({ _id: userId }, { $set: { lastActive: next.lastActive } });
+    return next;
+  }
+
+  async connect(userId, socketId) {
+    return this.setConnection(userId, socketId, 'online');
+  }
+
+  async heartbeat(userId, socketId, status) {
+    return this.setConnection(
+      userId,
+      socketId,
+      PRESENCE_STATUSES.includes(status) ? status : 'online'
+    );
+  }
+
+  async disconnect(userId, socketId) {
+    const key = this.getKey(userId);
+    const previous = await this.getPresence(userId);
+    await redisClient.hDel(key, socketId);
+
+    const next = await this.getPresence(userId);
+    if (next.status === previous.status) return null;
+
+    // 오프라인이 되면 Redis 기록이 만료되어도 볼 수 있도록 저장
+    const lastActive = next.lastActive || previous.lastActive || new Date();
+    await User.updateOne({ _id: userId }, { $set: { lastActive } });
+    return { ...next, lastActive };
+  }
+
+  // 사용자 목록에 접속 상태(status, lastActive)와 상태 메시지/방해 금지 여부 추가
+  async attachPresence(users) {
+    const list = (users || []).filter(user => user?._id);
+    if (list.length === 0) return users || [];
+
+    const userIds = list.map(user => user._id.toString());
+    const [connectionsList, storedUsers] = await Promise.all([
+      Promise.all(userIds.map(userId =>
+        redisClient.hGetAll(this.getKey(userId)).catch(() => ({}))
+      )),
+      User.find({ _id: { $in: userIds } })
+        .select('lastActive customStatus doNotDisturb')
+        .lean()
+    ]);
+
+    const storedUserMap = new Map(
+      storedUsers.map(user => [user._id.toString(), user])
+    );
+
+    return list.map((user, index) => {
+      const plain = typeof user.toObject === 'function' ? user.toObject() : user;
+      const stored = storedUserMap.get(userIds[index]);
+      return {
+        ...plain,
+        ...this.summarize(connectionsList[index], stored?.lastActive),
+        customStatus: userStatusService.getActiveStatus(stored),
+        doNotDisturb: userStatusService.isDoNotDisturb(stored)
+      };
+    });
+  }
+}
+
+module.exports = new PresenceService();
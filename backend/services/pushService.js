@@ -0,0 +1,217 @@
+const webpush = require('web-push');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const PushSubscription = require('../models/PushSubscription');
+const presenceService = require('./presenceService');
+const userStatusService = require('./userStatusService');
+const notificationService = require('./notificationService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const { vapidPublicKey, vapidPrivateKey, vapidSubject } = require('../config/keys');
+
+const PUSH_TTL = 60 * 60 * 24;
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+// 알림 종류별 우선순위 (한 메시지에 여러 사유가 겹치면 높은 쪽 하나만 전송)
+const REASON_PRIORITY = { mention: 3, reply: 2, direct: 1 };
+
+// Web Push 발송 (열린 탭이 없는 사용자에게 1:1 메시지, 멘션, 답장 알림)
+class PushService {
+  constructor() {
+    this.enabled = false;
+
+    if (vapidPublicKey && vapidPrivateKey) {
+      try {
+        webpush.setVapidDetails(vapidSubject, vapidPublicKey, vapidPrivateKey);
+        this.enabled = true;
+      } catch (error) {
+        console.error('[Push] Invalid VAPID configuration:', error.message);
+      }
+    } else {
+      console.warn('[Push] VAPID keys are not configured. Web push is disabled.');
+    }
+  }
+
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  getPublicKey() {
+    return this.enabled ? vapidPublicKey : null;
+  }
+
+  async subscribe(userId, subscription, userAgent = '') {
+    if (!this.enabled) {
+      throw this.createError('푸시 알림이 설정되지 않은 서버입니다.', 503, 'PUSH_DISABLED');
+    }
+
+    const { endpoint, keys } = subscription || {};
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) ||
+        typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+      throw this.createError('올바르지 않은 구독 정보입니다.', 400, 'INVALID_SUBSCRIPTION');
+    }
+
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          user: userId,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent: String(userAgent).slice(0, 300)
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    // 오래된 구독부터 정리해 사용자당 구독 수 제한
+    const extra = await PushSubscription.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip(MAX_SUBSCRIPTIONS_PER_USER)
+      .select('_id')
+      .lean();
+    if (extra.length > 0) {
+      await PushSubscription.deleteMany({ _id: { $in: extra.map(item => item._id) } });
+    }
+  }
+
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+    return result.deletedCount > 0;
+  }
+
+  async deleteForUser(userId) {
+    await PushSubscription.deleteMany({ user: userId });
+  }
+
+  // 사용자의 모든 구독으로 전송, 만료된 구독(404/410)은 삭제
+  async sendToUser(userId, payload) {
+    if (!this.enabled) return 0;
+
+    const subscriptions = await PushSubscription.find({ user: userId }).lean();
+    const body = JSON.stringify(payload);
+    let delivered = 0;
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          body,
+          { TTL: PUSH_TTL }
+        );
+        delivered += 1;
+        await PushSubscription.updateOne(
+          { _id: subscription._id },
+          { $set: { lastUsedAt: new Date() } }
+        );
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        } else {
+          console.error('[Push] Send error:', error.statusCode || error.message);
+        }
+      }
+    }));
+
+    return delivered;
+  }
+
+  // 방해 금지 모드가 아니고, 열린 소켓 연결이 없는 사용자에게만 전송
+  async shouldDeliver(user) {
+    if (!user || userStatusService.isDoNotDisturb(user)) return false;
+
+    const presence = await presenceService.getPresence(user._id.toString());
+    return presence.status === 'offline';
+  }
+
+  // 새 메시지의 푸시 알림 대상과 사유 계산 (보낸 사람 제외)
+  async getRecipients(message, room, mentionedUserIds = []) {
+    const senderId = message.sender?._id?.toString() || message.sender?.toString();
+    const recipients = new Map();
+    const add = (userId, reason) => {
+      if (!userId || userId === senderId) return;
+      const current = recipients.get(userId);
+      if (!current || REASON_PRIORITY[reason] > REASON_PRIORITY[current]) {
+        recipients.set(userId, reason);
+      }
+    };
+
+    if (room.type === 'direct') {
+      room.participants.forEach(participantId => add(participantId.toString(), 'direct'));
+    }
+
+    // 인용 답장 대상과 스레드 원본 메시지 작성자
+    const repliedIds = [message.replyTo?._id || message.replyTo, message.parentMessage]
+      .filter(Boolean);
+    if (repliedIds.length > 0) {
+      const replied = await Message.find({ _id: { $in: repliedIds } })
+        .select('sender')
+        .lean();
+      replied.forEach(item => add(item.sender?.toString(), 'reply'));
+    }
+
+    mentionedUserIds.forEach(userId => add(userId.toString(), 'mention'));
+    return recipients;
+  }
+
+  buildPayload(message, room, reason) {
+    const senderName = message.sender?.name || '알 수 없음';
+    const roomName = room.type === 'direct' ? '1:1 대화' : room.name;
+    const titles = {
+      mention: `${senderName}님이 ${roomName}에서 회원님을 멘션했습니다`,
+      reply: `${senderName}님이 ${roomName}에서 답장했습니다`,
+      direct: senderName
+    };
+    const query = message.parentMessage
+      ? `thread=${message.parentMessage}`
+      : `message=${message._id}`;
+
+    return {
+      title: titles[reason],
+      body: notificationService.getPreview(message),
+      url: `/chat?room=${room._id}&${query}`,
+      tag: `room:${room._id}`,
+      reason
+    };
+  }
+
+  // 저장된 새 메시지에 대한 푸시 알림 (populate된 sender 필요)
+  async notifyMessage(message, mentionedUserIds = []) {
+    if (!this.enabled || message.type === 'system') return;
+
+    const room = await Room.findById(message.room)
+      .select('name type participants bans');
+    if (!room) return;
+
+    const recipients = await this.getRecipients(message, room, mentionedUserIds);
+    if (recipients.size === 0) return;
+
+    const recipientIds = Array.from(recipients.keys());
+    const [users, levels] = await Promise.all([
+      User.find({ _id: { $in: recipientIds } })
+        .select('doNotDisturb')
+        .lean(),
+      notificationPreferenceService.getLevels(recipientIds, room._id)
+    ]);
+
+    await Promise.all(users.map(async (user) => {
+      const userId = user._id.toString();
+      const reason = recipients.get(userId);
+      // 채팅방 알림을 끈(muted) 사용자와 설정에서 허용하지 않는 알림, 채팅방에서 차단된 사용자는 제외
+      if (!notificationPreferenceService.allows(levels.get(userId), reason)) return;
+      if (room.getActiveBan(userId)) return;
+      if (!(await this.shouldDeliver(user))) return;
+
+      await this.sendToUser(user._id, this.buildPayload(message, room, reason));
+    }));
+  }
+}
+
+module.exports = new PushService();
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const RoomReadState = require('../models/RoomReadState');
+
+const MAX_MARK_READ_IDS = 100;
+
+class ReadStateService {
+  // 읽지 않은 메시지 조건 (다른 사람이 보낸 타임라인 메시지, 시스템/스레드 답글 제외)
+  buildUnreadFilter(userId) {
+    return {
+      sender: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+      type: { $ne: 'system' },
+      isDeleted: false,
+      parentMessage: null
+    };
+  }
+
+  // 읽음 위치 이후의 메시지 조건
+  // 읽음 위치가 없으면 이전 방식(메시지별 readers)으로 읽은 메시지만 제외
+  buildCursorFilter(userId, lastReadAt) {
+    return lastReadAt
+      ? { timestamp: { $gt: lastReadAt } }
+      : { 'readers.userId': { $ne: new mongoose.Types.ObjectId(String(userId)) } };
+  }
+
+  // 처음 입장한 채팅방은 입장 시점 이후 메시지부터 읽지 않은 메시지로 계산
+  // 퇴장해도 읽음 위치는 남겨서 다시 입장하면 놓친 메시지를 표시
+  async initialize(userId, roomId) {
+    await RoomReadState.updateOne(
+      { user: userId, room: roomId },
+      { $setOnInsert: { lastReadAt: new Date(), updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  // 읽음 위치를 앞으로만 이동, 실제로 이동한 경우 새 위치 반환
+  async advance(userId, roomId, timestamp) {
+    const previous = await RoomReadState.findOneAndUpdate(
+      { user: userId, room: roomId },
+      { $max: { lastReadAt: timestamp }, $set: { updatedAt: new Date() } },
+      { upsert: true, new: false }
+    ).lean();
+
+    if (previous?.lastReadAt && previous.lastReadAt >= timestamp) {
+      return null;
+    }
+    return timestamp;
+  }
+
+  // 화면에 표시된 메시지 읽음 처리
+  // 타임라인 메시지는 가장 최근 메시지까지 읽음 위치를 이동하고,
+  // 읽음 위치로 표현할 수 없는 스레드 답글은 메시지별로 기록
+  async markRead(userId, messageIds) {
+    const ids = (Array.isArray(messageIds) ? messageIds : [])
+      .filter(id => mongoose.isValidObjectId(id))
+      .slice(0, MAX_MARK_READ_IDS);
+    if (ids.length === 0) return null;
+
+    const messages = await Message.find({ _id: { $in: ids } })
+      .select('room timestamp parentMessage')
+      .sort({ timestamp: -1 })
+      .lean();
+    if (messages.length === 0) return null;
+
+    const roomId = messages[0].room;
+    const isMember = await Room.exists({ _id: roomId, participants: userId });
+    if (!isMember) return null;
+
+    const roomMessages = messages.filter(msg => msg.room === roomId);
+    const threadReplyIds = roomMessages
+      .filter(msg => msg.parentMessage)
+      .map(msg => msg._id.toString());
+    const latest = roomMessages.find(msg => !msg.parentMessage);
+
+    if (threadReplyIds.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: threadReplyIds }, 'readers.userId': { $ne: userId } },
+        { $push: { readers: { userId, readAt: new Date() } } }
+      );
+    }
+
+    const lastReadAt = latest
+      ? await this.advance(userId, roomId, latest.timestamp)
+      : null;
+
+    return { roomId, lastReadAt, threadReplyIds };
+  }
+
+  async countUnread(userId, roomId, lastReadAt) {
+    return Message.countDocuments({
+      room: String(roomId),
+      ...this.buildCursorFilter(userId, lastReadAt),
+      ...this.buildUnreadFilter(userId)
+    });
+  }
+
+  // 여러 채팅방의 읽지 않은 메시지 수 (roomId 문자열 → 개수)
+  // trackedOnly: 읽음 위치가 있는(한 번이라도 입장한) 채팅방만 계산
+  async getUnreadCounts(userId, roomIds, { trackedOnly = false } = {}) {
+    const counts = new Map();
+    if (!roomIds?.length) return counts;
+
+    const states = await RoomReadState.find({
+      user: userId,
+      room: { $in: roomIds }
+    })
+      .select('room lastReadAt')
+      .lean();
+    const lastReadMap = new Map(
+      states.map(state => [state.room.toString(), state.lastReadAt])
+    );
+
+    const conditions = roomIds
+      .map(roomId => roomId.toString())
+      .filter(id => !trackedOnly || lastReadMap.get(id))
+      .map(id => ({ room: id, ...this.buildCursorFilter(userId, lastReadMap.get(id)) }));
+    if (conditions.length === 0) return counts;
+
+    const stats = await Message.aggregate([
+      { $match: { $or: conditions, ...this.buildUnreadFilter(userId) } },
+      { $group: { _id: '$room', unreadCount: { $sum: 1 } } }
+    ]);
+
+    stats.forEach(stat => counts.set(stat._id, stat.unreadCount));
+    return counts;
+  }
+
+  // 채팅방 입장 시 필요한 내 읽음 정보 (구분선/첫 안 읽은 메시지 이동용)
+  // 읽음 위치가 아직 없으면(처음 입장) null
+  async getRoomReadState(userId, roomId) {
+    const state = await RoomReadState.findOne({ user: userId, room: roomId })
+      .select('lastReadAt')
+      .lean();
+    if (!state?.lastReadAt) return null;
+    const { lastReadAt } = state;
+
+    const [unreadCount, firstUnread] = await Promise.all([
+      this.countUnread(userId, roomId, lastReadAt),
+      Message.findOne({
+        room: String(roomId),
+        ...this.buildCursorFilter(userId, lastReadAt),
+        ...this.buildUnreadFilter(userId)
+      })
+        .sort({ timestamp: 1 })
+        .select('_id')
+        .lean()
+    ]);
+
+    return {
+      lastReadAt,
+      unreadCount,
+      firstUnreadMessageId: firstUnread?._id?.toString() || null
+    };
+  }
+
+  // 채팅방의 읽지 않은 수를 추적 중인 사용자 (퇴장 후에도 유지)
+  async getTrackingUserIds(roomId) {
+    const userIds = await RoomReadState.distinct('user', { room: roomId });
+    return userIds.map(id => id.toString());
+  }
+
+  // 한 번이라도 입장해 읽음 위치가 있는 채팅방인지
+  async isTracking(userId, roomId) {
+    return !!(await RoomReadState.exists({ user: userId, room: roomId }));
+  }
+
+  async deleteForRoom(roomId) {
+    await RoomReadState.deleteMany({ room: roomId });
+  }
+
+  async deleteForUser(userId) {
+    await RoomReadState.deleteMany({ user: userId });
+  }
+
+  // 참여자별 마지막 읽음 시각 (읽음 표시용, userId 문자열 → 시각)
+  async getReadCursors(roomId) {
+    const states = await RoomReadState.find({ room: roomId })
+      .select('user lastReadAt')
+      .lean();
+
+    return states.reduce((cursors, state) => {
+      if (state.lastReadAt) {
+        cursors[state.user.toString()] = state.lastReadAt;
+      }
+      return cursors;
+    }, {});
+  }
+}
+
+module.exports = new ReadStateService();
@@ -0,0 +1,155 @@
+const ROOM_LIST_CHANNEL = 'room-list';
+const BATCH_INTERVAL = 1000;
+
+// 로비(채팅방 목록) 구독자에게 채팅방 변경 사항을 모아서 전송
+// 같은 채팅방의 이벤트는 한 주기 안에서 최신 상태 하나로 합쳐짐
+class RoomListBroadcaster {
+  constructor() {
+    this.io = null;
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+  }
+
+  // 사용자별 읽지 않은 메시지 수 알림 채널
+  getUserChannel(userId) {
+    return `${ROOM_LIST_CHANNEL}:user:${userId}`;
+  }
+
+  subscribe(socket) {
+    socket.join(ROOM_LIST_CHANNEL);
+    socket.join(this.getUserChannel(socket.user.id));
+  }
+
+  unsubscribe(socket) {
+    socket.leave(ROOM_LIST_CHANNEL);
+    if (socket.user) {
+      socket.leave(this.getUserChannel(socket.user.id));
+    }
+  }
+
+  // 채팅방 목록 응답 형식으로 변환 (populate된 문서/lean 객체 모두 지원)
+  formatRoom(room) {
+    const creator = room.creator || { _id: 'unknown', name: '알 수 없음', email: '' };
+    const participants = Array.isArray(room.participants) ? room.participants : [];
+
+    return {
+      _id: room._id?.toString() || 'unknown',
+      name: room.name || '제목 없음',
+      hasPassword: !!room.hasPassword,
+      creator: {
+        _id: creator._id?.toString() || 'unknown',
+        name: creator.name || '알 수 없음',
+        email: creator.email || ''
+      },
+      participants: participants.filter(p => p && p._id).map(p => ({
+        _id: p._id.toString(),
+        name: p.name || '알 수 없음',
+        email: p.email || ''
+      })),
+      participantsCount: participants.length,
+      createdAt: room.createdAt || new Date()
+    };
+  }
+
+  getEntry(roomId) {
+    const id = roomId.toString();
+    if (!this.pending.has(id)) {
+      this.pending.set(id, { roomId: id });
+    }
+    return this.pending.get(id);
+  }
+
+  roomCreated(room) {
+    if (room.type === 'direct') return;
+    const entry = this.getEntry(room._id);
+    entry.created = this.formatRoom(room);
+    this.scheduleFlush();
+  }
+
+  roomUpdated(room) {
+    if (room.type === 'direct') return;
+    const entry = this.getEntry(room._id);
+    // 아직 전송되지 않은 생성 이벤트는 최신 데이터로 교체
+    if (entry.created) {
+      entry.created = this.formatRoom(room);
+    } else {
+      entry.updated = this.formatRoom(room);
+    }
+    this.scheduleFlush();
+  }
+
+  roomDeleted(roomId) {
+    const id = roomId.toString();
+    this.pending.set(id, { roomId: id, deleted: true });
+    this.scheduleFlush();
+  }
+
+  participantCountChanged(room) {
+    if (room.type === 'direct') return;
+    const entry = this.getEntry(room._id);
+    if (entry.deleted) return;
+    entry.participantsCount = Array.isArray(room.participants)
+      ? room.participants.length
+      : 0;
+    this.scheduleFlush();
+  }
+
+  // 읽지 않은 수는 사용자마다 달라서 배치 없이 해당 사용자에게만 바로 전송
+  messageCreated(roomId, userIds) {
+    if (!this.io) return;
+    const id = roomId.toString();
+
+    userIds.forEach(userId => {
+      this.io.to(this.getUserChannel(userId)).emit('unreadIncrement', { roomId: id });
+    });
+  }
+
+  unreadChanged(userId, roomId, unreadCount) {
+    if (!this.io) return;
+    this.io.to(this.getUserChannel(userId)).emit('unreadUpdate', {
+      roomId: roomId.toString(),
+      unreadCount
+    });
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), BATCH_INTERVAL);
+  }
+
+  flush() {
+    this.flushTimer = null;
+    if (this.pending.size === 0 || !this.io) {
+      this.pending.clear();
+      return;
+    }
+
+    const batch = {
+      created: [],
+      updated: [],
+      deleted: [],
+      participantCounts: {}
+    };
+
+    for (const entry of this.pending.values()) {
+      if (entry.deleted) {
+        batch.deleted.push(entry.roomId);
+        continue;
+      }
+      if (entry.created) batch.created.push(entry.created);
+      if (entry.updated) batch.updated.push(entry.updated);
+      if (entry.participantsCount !== undefined) {
+        batch.participantCounts[entry.roomId] = entry.participantsCount;
+      }
+    }
+    this.pending.clear();
+
+    this.io.to(ROOM_LIST_CHANNEL).emit('roomListUpdate', batch);
+  }
+}
+
+module.exports = new RoomListBroadcaster();
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const roomListBroadcaster = require('./roomListBroadcaster');
+
+const ASSIGNABLE_ROLES = ['moderator', 'member'];
+const MAX_DURATION_MINUTES = 60 * 24 * 365;
+
+class RoomModerationService {
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  // 제재 기간(분) 검증 후 만료 시각 계산, 값이 없으면 null(무기한)
+  parseExpiresAt(durationMinutes) {
+    if (durationMinutes === undefined || durationMinutes === null || durationMinutes === '') {
+      return null;
+    }
+
+    const minutes = Number(durationMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_DURATION_MINUTES) {
+      throw this.createError('제재 기간이 올바르지 않습니다.', 400, 'INVALID_DURATION');
+    }
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  async loadContext(roomId, targetId) {
+    if (!mongoose.isValidObjectId(roomId)) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404, 'ROOM_NOT_FOUND');
+    }
+    if (!mongoose.isValidObjectId(targetId)) {
+      throw this.createError('올바르지 않은 사용자 ID입니다.', 400, 'INVALID_USER');
+    }
+
+    // 저장 시 비밀번호 미들웨어가 hasPassword를 초기화하지 않도록 비밀번호 필드 포함 조회
+    const room = await Room.findById(roomId).select('+password');
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404, 'ROOM_NOT_FOUND');
+    }
+    if (room.isDirect()) {
+      throw this.createError('1:1 대화방에서는 사용할 수 없는 기능입니다.', 400, 'DIRECT_ROOM');
+    }
+
+    const target = await User.findById(targetId).select('name email profileImage');
+    if (!target) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404, 'USER_NOT_FOUND');
+    }
+
+    return { room, target };
+  }
+
+  // 관리자 이상이면서 대상보다 높은 역할인지 확인
+  assertCanModerate(room, actorId, targetId) {
+    if (String(actorId) === String(targetId)) {
+      throw this.createError('자기 자신에게는 사용할 수 없습니다.', 400, 'SELF_TARGET');
+    }
+    if (!room.isModerator(actorId)) {
+      throw this.createError('채팅방 관리 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+    if (!room.outranks(actorId, targetId)) {
+      throw this.createError('같거나 높은 역할의 사용자는 제재할 수 없습니다.', 403, 'FORBIDDEN');
+    }
+  }
+
+  removeMember(room, targetId) {
+    const id = String(targetId);
+    room.participants = room.participants.filter(p => String(p) !== id);
+    room.moderators = room.moderators.filter(m => String(m) !== id);
+  }
+
+  // 채팅방 참여자에게 공개되는 관리 상태 (차단 목록은 관리자 전용 API에서만 제공)
+  getPublicState(room) {
+    return {
+      roomId: room._id.toString(),
+      moderators: room.moderators.map(id => id.toString()),
+      mutes: room.getActiveMutes().map(mute => ({
+        user: mute.user.toString(),
+        expiresAt: mute.expiresAt
+      }))
+    };
+  }
+
+  async getModerationState(roomId, actorId) {
+    const room = await Room.findById(roomId)
+      .populate('bans.user', 'name email profileImage')
+      .populate('mutes.user', 'name email profileImage');
+
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404, 'ROOM_NOT_FOUND');
+    }
+    if (!room.isModerator(actorId)) {
+      throw this.createError('채팅방 관리 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+
+    room.pruneRestrictions();
+    return {
+      moderators: room.moderators.map(id => id.toString()),
+      bans: room.bans,
+      mutes: room.mutes
+    };
+  }
+
+  // 시스템 메시지 저장 후 채팅방에 관리 상태와 함께 전파
+  async broadcast(io, room, content, { participantsChanged = false } = {}) {
+    const systemMessage = await Message.create({
+      room: room._id.toString(),
+      content,
+      type: 'system',
+      timestamp: new Date()
+    });
+
+    if (!io) return systemMessage;
+
+    const roomId = room._id.toString();
+    io.to(roomId).emit('message', systemMessage);
+    io.to(roomId).emit('moderationUpdate', this.getPublicState(room));
+
+    if (participantsChanged) {
+      const populated = await Room.findById(room._id)
+        .populate('participants', 'name email profileImage')
+        .lean();
+      io.to(roomId).emit('participantsUpdate', populated?.participants || []);
+      if (populated) {
+        roomListBroadcaster.participantCountChanged(populated);
+      }
+    }
+
+    return systemMessage;
+  }
+
+  // 대상 사용자의 모든 소켓을 채팅방에서 내보내고 사유 전달
+  removeFromSocketRoom(io, roomId, targetId, payload) {
+    if (!io) return;
+    io.in(`user:${targetId}`).socketsLeave(roomId);
+    io.to(`user:${targetId}`).emit('removedFromRoom', { roomId, ...payload });
+  }
+
+  async kick({ roomId, actorId, targetId, reason }, io) {
+    const { room, target } = await this.loadContext(roomId, targetId);
+    this.assertCanModerate(room, actorId, targetId);
+
+    if (!room.participants.some(p => String(p) === String(targetId))) {
+      throw this.createError('채팅방에 참여 중인 사용자가 아닙니다.', 400, 'NOT_PARTICIPANT');
+    }
+
+    this.removeMember(room, targetId);
+    await room.save();
+
+    this.removeFromSocketRoom(io, roomId, targetId, { action: 'kick', reason });
+    await this.broadcast(io, room, `${target.name}님이 채팅방에서 내보내졌습니다.`, {
+      participantsChanged: true
+    });
+
+    return this.getPublicState(room);
+  }
+
+  async ban({ roomId, actorId, targetId, durationMinutes, reason }, io) {
+    const expiresAt = this.parseExpiresAt(durationMinutes);
+    const { room, target } = await this.loadContext(roomId, targetId);
+    this.assertCanModerate(room, actorId, targetId);
+
+    room.pruneRestrictions();
+    room.bans = room.bans.filter(ban => String(ban.user) !== String(targetId));
+    room.bans.push({ user: targetId, by: actorId, reason, expiresAt });
+
+    const wasParticipant = room.participants.some(p => String(p) === String(targetId));
+    this.removeMember(room, targetId);
+    await room.save();
+
+    this.removeFromSocketRoom(io, roomId, targetId, { action: 'ban', reason, expiresAt });
+    await this.broadcast(
+      io,
+      room,
+      expiresAt
+        ? `${target.name}님이 ${expiresAt.toLocaleString('ko-KR')}까지 채팅방에서 차단되었습니다.`
+        : `${target.name}님이 채팅방에서 차단되었습니다.`,
+      { participantsChanged: wasParticipant }
+    );
+
+    return this.getPublicState(room);
+  }
+
+  async unban({ roomId, actorId, targetId }, io) {
+    const { room, target } = await this.loadContext(roomId, targetId);
+    if (!room.isModerator(actorId)) {
+      throw this.createError('채팅방 관리 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+    if (!room.getActiveBan(targetId)) {
+      throw this.createError('차단된 사용자가 아닙니다.', 400, 'NOT_BANNED');
+    }
+
+    room.pruneRestrictions();
+    room.bans = room.bans.filter(ban => String(ban.user) !== String(targetId));
+    await room.save();
+
+    await this.broadcast(io, room, `${target.name}님의 차단이 해제되었습니다.`);
+    return this.getPublicState(room);
+  }
+
+  async mute({ roomId, actorId, targetId, durationMinutes, reason }, io) {
+    const expiresAt = this.parseExpiresAt(durationMinutes);
+    const { room, target } = await this.loadContext(roomId, targetId);
+    this.assertCanModerate(room, actorId, targetId);
+
+    room.pruneRestrictions();
+    room.mutes = room.mutes.filter(mute => String(mute.user) !== String(targetId));
+    room.mutes.push({ user: targetId, by: actorId, reason, expiresAt });
+    await room.save();
+
+    await this.broadcast(
+      io,
+      room,
+      expiresAt
+        ? `${target.name}님의 채팅이 ${expiresAt.toLocaleString('ko-KR')}까지 금지되었습니다.`
+        : `${target.name}님의 채팅이 금지되었습니다.`
+    );
+    return this.getPublicState(room);
+  }
+
+  async unmute({ roomId, actorId, targetId }, io) {
+    const { room, target } = await this.loadContext(roomId, targetId);
+    if (!room.isModerator(actorId)) {
+      throw this.createError('채팅방 관리 권한이 없습니다.', 403, 'FORBIDDEN');
+    }
+    if (!room.getActiveMute(targetId)) {
+      throw this.createError('채팅 금지된 사용자가 아닙니다.', 400, 'NOT_MUTED');
+    }
+
+    room.pruneRestrictions();
+    room.mutes = room.mutes.filter(mute => String(mute.user) !== String(targetId));
+    await room.save();
+
+    await this.broadcast(io, room, `${target.name}님의 채팅 금지가 해제되었습니다.`);
+    return this.getPublicState(room);
+  }
+
+  // 관리자 지정/해제 (방장만 가능)
+  async setRole({ roomId, actorId, targetId, role }, io) {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw this.createError('지정할 수 없는 역할입니다.', 400, 'INVALID_ROLE');
+    }
+
+    const { room, target } = await this.loadContext(roomId, targetId);
+    if (room.getRole(actorId) !== 'owner') {
+      throw this.createError('방장만 역할을 변경할 수 있습니다.', 403, 'FORBIDDEN');
+    }
+    if (String(actorId) === String(targetId)) {
+      throw this.createError('자기 자신의 역할은 변경할 수 없습니다.', 400, 'SELF_TARGET');
+    }
+    if (!room.participants.some(p => String(p) === String(targetId))) {
+      throw this.createError('채팅방에 참여 중인 사용자가 아닙니다.', 400, 'NOT_PARTICIPANT');
+    }
+    if (room.getRole(targetId) === role) {
+      return this.getPublicState(room);
+    }
+
+    room.moderators = room.moderators.filter(m => String(m) !== String(targetId));
+    if (role === 'moderator') {
+      room.moderators.push(targetId);
+    }
+    await room.save();
+
+    await this.broadcast(
+      io,
+      room,
+      role === 'moderator'
+        ? `${target.name}님이 관리자로 지정되었습니다.`
+        : `${target.name}님의 관리자 권한이 해제되었습니다.`
+    );
+    return this.getPublicState(room);
+  }
+}
+
+module.exports = new RoomModerationService();
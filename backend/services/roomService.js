@@ -0,0 +1,82 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const File = require('../models/File');
+const Invite = require('../models/Invite');
+const SavedMessage = require('../models/SavedMessage');
+const readStateService = require('./readStateService');
+const notificationService = require('./notificationService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const documentIndexService = require('./documentIndexService');
+const s3Service = require('./S3Service');
+const redisClient = require('../utils/redisClient');
+
+class RoomService {
+  constructor() {
+    this.deleteRoomQueue = null;
+  }
+
+  // 채팅 소켓 모듈이 관리하는 채팅방 메시지 큐(RabbitMQ) 삭제 함수 등록
+  initialize({ deleteRoomQueue }) {
+    this.deleteRoomQueue = deleteRoomQueue;
+  }
+
+  // 채팅방과 메시지, 첨부 파일(S3 객체 포함)을 함께 삭제
+  async deleteRoom(roomId) {
+    // 방을 먼저 지워 삭제 도중 새 메시지가 저장되지 않도록 함
+    await Room.deleteOne({ _id: roomId });
+
+    // 아직 처리되지 않은 큐의 메시지 제거 (실패해도 삭제된 채팅방 메시지는 저장되지 않음)
+    if (this.deleteRoomQueue) {
+      try {
+        await this.deleteRoomQueue(roomId.toString());
+      } catch (queueError) {
+        console.error('[Room] Queue cleanup error:', queueError);
+      }
+    }
+
+    const fileIds = await Message.distinct('file', {
+      room: roomId.toString(),
+      file: { $ne: null }
+    });
+
+    const files = fileIds.length > 0
+      ? await File.find({ _id: { $in: fileIds } }).select('s3Key').lean()
+      : [];
+
+    // S3 삭제는 일부 실패해도 나머지 정리를 계속 진행
+    const s3Results = await Promise.allSettled(
+      files
+        .filter(file => file.s3Key)
+        .map(file => s3Service.deleteFile(file.s3Key))
+    );
+    const failedCount = s3Results.filter(result => result.status === 'rejected').length;
+    if (failedCount > 0) {
+      console.error(`[Room] Failed to delete ${failedCount} S3 objects for room ${roomId}`);
+    }
+
+    if (fileIds.length > 0) {
+      await File.deleteMany({ _id: { $in: fileIds } });
+    }
+
+    const { deletedCount } = await Message.deleteMany({ room: roomId.toString() });
+    await Invite.deleteMany({ room: roomId });
+    await SavedMessage.deleteMany({ room: roomId });
+    await readStateService.deleteForRoom(roomId);
+    await notificationService.deleteForRoom(roomId);
+    await notificationPreferenceService.deleteForRoom(roomId);
+    await documentIndexService.deleteForRoom(roomId);
+
+    try {
+      await redisClient.del(`room:${roomId}:messages`);
+    } catch (redisError) {
+      console.error('[Redis] Cache invalidation error:', redisError);
+    }
+
+    return {
+      deletedMessages: deletedCount,
+      deletedFiles: files.length
+    };
+  }
+}
+
+module.exports = new RoomService();
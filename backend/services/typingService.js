@@ -0,0 +1,83 @@
+const TYPING_TIMEOUT = 6000;
+const TYPING_THROTTLE = 1000;
+const MAX_TYPING_USERS = 10;
+
+// 채팅방별 입력 중인 사용자 관리
+// 입력 중 목록이 바뀔 때만 채팅방에 전체 목록을 전송하고,
+// typingStop 없이 연결이 끊겨도 일정 시간 후 자동으로 목록에서 제거
+class TypingService {
+  constructor() {
+    this.io = null;
+    this.rooms = new Map();
+  }
+
+  initialize(io) {
+    this.io = io;
+  }
+
+  getRoom(roomId) {
+    const id = roomId.toString();
+    if (!this.rooms.has(id)) {
+      this.rooms.set(id, new Map());
+    }
+    return this.rooms.get(id);
+  }
+
+  start(roomId, user) {
+    const typists = this.getRoom(roomId);
+    const existing = typists.get(user.id);
+    const now = Date.now();
+
+    // 짧은 간격으로 반복되는 이벤트는 무시 (만료 시간만 연장되면 충분)
+    if (existing && now - existing.refreshedAt < TYPING_THROTTLE) return;
+
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    typists.set(user.id, {
+      name: user.name,
+      refreshedAt: now,
+      timer: setTimeout(() => this.stop(roomId, user.id), TYPING_TIMEOUT)
+    });
+
+    if (!existing) {
+      this.broadcast(roomId);
+    }
+  }
+
+  stop(roomId, userId) {
+    const id = roomId.toString();
+    const typists = this.rooms.get(id);
+    const existing = typists?.get(userId);
+    if (!existing) return;
+
+    clearTimeout(existing.timer);
+    typists.delete(userId);
+    if (typists.size === 0) {
+      this.rooms.delete(id);
+    }
+
+    this.broadcast(id);
+  }
+
+  getState(roomId) {
+    const id = roomId.toString();
+    const typists = Array.from(this.rooms.get(id)?.entries() || []);
+
+    return {
+      roomId: id,
+      users: typists
+        .slice(0, MAX_TYPING_USERS)
+        .map(([userId, { name }]) => ({ _id: userId, name })),
+      count: typists.length
+    };
+  }
+
+  broadcast(roomId) {
+    if (!this.io) return;
+    this.io.to(roomId.toString()).emit('typingUpdate', this.getState(roomId));
+  }
+}
+
+module.exports = new TypingService();
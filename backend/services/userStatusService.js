@@ -0,0 +1,135 @@
+const User = require('../models/User');
+const Room = require('../models/Room');
+
+const STATUS_TEXT_MAX_LENGTH = 100;
+const STATUS_EMOJI_MAX_LENGTH = 16;
+const MAX_STATUS_DURATION = 365 * 24 * 60 * 60 * 1000;
+
+// 사용자 상태 메시지와 방해 금지 모드 관리
+class UserStatusService {
+  constructor() {
+    this.io = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+  }
+
+  createError(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  // 비어 있거나 만료된 상태 메시지는 null (populate된 문서/lean 객체 모두 지원)
+  getActiveStatus(user) {
+    const status = user?.customStatus;
+    if (!status?.text && !status?.emoji) return null;
+    if (status.expiresAt && new Date(status.expiresAt) <= new Date()) return null;
+
+    return {
+      text: status.text || '',
+      emoji: status.emoji || '',
+      expiresAt: status.expiresAt || null
+    };
+  }
+
+  // 알림 발송 전 확인용
+  isDoNotDisturb(user) {
+    return !!user?.doNotDisturb;
+  }
+
+  toPayload(user) {
+    return {
+      userId: user._id.toString(),
+      customStatus: this.getActiveStatus(user),
+      doNotDisturb: this.isDoNotDisturb(user)
+    };
+  }
+
+  parseStatus({ text, emoji, expiresAt } = {}) {
+    const normalizedText = typeof text === 'string' ? text.trim() : '';
+    const normalizedEmoji = typeof emoji === 'string' ? emoji.trim() : '';
+
+    if (normalizedText.length > STATUS_TEXT_MAX_LENGTH) {
+      throw this.createError(
+        `상태 메시지는 ${STATUS_TEXT_MAX_LENGTH}자 이하여야 합니다.`,
+        400,
+        'INVALID_STATUS_TEXT'
+      );
+    }
+    if (normalizedEmoji.length > STATUS_EMOJI_MAX_LENGTH) {
+      throw this.createError('상태 이모지가 올바르지 않습니다.', 400, 'INVALID_STATUS_EMOJI');
+    }
+
+    // 상태를 지우는 경우 만료 시각도 함께 초기화
+    if (!normalizedText && !normalizedEmoji) {
+      return { text: '', emoji: '', expiresAt: null };
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+      expiry = new Date(expiresAt);
+      const remaining = expiry.getTime() - Date.now();
+      if (Number.isNaN(remaining) || remaining <= 0 || remaining > MAX_STATUS_DURATION) {
+        throw this.createError('상태 유지 시간이 올바르지 않습니다.', 400, 'INVALID_STATUS_EXPIRY');
+      }
+    }
+
+    return { text: normalizedText, emoji: normalizedEmoji, expiresAt: expiry };
+  }
+
+  // 전달된 항목만 변경 (customStatus, doNotDisturb)
+  async updateStatus(userId, { customStatus, doNotDisturb } = {}) {
+    const updates = {};
+
+    if (customStatus !== undefined) {
+      updates.customStatus = this.parseStatus(customStatus || {});
+    }
+    if (doNotDisturb !== undefined) {
+      if (typeof doNotDisturb !== 'boolean') {
+        throw this.createError('방해 금지 설정이 올바르지 않습니다.', 400, 'INVALID_DND');
+      }
+      updates.doNotDisturb = doNotDisturb;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('customStatus doNotDisturb');
+    if (!user) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404, 'USER_NOT_FOUND');
+    }
+
+    const payload = this.toPayload(user);
+    await this.broadcast(payload);
+    return payload;
+  }
+
+  // 사용자가 참여 중인 채팅방과 1:1 대화 상대, 본인의 다른 탭에 변경 사항 전송
+  async broadcast(payload) {
+    if (!this.io) return;
+
+    const rooms = await Room.find({ participants: payload.userId })
+      .select('type participants')
+      .lean();
+
+    rooms.forEach((room) => {
+      if (room.type === 'direct') {
+        room.participants
+          .filter((participantId) => participantId.toString() !== payload.userId)
+          .forEach((participantId) => {
+            this.io.to(`user:${participantId}`).emit('userStatusUpdate', payload);
+          });
+      } else {
+        this.io.to(room._id.toString()).emit('userStatusUpdate', payload);
+      }
+    });
+
+    this.io.to(`user:${payload.userId}`).emit('userStatusUpdate', payload);
+  }
+}
+
+module.exports = new UserStatusService();
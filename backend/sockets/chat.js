@@ -3,15 +3,37 @@ const Room = require("../models/Room");
 const User = require("../models/User");
 const File = require("../models/File");
 const jwt = require("jsonwebtoken");
-const { jwtSecret } = require("../config/keys");
+const { jwtSecret, messageEditWindowMs } = require("../config/keys");
 const redisClient = require("../utils/redisClient");
 const SessionService = require("../services/sessionService");
 const aiService = require("../services/aiService");
+const aiContextService = require("../services/aiContextService");
+const aiPersonaService = require("../services/aiPersonaService");
+const llmProvider = require("../services/llmProvider");
+const documentIndexService = require("../services/documentIndexService");
+const fileService = require("../services/fileService");
+const roomModerationService = require("../services/roomModerationService");
+const roomListBroadcaster = require("../services/roomListBroadcaster");
+const messagePinService = require("../services/messagePinService");
+const readStateService = require("../services/readStateService");
+const typingService = require("../services/typingService");
+const presenceService = require("../services/presenceService");
+const userStatusService = require("../services/userStatusService");
+const notificationService = require("../services/notificationService");
+const pushService = require("../services/pushService");
+const notificationPreferenceService = require("../services/notificationPreferenceService");
 const s3Service = require("../services/S3Service");
+const roomService = require("../services/roomService");
 const amqp = require("amqplib");
 const { v4: uuidv4 } = require("uuid");
 
 module.exports = function (io) {
+  roomListBroadcaster.initialize(io);
+  typingService.initialize(io);
+  userStatusService.initialize(io);
+  notificationService.initialize(io);
+  notificationPreferenceService.initialize(io);
+
   const SERVER_ID = uuidv4();
   const connectedUsers = new Map();
   const streamingSessions = new Map();
@@ -28,6 +50,23 @@ module.exports = function (io) {
   const MASTER_HOST = "43.201.104.54";
   const SLAVE_HOSTS = ["13.124.74.7", "43.201.247.89"];
   const QUEUE_PORT = "5672";
+  const MAX_AI_VARIANTS = 10;
+
+  // 메시지 고정 소켓 이벤트 → messagePinService 메서드
+  const PIN_EVENTS = {
+    pinMessage: "pin",
+    unpinMessage: "unpin",
+  };
+
+  // 채팅방 관리 소켓 이벤트 → roomModerationService 메서드
+  const MODERATION_EVENTS = {
+    setMemberRole: "setRole",
+    kickMember: "kick",
+    banMember: "ban",
+    unbanMember: "unban",
+    muteMember: "mute",
+    unmuteMember: "unmute",
+  };
 
   const queueManager = {
     connection: null,
@@ -113,9 +152,13 @@ module.exports = function (io) {
       return this.channel;
     },
 
+    getRoomQueueName(roomId) {
+      return `chat_messages_${roomId}_${SERVER_ID}`;
+    },
+
     async setupRoomQueue(roomId) {
       const channel = await this.getChannel();
-      const queueName = `chat_messages_${roomId}_${SERVER_ID}`;
+      const queueName = this.getRoomQueueName(roomId);
 
       await channel.assertQueue(queueName, {
         durable: true,
@@ -126,6 +169,12 @@ module.exports = function (io) {
       return queueName;
     },
 
+    // 삭제된 채팅방의 큐와 남은 메시지 제거 (큐를 구독 중인 consumer도 함께 해제됨)
+    async deleteRoomQueue(roomId) {
+      const channel = await this.getChannel();
+      await channel.deleteQueue(this.getRoomQueueName(roomId));
+    },
+
     async handleConnectionError(error) {
       console.error("[RabbitMQ] Connection error:", error);
 
@@ -148,12 +197,35 @@ module.exports = function (io) {
     },
   };
 
+  // 채팅방 삭제 시 이 서버의 메시지 큐 정리
+  // (다른 서버의 큐에 남은 메시지는 processQueueMessage에서 저장하지 않음)
+  roomService.initialize({
+    deleteRoomQueue: async (roomId) => {
+      await queueManager.deleteRoomQueue(roomId);
+
+      const socketIds = io.sockets.adapter.rooms.get(roomId) || [];
+      socketIds.forEach((socketId) => {
+        const roomSocket = io.sockets.sockets.get(socketId);
+        if (roomSocket?.consumers?.[roomId]) {
+          delete roomSocket.consumers[roomId];
+        }
+      });
+    },
+  });
+
   // 메시지 처리 함수
+  // 큐에 남아 있던 메시지라도 채팅방이 삭제되었다면 저장하지 않음
   const processQueueMessage = async (messageData) => {
-    const { room, sender, type, content, fileData } = messageData;
+    const { room, sender, type, content, fileData, parentMessage, replyTo } =
+      messageData;
     let message;
 
     try {
+      if (!(await Room.exists({ _id: room }))) {
+        logDebug("queued message dropped for deleted room", { room, sender });
+        return null;
+      }
+
       switch (type) {
         case "file":
           if (fileData?._id) {
@@ -222,15 +294,54 @@ module.exports = function (io) {
       }
 
       if (message) {
+        if (parentMessage) {
+          message.parentMessage = parentMessage;
+        }
+        if (replyTo) {
+          message.replyTo = replyTo;
+        }
+
+        // @이름 멘션 대상 저장 (사용자 ID)
+        message.mentions = await notificationService.resolveMentions(
+          room,
+          message.content
+        );
+
         await message.save();
         await message.populate([
           { path: "sender", select: "name email profileImage" },
           {
             path: "file",
-            select: "filename originalname mimetype size s3Key s3Url",
+            select: "filename originalname mimetype size s3Key s3Url indexForAI",
           },
+          Message.getReplyToPopulate(),
         ]);
 
+        if (message.mentions.length > 0) {
+          notificationService
+            .createMentionNotifications(message, message.mentions)
+            .catch((error) =>
+              console.error("Mention notification error:", error)
+            );
+        }
+
+        // 열린 탭이 없는 사용자에게 1:1 메시지/멘션/답장 푸시 알림
+        pushService
+          .notifyMessage(message, message.mentions)
+          .catch((error) => console.error("Push notification error:", error));
+
+        // 문서 색인용으로 올린 PDF/DOCX/TXT 문서는 AI 답변에 활용하도록 채팅방 문서 색인에 추가
+        if (message.type === "file" && message.file?.indexForAI) {
+          fileService
+            .processFileForRAG(message)
+            .catch((error) => console.error("Document indexing error:", error));
+        }
+
+        // 스레드 답글은 채팅방 타임라인 캐시에 넣지 않음
+        if (message.parentMessage) {
+          return message;
+        }
+
         try {
           const redisKey = `room:${room}:messages`;
           const cachedMessages = (await redisClient.get(redisKey)) || [];
@@ -254,6 +365,104 @@ module.exports = function (io) {
     }
   };
 
+  // 캐시된 메시지 갱신 함수
+  const updateCachedMessage = async (roomId, messageId, updates) => {
+    try {
+      const redisKey = `room:${roomId}:messages`;
+      const cachedMessages = await redisClient.get(redisKey);
+
+      if (!Array.isArray(cachedMessages)) return;
+
+      const updatedMessages = cachedMessages.map((msg) =>
+        msg._id?.toString() === messageId.toString()
+          ? { ...msg, ...updates }
+          : msg
+      );
+      await redisClient.set(redisKey, updatedMessages);
+    } catch (redisError) {
+      console.error("[Redis] Cache update error:", redisError);
+    }
+  };
+
+  // 스레드 답글 브로드캐스트 함수
+  const broadcastThreadReply = async (reply) => {
+    const parent = await Message.findByIdAndUpdate(
+      reply.parentMessage,
+      {
+        $inc: { threadReplyCount: 1 },
+        $set: { lastThreadReplyAt: reply.timestamp },
+      },
+      { new: true }
+    )
+      .select("room threadReplyCount lastThreadReplyAt")
+      .lean();
+
+    if (!parent) return;
+
+    const threadInfo = {
+      threadReplyCount: parent.threadReplyCount,
+      lastThreadReplyAt: parent.lastThreadReplyAt,
+    };
+
+    await updateCachedMessage(parent.room, parent._id, threadInfo);
+
+    io.to(reply.room).emit("threadMessage", {
+      parentMessageId: parent._id,
+      message: reply,
+    });
+    io.to(reply.room).emit("threadUpdated", {
+      messageId: parent._id,
+      ...threadInfo,
+    });
+  };
+
+  // 로비를 보고 있는 다른 사용자에게 읽지 않은 메시지 증가 알림
+  // (1:1 대화방은 directMessage 이벤트로 목록이 갱신됨)
+  const notifyNewMessage = async (roomId, senderId) => {
+    const room = await Room.findById(roomId).select("type").lean();
+    if (!room || room.type === "direct") return;
+
+    const userIds = await readStateService.getTrackingUserIds(roomId);
+    roomListBroadcaster.messageCreated(
+      roomId,
+      userIds.filter((userId) => userId !== senderId)
+    );
+  };
+
+  // 접속 상태 변경을 현재 채팅방과 1:1 대화 상대에게 알림
+  const broadcastPresence = async (
+    userId,
+    presence,
+    roomId = userRooms.get(userId)
+  ) => {
+    if (!presence) return;
+
+    const payload = { userId, ...presence };
+    if (roomId) {
+      io.to(roomId).emit("presenceUpdate", payload);
+    }
+
+    const directRooms = await Room.find({ type: "direct", participants: userId })
+      .select("participants")
+      .lean();
+    directRooms.forEach((room) => {
+      room.participants
+        .filter((participantId) => participantId.toString() !== userId)
+        .forEach((participantId) => {
+          io.to(`user:${participantId}`).emit("presenceUpdate", payload);
+        });
+    });
+  };
+
+  // 채팅방 메시지 캐시 무효화 함수
+  const invalidateMessageCache = async (roomId) => {
+    try {
+      await redisClient.del(`room:${roomId}:messages`);
+    } catch (redisError) {
+      console.error("[Redis] Cache invalidation error:", redisError);
+    }
+  };
+
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
     console.debug(`[Socket.IO] ${action}:`, {
@@ -263,7 +472,13 @@ module.exports = function (io) {
   };
 
   // 메시지 일괄 로드 함수 개선
-  const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
+  const loadMessages = async (
+    socket,
+    roomId,
+    before,
+    limit = BATCH_SIZE,
+    parentMessageId = null
+  ) => {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => {
         reject(new Error("Message loading timed out"));
@@ -271,7 +486,8 @@ module.exports = function (io) {
     });
 
     try {
-      const query = { room: roomId };
+      // parentMessageId가 없으면 스레드 답글을 제외한 타임라인 메시지만 조회
+      const query = { room: roomId, parentMessage: parentMessageId };
       if (before) {
         query.timestamp = { $lt: new Date(before) };
       }
@@ -283,6 +499,7 @@ module.exports = function (io) {
             path: "file",
             select: "filename originalname mimetype size",
           })
+          .populate(Message.getReplyToPopulate())
           .sort({ timestamp: -1 })
           .limit(limit + 1)
           .lean(),
@@ -290,29 +507,13 @@ module.exports = function (io) {
       ]);
 
       const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
+      const resultMessages = messages
+        .slice(0, limit)
+        .map((msg) => Message.toTombstone(msg));
       const sortedMessages = resultMessages.sort(
         (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
       );
 
-      if (sortedMessages.length > 0 && socket.user) {
-        const messageIds = sortedMessages.map((msg) => msg._id);
-        Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            "readers.userId": { $ne: socket.user.id },
-          },
-          {
-            $push: {
-              readers: {
-                userId: socket.user.id,
-                readAt: new Date(),
-              },
-            },
-          }
-        ).exec();
-      }
-
       return {
         messages: sortedMessages,
         hasMore,
@@ -522,8 +723,48 @@ module.exports = function (io) {
 
       // 새로운 연결 정보 저장
       connectedUsers.set(socket.user.id, socket.id);
+
+      // 사용자 개인 채널 (1:1 대화 알림 등)
+      socket.join(`user:${socket.user.id}`);
+
+      presenceService
+        .connect(socket.user.id, socket.id)
+        .then((presence) => broadcastPresence(socket.user.id, presence))
+        .catch((error) => console.error("Presence connect error:", error));
     }
 
+    // 접속 상태 하트비트 (클라이언트가 주기적으로 online/away 상태 전송)
+    socket.on("presenceHeartbeat", async ({ status } = {}, callback) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const presence = await presenceService.heartbeat(
+          socket.user.id,
+          socket.id,
+          status
+        );
+        await broadcastPresence(socket.user.id, presence);
+      } catch (error) {
+        console.error("Presence heartbeat error:", error);
+      } finally {
+        // 하트비트 실패로 연결을 끊지 않도록 항상 성공으로 응답
+        if (typeof callback === "function") callback();
+      }
+    });
+
+    // 채팅방 목록(로비) 구독
+    socket.on("joinRoomList", () => {
+      if (!socket.user) return;
+      roomListBroadcaster.subscribe(socket);
+      logDebug("joined room list", { userId: socket.user.id });
+    });
+
+    socket.on("leaveRoomList", () => {
+      roomListBroadcaster.unsubscribe(socket);
+    });
+
     // 파일 삭제 이벤트 핸들러 추가
     socket.on("deleteFile", async ({ fileId, messageId }) => {
       try {
@@ -551,6 +792,7 @@ module.exports = function (io) {
         }
 
         await file.deleteOne();
+        await documentIndexService.removeByFile(file._id);
 
         socket.emit("fileDeleted", { fileId, messageId });
       } catch (error) {
@@ -615,6 +857,82 @@ module.exports = function (io) {
       }
     });
 
+    // 스레드 답글 로딩 처리
+    socket.on("fetchThread", async ({ messageId, before }) => {
+      const queueKey = `thread:${messageId}:${socket.user?.id}`;
+
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const parent = await Message.findOne({
+          _id: messageId,
+          parentMessage: null,
+        })
+          .populate("sender", "name email profileImage")
+          .populate({
+            path: "file",
+            select: "filename originalname mimetype size",
+          })
+          .lean();
+
+        if (!parent) {
+          throw new Error("스레드를 찾을 수 없습니다.");
+        }
+
+        // 권한 체크
+        const room = await Room.findOne({
+          _id: parent.room,
+          participants: socket.user.id,
+        });
+
+        if (!room) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
+        if (messageQueues.get(queueKey)) {
+          logDebug("thread load skipped - already loading", {
+            messageId,
+            userId: socket.user.id,
+          });
+          return;
+        }
+
+        messageQueues.set(queueKey, true);
+
+        const result = await loadMessages(
+          socket,
+          parent.room,
+          before,
+          BATCH_SIZE,
+          parent._id
+        );
+
+        logDebug("thread messages loaded", {
+          messageId,
+          messageCount: result.messages.length,
+          hasMore: result.hasMore,
+        });
+
+        socket.emit("threadLoaded", {
+          parentMessage: Message.toTombstone(parent),
+          isInitialLoad: !before,
+          ...result,
+        });
+      } catch (error) {
+        console.error("Fetch thread error:", error);
+        socket.emit("threadLoadError", {
+          messageId,
+          message: error.message || "스레드를 불러오는 중 오류가 발생했습니다.",
+        });
+      } finally {
+        setTimeout(() => {
+          messageQueues.delete(queueKey);
+        }, LOAD_DELAY);
+      }
+    });
+
     // 채팅방 입장 처리 개선
     socket.on("joinRoom", async (roomId) => {
       try {
@@ -622,9 +940,36 @@ module.exports = function (io) {
           throw new Error("Unauthorized");
         }
 
-        // 이미 해당 방에 참여 중인지 확인
+        const targetRoom = await Room.findById(roomId).select(
+          "type creator participants moderators bans mutes"
+        );
+
+        if (!targetRoom) {
+          throw new Error("채팅방을 찾을 수 없습니다.");
+        }
+
+        // 차단되거나 채팅 금지된 사용자는 입장 불가
+        const activeBan = targetRoom.getActiveBan(socket.user.id);
+        if (activeBan) {
+          throw new Error(
+            activeBan.expiresAt
+              ? `${activeBan.expiresAt.toLocaleString("ko-KR")}까지 이 채팅방에서 차단되었습니다.`
+              : "이 채팅방에서 차단되었습니다."
+          );
+        }
+
+        const activeMute = targetRoom.getActiveMute(socket.user.id);
+        if (activeMute) {
+          throw new Error(
+            activeMute.expiresAt
+              ? `${activeMute.expiresAt.toLocaleString("ko-KR")}까지 채팅이 금지되었습니다.`
+              : "채팅이 금지된 상태입니다."
+          );
+        }
+
+        // 이미 해당 방에 참여 중인지 확인 (내보내기 등으로 소켓 룸에서 빠진 경우 재입장)
         const currentRoom = userRooms.get(socket.user.id);
-        if (currentRoom === roomId) {
+        if (currentRoom === roomId && socket.rooms.has(roomId)) {
           logDebug("already in room", {
             userId: socket.user.id,
             roomId,
@@ -633,6 +978,15 @@ module.exports = function (io) {
           return;
         }
 
+        // 1:1 대화방은 참여자만 입장 가능
+        const isDirectRoom = targetRoom.type === "direct";
+        if (
+          isDirectRoom &&
+          !targetRoom.participants.some((id) => id.toString() === socket.user.id)
+        ) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
         // 기존 방에서 나가기
         if (currentRoom) {
           logDebug("leaving current room", {
@@ -649,6 +1003,7 @@ module.exports = function (io) {
 
           socket.leave(currentRoom);
           userRooms.delete(socket.user.id);
+          typingService.stop(currentRoom, socket.user.id);
 
           socket.to(currentRoom).emit("userLeft", {
             userId: socket.user.id,
@@ -656,15 +1011,20 @@ module.exports = function (io) {
           });
         }
 
-        // 채팅방 참가 with profileImage
-        const room = await Room.findByIdAndUpdate(
-          roomId,
-          { $addToSet: { participants: socket.user.id } },
-          {
-            new: true,
-            runValidators: true,
-          }
-        ).populate("participants", "name email profileImage");
+        // 채팅방 참가 with profileImage (1:1 대화방은 참여자 고정)
+        const room = isDirectRoom
+          ? await Room.findById(roomId).populate(
+              "participants",
+              "name email profileImage"
+            )
+          : await Room.findByIdAndUpdate(
+              roomId,
+              { $addToSet: { participants: socket.user.id } },
+              {
+                new: true,
+                runValidators: true,
+              }
+            ).populate("participants", "name email profileImage");
 
         if (!room) {
           throw new Error("채팅방을 찾을 수 없습니다.");
@@ -680,8 +1040,23 @@ module.exports = function (io) {
             try {
               const messageData = JSON.parse(msg.content.toString());
               const processedMessage = await processQueueMessage(messageData);
-              if (processedMessage) {
+              if (processedMessage?.parentMessage) {
+                await broadcastThreadReply(processedMessage);
+              } else if (processedMessage) {
                 io.to(messageData.room).emit("message", processedMessage);
+                notifyNewMessage(roomId, String(messageData.sender)).catch((error) =>
+                  console.error("Unread notify error:", error)
+                );
+
+                // 1:1 대화 참여자의 개인 채널로 목록 갱신용 알림 전송
+                if (isDirectRoom) {
+                  room.participants.forEach((participant) => {
+                    io.to(`user:${participant._id}`).emit("directMessage", {
+                      roomId,
+                      message: processedMessage,
+                    });
+                  });
+                }
               }
               await channel.ack(msg);
             } catch (error) {
@@ -698,15 +1073,18 @@ module.exports = function (io) {
         socket.join(roomId);
         userRooms.set(socket.user.id, roomId);
 
-        // 입장 메시지 생성
-        const joinMessage = new Message({
-          room: roomId,
-          content: `${socket.user.name}님이 입장하였습니다.`,
-          type: "system",
-          timestamp: new Date(),
-        });
+        // 처음 입장한 경우 입장 시점부터 읽음 위치 추적
+        await readStateService.initialize(socket.user.id, roomId);
 
-        await joinMessage.save();
+        // 입장 메시지 생성 (1:1 대화방 제외)
+        const joinMessage = isDirectRoom
+          ? null
+          : await Message.create({
+              room: roomId,
+              content: `${socket.user.name}님이 입장하였습니다.`,
+              type: "system",
+              timestamp: new Date(),
+            });
 
         // 초기 메시지 로드
         const messageLoadResult = await loadMessages(socket, roomId);
@@ -720,6 +1098,8 @@ module.exports = function (io) {
             type: "ai",
             aiType: session.aiType,
             content: session.content,
+            targetMessageId: session.targetMessageId,
+            requestedBy: session.requestedBy,
             timestamp: session.timestamp,
             isStreaming: true,
           }));
@@ -727,15 +1107,32 @@ module.exports = function (io) {
         // 이벤트 발송
         socket.emit("joinRoomSuccess", {
           roomId,
-          participants: room.participants,
+          participants: await presenceService.attachPresence(room.participants),
           messages,
           hasMore,
           oldestTimestamp,
           activeStreams,
         });
 
-        io.to(roomId).emit("message", joinMessage);
-        io.to(roomId).emit("participantsUpdate", room.participants);
+        // 입장 전부터 입력 중인 사용자 표시
+        socket.emit("typingUpdate", typingService.getState(roomId));
+
+        // 기존 참여자에게 입장한 사용자의 접속 상태 전달
+        presenceService
+          .getPresence(socket.user.id)
+          .then((presence) =>
+            socket.to(roomId).emit("presenceUpdate", {
+              userId: socket.user.id,
+              ...presence,
+            })
+          )
+          .catch((error) => console.error("Presence fetch error:", error));
+
+        if (joinMessage) {
+          io.to(roomId).emit("message", joinMessage);
+          io.to(roomId).emit("participantsUpdate", room.participants);
+          roomListBroadcaster.participantCountChanged(room);
+        }
 
         logDebug("user joined room", {
           userId: socket.user.id,
@@ -762,12 +1159,45 @@ module.exports = function (io) {
           throw new Error("메시지 데이터가 없습니다.");
         }
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, content, fileData, parentMessage, replyTo } =
+          messageData;
 
         if (!room) {
           throw new Error("채팅방 정보가 없습니다.");
         }
 
+        // 스레드 답글인 경우 원본 메시지 확인 (한 단계 스레드만 허용)
+        if (parentMessage) {
+          const parent = await Message.findOne({
+            _id: parentMessage,
+            room,
+            isDeleted: false,
+            parentMessage: null,
+          })
+            .select("type")
+            .lean();
+
+          if (!parent || parent.type === "system") {
+            throw new Error("답글을 달 수 없는 메시지입니다.");
+          }
+        }
+
+        // 인용 답장인 경우 같은 대화(타임라인 또는 스레드)의 메시지인지 확인
+        if (replyTo) {
+          const quoted = await Message.findOne({
+            _id: replyTo,
+            room,
+            isDeleted: false,
+            parentMessage: parentMessage || null,
+          })
+            .select("type")
+            .lean();
+
+          if (!quoted || quoted.type === "system") {
+            throw new Error("인용할 수 없는 메시지입니다.");
+          }
+        }
+
         // 채팅방 권한 확인
         const chatRoom = await Room.findOne({
           _id: room,
@@ -778,6 +1208,18 @@ module.exports = function (io) {
           throw new Error("채팅방 접근 권한이 없습니다.");
         }
 
+        // 채팅 금지 확인
+        const activeMute = chatRoom.getActiveMute(socket.user.id);
+        if (activeMute) {
+          const muteError = new Error(
+            activeMute.expiresAt
+              ? `${activeMute.expiresAt.toLocaleString("ko-KR")}까지 채팅이 금지되었습니다.`
+              : "채팅이 금지된 상태입니다."
+          );
+          muteError.code = "MUTED";
+          throw muteError;
+        }
+
         // 세션 유효성 재확인
         const sessionValidation = await SessionService.validateSession(
           socket.user.id,
@@ -788,6 +1230,9 @@ module.exports = function (io) {
           throw new Error("세션이 만료되었습니다. 다시 로그인해주세요.");
         }
 
+        // 메시지를 보냈으면 입력 중 표시 해제
+        typingService.stop(room, socket.user.id);
+
         // 메시지 큐로 전송할 데이터 준비
         const queueMessage = {
           ...messageData,
@@ -834,8 +1279,8 @@ module.exports = function (io) {
           );
         }
 
-        // AI 멘션 확인
-        const aiMentions = extractAIMentions(content);
+        // AI 멘션 확인 (채팅방에서 사용 가능한 AI만)
+        const aiMentions = await aiPersonaService.findMentioned(chatRoom, content);
 
         logDebug("message received", {
           type,
@@ -847,11 +1292,15 @@ module.exports = function (io) {
 
         // AI 멘션이 있는 경우 AI 응답 생성
         if (aiMentions.length > 0) {
-          for (const ai of aiMentions) {
+          for (const persona of aiMentions) {
             const query = content
-              .replace(new RegExp(`@${ai}\\b`, "g"), "")
+              .replace(new RegExp(`@${persona.handle}\\b`, "g"), "")
               .trim();
-            await handleAIResponse(io, room, ai, query);
+            await handleAIResponse(io, room, persona, query, {
+              userName: socket.user.name,
+              before: queueMessage.timestamp,
+              requestedBy: socket.user.id,
+            });
           }
         }
 
@@ -884,7 +1333,7 @@ module.exports = function (io) {
           _id: roomId,
           participants: socket.user.id,
         })
-          .select("participants")
+          .select("participants type")
           .lean();
 
         if (!room) {
@@ -901,6 +1350,25 @@ module.exports = function (io) {
 
         socket.leave(roomId);
         userRooms.delete(socket.user.id);
+        typingService.stop(roomId, socket.user.id);
+
+        // 스트리밍 세션 정리
+        for (const [messageId, session] of streamingSessions.entries()) {
+          if (session.room === roomId && session.userId === socket.user.id) {
+            streamingSessions.delete(messageId);
+          }
+        }
+
+        // 메시지 큐 정리
+        const queueKey = `${roomId}:${socket.user.id}`;
+        messageQueues.delete(queueKey);
+        messageLoadRetries.delete(queueKey);
+
+        // 1:1 대화방은 화면만 벗어난 것으로 보고 참여자 목록을 유지
+        if (room.type === "direct") {
+          console.log(`User ${socket.user.id} left direct room ${roomId}`);
+          return;
+        }
 
         // 퇴장 메시지 생성 및 저장
         const leaveMessage = await Message.create({
@@ -925,21 +1393,10 @@ module.exports = function (io) {
           return;
         }
 
-        // 스트리밍 세션 정리
-        for (const [messageId, session] of streamingSessions.entries()) {
-          if (session.room === roomId && session.userId === socket.user.id) {
-            streamingSessions.delete(messageId);
-          }
-        }
-
-        // 메시지 큐 정리
-        const queueKey = `${roomId}:${socket.user.id}`;
-        messageQueues.delete(queueKey);
-        messageLoadRetries.delete(queueKey);
-
         // 이벤트 발송
         io.to(roomId).emit("message", leaveMessage);
         io.to(roomId).emit("participantsUpdate", updatedRoom.participants);
+        roomListBroadcaster.participantCountChanged(updatedRoom);
 
         console.log(`User ${socket.user.id} left room ${roomId} successfully`);
       } catch (error) {
@@ -961,6 +1418,16 @@ module.exports = function (io) {
         }
 
         const roomId = userRooms.get(socket.user.id);
+        if (roomId) {
+          typingService.stop(roomId, socket.user.id);
+        }
+
+        presenceService
+          .disconnect(socket.user.id, socket.id)
+          .then((presence) =>
+            broadcastPresence(socket.user.id, presence, roomId)
+          )
+          .catch((error) => console.error("Presence disconnect error:", error));
         userRooms.delete(socket.user.id);
 
         // 메시지 큐 정리
@@ -979,8 +1446,14 @@ module.exports = function (io) {
           }
         }
 
-        // 현재 방에서 자동 퇴장 처리
-        if (roomId) {
+        // 현재 방에서 자동 퇴장 처리 (1:1 대화방은 참여자 유지, 이미 내보내진 경우 제외)
+        const lastRoom = roomId
+          ? await Room.findOne({ _id: roomId, participants: socket.user.id })
+              .select("type")
+              .lean()
+          : null;
+
+        if (lastRoom && lastRoom.type !== "direct") {
           // 다른 디바이스로 인한 연결 종료가 아닌 경우에만 처리
           if (
             reason !== "client namespace disconnect" &&
@@ -1008,6 +1481,7 @@ module.exports = function (io) {
                 "participantsUpdate",
                 updatedRoom.participants
               );
+              roomListBroadcaster.participantCountChanged(updatedRoom);
             }
           }
         }
@@ -1050,8 +1524,35 @@ module.exports = function (io) {
       }
     });
 
-    // 메시지 읽음 상태 처리
-    socket.on("markMessagesAsRead", async ({ roomId, messageIds }) => {
+    // 입력 중 표시 (현재 입장한 채팅방에서만 허용, 실패해도 클라이언트에 알리지 않음)
+    socket.on("typingStart", ({ roomId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        if (!roomId || userRooms.get(socket.user.id) !== roomId) return;
+        typingService.start(roomId, socket.user);
+      } catch (error) {
+        console.error("Typing start error:", error);
+      }
+    });
+
+    socket.on("typingStop", ({ roomId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        if (!roomId) return;
+        typingService.stop(roomId, socket.user.id);
+      } catch (error) {
+        console.error("Typing stop error:", error);
+      }
+    });
+
+    // 메시지 읽음 상태 처리 (타임라인은 채팅방별 마지막 읽음 위치로 관리)
+    socket.on("markMessagesAsRead", async ({ messageIds }) => {
       try {
         if (!socket.user) {
           throw new Error("Unauthorized");
@@ -1061,27 +1562,35 @@ module.exports = function (io) {
           return;
         }
 
-        // 읽음 상태 업데이트
-        await Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            room: roomId,
-            "readers.userId": { $ne: socket.user.id },
-          },
-          {
-            $push: {
-              readers: {
-                userId: socket.user.id,
-                readAt: new Date(),
-              },
-            },
-          }
+        const result = await readStateService.markRead(
+          socket.user.id,
+          messageIds
         );
+        if (!result) return;
+
+        const { roomId, lastReadAt, threadReplyIds } = result;
 
-        socket.to(roomId).emit("messagesRead", {
+        if (threadReplyIds.length > 0) {
+          socket.to(roomId).emit("messagesRead", {
+            userId: socket.user.id,
+            messageIds: threadReplyIds,
+          });
+        }
+
+        if (!lastReadAt) return;
+
+        io.to(roomId).emit("readCursorUpdated", {
+          roomId,
           userId: socket.user.id,
-          messageIds,
+          lastReadAt,
         });
+
+        const unreadCount = await readStateService.countUnread(
+          socket.user.id,
+          roomId,
+          lastReadAt
+        );
+        roomListBroadcaster.unreadChanged(socket.user.id, roomId, unreadCount);
       } catch (error) {
         console.error("Mark messages as read error:", error);
         socket.emit("error", {
@@ -1121,31 +1630,396 @@ module.exports = function (io) {
         });
       }
     });
-  });
 
-  // AI 멘션 추출 함수
-  function extractAIMentions(content) {
-    if (!content) return [];
+    // 메시지 수정 처리
+    socket.on("editMessage", async ({ messageId, content }) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const newContent = content?.trim();
+        if (!newContent) {
+          throw new Error("메시지 내용을 입력해주세요.");
+        }
+
+        const message = await Message.findOne({
+          _id: messageId,
+          isDeleted: false,
+        });
+        if (!message) {
+          throw new Error("메시지를 찾을 수 없습니다.");
+        }
+
+        if (message.sender?.toString() !== socket.user.id) {
+          throw new Error("본인이 보낸 메시지만 수정할 수 있습니다.");
+        }
 
-    const aiTypes = ["wayneAI", "consultingAI"];
-    const mentions = new Set();
-    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-    let match;
+        if (message.type !== "text") {
+          throw new Error("텍스트 메시지만 수정할 수 있습니다.");
+        }
+
+        const elapsed = Date.now() - new Date(message.timestamp).getTime();
+        if (elapsed > messageEditWindowMs) {
+          throw new Error("메시지 수정 가능 시간이 지났습니다.");
+        }
+
+        // 채팅방 권한 확인
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id,
+        });
 
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) {
-        mentions.add(match[1]);
+        if (!chatRoom) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
+        if (chatRoom.getActiveMute(socket.user.id)) {
+          throw new Error("채팅 금지 중에는 메시지를 수정할 수 없습니다.");
+        }
+
+        if (newContent === message.content) {
+          return;
+        }
+
+        // 수정한 내용 기준으로 멘션 대상을 다시 계산 (빠진 멘션은 목록에서 제거)
+        const previousMentions = new Set(
+          (message.mentions || []).map((userId) => userId.toString())
+        );
+        message.mentions = await notificationService.resolveMentions(
+          message.room,
+          newContent
+        );
+
+        await message.editContent(newContent);
+
+        // 수정으로 새로 멘션된 사용자에게만 알림
+        const addedMentions = message.mentions
+          .map((userId) => userId.toString())
+          .filter((userId) => !previousMentions.has(userId));
+        if (addedMentions.length > 0) {
+          notificationService
+            .createMentionNotifications(message, addedMentions)
+            .catch((error) =>
+              console.error("Mention notification error:", error)
+            );
+        }
+
+        const update = {
+          content: message.content,
+          isEdited: message.isEdited,
+          editedAt: message.editedAt,
+          editHistory: message.editHistory,
+        };
+
+        await updateCachedMessage(message.room, messageId, update);
+
+        // 수정된 메시지 브로드캐스트
+        io.to(message.room).emit("messageUpdated", {
+          messageId,
+          ...update,
+        });
+
+        // 고정 메시지 미리보기 갱신
+        if (chatRoom.pinnedMessages.some((id) => id.equals(message._id))) {
+          await messagePinService.broadcast(io, chatRoom);
+        }
+
+        logDebug("message edited", {
+          messageId,
+          room: message.room,
+          userId: socket.user.id,
+          revision: message.editHistory.length,
+        });
+      } catch (error) {
+        console.error("Message edit error:", error);
+        socket.emit("messageEditError", {
+          messageId,
+          message: error.message || "메시지 수정 중 오류가 발생했습니다.",
+        });
       }
-    }
+    });
 
-    return Array.from(mentions);
-  }
+    // 메시지 삭제 처리
+    socket.on("deleteMessage", async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const message = await Message.findOne({
+          _id: messageId,
+          isDeleted: false,
+        });
+        if (!message) {
+          throw new Error("메시지를 찾을 수 없습니다.");
+        }
+
+        if (message.type === "system") {
+          throw new Error("시스템 메시지는 삭제할 수 없습니다.");
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id,
+        });
+
+        if (!chatRoom) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
+        // 본인 메시지이거나 채팅방 방장/관리자인 경우에만 삭제 가능
+        const isSender = message.sender?.toString() === socket.user.id;
+        const isModerator = chatRoom.isModerator(socket.user.id);
+
+        const canDelete =
+          isModerator || (isSender && ["text", "file"].includes(message.type));
+
+        if (!canDelete) {
+          throw new Error("메시지를 삭제할 권한이 없습니다.");
+        }
+
+        await message.softDelete(socket.user.id);
+        await invalidateMessageCache(message.room);
+
+        // 삭제된 파일 메시지의 문서는 AI 답변에 사용하지 않음
+        if (message.type === "file") {
+          await documentIndexService.removeByMessage(message._id);
+        }
+
+        io.to(message.room).emit("messageDeleted", {
+          messageId,
+          deletedBy: socket.user.id,
+          deletedAt: message.deletedAt,
+        });
+
+        // 고정된 메시지였다면 고정 목록에서도 제거
+        const unpinnedRoom = await messagePinService.removeDeleted(
+          chatRoom._id,
+          message._id
+        );
+        if (unpinnedRoom) {
+          await messagePinService.broadcast(io, unpinnedRoom);
+        }
+
+        logDebug("message deleted", {
+          messageId,
+          room: message.room,
+          userId: socket.user.id,
+          byModerator: !isSender,
+        });
+      } catch (error) {
+        console.error("Message delete error:", error);
+        socket.emit("messageDeleteError", {
+          messageId,
+          message: error.message || "메시지 삭제 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
+    // AI 응답 생성 중지 (요청한 사용자 또는 방장/관리자)
+    socket.on("aiMessageCancel", async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const session = streamingSessions.get(messageId);
+        if (!session) return;
+
+        const chatRoom = await Room.findOne({
+          _id: session.room,
+          participants: socket.user.id,
+        });
+
+        if (!chatRoom) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
+        if (
+          session.requestedBy !== socket.user.id &&
+          !chatRoom.isModerator(socket.user.id)
+        ) {
+          throw new Error("AI 응답을 요청한 사용자만 중지할 수 있습니다.");
+        }
+
+        session.abortController.abort();
+
+        logDebug("AI response cancel requested", {
+          messageId,
+          room: session.room,
+          userId: socket.user.id,
+        });
+      } catch (error) {
+        console.error("AI cancel error:", error);
+        socket.emit("aiMessageActionError", {
+          messageId,
+          message: error.message || "AI 응답 중지 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
+    // AI 응답 다시 생성 (기존 응답은 변형으로 유지)
+    socket.on("aiMessageRegenerate", async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error("Unauthorized");
+        }
+
+        const message = await Message.findOne({
+          _id: messageId,
+          type: "ai",
+          isDeleted: false,
+        });
+        if (!message) {
+          throw new Error("AI 메시지를 찾을 수 없습니다.");
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id,
+        });
+
+        if (!chatRoom) {
+          throw new Error("채팅방 접근 권한이 없습니다.");
+        }
+
+        if (chatRoom.getActiveMute(socket.user.id)) {
+          throw new Error("채팅 금지 중에는 AI 응답을 다시 생성할 수 없습니다.");
+        }
+
+        const query = message.metadata?.get("query");
+        if (typeof query !== "string") {
+          throw new Error("다시 생성할 수 없는 AI 메시지입니다.");
+        }
+
+        if (message.aiVariants.length >= MAX_AI_VARIANTS) {
+          throw new Error(
+            `AI 응답은 최대 ${MAX_AI_VARIANTS}개까지 생성할 수 있습니다.`
+          );
+        }
+
+        const isRegenerating = Array.from(streamingSessions.values()).some(
+          (session) => session.targetMessageId === messageId
+        );
+        if (isRegenerating) {
+          throw new Error("이미 응답을 다시 생성하고 있습니다.");
+        }
+
+        const personas = await aiPersonaService.getRoomPersonas(chatRoom);
+        const persona = personas.find(
+          (candidate) => candidate.handle === message.aiType
+        );
+        if (!persona) {
+          throw new Error("이 채팅방에서 사용할 수 없는 AI입니다.");
+        }
+
+        // 처음 질문했을 때와 같은 대화 맥락으로 다시 생성
+        await handleAIResponse(io, message.room, persona, query, {
+          userName: message.metadata.get("userName"),
+          before: message.metadata.get("queryAt") || message.timestamp,
+          requestedBy: socket.user.id,
+          targetMessageId: messageId,
+        });
+      } catch (error) {
+        console.error("AI regenerate error:", error);
+        socket.emit("aiMessageActionError", {
+          messageId,
+          message: error.message || "AI 응답 다시 생성 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
+    // 메시지 고정/해제
+    Object.entries(PIN_EVENTS).forEach(([event, action]) => {
+      socket.on(event, async ({ messageId } = {}) => {
+        try {
+          if (!socket.user) {
+            throw new Error("Unauthorized");
+          }
+
+          const room = await messagePinService[action]({
+            messageId,
+            actorId: socket.user.id,
+          });
+          await messagePinService.broadcast(io, room);
+
+          logDebug("message pin", {
+            action,
+            messageId,
+            roomId: room._id.toString(),
+            userId: socket.user.id,
+            pinnedCount: room.pinnedMessages.length,
+          });
+        } catch (error) {
+          if (!error.status || error.status >= 500) {
+            console.error("Message pin error:", error);
+          }
+          socket.emit("pinError", {
+            action,
+            messageId,
+            code: error.code,
+            message: error.message || "메시지 고정 처리 중 오류가 발생했습니다.",
+          });
+        }
+      });
+    });
+
+    // 채팅방 관리 (역할 변경, 내보내기, 차단, 채팅 금지)
+    Object.entries(MODERATION_EVENTS).forEach(([event, action]) => {
+      socket.on(event, async ({ roomId, userId, ...options } = {}) => {
+        try {
+          if (!socket.user) {
+            throw new Error("Unauthorized");
+          }
+
+          await roomModerationService[action](
+            {
+              ...options,
+              roomId,
+              actorId: socket.user.id,
+              targetId: userId,
+            },
+            io
+          );
+
+          logDebug("room moderation", {
+            action,
+            roomId,
+            actorId: socket.user.id,
+            targetId: userId,
+          });
+        } catch (error) {
+          if (!error.status || error.status >= 500) {
+            console.error("Room moderation error:", error);
+          }
+          socket.emit("moderationError", {
+            action,
+            roomId,
+            userId,
+            message: error.message || "채팅방 관리 작업에 실패했습니다.",
+          });
+        }
+      });
+    });
+  });
 
   // AI 응답 처리 함수 개선
-  async function handleAIResponse(io, room, aiName, query) {
+  // before: 질문 메시지 수신 시각 (그 이전 대화만 맥락으로 사용)
+  // requestedBy: 응답을 요청한 사용자 (중지 권한 확인용)
+  // targetMessageId: 다시 생성하는 경우 기존 AI 메시지 ID (새 응답을 변형으로 추가)
+  async function handleAIResponse(
+    io,
+    room,
+    persona,
+    query,
+    { userName, before, requestedBy, targetMessageId = null } = {}
+  ) {
+    const aiName = persona.handle;
     const messageId = `${aiName}-${Date.now()}`;
     let accumulatedContent = "";
     const timestamp = new Date();
+    const abortController = new AbortController();
 
     // 스트리밍 세션 초기화
     streamingSessions.set(messageId, {
@@ -1153,6 +2027,9 @@ module.exports = function (io) {
       aiType: aiName,
       content: "",
       messageId,
+      targetMessageId,
+      requestedBy,
+      abortController,
       timestamp,
       lastUpdate: Date.now(),
       reactions: {},
@@ -1163,18 +2040,113 @@ module.exports = function (io) {
       aiType: aiName,
       room,
       query,
+      targetMessageId,
     });
 
     // 초기 상태 전송
     io.to(room).emit("aiMessageStart", {
       messageId,
       aiType: aiName,
+      aiPersona: aiPersonaService.summarize(persona),
+      targetMessageId,
+      requestedBy,
       timestamp,
     });
 
+    // 참고한 채팅방 문서 출처 (답변에서 인용한 문서만 저장)
+    let sources = [];
+
+    // 새 응답은 AI 메시지로 저장하고, 다시 생성한 응답은 기존 메시지의 변형으로 추가
+    const saveResponse = async (finalContent, { stopped = false } = {}) => {
+      const citedSources = documentIndexService.pickCitedSources(
+        finalContent.content,
+        sources
+      );
+
+      if (targetMessageId) {
+        const target = await Message.findOne({
+          _id: targetMessageId,
+          isDeleted: false,
+        });
+        if (!target) return null;
+
+        await target.addAIVariant({ ...finalContent, sources: citedSources });
+        const update = {
+          content: target.content,
+          aiVariants: target.aiVariants,
+        };
+        await updateCachedMessage(room, targetMessageId, update);
+        return target;
+      }
+
+      const aiMessage = await Message.create({
+        room,
+        content: finalContent.content,
+        type: "ai",
+        aiType: aiName,
+        timestamp: new Date(),
+        reactions: {},
+        metadata: {
+          query,
+          userName,
+          queryAt: before,
+          generationTime: Date.now() - timestamp,
+          completionTokens: finalContent.completionTokens,
+          totalTokens: finalContent.totalTokens,
+          ...(citedSources.length > 0 && { sources: citedSources }),
+          ...(stopped && { stopped: true }),
+        },
+      });
+
+      notifyNewMessage(room, null).catch((error) =>
+        console.error("Unread notify error:", error)
+      );
+      return aiMessage;
+    };
+
+    const emitComplete = (aiMessage, { stopped = false } = {}) => {
+      io.to(room).emit("aiMessageComplete", {
+        messageId,
+        _id: aiMessage._id,
+        content: aiMessage.content,
+        aiType: aiName,
+        aiVariants: aiMessage.aiVariants,
+        sources: aiMessage.metadata?.get("sources") || [],
+        targetMessageId,
+        stopped,
+        timestamp: targetMessageId ? aiMessage.timestamp : new Date(),
+        isComplete: true,
+        query,
+        reactions: {},
+      });
+    };
+
     try {
+      // 질문과 관련된 채팅방 문서 검색 (실패해도 문서 없이 응답)
+      let documents = [];
+      try {
+        const chunks = await documentIndexService.search(room, query);
+        ({ documents, sources } = documentIndexService.buildReferences(chunks));
+      } catch (searchError) {
+        console.error("Document search error:", searchError);
+      }
+
+      // 채팅방 대화 맥락 구성 (실패해도 질문만으로 응답)
+      let history = [];
+      try {
+        history = await aiContextService.buildHistory(room, aiName, {
+          before,
+          reservedTokens: aiContextService.estimateTokens(
+            [query, ...documents.map((doc) => doc.content)].join("\n")
+          ),
+        });
+      } catch (contextError) {
+        console.error("AI context build error:", contextError);
+      }
+
       // AI 응답 생성 및 스트리밍
-      await aiService.generateResponse(query, aiName, {
+      const prompt = userName ? `${userName}: ${query}` : query;
+      await aiService.generateResponse(prompt, persona, {
         onStart: () => {
           logDebug("AI generation started", {
             messageId,
@@ -1204,39 +2176,21 @@ module.exports = function (io) {
           // 스트리밍 세션 정리
           streamingSessions.delete(messageId);
 
-          // AI 메시지 저장
-          const aiMessage = await Message.create({
-            room,
-            content: finalContent.content,
-            type: "ai",
-            aiType: aiName,
-            timestamp: new Date(),
-            reactions: {},
-            metadata: {
-              query,
-              generationTime: Date.now() - timestamp,
-              completionTokens: finalContent.completionTokens,
-              totalTokens: finalContent.totalTokens,
-            },
-          });
+          const aiMessage = await saveResponse(finalContent);
+          if (!aiMessage) {
+            io.to(room).emit("aiMessageCancelled", { messageId, targetMessageId });
+            return;
+          }
 
           // 완료 메시지 전송
-          io.to(room).emit("aiMessageComplete", {
-            messageId,
-            _id: aiMessage._id,
-            content: finalContent.content,
-            aiType: aiName,
-            timestamp: new Date(),
-            isComplete: true,
-            query,
-            reactions: {},
-          });
+          emitComplete(aiMessage);
 
           logDebug("AI response completed", {
             messageId,
             aiType: aiName,
             contentLength: finalContent.content.length,
             generationTime: Date.now() - timestamp,
+            targetMessageId,
           });
         },
         onError: (error) => {
@@ -1255,9 +2209,37 @@ module.exports = function (io) {
             error: error.message,
           });
         },
-      });
+      }, { history, documents, signal: abortController.signal });
     } catch (error) {
       streamingSessions.delete(messageId);
+
+      // 중지된 새 응답은 생성된 부분까지 저장 (다시 생성 중이었다면 기존 응답 유지)
+      if (llmProvider.isAbortError(error)) {
+        const partialContent = accumulatedContent.trim();
+        try {
+          const aiMessage = !targetMessageId && partialContent
+            ? await saveResponse({ content: partialContent }, { stopped: true })
+            : null;
+
+          if (aiMessage) {
+            emitComplete(aiMessage, { stopped: true });
+          } else {
+            io.to(room).emit("aiMessageCancelled", { messageId, targetMessageId });
+          }
+        } catch (saveError) {
+          console.error("AI partial response save error:", saveError);
+          io.to(room).emit("aiMessageCancelled", { messageId, targetMessageId });
+        }
+
+        logDebug("AI response cancelled", {
+          messageId,
+          aiType: aiName,
+          contentLength: partialContent.length,
+          targetMessageId,
+        });
+        return;
+      }
+
       console.error("AI service error:", error);
 
       io.to(room).emit("aiMessageError", {
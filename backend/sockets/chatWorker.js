@@ -119,10 +119,15 @@ async function handleSaveMessage(payload) {
       await savedMessage.populate([
         { path: "sender", select: "name email profileImage" },
         { path: "file", select: "filename originalname mimetype size" },
+        Message.getReplyToPopulate(),
       ]);
 
-      // Redis 캐시 업데이트
+      // Redis 캐시 업데이트 (스레드 답글은 타임라인 캐시에서 제외)
       try {
+        if (savedMessage.parentMessage) {
+          return { success: true, message: savedMessage };
+        }
+
         const redisKey = `room:${room}:messages`;
         const cachedMessages = (await redisClient.get(redisKey)) || [];
 
@@ -180,12 +185,17 @@ async function handleLoadMessages(payload) {
         }
       } else {
         const query = before
-          ? { room: roomId, timestamp: { $lt: new Date(before) } }
-          : { room: roomId };
+          ? {
+              room: roomId,
+              parentMessage: null,
+              timestamp: { $lt: new Date(before) },
+            }
+          : { room: roomId, parentMessage: null };
 
         messages = await Message.find(query)
           .populate("sender", "name email profileImage")
           .populate("file", "filename originalname mimetype size")
+          .populate(Message.getReplyToPopulate())
           .sort({ timestamp: -1 })
           .limit(limit + 1)
           .lean()
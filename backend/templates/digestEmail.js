@@ -0,0 +1,172 @@
+// 읽지 않은 멘션/1:1 메시지 이메일 요약 템플릿 (HTML, 텍스트)
+
+const FREQUENCY_LABELS = {
+  daily: '일간',
+  weekly: '주간'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleString('ko-KR', {
+  timeZone: 'Asia/Seoul',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const getDigestSubject = ({ frequency, mentionTotal, directTotal }) => {
+  const parts = [];
+  if (mentionTotal > 0) parts.push(`멘션 ${mentionTotal}개`);
+  if (directTotal > 0) parts.push(`1:1 메시지 ${directTotal}개`);
+  return `[BootcampChat] ${FREQUENCY_LABELS[frequency] || ''} 요약: 읽지 않은 ${parts.join(', ')}`;
+};
+
+// 표시 개수를 넘는 항목 안내 (멘션 수 또는 1:1 대화방 수 기준)
+const renderMoreText = (hiddenCount) => `외 ${hiddenCount}건의 항목이 더 있습니다.`;
+
+const renderDigestHtml = (data) => {
+  const {
+    userName,
+    frequency,
+    mentions,
+    mentionTotal,
+    directs,
+    directTotal,
+    directRoomTotal,
+    appUrl,
+    settingsUrl,
+    unsubscribeUrl
+  } = data;
+
+  const mentionRows = mentions.map(mention => `
+          <tr>
+            <td style="padding:12px 0;border-bottom:1px solid #eee;">
+              <div style="font-size:14px;color:#222;">
+                <strong>${escapeHtml(mention.actorName)}</strong>님이
+                <strong>${escapeHtml(mention.roomName)}</strong>에서 멘션했습니다.
+              </div>
+              <div style="margin-top:4px;font-size:13px;color:#555;">${escapeHtml(mention.preview)}</div>
+              <div style="margin-top:4px;font-size:12px;color:#999;">
+                ${escapeHtml(formatDate(mention.createdAt))} ·
+                <a href="${escapeHtml(mention.url)}" style="color:#3b82f6;">메시지 보기</a>
+              </div>
+            </td>
+          </tr>`).join('');
+
+  const directRows = directs.map(direct => `
+          <tr>
+            <td style="padding:12px 0;border-bottom:1px solid #eee;">
+              <div style="font-size:14px;color:#222;">
+                <strong>${escapeHtml(direct.partnerName)}</strong>님의 읽지 않은 메시지 ${direct.unreadCount}개
+              </div>
+              <div style="margin-top:4px;font-size:13px;color:#555;">${escapeHtml(direct.preview)}</div>
+              <div style="margin-top:4px;font-size:12px;">
+                <a href="${escapeHtml(direct.url)}" style="color:#3b82f6;">대화 열기</a>
+              </div>
+            </td>
+          </tr>`).join('');
+
+  const renderSection = (title, rows, total, hiddenCount) => (rows ? `
+      <h2 style="margin:24px 0 8px;font-size:16px;color:#222;">${title} (${total})</h2>
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0">${rows}
+      </table>
+      ${hiddenCount > 0 ? `<p style="font-size:13px;color:#777;">${renderMoreText(hiddenCount)}</p>` : ''}` : '');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(getDigestSubject(data))}</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Apple SD Gothic Neo','Malgun Gothic',sans-serif;">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;background:#fff;border-radius:8px;">
+          <tr>
+            <td style="padding:24px;">
+              <h1 style="margin:0;font-size:20px;color:#222;">${escapeHtml(userName)}님, 놓친 메시지가 있습니다</h1>
+              <p style="margin:8px 0 0;font-size:14px;color:#555;">
+                ${FREQUENCY_LABELS[frequency] || ''} 요약 · 아직 읽지 않은 멘션과 1:1 메시지입니다.
+              </p>
+              ${renderSection('멘션', mentionRows, mentionTotal, mentionTotal - mentions.length)}
+              ${renderSection('1:1 메시지', directRows, directTotal, directRoomTotal - directs.length)}
+              <p style="margin:24px 0 0;">
+                <a href="${escapeHtml(appUrl)}/chat-rooms" style="display:inline-block;padding:10px 16px;background:#3b82f6;color:#fff;border-radius:6px;text-decoration:none;font-size:14px;">BootcampChat 열기</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+        <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#999;">
+          이 메일은 이메일 요약을 설정한 사용자에게 발송됩니다.
+          <a href="${escapeHtml(settingsUrl)}" style="color:#999;">발송 주기 변경</a> ·
+          <a href="${escapeHtml(unsubscribeUrl)}" style="color:#999;">수신 거부</a>
+        </p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+};
+
+const renderDigestText = (data) => {
+  const {
+    userName,
+    frequency,
+    mentions,
+    mentionTotal,
+    directs,
+    directTotal,
+    directRoomTotal,
+    appUrl,
+    settingsUrl,
+    unsubscribeUrl
+  } = data;
+
+  const lines = [
+    `${userName}님, 놓친 메시지가 있습니다.`,
+    `${FREQUENCY_LABELS[frequency] || ''} 요약 · 아직 읽지 않은 멘션과 1:1 메시지입니다.`,
+    ''
+  ];
+
+  if (mentions.length > 0) {
+    lines.push(`[멘션 ${mentionTotal}개]`);
+    mentions.forEach(mention => {
+      lines.push(`- ${mention.actorName}님 (${mention.roomName}, ${formatDate(mention.createdAt)})`);
+      lines.push(`  ${mention.preview}`);
+      lines.push(`  ${mention.url}`);
+    });
+    if (mentionTotal > mentions.length) lines.push(renderMoreText(mentionTotal - mentions.length));
+    lines.push('');
+  }
+
+  if (directs.length > 0) {
+    lines.push(`[1:1 메시지 ${directTotal}개]`);
+    directs.forEach(direct => {
+      lines.push(`- ${direct.partnerName}님: 읽지 않은 메시지 ${direct.unreadCount}개`);
+      lines.push(`  ${direct.preview}`);
+      lines.push(`  ${direct.url}`);
+    });
+    if (directRoomTotal > directs.length) lines.push(renderMoreText(directRoomTotal - directs.length));
+    lines.push('');
+  }
+
+  lines.push(`BootcampChat 열기: ${appUrl}/chat-rooms`);
+  lines.push('');
+  lines.push(`발송 주기 변경: ${settingsUrl}`);
+  lines.push(`수신 거부: ${unsubscribeUrl}`);
+  return lines.join('\n');
+};
+
+module.exports = {
+  getDigestSubject,
+  renderDigestHtml,
+  renderDigestText
+};
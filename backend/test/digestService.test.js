@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'digest-test-secret';
+process.env.APP_URL = 'http://app.test';
+process.env.API_URL = 'http://api.test';
+
+const User = require('../models/User');
+const digestService = require('../services/digestService');
+const mailService = require('../services/mailService');
+const { LogTransport, SmtpTransport, createMailTransport } = require('../services/mailTransport');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createUser = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: '테스터',
+  email: 'tester@example.com',
+  digestFrequency: 'daily',
+  lastDigestSentAt: null,
+  ...overrides
+});
+
+// 메일 발송과 사용자 조회/수정을 가로채 sendDigest 동작만 확인
+const setup = (t, { user, mentions, directs }) => {
+  const sent = [];
+  const updates = [];
+  mailService.setTransport({ send: async mail => { sent.push(mail); } });
+  t.after(() => mailService.setTransport(null));
+
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => user })
+  }));
+  t.mock.method(User, 'updateOne', async (filter, update) => { updates.push({ filter, update }); });
+  t.mock.method(digestService, 'collectMentions', async () => mentions);
+  t.mock.method(digestService, 'collectDirectMessages', async () => directs);
+
+  return { sent, updates };
+};
+
+const mentions = {
+  total: 1,
+  items: [{
+    roomName: '일반',
+    actorName: '보낸이',
+    preview: '@테스터 확인 부탁드립니다',
+    url: 'http://app.test/chat?room=1',
+    createdAt: new Date()
+  }]
+};
+const noDirects = { total: 0, roomTotal: 0, items: [] };
+
+test('수신 거부 토큰은 발급한 사용자 ID로 검증됨', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const token = digestService.createUnsubscribeToken(userId);
+
+  assert.equal(digestService.verifyUnsubscribeToken(token), userId);
+  assert.match(digestService.getUnsubscribeUrl(userId), /^http:\/\/api\.test\/api\/digest\/unsubscribe\?token=/);
+});
+
+test('변조되거나 형식이 잘못된 수신 거부 토큰은 거부', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const otherId = new mongoose.Types.ObjectId().toString();
+  const [, signature] = digestService.createUnsubscribeToken(userId).split('.');
+
+  assert.equal(digestService.verifyUnsubscribeToken(`${otherId}.${signature}`), null);
+  assert.equal(digestService.verifyUnsubscribeToken(`${userId}.${signature.slice(1)}`), null);
+  assert.equal(digestService.verifyUnsubscribeToken('not-an-id.abc'), null);
+  assert.equal(digestService.verifyUnsubscribeToken(''), null);
+});
+
+test('읽지 않은 멘션이 있으면 수신 거부 헤더와 함께 발송하고 발송 시각을 기록', async (t) => {
+  const user = createUser();
+  const { sent, updates } = setup(t, { user, mentions, directs: noDirects });
+
+  assert.equal(await digestService.sendDigest(user._id, 'daily'), true);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, user.email);
+  assert.match(sent[0].text, /확인 부탁드립니다/);
+  assert.match(sent[0].html, /확인 부탁드립니다/);
+  assert.equal(
+    sent[0].headers['List-Unsubscribe'],
+    `<${digestService.getUnsubscribeUrl(user._id)}>`
+  );
+  assert.equal(sent[0].headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+  assert.equal(updates.length, 1);
+  assert.ok(updates[0].update.$set.lastDigestSentAt instanceof Date);
+});
+
+test('이번 주기에 이미 보냈으면 발송하지 않음', async (t) => {
+  const user = createUser({ lastDigestSentAt: new Date(Date.now() - DAY / 2) });
+  const { sent, updates } = setup(t, { user, mentions, directs: noDirects });
+
+  assert.equal(await digestService.sendDigest(user._id, 'daily'), false);
+  assert.equal(sent.length, 0);
+  assert.equal(updates.length, 0);
+});
+
+test('보낼 항목이 없거나 설정한 주기가 다르면 발송하지 않음', async (t) => {
+  const user = createUser();
+  const { sent } = setup(t, { user, mentions: { total: 0, items: [] }, directs: noDirects });
+
+  assert.equal(await digestService.sendDigest(user._id, 'daily'), false);
+  assert.equal(await digestService.sendDigest(user._id, 'weekly'), false);
+  assert.equal(sent.length, 0);
+});
+
+test('메일 transport가 없으면 발송하지 않음', async () => {
+  mailService.setTransport(null);
+  assert.equal(await digestService.sendDigest(new mongoose.Types.ObjectId(), 'daily'), false);
+});
+
+test('설정에 맞는 메일 transport 생성', () => {
+  assert.equal(createMailTransport({}), null);
+  assert.ok(createMailTransport({ mailTransport: 'log' }) instanceof LogTransport);
+  assert.ok(createMailTransport({ smtpHost: 'smtp.example.com', smtpPort: 587 }) instanceof SmtpTransport);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.EMBEDDING_PROVIDER = 'mock';
+process.env.RAG_TOP_K = '2';
+process.env.RAG_MIN_SCORE = '0.3';
+
+const DocumentChunk = require('../models/DocumentChunk');
+const embeddingProvider = require('../services/embeddingProvider');
+const documentIndexService = require('../services/documentIndexService');
+
+const chain = (result, calls = []) => ({
+  select(fields) {
+    calls.push(fields);
+    return this;
+  },
+  sort() { return this; },
+  limit() { return this; },
+  lean: async () => result
+});
+
+// 색인된 조각 목록을 메모리에 두고 임베딩만/본문만 조회하는 두 단계 쿼리를 처리
+const setupChunks = async (t, texts) => {
+  const embeddings = await embeddingProvider.get().embed(texts);
+  const chunks = texts.map((content, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    message: new mongoose.Types.ObjectId(),
+    file: new mongoose.Types.ObjectId(),
+    fileName: `doc-${index}.txt`,
+    chunkIndex: 0,
+    content,
+    embedding: embeddings[index]
+  }));
+  const selects = [];
+
+  t.mock.method(DocumentChunk, 'exists', async () => ({ _id: chunks[0]._id }));
+  t.mock.method(DocumentChunk, 'find', (filter) => {
+    if (filter._id) {
+      const ids = filter._id.$in;
+      return chain(
+        chunks
+          .filter(chunk => ids.includes(chunk._id.toString()))
+          .map(({ embedding, ...chunk }) => chunk),
+        selects
+      );
+    }
+    return chain(chunks.map(({ _id, embedding }) => ({ _id, embedding })), selects);
+  });
+
+  return { chunks, selects };
+};
+
+test('짧은 문단은 CHUNK_SIZE 이내로 묶음', () => {
+  const text = ['첫 번째 문단', '두 번째 문단', '세 번째 문단'].join('\r\n\r\n');
+  assert.deepEqual(documentIndexService.chunkText(text), ['첫 번째 문단\n두 번째 문단\n세 번째 문단']);
+  assert.deepEqual(documentIndexService.chunkText(''), []);
+});
+
+test('긴 문단은 겹치게 나누고 조각이 CHUNK_SIZE를 넘지 않음', () => {
+  const paragraph = Array.from({ length: 2500 }, (_, i) => String.fromCharCode(0xac00 + (i % 1000))).join('');
+  const chunks = documentIndexService.chunkText(paragraph);
+
+  assert.equal(chunks.length, 3);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 1000));
+  // 앞 조각의 마지막 150자가 다음 조각의 시작과 겹침
+  assert.equal(chunks[1].slice(0, 150), chunks[0].slice(-150));
+  assert.ok(chunks[2].endsWith(paragraph.slice(-100)));
+});
+
+test('문서당 조각 수는 최대 200개', () => {
+  const text = Array.from({ length: 300 }, (_, i) => `${i} ${'x'.repeat(990)}`).join('\n\n');
+  assert.equal(documentIndexService.chunkText(text).length, 200);
+});
+
+test('코사인 유사도', () => {
+  assert.equal(documentIndexService.cosineSimilarity([1, 0], [1, 0]), 1);
+  assert.equal(documentIndexService.cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(documentIndexService.cosineSimilarity([0, 0], [1, 1]), 0);
+  assert.ok(Math.abs(documentIndexService.cosineSimilarity([1, 1], [2, 2]) - 1) < 1e-12);
+});
+
+test('유사도가 최소값 이상인 조각을 높은 순으로 RAG_TOP_K개까지 반환', async (t) => {
+  const { chunks, selects } = await setupChunks(t, [
+    '서버 배포는 매주 목요일 오후에 진행합니다',
+    '점심 메뉴는 김치찌개입니다',
+    '배포 전에 서버 점검 목록을 확인합니다',
+    '서버 배포 일정은 목요일 오후입니다'
+  ]);
+
+  const results = await documentIndexService.search(new mongoose.Types.ObjectId(), '서버 배포 일정은 언제인가요');
+
+  assert.equal(results.length, 2);
+  assert.ok(results[0].score >= results[1].score);
+  assert.equal(results[0].content, chunks[3].content);
+  results.forEach(result => {
+    assert.ok(result.score >= 0.3);
+    assert.equal(result.embedding, undefined);
+  });
+  assert.equal(results.some(result => result.content === chunks[1].content), false);
+  // 첫 조회는 임베딩만, 두 번째 조회에서 상위 조각의 본문 조회
+  assert.equal(selects[0], 'embedding');
+  assert.ok(!selects[1].includes('embedding'));
+});
+
+test('색인된 문서가 없거나 질문이 비어 있으면 검색하지 않음', async (t) => {
+  const find = t.mock.method(DocumentChunk, 'find', () => chain([]));
+  t.mock.method(DocumentChunk, 'exists', async () => null);
+
+  assert.deepEqual(await documentIndexService.search('room', '   '), []);
+  assert.deepEqual(await documentIndexService.search('room', '질문'), []);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('조각을 파일 메시지별로 묶어 번호를 붙이고 인용한 출처만 남김', () => {
+  const [messageA, messageB, fileA, fileB] = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+  const { documents, sources } = documentIndexService.buildReferences([
+    { message: messageA, file: fileA, fileName: 'a.pdf', chunkIndex: 2, content: 'A2' },
+    { message: messageB, file: fileB, fileName: 'b.txt', chunkIndex: 0, content: 'B0' },
+    { message: messageA, file: fileA, fileName: 'a.pdf', chunkIndex: 0, content: 'A0' }
+  ]);
+
+  assert.deepEqual(documents, [
+    { index: 1, fileName: 'a.pdf', content: 'A0\n...\nA2' },
+    { index: 2, fileName: 'b.txt', content: 'B0' }
+  ]);
+  assert.deepEqual(sources.map(source => source.messageId), [messageA.toString(), messageB.toString()]);
+
+  assert.deepEqual(documentIndexService.pickCitedSources('답변 [2]', sources), [sources[1]]);
+  assert.deepEqual(documentIndexService.pickCitedSources('인용 없음', sources), sources);
+  assert.deepEqual(documentIndexService.pickCitedSources('답변 [1]', []), []);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'invite-test-secret';
+
+const Room = require('../models/Room');
+const Invite = require('../models/Invite');
+const roomListBroadcaster = require('../services/roomListBroadcaster');
+const invitesRouter = require('../routes/api/invites');
+
+const HOUR = 60 * 60 * 1000;
+
+// 인증 미들웨어를 건너뛰고 초대 수락 핸들러만 호출
+const acceptHandler = invitesRouter.stack
+  .find(layer => layer.route?.path === '/:token/accept')
+  .route.stack.at(-1).handle;
+
+const accept = async (token, userId) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await acceptHandler({ params: { token }, user: { id: String(userId) } }, res);
+  return res;
+};
+
+const createInvite = (overrides = {}) => new Invite({
+  token: Invite.generateToken(),
+  room: new mongoose.Types.ObjectId(),
+  creator: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+// 초대/채팅방 조회와 저장을 메모리에서 처리 (consume은 조건부 증가를 흉내)
+const setup = (t, invite, room = new Room({
+  _id: invite.room,
+  name: '초대 테스트',
+  creator: invite.creator,
+  participants: [invite.creator]
+})) => {
+  t.mock.method(Invite, 'findOne', async () => invite);
+  t.mock.method(Invite, 'findById', async () => invite);
+  t.mock.method(Invite, 'consume', async (token, userId) => {
+    if (invite.getStatus() !== 'active' || invite.hasAccepted(userId)) return null;
+    invite.uses += 1;
+    invite.acceptedBy.push(userId);
+    return invite;
+  });
+  t.mock.method(Room, 'findById', async () => room);
+  t.mock.method(Room, 'findByIdAndUpdate', async (id, update) => {
+    room.participants.addToSet(update.$addToSet.participants);
+    return room;
+  });
+  t.mock.method(roomListBroadcaster, 'participantCountChanged', () => {});
+  return { room };
+};
+
+test('초대 링크 상태는 폐기 > 만료 > 소진 순으로 판단', () => {
+  const now = new Date();
+  assert.equal(createInvite().getStatus(now), 'active');
+  assert.equal(createInvite({ maxUses: 2, uses: 1 }).getStatus(now), 'active');
+  assert.equal(createInvite({ maxUses: 2, uses: 2 }).getStatus(now), 'exhausted');
+  assert.equal(createInvite({ expiresAt: new Date(now.getTime() - HOUR) }).getStatus(now), 'expired');
+  assert.equal(
+    createInvite({ maxUses: 1, uses: 1, expiresAt: new Date(now.getTime() - HOUR), revokedAt: now }).getStatus(now),
+    'revoked'
+  );
+});
+
+test('consume은 사용 가능한 링크의 사용 횟수만 원자적으로 증가', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const findOneAndUpdate = t.mock.method(Invite, 'findOneAndUpdate', async () => null);
+
+  await Invite.consume('token', userId);
+
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter.token, 'token');
+  assert.equal(filter.revokedAt, null);
+  assert.deepEqual(filter.acceptedBy, { $ne: userId });
+  assert.deepEqual(filter.$and[1], {
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+  });
+  assert.deepEqual(filter.$and[0].$or[0], { expiresAt: null });
+  assert.ok(filter.$and[0].$or[1].expiresAt.$gt instanceof Date);
+  assert.deepEqual(update, { $inc: { uses: 1 }, $addToSet: { acceptedBy: userId } });
+  assert.deepEqual(options, { new: true });
+});
+
+test('사용 횟수를 모두 쓰면 새 사용자는 입장할 수 없음', async (t) => {
+  const invite = createInvite({ maxUses: 2 });
+  const { room } = setup(t, invite);
+  const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+  assert.equal((await accept(invite.token, first)).statusCode, 200);
+  assert.equal((await accept(invite.token, second)).statusCode, 200);
+
+  const res = await accept(invite.token, third);
+  assert.equal(res.statusCode, 410);
+  assert.equal(res.body.code, 'INVITE_EXHAUSTED');
+  assert.equal(invite.uses, 2);
+  assert.equal(room.participants.some(id => id.equals(third)), false);
+});
+
+test('이미 참여 중이거나 이전에 수락한 사용자는 사용 횟수를 차감하지 않음', async (t) => {
+  const invite = createInvite({ maxUses: 1 });
+  const { room } = setup(t, invite);
+  const userId = new mongoose.Types.ObjectId();
+
+  assert.equal((await accept(invite.token, invite.creator)).statusCode, 200);
+  assert.equal(invite.uses, 0);
+
+  assert.equal((await accept(invite.token, userId)).statusCode, 200);
+  assert.equal(invite.uses, 1);
+
+  // 내보내진 뒤 같은 링크로 재입장 (횟수 제한만 면제)
+  room.participants.pull(userId);
+  assert.equal((await accept(invite.token, userId)).statusCode, 200);
+  assert.equal(invite.uses, 1);
+  assert.ok(room.participants.some(id => id.equals(userId)));
+});
+
+test('폐기되거나 만료된 링크는 이전 수락자도 재입장 불가', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const invite = createInvite({ acceptedBy: [userId], uses: 1, revokedAt: new Date() });
+  setup(t, invite);
+
+  const res = await accept(invite.token, userId);
+  assert.equal(res.statusCode, 410);
+  assert.equal(res.body.code, 'INVITE_REVOKED');
+});
+
+test('초대 링크로도 차단과 채팅 금지는 우회할 수 없음', async (t) => {
+  const invite = createInvite();
+  const banned = new mongoose.Types.ObjectId();
+  const muted = new mongoose.Types.ObjectId();
+  setup(t, invite, new Room({
+    _id: invite.room,
+    name: '초대 테스트',
+    creator: invite.creator,
+    participants: [invite.creator],
+    bans: [{ user: banned, by: invite.creator }],
+    mutes: [{ user: muted, by: invite.creator }]
+  }));
+
+  const bannedRes = await accept(invite.token, banned);
+  assert.equal(bannedRes.statusCode, 403);
+  assert.equal(bannedRes.body.code, 'BANNED');
+
+  const mutedRes = await accept(invite.token, muted);
+  assert.equal(mutedRes.statusCode, 403);
+  assert.equal(mutedRes.body.code, 'MUTED');
+  assert.equal(invite.uses, 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MOCK_AI_CHUNK_DELAY_MS = '1';
+
+const llmProvider = require('../services/llmProvider');
+const MockLLMProvider = require('../services/mockLLMProvider');
+
+const messages = [
+  { role: 'system', content: '당신은 도우미입니다.' },
+  { role: 'user', content: '안녕하세요   반갑습니다' }
+];
+
+test('기본 제공자로 openai와 mock이 등록됨', () => {
+  assert.ok(llmProvider.has('openai'));
+  assert.ok(llmProvider.has('mock'));
+  assert.deepEqual(llmProvider.getNames().sort(), ['mock', 'openai']);
+  assert.ok(llmProvider.get('mock') instanceof MockLLMProvider);
+});
+
+test('등록되지 않은 제공자는 에러', () => {
+  assert.equal(llmProvider.has('unknown'), false);
+  assert.throws(() => llmProvider.get('unknown'), /Unknown LLM provider: unknown/);
+});
+
+test('register로 추가한 제공자를 이름으로 조회', () => {
+  const provider = new MockLLMProvider({ chunkDelay: 0 });
+  llmProvider.register('test-mock', provider);
+  try {
+    assert.equal(llmProvider.get('test-mock'), provider);
+  } finally {
+    llmProvider.providers.delete('test-mock');
+  }
+});
+
+test('mock 제공자는 같은 입력에 같은 응답을 조각 단위로 스트리밍', async () => {
+  const provider = llmProvider.get('mock');
+  const run = async () => {
+    const chunks = [];
+    const result = await provider.streamChat(
+      { messages, model: 'mock-model' },
+      { onChunk: chunk => chunks.push(chunk) }
+    );
+    return { chunks, result };
+  };
+
+  const first = await run();
+  const second = await run();
+
+  assert.ok(first.chunks.length > 1);
+  assert.equal(first.chunks.join(''), first.result.content);
+  assert.equal(first.result.content, second.result.content);
+  assert.match(first.result.content, /^\[mock-model\] /);
+  assert.match(first.result.content, /질문: 안녕하세요 반갑습니다/);
+  assert.ok(first.chunks.some(chunk => chunk.startsWith('```')));
+  assert.equal(first.result.completionTokens, first.chunks.length);
+  assert.ok(first.result.totalTokens > first.result.completionTokens);
+});
+
+test('signal을 중단하면 중단 에러로 종료', async () => {
+  const provider = llmProvider.get('mock');
+  const controller = new AbortController();
+  const chunks = [];
+
+  await assert.rejects(
+    provider.streamChat(
+      { messages, signal: controller.signal },
+      {
+        onChunk: chunk => {
+          chunks.push(chunk);
+          controller.abort();
+        }
+      }
+    ),
+    error => llmProvider.isAbortError(error)
+  );
+  assert.equal(chunks.length, 1);
+});
+
+test('일반 에러는 중단 에러로 보지 않음', () => {
+  assert.equal(llmProvider.isAbortError(new Error('network')), false);
+  assert.equal(llmProvider.isAbortError(Object.assign(new Error('aborted'), { name: 'AbortError' })), true);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.MAX_PINNED_MESSAGES = '3';
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const messagePinService = require('../services/messagePinService');
+
+const createIds = () => ({
+  owner: new mongoose.Types.ObjectId(),
+  moderator: new mongoose.Types.ObjectId(),
+  member: new mongoose.Types.ObjectId()
+});
+
+const createRoom = (ids, overrides = {}) => new Room({
+  name: '고정 테스트',
+  creator: ids.owner,
+  participants: [ids.owner, ids.moderator, ids.member],
+  moderators: [ids.moderator],
+  ...overrides
+});
+
+const createMessage = (room, overrides = {}) => new Message({
+  room: room._id.toString(),
+  type: 'text',
+  content: '고정할 메시지',
+  ...overrides
+});
+
+// 조회는 메모리의 채팅방/메시지로, 고정 추가는 findOneAndUpdate 조건(한도, 중복)을 적용해 처리
+const setup = (t, room, messages) => {
+  const messageMap = new Map(messages.map(message => [message._id.toString(), message]));
+
+  t.mock.method(Message, 'findOne', ({ _id }) => ({
+    select: async () => messageMap.get(String(_id)) || null
+  }));
+  t.mock.method(Room, 'findOne', ({ participants }) => ({
+    select: async () => (room.participants.some(id => id.equals(participants)) ? room : null)
+  }));
+  const update = t.mock.method(Room, 'findOneAndUpdate', async (filter, change) => {
+    if (change.$push) {
+      const messageId = change.$push.pinnedMessages.$each[0];
+      const limit = filter.$expr.$lt[1];
+      if (room.pinnedMessages.some(id => id.equals(messageId)) || room.pinnedMessages.length >= limit) {
+        return null;
+      }
+      room.pinnedMessages.unshift(messageId);
+      return room;
+    }
+    if (!room.pinnedMessages.some(id => id.equals(change.$pull.pinnedMessages))) return null;
+    room.pinnedMessages.pull(change.$pull.pinnedMessages);
+    return room;
+  });
+
+  return { update };
+};
+
+const pin = (message, actorId) => messagePinService.pin({
+  messageId: message._id.toString(),
+  actorId: actorId.toString()
+});
+
+const assertRejects = (promise, status, code) => assert.rejects(
+  promise,
+  error => error.status === status && error.code === code
+);
+
+test('채팅방 한도를 넘으면 고정할 수 없음', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids, { pinLimit: 2 });
+  const messages = [1, 2, 3].map(() => createMessage(room));
+  const { update } = setup(t, room, messages);
+
+  await pin(messages[0], ids.owner);
+  await pin(messages[1], ids.moderator);
+  await assertRejects(pin(messages[2], ids.owner), 409, 'PIN_LIMIT_REACHED');
+
+  assert.equal(update.mock.calls[0].arguments[0].$expr.$lt[1], 2);
+  assert.deepEqual(
+    room.pinnedMessages.map(id => id.toString()),
+    [messages[1]._id.toString(), messages[0]._id.toString()]
+  );
+});
+
+test('채팅방 한도를 지정하지 않으면 MAX_PINNED_MESSAGES 사용', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  const messages = [1, 2, 3, 4].map(() => createMessage(room));
+  setup(t, room, messages);
+
+  assert.equal(room.getPinLimit(), 3);
+  for (const message of messages.slice(0, 3)) {
+    await pin(message, ids.owner);
+  }
+  await assertRejects(pin(messages[3], ids.owner), 409, 'PIN_LIMIT_REACHED');
+});
+
+test('이미 고정된 메시지는 다시 고정할 수 없음', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  const message = createMessage(room);
+  setup(t, room, [message]);
+
+  await pin(message, ids.owner);
+  await assertRejects(pin(message, ids.owner), 409, 'ALREADY_PINNED');
+  assert.equal(room.pinnedMessages.length, 1);
+});
+
+test('그룹 채팅방은 방장/관리자만, 1:1 대화방은 두 참여자 모두 고정 가능', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  const message = createMessage(room);
+  setup(t, room, [message]);
+
+  await assertRejects(pin(message, ids.member), 403, 'FORBIDDEN');
+  await assertRejects(pin(message, new mongoose.Types.ObjectId()), 403, 'FORBIDDEN');
+
+  const direct = createRoom(ids, { type: 'direct', participants: [ids.owner, ids.member], moderators: [] });
+  assert.ok(direct.canPin(ids.owner));
+  assert.ok(direct.canPin(ids.member));
+  assert.equal(direct.canPin(ids.moderator), false);
+});
+
+test('시스템 메시지와 스레드 답글은 고정할 수 없음', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  const system = createMessage(room, { type: 'system' });
+  const reply = createMessage(room, { parentMessage: new mongoose.Types.ObjectId() });
+  setup(t, room, [system, reply]);
+
+  await assertRejects(pin(system, ids.owner), 400, 'INVALID_MESSAGE');
+  await assertRejects(pin(reply, ids.owner), 400, 'INVALID_MESSAGE');
+  assert.equal(room.pinnedMessages.length, 0);
+});
+
+test('고정 해제 후에는 한도 안에서 다시 고정 가능', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids, { pinLimit: 1 });
+  const [first, second] = [createMessage(room), createMessage(room)];
+  setup(t, room, [first, second]);
+
+  await pin(first, ids.owner);
+  await assertRejects(pin(second, ids.owner), 409, 'PIN_LIMIT_REACHED');
+
+  await messagePinService.unpin({ messageId: first._id.toString(), actorId: ids.owner.toString() });
+  await assertRejects(
+    messagePinService.unpin({ messageId: first._id.toString(), actorId: ids.owner.toString() }),
+    404,
+    'NOT_PINNED'
+  );
+  await pin(second, ids.owner);
+  assert.deepEqual(room.pinnedMessages.map(id => id.toString()), [second._id.toString()]);
+});
+
+test('고정 한도 입력값은 1~50 사이의 정수', () => {
+  assert.equal(messagePinService.parsePinLimit(null), null);
+  assert.equal(messagePinService.parsePinLimit(''), null);
+  assert.equal(messagePinService.parsePinLimit('5'), 5);
+  [0, 51, 2.5, 'abc'].forEach(value => {
+    assert.throws(
+      () => messagePinService.parsePinLimit(value),
+      { status: 400, code: 'INVALID_PIN_LIMIT' }
+    );
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const messageSearchService = require('../services/messageSearchService');
+
+const roomId = new mongoose.Types.ObjectId().toString();
+
+const assertInvalid = (params, code) => assert.throws(
+  () => messageSearchService.buildFilter(roomId, params),
+  { status: 400, code }
+);
+
+test('영문 검색어는 텍스트 인덱스로 검색', () => {
+  const { filter, terms, useTextIndex } = messageSearchService.buildFilter(roomId, {
+    q: '  Deploy "release notes" -draft '
+  });
+
+  assert.equal(useTextIndex, true);
+  assert.deepEqual(filter.$text, { $search: 'Deploy "release notes" -draft' });
+  assert.deepEqual(terms, ['deploy', 'release', 'notes']);
+  assert.equal(filter.room, roomId);
+  assert.equal(filter.isDeleted, false);
+  assert.deepEqual(filter.type, { $in: ['text', 'file', 'ai'] });
+});
+
+test('한글 검색어는 모든 단어를 포함하는 부분 일치로 검색', () => {
+  const { filter, useTextIndex } = messageSearchService.buildFilter(roomId, { q: '배포 일정(안)' });
+
+  assert.equal(useTextIndex, false);
+  assert.equal(filter.$text, undefined);
+  assert.deepEqual(filter.$and, [
+    { content: { $regex: '배포', $options: 'i' } },
+    { content: { $regex: '일정\\(안\\)', $options: 'i' } }
+  ]);
+});
+
+test('검색 조건 필터', () => {
+  const sender = new mongoose.Types.ObjectId().toString();
+  const { filter } = messageSearchService.buildFilter(roomId, {
+    q: 'report',
+    type: 'file',
+    sender,
+    hasFile: 'true',
+    from: '2026-01-01',
+    to: '2026-01-31'
+  });
+
+  assert.equal(filter.type, 'file');
+  assert.equal(filter.sender.toString(), sender);
+  assert.deepEqual(filter.file, { $ne: null });
+  assert.deepEqual(filter.timestamp, {
+    $gte: new Date('2026-01-01'),
+    $lte: new Date('2026-01-31')
+  });
+});
+
+test('커서 이후의 메시지만 조회', () => {
+  const message = { _id: new mongoose.Types.ObjectId(), timestamp: new Date('2026-01-02T03:04:05Z') };
+  const cursor = messageSearchService.encodeCursor(message);
+  const { filter } = messageSearchService.buildFilter(roomId, { q: 'report', cursor });
+
+  assert.deepEqual(filter.$or, [
+    { timestamp: { $lt: message.timestamp } },
+    { timestamp: message.timestamp, _id: { $lt: message._id } }
+  ]);
+});
+
+test('잘못된 검색 조건은 400 에러', () => {
+  assertInvalid({}, 'INVALID_QUERY');
+  assertInvalid({ q: '   ' }, 'INVALID_QUERY');
+  assertInvalid({ q: '-초안' }, 'INVALID_QUERY');
+  assertInvalid({ q: ['a', 'b'] }, 'INVALID_QUERY');
+  assertInvalid({ q: 'a', type: 'system' }, 'INVALID_TYPE');
+  assertInvalid({ q: 'a', type: ['text'] }, 'INVALID_TYPE');
+  assertInvalid({ q: 'a', sender: 'nobody' }, 'INVALID_SENDER');
+  assertInvalid({ q: 'a', from: 'yesterday' }, 'INVALID_DATE');
+  assertInvalid({ q: 'a', to: ['2026-01-01'] }, 'INVALID_DATE');
+  assertInvalid({ q: 'a', cursor: 'broken' }, 'INVALID_CURSOR');
+  assertInvalid({ q: 'a', cursor: ['broken'] }, 'INVALID_CURSOR');
+});
+
+test('스니펫은 첫 일치 위치 주변을 자르고 일치 구간을 표시', () => {
+  const content = `${'가'.repeat(100)} 배포 일정 공유 ${'나'.repeat(200)}`;
+  const { text, highlights } = messageSearchService.buildSnippet(content, ['배포', '일정']);
+
+  assert.ok(text.startsWith('…'));
+  assert.ok(text.endsWith('…'));
+  assert.equal(highlights.length, 2);
+  highlights.forEach(({ start, end }) => {
+    assert.ok(['배포', '일정'].includes(text.slice(start, end)));
+  });
+});
+
+test('겹치는 일치 구간은 하나로 병합', () => {
+  const { text, highlights } = messageSearchService.buildSnippet('Release notes', ['release', 'lease']);
+
+  assert.equal(text, 'Release notes');
+  assert.deepEqual(highlights, [{ start: 0, end: 7 }]);
+});
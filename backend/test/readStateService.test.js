@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const RoomReadState = require('../models/RoomReadState');
+const readStateService = require('../services/readStateService');
+
+const chain = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result
+});
+
+test('읽지 않은 메시지는 다른 사람이 보낸 타임라인 메시지만 계산', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const filter = readStateService.buildUnreadFilter(userId);
+
+  assert.equal(filter.sender.$ne.toString(), userId);
+  assert.deepEqual(filter.type, { $ne: 'system' });
+  assert.equal(filter.isDeleted, false);
+  assert.equal(filter.parentMessage, null);
+});
+
+test('읽음 위치가 있으면 그 이후 메시지, 없으면 이전 방식의 readers로 판단', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const lastReadAt = new Date();
+
+  assert.deepEqual(readStateService.buildCursorFilter(userId, lastReadAt), {
+    timestamp: { $gt: lastReadAt }
+  });
+  assert.equal(
+    readStateService.buildCursorFilter(userId, null)['readers.userId'].$ne.toString(),
+    userId
+  );
+});
+
+test('읽음 위치는 앞으로만 이동', async (t) => {
+  const previous = new Date('2026-01-02T00:00:00Z');
+  const findOneAndUpdate = t.mock.method(RoomReadState, 'findOneAndUpdate', () => chain({ lastReadAt: previous }));
+
+  assert.equal(await readStateService.advance('user', 'room', new Date('2026-01-01T00:00:00Z')), null);
+  assert.equal(await readStateService.advance('user', 'room', previous), null);
+
+  const next = new Date('2026-01-03T00:00:00Z');
+  assert.equal(await readStateService.advance('user', 'room', next), next);
+  assert.deepEqual(findOneAndUpdate.mock.calls[2].arguments[1].$max, { lastReadAt: next });
+});
+
+test('처음 읽는 채팅방은 읽음 위치를 새로 만듦', async (t) => {
+  t.mock.method(RoomReadState, 'findOneAndUpdate', () => chain(null));
+  const timestamp = new Date();
+  assert.equal(await readStateService.advance('user', 'room', timestamp), timestamp);
+});
+
+test('표시된 메시지 중 가장 최근 타임라인 메시지까지 읽음 처리하고 스레드 답글은 따로 기록', async (t) => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const roomId = new mongoose.Types.ObjectId().toString();
+  const latest = { _id: new mongoose.Types.ObjectId(), room: roomId, timestamp: new Date('2026-01-03') };
+  const reply = {
+    _id: new mongoose.Types.ObjectId(),
+    room: roomId,
+    timestamp: new Date('2026-01-04'),
+    parentMessage: new mongoose.Types.ObjectId()
+  };
+  const older = { _id: new mongoose.Types.ObjectId(), room: roomId, timestamp: new Date('2026-01-01') };
+
+  t.mock.method(Message, 'find', () => chain([reply, latest, older]));
+  t.mock.method(Room, 'exists', async () => ({ _id: roomId }));
+  const updateMany = t.mock.method(Message, 'updateMany', async () => ({}));
+  const advance = t.mock.method(readStateService, 'advance', async (user, room, timestamp) => timestamp);
+
+  const result = await readStateService.markRead(userId, [
+    latest._id.toString(),
+    reply._id.toString(),
+    older._id.toString(),
+    'not-an-id'
+  ]);
+
+  assert.equal(result.roomId, roomId);
+  assert.equal(result.lastReadAt, latest.timestamp);
+  assert.deepEqual(result.threadReplyIds, [reply._id.toString()]);
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0]._id, { $in: [reply._id.toString()] });
+  assert.equal(advance.mock.calls[0].arguments[2], latest.timestamp);
+});
+
+test('참여하지 않은 채팅방의 메시지는 읽음 처리하지 않음', async (t) => {
+  const roomId = new mongoose.Types.ObjectId().toString();
+  t.mock.method(Message, 'find', () => chain([
+    { _id: new mongoose.Types.ObjectId(), room: roomId, timestamp: new Date() }
+  ]));
+  t.mock.method(Room, 'exists', async () => null);
+  const advance = t.mock.method(readStateService, 'advance', async () => new Date());
+
+  const result = await readStateService.markRead(new mongoose.Types.ObjectId().toString(), [
+    new mongoose.Types.ObjectId().toString()
+  ]);
+
+  assert.equal(result, null);
+  assert.equal(advance.mock.callCount(), 0);
+  assert.equal(await readStateService.markRead('user', ['not-an-id']), null);
+});
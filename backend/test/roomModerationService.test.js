@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const roomModerationService = require('../services/roomModerationService');
+
+const MINUTE = 60 * 1000;
+
+const createIds = () => ({
+  owner: new mongoose.Types.ObjectId(),
+  moderator: new mongoose.Types.ObjectId(),
+  member: new mongoose.Types.ObjectId(),
+  other: new mongoose.Types.ObjectId()
+});
+
+const createRoom = (ids, overrides = {}) => new Room({
+  name: '테스트 채팅방',
+  creator: ids.owner,
+  participants: [ids.owner, ids.moderator, ids.member, ids.other],
+  moderators: [ids.moderator],
+  ...overrides
+});
+
+// 채팅방/사용자 조회와 저장을 가로채 권한과 제재 규칙만 확인
+const setup = (t, room) => {
+  const saved = [];
+  t.mock.method(Room, 'findById', () => ({ select: () => room }));
+  t.mock.method(User, 'findById', (id) => ({
+    select: async () => ({ _id: id, name: '대상' })
+  }));
+  t.mock.method(Message, 'create', async (data) => data);
+  t.mock.method(room, 'save', async () => {
+    saved.push(room.toObject());
+    return room;
+  });
+  return { saved };
+};
+
+const assertRejects = (promise, status, code) => assert.rejects(
+  promise,
+  error => error.status === status && error.code === code
+);
+
+test('역할은 방장 > 관리자 > 일반 참여자 순서', () => {
+  const ids = createIds();
+  const room = createRoom(ids);
+
+  assert.equal(room.getRole(ids.owner), 'owner');
+  assert.equal(room.getRole(ids.moderator), 'moderator');
+  assert.equal(room.getRole(ids.member), 'member');
+
+  assert.ok(room.isModerator(ids.owner));
+  assert.ok(room.isModerator(ids.moderator));
+  assert.equal(room.isModerator(ids.member), false);
+
+  assert.ok(room.outranks(ids.owner, ids.moderator));
+  assert.ok(room.outranks(ids.moderator, ids.member));
+  assert.equal(room.outranks(ids.moderator, ids.owner), false);
+  assert.equal(room.outranks(ids.member, ids.other), false);
+});
+
+test('1:1 대화방의 두 참여자는 모두 일반 참여자', () => {
+  const ids = createIds();
+  const room = createRoom(ids, {
+    type: 'direct',
+    participants: [ids.owner, ids.member],
+    moderators: []
+  });
+
+  assert.equal(room.getRole(ids.owner), 'member');
+  assert.equal(room.getRole(ids.member), 'member');
+  assert.equal(room.isModerator(ids.owner), false);
+});
+
+test('자신보다 낮은 역할의 참여자만 제재 가능', () => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  const check = (actor, target) => () => roomModerationService.assertCanModerate(room, actor, target);
+
+  assert.doesNotThrow(check(ids.owner, ids.moderator));
+  assert.doesNotThrow(check(ids.moderator, ids.member));
+  assert.throws(check(ids.moderator, ids.moderator), { code: 'SELF_TARGET' });
+  assert.throws(check(ids.member, ids.other), { status: 403, code: 'FORBIDDEN' });
+  assert.throws(check(ids.moderator, ids.owner), { status: 403, code: 'FORBIDDEN' });
+});
+
+test('제재 기간은 양의 정수(분)만 허용하고 없으면 무기한', () => {
+  assert.equal(roomModerationService.parseExpiresAt(undefined), null);
+  assert.equal(roomModerationService.parseExpiresAt(''), null);
+
+  const before = Date.now();
+  const expiresAt = roomModerationService.parseExpiresAt(10);
+  assert.ok(expiresAt.getTime() >= before + 10 * MINUTE);
+
+  [0, -5, 1.5, 'abc', 60 * 24 * 365 + 1].forEach(value => {
+    assert.throws(
+      () => roomModerationService.parseExpiresAt(value),
+      { status: 400, code: 'INVALID_DURATION' }
+    );
+  });
+});
+
+test('만료된 차단과 채팅 금지는 적용되지 않고 정리됨', () => {
+  const ids = createIds();
+  const room = createRoom(ids, {
+    bans: [
+      { user: ids.member, by: ids.owner, expiresAt: new Date(Date.now() - MINUTE) },
+      { user: ids.other, by: ids.owner, expiresAt: null }
+    ],
+    mutes: [
+      { user: ids.member, by: ids.owner, expiresAt: new Date(Date.now() - MINUTE) },
+      { user: ids.other, by: ids.owner, expiresAt: new Date(Date.now() + MINUTE) }
+    ]
+  });
+
+  assert.equal(room.getActiveBan(ids.member), null);
+  assert.ok(room.getActiveBan(ids.other));
+  assert.equal(room.getActiveMute(ids.member), null);
+  assert.ok(room.getActiveMute(ids.other));
+  assert.deepEqual(room.getActiveMutes().map(mute => String(mute.user)), [String(ids.other)]);
+
+  room.pruneRestrictions();
+  assert.deepEqual(room.bans.map(ban => String(ban.user)), [String(ids.other)]);
+  assert.deepEqual(room.mutes.map(mute => String(mute.user)), [String(ids.other)]);
+});
+
+test('차단하면 참여자와 관리자 목록에서 제외하고 기존 차단을 교체', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids, {
+    bans: [{ user: ids.moderator, by: ids.owner, expiresAt: new Date(Date.now() + MINUTE) }]
+  });
+  const { saved } = setup(t, room);
+
+  const state = await roomModerationService.ban({
+    roomId: room._id.toString(),
+    actorId: ids.owner.toString(),
+    targetId: ids.moderator.toString(),
+    durationMinutes: 30
+  });
+
+  assert.equal(saved.length, 1);
+  assert.equal(room.participants.some(id => id.equals(ids.moderator)), false);
+  assert.deepEqual(state.moderators, []);
+  assert.equal(room.bans.length, 1);
+  assert.ok(room.getActiveBan(ids.moderator).expiresAt.getTime() > Date.now() + 29 * MINUTE);
+});
+
+test('관리자는 방장이나 다른 관리자를 채팅 금지할 수 없음', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids, { moderators: [ids.moderator, ids.other] });
+  const { saved } = setup(t, room);
+
+  await assertRejects(roomModerationService.mute({
+    roomId: room._id.toString(),
+    actorId: ids.moderator.toString(),
+    targetId: ids.owner.toString()
+  }), 403, 'FORBIDDEN');
+  await assertRejects(roomModerationService.mute({
+    roomId: room._id.toString(),
+    actorId: ids.moderator.toString(),
+    targetId: ids.other.toString()
+  }), 403, 'FORBIDDEN');
+  assert.equal(saved.length, 0);
+
+  const state = await roomModerationService.mute({
+    roomId: room._id.toString(),
+    actorId: ids.moderator.toString(),
+    targetId: ids.member.toString()
+  });
+  assert.deepEqual(state.mutes, [{ user: ids.member.toString(), expiresAt: null }]);
+});
+
+test('역할 변경은 방장만 가능', async (t) => {
+  const ids = createIds();
+  const room = createRoom(ids);
+  setup(t, room);
+
+  await assertRejects(roomModerationService.setRole({
+    roomId: room._id.toString(),
+    actorId: ids.moderator.toString(),
+    targetId: ids.member.toString(),
+    role: 'moderator'
+  }), 403, 'FORBIDDEN');
+  await assertRejects(roomModerationService.setRole({
+    roomId: room._id.toString(),
+    actorId: ids.owner.toString(),
+    targetId: ids.member.toString(),
+    role: 'owner'
+  }), 400, 'INVALID_ROLE');
+
+  const state = await roomModerationService.setRole({
+    roomId: room._id.toString(),
+    actorId: ids.owner.toString(),
+    targetId: ids.member.toString(),
+    role: 'moderator'
+  });
+  assert.deepEqual(state.moderators.sort(), [ids.moderator.toString(), ids.member.toString()].sort());
+});
@@ -141,6 +141,54 @@ class RedisClient {
     }
   }
 
+  async hSet(key, field, value) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const stringValue =
+        typeof value === "object" ? JSON.stringify(value) : String(value);
+      return await this.client.hSet(key, field, stringValue);
+    } catch (error) {
+      console.error("Redis hSet error:", error);
+      throw error;
+    }
+  }
+
+  async hGetAll(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const values = await this.client.hGetAll(key);
+      return Object.entries(values || {}).reduce((result, [field, value]) => {
+        try {
+          result[field] = JSON.parse(value);
+        } catch (parseError) {
+          result[field] = value;
+        }
+        return result;
+      }, {});
+    } catch (error) {
+      console.error("Redis hGetAll error:", error);
+      throw error;
+    }
+  }
+
+  async hDel(key, field) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.hDel(key, field);
+    } catch (error) {
+      console.error("Redis hDel error:", error);
+      throw error;
+    }
+  }
+
   async quit() {
     if (this.client) {
       try {
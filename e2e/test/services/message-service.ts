@@ -6,12 +6,14 @@ import * as dotenv from 'dotenv';
 dotenv.config();
 
 export class MessageService {
-  private openai: OpenAI;
+  private openai: OpenAI | null;
 
   constructor() {
-    this.openai = new OpenAI({ 
-      apiKey: process.env.OPENAI_API_KEY 
-    });
+    // API 키가 없거나 AI_PROVIDER=mock이면 메시지를 생성하지 않고 프롬프트를 그대로 사용 (오프라인 실행)
+    const apiKey = process.env.OPENAI_API_KEY;
+    this.openai = apiKey && process.env.AI_PROVIDER !== 'mock'
+      ? new OpenAI({ apiKey })
+      : null;
   }
 
   async generateMessage(
@@ -45,6 +47,10 @@ export class MessageService {
         }
       }
 
+      if (!this.openai) {
+        return finalPrompt;
+      }
+
       // OpenAI API 호출
       try {
         const completion = await this.openai.chat.completions.create({
@@ -0,0 +1,192 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Button,
+  Input,
+  Text,
+  FormGroup,
+  Label
+} from '@goorm-dev/vapor-components';
+
+const HANDLE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{1,29}$/;
+const SYSTEM_PROMPT_MAX_LENGTH = 4000;
+
+const toFormValues = (persona) => ({
+  name: persona?.name || '',
+  handle: persona?.handle || '',
+  systemPrompt: persona?.systemPrompt || '',
+  tone: persona?.tone || '',
+  provider: persona?.provider || '',
+  model: persona?.model || '',
+  temperature: String(persona?.temperature ?? 0.7)
+});
+
+// AI 만들기/수정 폼 (멘션 이름은 만들 때만 입력)
+const AIPersonaForm = ({
+  persona = null,
+  providers = [],
+  models = [],
+  saving = false,
+  onSubmit = () => {},
+  onCancel = () => {}
+}) => {
+  const [values, setValues] = useState(() => toFormValues(persona));
+  const isEdit = !!persona;
+  // 허용 목록에서 빠진 기존 모델도 선택 상태로 표시
+  const modelOptions = values.model && !models.includes(values.model)
+    ? [...models, values.model]
+    : models;
+
+  const temperature = Number(values.temperature);
+  const invalidTemperature = values.temperature === '' || Number.isNaN(temperature)
+    || temperature < 0 || temperature > 2;
+  const invalidHandle = !isEdit && !HANDLE_PATTERN.test(values.handle);
+  const canSubmit = values.name.trim() && values.systemPrompt.trim()
+    && !invalidHandle && !invalidTemperature;
+
+  const handleChange = useCallback((field) => (e) => {
+    const { value } = e.target;
+    setValues(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+
+    const { handle, ...fields } = values;
+    onSubmit({
+      ...fields,
+      ...(isEdit ? {} : { handle: handle.trim() }),
+      name: fields.name.trim(),
+      temperature: Number(fields.temperature)
+    });
+  }, [values, isEdit, onSubmit]);
+
+  return (
+    <form onSubmit={handleSubmit} className="ai-persona-form">
+      <FormGroup>
+        <Label for="aiPersonaName">이름</Label>
+        <Input
+          id="aiPersonaName"
+          value={values.name}
+          onChange={handleChange('name')}
+          placeholder="예: Review AI"
+          maxLength={50}
+          disabled={saving}
+        />
+      </FormGroup>
+
+      <FormGroup>
+        <Label for="aiPersonaHandle">멘션 이름</Label>
+        <Input
+          id="aiPersonaHandle"
+          value={values.handle}
+          onChange={handleChange('handle')}
+          placeholder="예: reviewAI"
+          maxLength={30}
+          disabled={saving || isEdit}
+        />
+        <Text size="xs" color="secondary">
+          {isEdit
+            ? '멘션 이름은 변경할 수 없습니다.'
+            : '채팅에서 @멘션 이름으로 호출합니다. 영문으로 시작하는 영문, 숫자, 밑줄 2~30자'}
+        </Text>
+      </FormGroup>
+
+      <FormGroup>
+        <Label for="aiPersonaSystemPrompt">시스템 프롬프트</Label>
+        <textarea
+          id="aiPersonaSystemPrompt"
+          className="form-control ai-persona-prompt"
+          value={values.systemPrompt}
+          onChange={handleChange('systemPrompt')}
+          placeholder="AI의 역할과 답변 방식을 설명하세요."
+          maxLength={SYSTEM_PROMPT_MAX_LENGTH}
+          rows={6}
+          disabled={saving}
+        />
+      </FormGroup>
+
+      <FormGroup>
+        <Label for="aiPersonaTone">톤</Label>
+        <Input
+          id="aiPersonaTone"
+          value={values.tone}
+          onChange={handleChange('tone')}
+          placeholder="예: 간결하고 친근한 톤"
+          maxLength={100}
+          disabled={saving}
+        />
+      </FormGroup>
+
+      <div className="ai-persona-form-row">
+        <FormGroup>
+          <Label for="aiPersonaProvider">제공자</Label>
+          <select
+            id="aiPersonaProvider"
+            value={values.provider}
+            onChange={handleChange('provider')}
+            className="search-filter"
+            disabled={saving}
+          >
+            <option value="">서버 기본값</option>
+            {providers.map(provider => (
+              <option key={provider} value={provider}>{provider}</option>
+            ))}
+          </select>
+        </FormGroup>
+
+        <FormGroup>
+          <Label for="aiPersonaModel">모델</Label>
+          <select
+            id="aiPersonaModel"
+            value={values.model}
+            onChange={handleChange('model')}
+            className="search-filter"
+            disabled={saving}
+          >
+            <option value="">서버 기본값</option>
+            {modelOptions.map(model => (
+              <option key={model} value={model}>{model}</option>
+            ))}
+          </select>
+        </FormGroup>
+
+        <FormGroup>
+          <Label for="aiPersonaTemperature">temperature</Label>
+          <Input
+            id="aiPersonaTemperature"
+            type="number"
+            min={0}
+            max={2}
+            step={0.1}
+            value={values.temperature}
+            onChange={handleChange('temperature')}
+            disabled={saving}
+          />
+        </FormGroup>
+      </div>
+
+      <div className="profile-actions">
+        <Button
+          type="submit"
+          variant="primary"
+          size="sm"
+          disabled={saving || !canSubmit}
+        >
+          {saving ? '저장 중...' : isEdit ? '수정' : '만들기'}
+        </Button>
+        &nbsp;&nbsp;
+        <Button
+          type="button"
+          variant="secondary"
+          size="sm"
+          onClick={onCancel}
+          disabled={saving}
+        >
+          취소
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default AIPersonaForm;
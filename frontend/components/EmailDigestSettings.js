@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text, FormGroup, Label } from '@goorm-dev/vapor-components';
+import axiosInstance from '../services/axios';
+import { Toast } from './Toast';
+
+const DIGEST_FREQUENCY_OPTIONS = [
+  { value: 'off', label: '받지 않음' },
+  { value: 'daily', label: '매일' },
+  { value: 'weekly', label: '매주' }
+];
+
+// 읽지 않은 멘션/1:1 메시지 이메일 요약 발송 주기 설정
+const EmailDigestSettings = () => {
+  const [frequency, setFrequency] = useState('off');
+  const [enabled, setEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchSettings = async () => {
+      try {
+        const response = await axiosInstance.get('/api/users/me/digest');
+        if (!cancelled && response.data?.success) {
+          setFrequency(response.data.data.digestFrequency);
+          setEnabled(response.data.data.enabled);
+        }
+      } catch (error) {
+        console.error('Digest settings fetch error:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSettings();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleChange = useCallback(async (e) => {
+    const nextFrequency = e.target.value;
+    const previous = frequency;
+
+    setFrequency(nextFrequency);
+    setSaving(true);
+    try {
+      await axiosInstance.put('/api/users/me/digest', { digestFrequency: nextFrequency });
+      Toast.success(nextFrequency === 'off'
+        ? '이메일 요약을 껐습니다.'
+        : '이메일 요약 설정이 변경되었습니다.');
+    } catch (error) {
+      console.error('Digest settings update error:', error);
+      setFrequency(previous);
+      Toast.error(error.response?.data?.message || '이메일 요약 설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  }, [frequency]);
+
+  if (loading) return null;
+
+  return (
+    <FormGroup className="digest-settings">
+      <Label htmlFor="digestFrequency">이메일 요약 (읽지 않은 멘션과 1:1 메시지)</Label>
+      <select
+        id="digestFrequency"
+        value={frequency}
+        onChange={handleChange}
+        className="search-filter"
+        disabled={saving}
+      >
+        {DIGEST_FREQUENCY_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {!enabled && (
+        <Text typography="body2" className="text-secondary">
+          서버에 메일 발송이 설정되어 있지 않아 현재는 요약 메일이 발송되지 않습니다.
+        </Text>
+      )}
+    </FormGroup>
+  );
+};
+
+export default EmailDigestSettings;
@@ -10,6 +10,7 @@ import {
  DropdownItem
 } from '@goorm-dev/vapor-components';
 import PersistentAvatar from './common/PersistentAvatar';
+import NotificationInbox from './NotificationInbox';
 import authService from '../services/authService';
 
 const Navbar = () => {
@@ -64,6 +65,7 @@ const Navbar = () => {
  };
 
  const isInChatRooms = router.pathname === '/chat-rooms';
+ const isInSaved = router.pathname === '/saved';
 
  return (
    <nav className="global-nav">
@@ -102,6 +104,13 @@ const Navbar = () => {
                >
                  채팅방 목록
                </Button>
+               <Button
+                 variant={isInSaved ? "primary" : "text"}
+                 onClick={() => handleNavigation('/saved')}
+                 size="lg"
+               >
+                 저장한 메시지
+               </Button>
                <Button
                  variant="secondary"
                  onClick={() => handleNavigation('/chat-rooms/new')}
@@ -114,6 +123,7 @@ const Navbar = () => {
          </div>
 
          <div className="nav-user">
+           {currentUser && <NotificationInbox currentUser={currentUser} />}
            {currentUser ? (
              <Dropdown
                isOpen={dropdownOpen}
@@ -138,6 +148,16 @@ const Navbar = () => {
                  >
                    프로필
                  </DropdownItem>
+                 <DropdownItem
+                   onClick={() => handleNavigation('/saved')}
+                 >
+                   저장한 메시지
+                 </DropdownItem>
+                 <DropdownItem
+                   onClick={() => handleNavigation('/ai-personas')}
+                 >
+                   AI 관리
+                 </DropdownItem>
                  <DropdownItem divider />
                  <DropdownItem
                    onClick={handleLogout}
@@ -0,0 +1,142 @@
+import React, { useState, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import {
+  Button,
+  Dropdown,
+  DropdownToggle,
+  DropdownMenu
+} from '@goorm-dev/vapor-components';
+import { Bell, AtSign } from 'lucide-react';
+import PersistentAvatar from './common/PersistentAvatar';
+import { useNotifications } from '../hooks/useNotifications';
+
+const MAX_BADGE_COUNT = 99;
+
+const formatNotificationTime = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return '방금 전';
+  if (minutes < 60) return `${minutes}분 전`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}시간 전`;
+  return new Date(date).toLocaleDateString('ko-KR');
+};
+
+// 멘션 알림함 (상단 네비게이션 바)
+const NotificationInbox = ({ currentUser }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const router = useRouter();
+  const activeRoomId = router.pathname === '/chat' ? router.query.room : null;
+
+  const {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    loaded,
+    loadNotifications,
+    loadMore,
+    markRead,
+    markAllRead
+  } = useNotifications(currentUser, activeRoomId);
+
+  const toggle = useCallback(() => {
+    setIsOpen(prev => {
+      if (!prev) loadNotifications();
+      return !prev;
+    });
+  }, [loadNotifications]);
+
+  // 알림을 읽음 처리하고 원본 메시지로 이동 (스레드 답글은 스레드를 열어서 표시)
+  const handleOpen = useCallback((notification) => {
+    setIsOpen(false);
+    if (!notification.isRead) {
+      markRead([notification._id]);
+    }
+    if (!notification.room?._id || notification.isMessageDeleted) return;
+
+    const query = notification.parentMessage
+      ? `thread=${notification.parentMessage}`
+      : `message=${notification.messageId}`;
+    router.push(`/chat?room=${notification.room._id}&${query}`);
+  }, [markRead, router]);
+
+  const getRoomLabel = (room) => {
+    if (room?.type === 'direct') return '1:1 대화';
+    return room?.name || '삭제된 채팅방';
+  };
+
+  return (
+    <Dropdown isOpen={isOpen} toggle={toggle} direction="down" className="notification-inbox">
+      <DropdownToggle
+        className="notification-toggle"
+        aria-label={unreadCount > 0 ? `알림 ${unreadCount}개` : '알림'}
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="notification-badge">
+            {unreadCount > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : unreadCount}
+          </span>
+        )}
+      </DropdownToggle>
+      <DropdownMenu className="notification-menu">
+        <div className="notification-header">
+          <span className="notification-title">알림</span>
+          <Button
+            size="sm"
+            variant="text"
+            onClick={markAllRead}
+            disabled={unreadCount === 0}
+          >
+            모두 읽음
+          </Button>
+        </div>
+
+        <div className="notification-list">
+          {loaded && notifications.length === 0 && (
+            <div className="notification-empty">
+              <AtSign className="w-5 h-5" />
+              <span>아직 받은 멘션이 없습니다.</span>
+            </div>
+          )}
+
+          {notifications.map(notification => (
+            <button
+              key={notification._id}
+              type="button"
+              className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+              onClick={() => handleOpen(notification)}
+            >
+              <PersistentAvatar
+                user={notification.actor}
+                size="sm"
+                className="flex-shrink-0"
+                showInitials={true}
+              />
+              <div className="notification-body">
+                <div className="notification-text">
+                  <strong>{notification.actor?.name || '알 수 없음'}</strong>님이{' '}
+                  <strong>{getRoomLabel(notification.room)}</strong>에서 멘션했습니다.
+                </div>
+                <div className="notification-preview">
+                  {notification.isMessageDeleted ? '삭제된 메시지입니다.' : notification.preview}
+                </div>
+                <div className="notification-time">
+                  {formatNotificationTime(notification.createdAt)}
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {hasMore && (
+          <div className="notification-footer">
+            <Button size="sm" variant="text" onClick={loadMore} disabled={loading}>
+              {loading ? '불러오는 중...' : '더 보기'}
+            </Button>
+          </div>
+        )}
+      </DropdownMenu>
+    </Dropdown>
+  );
+};
+
+export default NotificationInbox;
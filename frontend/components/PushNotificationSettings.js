@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text } from '@goorm-dev/vapor-components';
+import pushNotificationService from '../services/pushNotificationService';
+import { Toast } from './Toast';
+
+// 브라우저 푸시 알림 설정 (탭이 모두 닫혀 있을 때 1:1 메시지, 멘션, 답장 알림)
+const PushNotificationSettings = () => {
+  const [supported, setSupported] = useState(false);
+  const [subscribed, setSubscribed] = useState(false);
+  const [permission, setPermission] = useState('default');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const isSupported = pushNotificationService.isSupported();
+    setSupported(isSupported);
+    if (!isSupported) return;
+
+    setPermission(pushNotificationService.getPermission());
+    pushNotificationService.getSubscription()
+      .then(subscription => setSubscribed(!!subscription))
+      .catch(error => console.error('Push subscription check error:', error));
+  }, []);
+
+  const handleChange = useCallback(async (e) => {
+    const enabled = e.target.checked;
+    setSaving(true);
+    try {
+      if (enabled) {
+        await pushNotificationService.subscribe();
+        Toast.success('푸시 알림을 켰습니다.');
+      } else {
+        await pushNotificationService.unsubscribe();
+        Toast.success('푸시 알림을 껐습니다.');
+      }
+      setSubscribed(enabled);
+    } catch (error) {
+      console.error('Push setting error:', error);
+      Toast.error(error.response?.data?.message || error.message || '푸시 알림 설정에 실패했습니다.');
+    } finally {
+      setPermission(pushNotificationService.getPermission());
+      setSaving(false);
+    }
+  }, []);
+
+  if (!supported) {
+    return (
+      <Text typography="body2" className="text-secondary">
+        이 브라우저는 푸시 알림을 지원하지 않습니다.
+      </Text>
+    );
+  }
+
+  return (
+    <div className="push-settings">
+      <label className="settings-toggle" htmlFor="pushNotifications">
+        <input
+          id="pushNotifications"
+          type="checkbox"
+          checked={subscribed}
+          onChange={handleChange}
+          disabled={saving || permission === 'denied'}
+        />
+        <span>브라우저 푸시 알림 (앱을 닫아도 1:1 메시지, 멘션, 답장 알림 받기)</span>
+      </label>
+      {permission === 'denied' && (
+        <Text typography="body2" className="text-secondary">
+          브라우저 설정에서 알림 권한을 허용해야 사용할 수 있습니다.
+        </Text>
+      )}
+    </div>
+  );
+};
+
+export default PushNotificationSettings;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Button,
+  Input,
+  Text,
+  FormGroup,
+  Label
+} from '@goorm-dev/vapor-components';
+import axiosInstance from '../services/axios';
+import authService from '../services/authService';
+import { Toast } from './Toast';
+import {
+  STATUS_TEXT_MAX_LENGTH,
+  STATUS_EMOJI_PRESETS,
+  STATUS_EXPIRY_OPTIONS,
+  getActiveCustomStatus,
+  formatStatusExpiry
+} from '../utils/userStatus';
+
+// 로컬 저장소의 사용자 정보에 상태 반영 (다른 컴포넌트 갱신용)
+const saveStatusToCurrentUser = (status) => {
+  const user = authService.getCurrentUser();
+  if (!user) return;
+
+  localStorage.setItem('user', JSON.stringify({ ...user, ...status }));
+  window.dispatchEvent(new Event('userProfileUpdate'));
+};
+
+const StatusSettings = () => {
+  const [text, setText] = useState('');
+  const [emoji, setEmoji] = useState('');
+  const [expiry, setExpiry] = useState('never');
+  const [currentExpiresAt, setCurrentExpiresAt] = useState(null);
+  const [doNotDisturb, setDoNotDisturb] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const applyStatus = useCallback(({ customStatus, doNotDisturb: dnd }) => {
+    const active = getActiveCustomStatus(customStatus);
+    setText(active?.text || '');
+    setEmoji(active?.emoji || '');
+    setCurrentExpiresAt(active?.expiresAt || null);
+    setExpiry(active?.expiresAt ? 'current' : 'never');
+    setDoNotDisturb(!!dnd);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchStatus = async () => {
+      try {
+        const response = await axiosInstance.get('/api/users/profile');
+        if (!cancelled && response.data?.success) {
+          applyStatus(response.data.user);
+        }
+      } catch (error) {
+        console.error('Status fetch error:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchStatus();
+    return () => {
+      cancelled = true;
+    };
+  }, [applyStatus]);
+
+  const saveStatus = useCallback(async (payload, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await axiosInstance.put('/api/users/me/status', payload);
+      applyStatus(response.data.data);
+      saveStatusToCurrentUser(response.data.data);
+      Toast.success(successMessage);
+    } catch (error) {
+      console.error('Status update error:', error);
+      Toast.error(error.response?.data?.message || '상태 업데이트에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  }, [applyStatus]);
+
+  const handleSave = () => {
+    const option = STATUS_EXPIRY_OPTIONS.find(item => item.value === expiry);
+    const expiresAt = expiry === 'current' ? currentExpiresAt : option?.getExpiresAt();
+
+    saveStatus({
+      customStatus: {
+        text: text.trim(),
+        emoji,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      }
+    }, '상태 메시지가 저장되었습니다.');
+  };
+
+  const handleClear = () => {
+    saveStatus({ customStatus: null }, '상태 메시지를 지웠습니다.');
+  };
+
+  const handleDoNotDisturbChange = (e) => {
+    const enabled = e.target.checked;
+    saveStatus(
+      { doNotDisturb: enabled },
+      enabled ? '방해 금지 모드를 켰습니다.' : '방해 금지 모드를 껐습니다.'
+    );
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="status-settings">
+      <Text as="h6" typography="heading6">상태</Text>
+
+      <FormGroup>
+        <Label htmlFor="statusText">상태 메시지</Label>
+        <div className="status-emoji-picker" role="radiogroup" aria-label="상태 이모지">
+          {STATUS_EMOJI_PRESETS.map(preset => (
+            <button
+              key={preset}
+              type="button"
+              role="radio"
+              aria-checked={emoji === preset}
+              className={`status-emoji-option ${emoji === preset ? 'selected' : ''}`}
+              onClick={() => setEmoji(prev => (prev === preset ? '' : preset))}
+              disabled={saving}
+            >
+              {preset}
+            </button>
+          ))}
+        </div>
+        <Input
+          id="statusText"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="지금 무엇을 하고 있나요?"
+          maxLength={STATUS_TEXT_MAX_LENGTH}
+          disabled={saving}
+          className="mt-1"
+        />
+      </FormGroup>
+
+      <FormGroup>
+        <Label htmlFor="statusExpiry">유지 시간</Label>
+        <select
+          id="statusExpiry"
+          value={expiry}
+          onChange={(e) => setExpiry(e.target.value)}
+          className="search-filter"
+          disabled={saving}
+        >
+          {currentExpiresAt && (
+            <option value="current">{formatStatusExpiry(currentExpiresAt)}</option>
+          )}
+          {STATUS_EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </FormGroup>
+
+      <div className="profile-actions">
+        <Button
+          type="button"
+          variant="primary"
+          size="sm"
+          onClick={handleSave}
+          disabled={saving || (!text.trim() && !emoji)}
+        >
+          상태 저장
+        </Button>
+        &nbsp;&nbsp;
+        <Button
+          type="button"
+          variant="text"
+          size="sm"
+          onClick={handleClear}
+          disabled={saving}
+        >
+          지우기
+        </Button>
+      </div>
+
+      <label className="settings-toggle" htmlFor="doNotDisturb">
+        <input
+          id="doNotDisturb"
+          type="checkbox"
+          checked={doNotDisturb}
+          onChange={handleDoNotDisturbChange}
+          disabled={saving}
+        />
+        <span>방해 금지 모드 (알림을 받지 않습니다)</span>
+      </label>
+    </div>
+  );
+};
+
+export default StatusSettings;
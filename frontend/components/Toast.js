@@ -8,6 +8,7 @@ import {
   AlertTriangle,
   XCircle 
 } from 'lucide-react';
+import { playNotificationSound } from '../utils/notificationSound';
 
 // Toast 타입별 설정
 const TOAST_TYPES = {
@@ -66,6 +67,16 @@ class Toast {
     this.show(message, 'info', options);
   }
   
+  // 새 메시지 알림 (sound: 알림음 재생, silent: 토스트 없이 알림음만)
+  static notify(message, { sound = true, silent = false, ...options } = {}) {
+    if (sound) {
+      playNotificationSound();
+    }
+    if (!silent) {
+      this.show(message, 'info', options);
+    }
+  }
+
   static dismiss(toastId) {
     if (toastId) {
       toast.dismiss(toastId);
@@ -6,12 +6,13 @@ import React, {
   forwardRef,
 } from "react";
 import { Button } from "@goorm-dev/vapor-components";
-import { Smile, Paperclip, Send } from "lucide-react";
+import { Smile, Paperclip, Send, Reply, X } from "lucide-react";
 import MarkdownToolbar from "./MarkdownToolbar";
 import EmojiPicker from "./EmojiPicker";
 import MentionDropdown from "./MentionDropdown";
 import FilePreview from "./FilePreview";
 import fileService from "../../services/fileService";
+import { getMessagePreview } from "../../utils/messageUtils";
 
 const ChatInput = forwardRef(
   (
@@ -23,6 +24,7 @@ const ChatInput = forwardRef(
       onFileSelect = () => {},
       fileInputRef,
       disabled = false,
+      disabledReason = "",
       uploading: externalUploading = false,
       showEmojiPicker = false,
       showMentionList = false,
@@ -35,6 +37,10 @@ const ChatInput = forwardRef(
       setMentionFilter = () => {},
       setMentionIndex = () => {},
       room = null, // room prop 추가
+      replyTarget = null,
+      onReplyCancel = () => {},
+      onTyping = () => {},
+      onTypingStop = () => {},
     },
     ref
   ) => {
@@ -51,15 +57,24 @@ const ChatInput = forwardRef(
 
     const [isComposing, setIsComposing] = useState(false);
 
+    // 한글 등 IME 조합 시작도 입력 중으로 처리
     const handleCompositionStart = useCallback(() => {
       setIsComposing(true);
-    }, []);
+      onTyping();
+    }, [onTyping]);
 
     const handleCompositionEnd = useCallback((e) => {
       setIsComposing(false);
       // 조합이 끝난 후 message 상태에 최종 값을 반영하는 경우 여기에 추가할 수 있음
     }, []);
 
+    // 답장 대상을 선택하면 바로 입력할 수 있도록 포커스 이동
+    useEffect(() => {
+      if (replyTarget) {
+        messageInputRef?.current?.focus();
+      }
+    }, [replyTarget, messageInputRef]);
+
     const handleFileValidationAndPreview = useCallback(
       async (file) => {
         if (!file) return;
@@ -122,6 +137,8 @@ const ChatInput = forwardRef(
         e?.preventDefault();
         if (isComposing) return;
 
+        onTypingStop();
+
         if (files.length > 0) {
           try {
             const file = files[0];
@@ -149,7 +166,7 @@ const ChatInput = forwardRef(
           setMessage("");
         }
       },
-      [files, message, onSubmit, setMessage, isComposing]
+      [files, message, onSubmit, setMessage, isComposing, onTypingStop]
     );
 
     useEffect(() => {
@@ -231,6 +248,13 @@ const ChatInput = forwardRef(
 
         onMessageChange(e);
 
+        // 입력을 모두 지우면 바로 해제 (조합 중에는 값이 비어 보여도 유지)
+        if (value.trim() || e.nativeEvent?.isComposing) {
+          onTyping();
+        } else {
+          onTypingStop();
+        }
+
         if (lastAtSymbol !== -1) {
           const textAfterAt = textBeforeCursor.slice(lastAtSymbol + 1);
           const hasSpaceAfterAt = textAfterAt.includes(" ");
@@ -245,7 +269,7 @@ const ChatInput = forwardRef(
 
         setShowMentionList(false);
       },
-      [onMessageChange, setMentionFilter, setShowMentionList, setMentionIndex]
+      [onMessageChange, setMentionFilter, setShowMentionList, setMentionIndex, onTyping, onTypingStop]
     );
 
     const handleMentionSelect = useCallback(
@@ -323,6 +347,9 @@ const ChatInput = forwardRef(
           }
         } else if (e.key === "Escape" && showEmojiPicker) {
           setShowEmojiPicker(false);
+        } else if (e.key === "Escape" && replyTarget) {
+          e.preventDefault();
+          onReplyCancel();
         }
       },
       [
@@ -330,6 +357,8 @@ const ChatInput = forwardRef(
         files,
         showMentionList,
         showEmojiPicker,
+        replyTarget,
+        onReplyCancel,
         mentionIndex,
         getFilteredParticipants,
         handleMentionSelect,
@@ -479,6 +508,32 @@ const ChatInput = forwardRef(
             />
           )}
 
+          {replyTarget && (
+            <div className="reply-banner">
+              <Reply className="w-4 h-4" />
+              <div className="reply-banner-content">
+                <span className="reply-banner-title">
+                  {replyTarget.type === "ai"
+                    ? "AI"
+                    : replyTarget.sender?.name || "알 수 없는 사용자"}
+                  님에게 답장
+                </span>
+                <span className="reply-banner-text">
+                  {getMessagePreview(replyTarget)}
+                </span>
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={onReplyCancel}
+                className="toolbar-button"
+                title="답장 취소"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+
           <div className="chat-input-toolbar">
             <MarkdownToolbar onAction={handleMarkdownAction} size="sm" />
           </div>
@@ -499,8 +554,11 @@ const ChatInput = forwardRef(
               onKeyDown={handleKeyDown}
               onCompositionStart={handleCompositionStart}
               onCompositionEnd={handleCompositionEnd}
+              onBlur={onTypingStop}
               placeholder={
-                isDragging
+                disabledReason
+                  ? disabledReason
+                  : isDragging
                   ? "파일을 여기에 놓아주세요."
                   : "메시지를 입력하세요... (@를 입력하여 멘션, Shift + Enter로 줄바꿈)"
               }
@@ -567,7 +625,7 @@ const ChatInput = forwardRef(
                   handleFileValidationAndPreview(e.target.files?.[0])
                 }
                 className="hidden"
-                accept="image/*,video/*,audio/*,application/pdf"
+                accept="image/*,video/*,audio/*,application/pdf,.docx,.txt"
               />
             </div>
 
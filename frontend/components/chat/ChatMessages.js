@@ -1,6 +1,14 @@
 import React, { useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
-import { Spinner, Text } from '@goorm-dev/vapor-components';
-import { SystemMessage, FileMessage, UserMessage, AIMessage } from './Message';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { ArrowUp, X } from 'lucide-react';
+import {
+  SystemMessage,
+  FileMessage,
+  UserMessage,
+  AIMessage,
+  DeletedMessage
+} from './Message';
+import PinnedMessagesBar from './PinnedMessagesBar';
 
 // ScrollHandler 클래스 정의
 class ScrollHandler {
@@ -254,6 +262,28 @@ const EmptyMessages = React.memo(() => (
 ));
 EmptyMessages.displayName = 'EmptyMessages';
 
+const UnreadDivider = React.memo(() => (
+  <div className="unread-divider" role="separator" aria-label="여기부터 새 메시지">
+    <span>새 메시지</span>
+  </div>
+));
+UnreadDivider.displayName = 'UnreadDivider';
+
+const UnreadJumpBar = React.memo(({ unreadCount, onJump, onDismiss }) => (
+  <div className="unread-jump-bar">
+    <button type="button" className="unread-jump-button" onClick={onJump}>
+      <ArrowUp className="w-4 h-4" />
+      <Text size="sm" weight="bold">
+        읽지 않은 메시지 {unreadCount > 99 ? '99+' : unreadCount}개
+      </Text>
+    </button>
+    <Button size="sm" variant="ghost" onClick={onDismiss} title="닫기">
+      <X className="w-4 h-4" />
+    </Button>
+  </div>
+));
+UnreadJumpBar.displayName = 'UnreadJumpBar';
+
 const ChatMessages = ({ 
   messages = [], 
   streamingMessages = {}, 
@@ -265,6 +295,24 @@ const ChatMessages = ({
   onLoadMore = () => {},
   onReactionAdd = () => {},
   onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  onThreadOpen = () => {},
+  onReply = () => {},
+  onQuoteClick = () => {},
+  onSenderClick,
+  pinnedMessages = [],
+  onPinToggle,
+  onAICancel,
+  onAIRegenerate,
+  onPinnedMessageClick = () => {},
+  onUnpin = () => {},
+  savedMessageIds = null,
+  onSaveToggle,
+  unreadMarker = null,
+  showUnreadJump = false,
+  onJumpToUnread = () => {},
+  onDismissUnreadJump = () => {},
   messagesEndRef,
   socketRef,
   scrollToBottomOnNewMessage = true,
@@ -381,11 +429,41 @@ const ChatMessages = ({
     };
   }, [handleScroll]);
 
+  const pinnedMessageIds = useMemo(
+    () => new Set(pinnedMessages.map(pinned => pinned._id)),
+    [pinnedMessages]
+  );
+
   const allMessages = useMemo(() => {
     if (!Array.isArray(messages)) return [];
     
     const streamingArray = Object.values(streamingMessages || {});
-    const combinedMessages = [...messages, ...streamingArray];
+
+    // 다시 생성 중인 응답은 기존 AI 메시지 자리에 스트리밍 상태로 표시
+    const regenerating = new Map(
+      streamingArray
+        .filter(stream => stream.targetMessageId)
+        .map(stream => [stream.targetMessageId, stream])
+    );
+    const baseMessages = regenerating.size > 0
+      ? messages.map(msg => {
+        const stream = regenerating.get(msg._id);
+        return stream
+          ? {
+            ...msg,
+            content: stream.content,
+            isStreaming: true,
+            streamingId: stream._id,
+            requestedBy: stream.requestedBy
+          }
+          : msg;
+      })
+      : messages;
+
+    const combinedMessages = [
+      ...baseMessages,
+      ...streamingArray.filter(stream => !stream.targetMessageId)
+    ];
 
     return combinedMessages.sort((a, b) => {
       if (!a?.timestamp || !b?.timestamp) return 0;
@@ -406,11 +484,34 @@ const ChatMessages = ({
     }
 
     const isLast = idx === allMessages.length - 1;
+
+    if (msg.isDeleted) {
+      return (
+        <DeletedMessage
+          key={msg._id || `msg-${idx}`}
+          msg={msg}
+          isMine={isMine(msg)}
+        />
+      );
+    }
+
     const commonProps = {
       currentUser,
       room,
       onReactionAdd,
-      onReactionRemove
+      onReactionRemove,
+      onMessageEdit,
+      onMessageDelete,
+      onThreadOpen,
+      onReply,
+      onQuoteClick,
+      onSenderClick,
+      onPinToggle,
+      onAICancel,
+      onAIRegenerate,
+      isPinned: pinnedMessageIds.has(msg._id),
+      onSaveToggle,
+      isSaved: !!savedMessageIds?.has(msg._id)
     };
 
     const MessageComponent = {
@@ -419,7 +520,7 @@ const ChatMessages = ({
       ai: AIMessage
     }[msg.type] || UserMessage;
 
-    return (
+    const messageElement = (
       <MessageComponent
         key={msg._id || `msg-${idx}`}
         ref={isLast ? lastMessageRef : null}
@@ -428,11 +529,22 @@ const ChatMessages = ({
         content={msg.content}
         isMine={msg.type !== 'system' ? isMine(msg) : undefined}
         isStreaming={msg.type === 'ai' ? (msg.isStreaming || false) : undefined}
-        messageRef={msg}
         socketRef={socketRef}
       />
     );
-  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, socketRef]);
+
+    // 입장 시점의 첫 번째 읽지 않은 메시지 앞에 구분선 표시
+    if (msg._id && msg._id === unreadMarker?.firstUnreadMessageId) {
+      return (
+        <React.Fragment key={msg._id}>
+          <UnreadDivider />
+          {messageElement}
+        </React.Fragment>
+      );
+    }
+
+    return messageElement;
+  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, onMessageEdit, onMessageDelete, onThreadOpen, onReply, onQuoteClick, onSenderClick, onPinToggle, onAICancel, onAIRegenerate, pinnedMessageIds, onSaveToggle, savedMessageIds, unreadMarker, socketRef]);
 
   return (
     <div 
@@ -442,6 +554,23 @@ const ChatMessages = ({
       aria-live="polite"
       aria-atomic="false"
     >
+      <div className="message-list-top">
+        <PinnedMessagesBar
+          pinnedMessages={pinnedMessages}
+          canUnpin={!!onPinToggle}
+          onMessageClick={onPinnedMessageClick}
+          onUnpin={onUnpin}
+        />
+
+        {showUnreadJump && unreadMarker && (
+          <UnreadJumpBar
+            unreadCount={unreadMarker.unreadCount}
+            onJump={onJumpToUnread}
+            onDismiss={onDismissUnreadJump}
+          />
+        )}
+      </div>
+
       {loadingMessages && <LoadingIndicator text="이전 메시지를 불러오는 중..." />}
 
       {!loadingMessages && !hasMoreMessages && messages.length > 0 && (
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Text } from '@goorm-dev/vapor-components';
+import PersistentAvatar from '../common/PersistentAvatar';
+
+const DirectRoomList = ({
+  rooms = [],
+  loading = false,
+  disabled = false,
+  onSelect = () => {}
+}) => {
+  if (loading && rooms.length === 0) {
+    return (
+      <Text size="sm" color="secondary" className="direct-rooms-empty">
+        1:1 대화 목록을 불러오는 중...
+      </Text>
+    );
+  }
+
+  if (rooms.length === 0) {
+    return (
+      <Text size="sm" color="secondary" className="direct-rooms-empty">
+        채팅방에서 상대방의 이름이나 프로필을 눌러 1:1 대화를 시작할 수 있습니다.
+      </Text>
+    );
+  }
+
+  return (
+    <ul className="direct-room-list">
+      {rooms.map(room => (
+        <li key={room._id}>
+          <button
+            type="button"
+            className="direct-room-item"
+            onClick={() => onSelect(room._id)}
+            disabled={disabled}
+          >
+            <PersistentAvatar user={room.otherUser} size="md" showInitials={true} showStatus />
+            <span className="direct-room-name">
+              {room.otherUser?.name || '알 수 없음'}
+            </span>
+            {room.unreadCount > 0 && (
+              <span className="direct-room-unread">
+                {room.unreadCount > 99 ? '99+' : room.unreadCount}
+              </span>
+            )}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+DirectRoomList.displayName = 'DirectRoomList';
+
+export default React.memo(DirectRoomList);
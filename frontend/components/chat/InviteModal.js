@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  Button,
+  Text,
+  FormGroup,
+  Label
+} from '@goorm-dev/vapor-components';
+import { Copy, Trash2, Link } from 'lucide-react';
+
+const MAX_USES_OPTIONS = [
+  { value: '', label: '제한 없음' },
+  { value: '1', label: '1회' },
+  { value: '5', label: '5회' },
+  { value: '10', label: '10회' },
+  { value: '50', label: '50회' }
+];
+
+const EXPIRY_OPTIONS = [
+  { value: '60', label: '1시간' },
+  { value: '1440', label: '1일' },
+  { value: '10080', label: '7일' },
+  { value: '', label: '만료 없음' }
+];
+
+const STATUS_LABELS = {
+  active: '사용 가능',
+  expired: '만료됨',
+  exhausted: '소진됨',
+  revoked: '폐기됨'
+};
+
+const InviteModal = ({
+  isOpen = false,
+  invites = [],
+  loading = false,
+  creating = false,
+  onLoad = () => {},
+  onCreate = () => null,
+  onRevoke = () => {},
+  onCopy = () => {},
+  onClose = () => {}
+}) => {
+  const [maxUses, setMaxUses] = useState('');
+  const [expiresInMinutes, setExpiresInMinutes] = useState('1440');
+
+  useEffect(() => {
+    if (isOpen) {
+      onLoad();
+    }
+  }, [isOpen, onLoad]);
+
+  const handleCreate = useCallback(async () => {
+    const invite = await onCreate({
+      maxUses: maxUses ? Number(maxUses) : null,
+      expiresInMinutes: expiresInMinutes ? Number(expiresInMinutes) : null
+    });
+    if (invite) {
+      onCopy(invite);
+    }
+  }, [maxUses, expiresInMinutes, onCreate, onCopy]);
+
+  const handleRevoke = useCallback((invite) => {
+    if (window.confirm('이 초대 링크를 폐기하시겠습니까? 더 이상 이 링크로 입장할 수 없습니다.')) {
+      onRevoke(invite._id);
+    }
+  }, [onRevoke]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      toggle={onClose}
+      type="center"
+      size="md"
+      className="invite-modal"
+    >
+      <ModalHeader toggle={onClose}>
+        초대 링크 관리
+      </ModalHeader>
+
+      <ModalBody>
+        <div className="invite-create-form">
+          <FormGroup>
+            <Label for="inviteMaxUses">사용 횟수</Label>
+            <select
+              id="inviteMaxUses"
+              value={maxUses}
+              onChange={(e) => setMaxUses(e.target.value)}
+              className="search-filter"
+              disabled={creating}
+            >
+              {MAX_USES_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </FormGroup>
+          <FormGroup>
+            <Label for="inviteExpiry">유효 기간</Label>
+            <select
+              id="inviteExpiry"
+              value={expiresInMinutes}
+              onChange={(e) => setExpiresInMinutes(e.target.value)}
+              className="search-filter"
+              disabled={creating}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </FormGroup>
+          <Button
+            variant="primary"
+            onClick={handleCreate}
+            disabled={creating}
+          >
+            <Link className="w-4 h-4" />
+            {creating ? '생성 중...' : '링크 생성'}
+          </Button>
+        </div>
+
+        <div className="invite-list">
+          {loading ? (
+            <Text size="sm" color="secondary">불러오는 중...</Text>
+          ) : invites.length === 0 ? (
+            <Text size="sm" color="secondary">생성된 초대 링크가 없습니다.</Text>
+          ) : invites.map(invite => (
+            <div key={invite._id} className={`invite-item ${invite.status}`}>
+              <div className="invite-item-info">
+                <Text size="sm" className="invite-item-path">{invite.path}</Text>
+                <Text size="xs" color="secondary">
+                  {STATUS_LABELS[invite.status] || invite.status}
+                  {' · '}
+                  {invite.maxUses ? `${invite.uses}/${invite.maxUses}회 사용` : `${invite.uses}회 사용`}
+                  {invite.expiresAt && ` · ${new Date(invite.expiresAt).toLocaleString('ko-KR')} 만료`}
+                </Text>
+              </div>
+              <div className="invite-item-actions">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => onCopy(invite)}
+                  disabled={invite.status !== 'active'}
+                  title="링크 복사"
+                >
+                  <Copy className="w-4 h-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleRevoke(invite)}
+                  title="링크 폐기"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </ModalBody>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>
+          닫기
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
+
+InviteModal.displayName = 'InviteModal';
+
+export default React.memo(InviteModal);
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Text } from '@goorm-dev/vapor-components';
+import { X, Shield, ShieldOff, VolumeX, Volume2, UserMinus, Ban } from 'lucide-react';
+import PersistentAvatar from '../common/PersistentAvatar';
+import UserStatusText from '../common/UserStatusText';
+import axiosInstance from '../../services/axios';
+import { getRoomRole, getActiveMute } from '../../utils/messageUtils';
+
+const ROLE_LABELS = {
+  owner: '방장',
+  moderator: '관리자'
+};
+
+const ROLE_RANK = {
+  member: 0,
+  moderator: 1,
+  owner: 2
+};
+
+const DURATION_OPTIONS = [
+  { value: '10', label: '10분' },
+  { value: '60', label: '1시간' },
+  { value: '1440', label: '1일' },
+  { value: '10080', label: '7일' },
+  { value: '', label: '기간 없음' }
+];
+
+const formatExpiresAt = (expiresAt) =>
+  expiresAt ? `${new Date(expiresAt).toLocaleString('ko-KR')}까지` : '해제 시까지';
+
+const MemberPanel = ({
+  room = null,
+  currentUser = null,
+  myRole = 'member',
+  onClose = () => {},
+  onSetRole = () => {},
+  onKick = () => {},
+  onBan = () => {},
+  onUnban = () => {},
+  onMute = () => {},
+  onUnmute = () => {}
+}) => {
+  const [duration, setDuration] = useState('60');
+  const [bans, setBans] = useState([]);
+  const isModerator = ROLE_RANK[myRole] >= ROLE_RANK.moderator;
+
+  // 관리자에게만 차단 목록 표시 (참여자/관리 상태가 바뀔 때마다 갱신)
+  useEffect(() => {
+    if (!isModerator || !room?._id) return;
+
+    let cancelled = false;
+    axiosInstance.get(`/api/rooms/${room._id}/moderation`)
+      .then(response => {
+        if (!cancelled) setBans(response.data?.data?.bans || []);
+      })
+      .catch(error => console.error('Moderation state fetch error:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isModerator, room?._id, room?.participants, room?.moderators, room?.mutes]);
+
+  const durationMinutes = duration ? Number(duration) : undefined;
+
+  const handleKick = useCallback((member) => {
+    if (window.confirm(`${member.name}님을 채팅방에서 내보내시겠습니까?`)) {
+      onKick(member._id);
+    }
+  }, [onKick]);
+
+  const handleBan = useCallback((member) => {
+    if (window.confirm(`${member.name}님을 채팅방에서 차단하시겠습니까?`)) {
+      onBan(member._id, durationMinutes);
+    }
+  }, [onBan, durationMinutes]);
+
+  const renderMember = (member) => {
+    const role = getRoomRole(room, member._id);
+    const mute = getActiveMute(room, member._id);
+    const isMe = String(member._id) === String(currentUser?.id);
+    const canManage = !isMe && ROLE_RANK[myRole] > ROLE_RANK[role];
+
+    return (
+      <li key={member._id} className="member-item">
+        <div className="member-info">
+          <PersistentAvatar user={member} size="sm" showInitials={true} showStatus />
+          <span className="member-name">
+            {member.name}{isMe && ' (나)'}
+          </span>
+          <UserStatusText user={member} className="member-status" />
+          {ROLE_LABELS[role] && (
+            <span className={`member-role member-role-${role}`}>{ROLE_LABELS[role]}</span>
+          )}
+          {mute && (
+            <span className="member-muted" title={formatExpiresAt(mute.expiresAt)}>
+              <VolumeX className="w-3 h-3" />
+              채팅 금지
+            </span>
+          )}
+        </div>
+
+        {canManage && (
+          <div className="member-actions">
+            {myRole === 'owner' && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => onSetRole(member._id, role === 'moderator' ? 'member' : 'moderator')}
+                title={role === 'moderator' ? '관리자 해제' : '관리자 지정'}
+              >
+                {role === 'moderator'
+                  ? <ShieldOff className="w-4 h-4" />
+                  : <Shield className="w-4 h-4" />}
+              </Button>
+            )}
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => (mute ? onUnmute(member._id) : onMute(member._id, durationMinutes))}
+              title={mute ? '채팅 금지 해제' : '채팅 금지'}
+            >
+              {mute ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleKick(member)}
+              title="내보내기"
+            >
+              <UserMinus className="w-4 h-4" />
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleBan(member)}
+              title="차단"
+            >
+              <Ban className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <aside className="side-panel" aria-label="참여자">
+      <div className="side-panel-header">
+        <Text size="lg" weight="bold">
+          참여자 {room?.participants?.length || 0}명
+        </Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          title="참여자 목록 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {isModerator && (
+        <div className="member-duration">
+          <Text size="sm" color="secondary">채팅 금지/차단 기간</Text>
+          <select
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            className="search-filter"
+          >
+            {DURATION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="side-panel-body">
+        <ul className="member-list">
+          {(room?.participants || []).map(renderMember)}
+        </ul>
+
+        {isModerator && bans.length > 0 && (
+          <>
+            <div className="thread-divider">
+              <Text size="sm" color="secondary">차단된 사용자 {bans.length}명</Text>
+            </div>
+            <ul className="member-list">
+              {bans.map(ban => (
+                <li key={ban.user?._id || ban.user} className="member-item">
+                  <div className="member-info">
+                    <PersistentAvatar user={ban.user} size="sm" showInitials={true} />
+                    <span className="member-name">{ban.user?.name || '알 수 없음'}</span>
+                    <span className="member-muted">{formatExpiresAt(ban.expiresAt)}</span>
+                  </div>
+                  <div className="member-actions">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => onUnban(ban.user?._id || ban.user)}
+                    >
+                      차단 해제
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+MemberPanel.displayName = 'MemberPanel';
+
+export default React.memo(MemberPanel);
@@ -1,6 +1,7 @@
 import React, { useCallback, memo, useRef, useEffect } from 'react';
 import { Avatar } from '@goorm-dev/vapor-core';
 import { getAIAvatarStyles, generateColorFromEmail, getContrastTextColor } from '../../utils/colorUtils';
+import UserStatusText from '../common/UserStatusText';
 
 const MentionDropdown = ({ 
   participants = [], 
@@ -63,7 +64,7 @@ const MentionDropdown = ({
     if (user.isAI) {
       return (
         <span className="mention-badge ai">
-          AI 어시스턴트
+          AI · @{user.name}
         </span>
       );
     }
@@ -76,10 +77,7 @@ const MentionDropdown = ({
   }, []);
 
   const getAvatarContent = useCallback((user) => {
-    if (user.isAI) {
-      return user.name === 'wayneAI' ? 'W' : 'C';
-    }
-    return user.name.charAt(0).toUpperCase();
+    return (user.displayName || user.name).charAt(0).toUpperCase();
   }, []);
 
   const handleKeyDown = useCallback((e, user) => {
@@ -122,9 +120,10 @@ const MentionDropdown = ({
             
             <div className="mention-info">
               <span className="mention-name">
-                {user.isAI ? (user.name === 'wayneAI' ? 'Wayne AI' : 'Consulting AI') : user.name}
+                {user.displayName || user.name}
               </span>
               {renderUserBadge(user)}
+              {!user.isAI && <UserStatusText user={user} className="mention-status" />}
             </div>
           </div>
         </div>
@@ -1,8 +1,17 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Square, FileText } from 'lucide-react';
+import { Button } from '@goorm-dev/vapor-components';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
 import ReadStatus from '../ReadStatus';
+import {
+  isMessageDeletable,
+  canCancelAIMessage,
+  canRegenerateAIMessage
+} from '../../../utils/messageUtils';
+import { getAIEmail } from '../../../utils/aiPersonaStore';
+import { useAIPersonas } from '../../../hooks/useAIPersonas';
 
 const AIMessage = ({ 
   msg = {}, 
@@ -11,10 +20,36 @@ const AIMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onReply,
+  isPinned = false,
+  onPinToggle,
+  isSaved = false,
+  onSaveToggle,
+  onAICancel,
+  onAIRegenerate,
+  onQuoteClick,
   room = null,
-  messageRef,
   socketRef
 }) => {
+  // 다시 생성한 응답 목록 (첫 번째는 원래 응답, 선택하지 않으면 가장 최근 응답 표시)
+  const variants = msg.aiVariants || [];
+  const [variantIndex, setVariantIndex] = useState(null);
+
+  useEffect(() => {
+    setVariantIndex(null);
+  }, [variants.length]);
+
+  const currentIndex = variantIndex ?? variants.length - 1;
+  const displayContent = !isStreaming && variants.length > 1
+    ? variants[currentIndex]?.content ?? msg.content
+    : msg.content;
+  // 답변에 인용한 채팅방 문서 (클릭하면 파일 메시지로 이동)
+  const sources = (variants.length > 1
+    ? variants[currentIndex]?.sources
+    : msg.metadata?.sources) || [];
+
   const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
@@ -26,10 +61,12 @@ const AIMessage = ({
   }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
 
   // AI 사용자 정보 생성
+  const { getName: getAIName } = useAIPersonas();
+  const aiName = getAIName(msg.aiType);
   const aiUser = {
-    name: msg.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI',
-    email: msg.aiType === 'wayneAI' ? 'ai@wayne.ai' : 'ai@consulting.ai',
-    avatarInitial: msg.aiType === 'wayneAI' ? 'W' : 'C'
+    name: aiName,
+    email: getAIEmail(msg.aiType),
+    avatarInitial: aiName.charAt(0).toUpperCase()
   };
 
   const renderContent = () => {
@@ -42,14 +79,75 @@ const AIMessage = ({
             <span></span>
             <span></span>
           </div>
+          {onAICancel && canCancelAIMessage(msg, currentUser?.id, room) && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="ai-stop-button"
+              onClick={() => onAICancel(msg.streamingId || msg._id)}
+            >
+              <Square className="w-3 h-3" />
+              <span>중지</span>
+            </Button>
+          )}
         </>
       );
     }
-    return <MessageContent content={msg.content} />;
+    return (
+      <>
+        <MessageContent content={displayContent} />
+        {msg.metadata?.stopped && (
+          <div className="ai-stopped-label">(중지됨)</div>
+        )}
+        {sources.length > 0 && (
+          <div className="ai-sources">
+            <span className="ai-sources-label">출처</span>
+            {sources.map(source => (
+              <button
+                key={source.index}
+                type="button"
+                className="ai-source-link"
+                onClick={() => onQuoteClick?.(source.messageId)}
+                title="파일 메시지로 이동"
+              >
+                <FileText className="w-3 h-3" />
+                <span>[{source.index}] {source.fileName}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  const renderVariantSwitcher = () => {
+    if (variants.length <= 1) return null;
+
+    return (
+      <div className="ai-variant-switcher">
+        <button
+          type="button"
+          onClick={() => setVariantIndex(Math.max(currentIndex - 1, 0))}
+          disabled={currentIndex === 0}
+          title="이전 응답"
+        >
+          <ChevronLeft className="w-3 h-3" />
+        </button>
+        <span>{currentIndex + 1} / {variants.length}</span>
+        <button
+          type="button"
+          onClick={() => setVariantIndex(Math.min(currentIndex + 1, variants.length - 1))}
+          disabled={currentIndex === variants.length - 1}
+          title="다음 응답"
+        >
+          <ChevronRight className="w-3 h-3" />
+        </button>
+      </div>
+    );
   };
 
   return (
-    <div className="message-group yours">
+    <div className="message-group yours" data-message-id={msg._id}>
       <div className="message-sender-info">
         <PersistentAvatar 
           user={aiUser}
@@ -67,6 +165,7 @@ const AIMessage = ({
         
         {!isStreaming && (
           <div className="message-footer">
+            {renderVariantSwitcher()}
             <div className="message-time mr-3">
               {formattedTime}
             </div>
@@ -74,8 +173,10 @@ const AIMessage = ({
               messageType={msg.type}
               participants={room.participants}
               readers={msg.readers}
+              readCursors={room.readCursors}
+              timestamp={msg.timestamp}
+              isThreadReply={!!msg.parentMessage}
               messageId={msg._id}
-              messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
             />
@@ -85,13 +186,33 @@ const AIMessage = ({
       
       <MessageActions 
         messageId={msg._id}
-        messageContent={msg.content}
+        messageContent={displayContent}
         reactions={msg.reactions}
         currentUserId={currentUser?.id}
         onReactionAdd={onReactionAdd}
         onReactionRemove={onReactionRemove}
         isMine={isMine}
         room={room}
+        canDelete={!isStreaming && isMessageDeletable(msg, currentUser?.id, room)}
+        onDelete={onMessageDelete}
+        threadReplyCount={msg.threadReplyCount}
+        onThreadOpen={
+          onThreadOpen && !isStreaming ? () => onThreadOpen(msg) : undefined
+        }
+        onReply={onReply && !isStreaming ? () => onReply(msg) : undefined}
+        isPinned={isPinned}
+        onPinToggle={
+          onPinToggle && !isStreaming && !msg.parentMessage
+            ? () => onPinToggle(msg)
+            : undefined
+        }
+        isSaved={isSaved}
+        onSaveToggle={onSaveToggle && !isStreaming ? () => onSaveToggle(msg) : undefined}
+        onRegenerate={
+          onAIRegenerate && !isStreaming && canRegenerateAIMessage(msg, room)
+            ? () => onAIRegenerate(msg._id)
+            : undefined
+        }
       />
     </div>
   );
@@ -103,6 +224,7 @@ AIMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageDelete: () => {},
   room: null
 };
 
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Text } from '@goorm-dev/vapor-components';
+import { Trash2 } from 'lucide-react';
+
+const DeletedMessage = ({ msg = {}, isMine = false }) => {
+  return (
+    <div
+      className={`message-group ${isMine ? 'mine' : 'yours'}`}
+      data-message-id={msg._id}
+    >
+      {!isMine && msg.sender?.name && (
+        <div className="message-sender-info">
+          <span className="sender-name">{msg.sender.name}</span>
+        </div>
+      )}
+      <div className="message-bubble message-deleted">
+        <Trash2 className="w-4 h-4" />
+        <Text size="sm" color="secondary">삭제된 메시지입니다.</Text>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(DeletedMessage);
@@ -14,8 +14,10 @@ import {
 import { Text, Alert } from '@goorm-dev/vapor-components';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
+import MessageQuote from './MessageQuote';
 import MessageActions from './MessageActions';
 import ReadStatus from '../ReadStatus';
+import { isMessageDeletable } from '../../../utils/messageUtils';
 import fileService from '../../../services/fileService';
 import authService from '../../../services/authService';
 
@@ -25,8 +27,16 @@ const FileMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onReply,
+  onQuoteClick,
+  onSenderClick,
+  isPinned = false,
+  onPinToggle,
+  isSaved = false,
+  onSaveToggle,
   room = null,
-  messageRef,
   socketRef
 }) => {
   const [error, setError] = useState(null);
@@ -90,12 +100,15 @@ const FileMessage = ({
     }
   };
 
+  const canStartDirect = !isMine && !!onSenderClick && !!msg.sender?._id;
+
   const renderAvatar = () => (
     <PersistentAvatar 
       user={isMine ? currentUser : msg.sender}
       size="lg"
       className="flex-shrink-0"
       showInitials={true}
+      showStatus
     />
   );
 
@@ -331,8 +344,15 @@ const FileMessage = ({
 
   return (
     <div className="messages">
-      <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
-        <div className="message-sender-info">
+      <div
+        className={`message-group ${isMine ? 'mine' : 'yours'}`}
+        data-message-id={msg._id}
+      >
+        <div
+          className={`message-sender-info ${canStartDirect ? 'clickable' : ''}`}
+          onClick={canStartDirect ? () => onSenderClick(msg.sender) : undefined}
+          title={canStartDirect ? `${msg.sender.name}님과 1:1 대화` : undefined}
+        >
           {renderAvatar()}
           <span className="sender-name">
             {isMine ? '나' : msg.sender?.name}
@@ -350,6 +370,11 @@ const FileMessage = ({
                 <span>{error}</span>
               </Alert>
             )}
+            {msg.replyTo && (
+              <div className="mb-3">
+                <MessageQuote replyTo={msg.replyTo} onClick={onQuoteClick} />
+              </div>
+            )}
             {renderFilePreview()}
             {msg.content && (
               <div className="mt-3">
@@ -368,8 +393,10 @@ const FileMessage = ({
               messageType={msg.type}
               participants={room.participants}
               readers={msg.readers}
+              readCursors={room.readCursors}
+              timestamp={msg.timestamp}
+              isThreadReply={!!msg.parentMessage}
               messageId={msg._id}
-              messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
             />
@@ -384,6 +411,19 @@ const FileMessage = ({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          canDelete={isMessageDeletable(msg, currentUser?.id, room)}
+          onDelete={onMessageDelete}
+          threadReplyCount={msg.threadReplyCount}
+          onThreadOpen={
+            onThreadOpen && !msg.parentMessage ? () => onThreadOpen(msg) : undefined
+          }
+          onReply={onReply ? () => onReply(msg) : undefined}
+          isPinned={isPinned}
+          onPinToggle={
+            onPinToggle && !msg.parentMessage ? () => onPinToggle(msg) : undefined
+          }
+          isSaved={isSaved}
+          onSaveToggle={onSaveToggle ? () => onSaveToggle(msg) : undefined}
         />        
       </div>
     </div>
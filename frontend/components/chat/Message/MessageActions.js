@@ -1,5 +1,5 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { SmilePlus, Copy } from 'lucide-react';
+import { SmilePlus, Copy, Pencil, Trash2, MessageSquare, Reply, Pin, PinOff, Bookmark, BookmarkCheck, RefreshCw } from 'lucide-react';
 import { Button, Tooltip } from '@goorm-dev/vapor-components';
 import EmojiPicker from '../EmojiPicker';
 import { Toast } from '../../Toast';
@@ -12,7 +12,19 @@ const MessageActions = ({
   onReactionAdd,
   onReactionRemove,
   isMine = false,
-  room = null
+  room = null,
+  canEdit = false,
+  onEdit,
+  canDelete = false,
+  onDelete,
+  threadReplyCount = 0,
+  onThreadOpen,
+  onReply,
+  isPinned = false,
+  onPinToggle,
+  isSaved = false,
+  onSaveToggle,
+  onRegenerate
 }) => {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [tooltipStates, setTooltipStates] = useState({});
@@ -52,6 +64,12 @@ const MessageActions = ({
     }
   }, [messageContent]);
 
+  const handleDelete = useCallback(() => {
+    if (window.confirm('이 메시지를 삭제하시겠습니까?')) {
+      onDelete?.(messageId);
+    }
+  }, [messageId, onDelete]);
+
   const handleReactionSelect = useCallback((emoji) => {
     try {
       const emojiChar = emoji.native || emoji;
@@ -173,6 +191,17 @@ const MessageActions = ({
   return (
     <div className={`flex flex-col ${isMine ? 'items-end' : 'items-start'}`} ref={containerRef}>
       {renderReactions()}
+
+      {onThreadOpen && threadReplyCount > 0 && (
+        <button
+          type="button"
+          className="thread-summary"
+          onClick={onThreadOpen}
+        >
+          <MessageSquare className="w-4 h-4" />
+          <span>답글 {threadReplyCount}개</span>
+        </button>
+      )}
       
       <div className={`message-actions-wrapper ${isMine ? 'mine' : ''}`}>
         <div className="message-actions">
@@ -212,7 +241,84 @@ const MessageActions = ({
               title="메시지 복사"
             >
               <Copy className="w-4 h-4" />
-            </Button>            
+            </Button>
+            {onReply && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onReply}
+                title="인용하여 답장"
+              >
+                <Reply className="w-4 h-4" />
+              </Button>
+            )}
+            {onThreadOpen && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onThreadOpen}
+                title="스레드로 답장"
+              >
+                <MessageSquare className="w-4 h-4" />
+              </Button>
+            )}
+            {onSaveToggle && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className={`action-button ${isSaved ? 'active' : ''}`}
+                onClick={onSaveToggle}
+                title={isSaved ? '저장 취소' : '메시지 저장'}
+              >
+                {isSaved ? <BookmarkCheck className="w-4 h-4" /> : <Bookmark className="w-4 h-4" />}
+              </Button>
+            )}
+            {onPinToggle && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className={`action-button ${isPinned ? 'active' : ''}`}
+                onClick={onPinToggle}
+                title={isPinned ? '고정 해제' : '메시지 고정'}
+              >
+                {isPinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+              </Button>
+            )}
+            {onRegenerate && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onRegenerate}
+                title="다시 생성"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </Button>
+            )}
+            {canEdit && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onEdit}
+                title="메시지 수정"
+              >
+                <Pencil className="w-4 h-4" />
+              </Button>
+            )}
+            {canDelete && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={handleDelete}
+                title="메시지 삭제"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            )}
           </div>
         </div>
       </div>
@@ -228,7 +334,19 @@ MessageActions.defaultProps = {
   onReactionAdd: () => {},
   onReactionRemove: () => {},
   isMine: false,
-  room: null
+  room: null,
+  canEdit: false,
+  onEdit: () => {},
+  canDelete: false,
+  onDelete: () => {},
+  threadReplyCount: 0,
+  onThreadOpen: null,
+  onReply: null,
+  isPinned: false,
+  onPinToggle: null,
+  isSaved: false,
+  onSaveToggle: null,
+  onRegenerate: null
 };
 
 export default React.memo(MessageActions);
\ No newline at end of file
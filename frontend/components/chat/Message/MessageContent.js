@@ -7,8 +7,10 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { Copy, Check } from 'lucide-react';
 import { Toast } from '../../Toast';
+import MessageQuote from './MessageQuote';
+import { aiPersonaStore } from '../../../utils/aiPersonaStore';
 
-const MessageContent = ({ content, isAI = false }) => {
+const MessageContent = ({ content, isAI = false, replyTo = null, onQuoteClick }) => {
   const [copyingMap, setCopyingMap] = useState(new Map());
 
   // 복사 기능 구현
@@ -34,7 +36,7 @@ const MessageContent = ({ content, isAI = false }) => {
 
   // 멘션 패턴을 찾아서 React 엘리먼트로 변환하는 함수
   const renderContentWithMentions = useMemo(() => (text) => {
-    const mentionPattern = /@(wayneAI|consultingAI|[\w.-]+)/g;
+    const mentionPattern = /@([\w.-]+)/g;
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -49,13 +51,11 @@ const MessageContent = ({ content, isAI = false }) => {
       }
 
       const mentionedName = match[1];
-      const isAIMention = mentionedName === 'wayneAI' || mentionedName === 'consultingAI';
-      const displayName = isAIMention 
-        ? (mentionedName === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
-        : mentionedName;
+      const aiPersona = aiPersonaStore.get(mentionedName);
+      const displayName = aiPersona ? aiPersona.name : mentionedName;
 
-      const mentionClass = isAIMention 
-        ? `mention mention-bot ${mentionedName === 'wayneAI' ? 'mention-wayne' : 'mention-consulting'}`
+      const mentionClass = aiPersona
+        ? 'mention mention-bot'
         : 'mention mention-user';
 
       parts.push(
@@ -231,17 +231,30 @@ const MessageContent = ({ content, isAI = false }) => {
            !content.includes('|');
   }, [content]);
 
+  // 인용 답장인 경우 본문 위에 원본 메시지 미리보기 표시
+  const withQuote = (body) => {
+    if (!replyTo) return body;
+    return (
+      <>
+        <MessageQuote replyTo={replyTo} onClick={onQuoteClick} />
+        {body}
+      </>
+    );
+  };
+
   if (typeof content !== 'string') {
-    return String(content);
+    return withQuote(String(content));
   }
 
   // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
   if (isPlainText && content.includes('@')) {
-    return <div className="message-text">{renderContentWithMentions(content)}</div>;
+    return withQuote(
+      <div className="message-text">{renderContentWithMentions(content)}</div>
+    );
   }
 
   // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
-  return (
+  return withQuote(
     <ReactMarkdown
       remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
       components={components}
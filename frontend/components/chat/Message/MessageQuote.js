@@ -0,0 +1,30 @@
+import React from 'react';
+import { Reply } from 'lucide-react';
+import { getMessagePreview } from '../../../utils/messageUtils';
+
+const MessageQuote = ({ replyTo = null, onClick }) => {
+  if (!replyTo) return null;
+
+  const senderName = replyTo.type === 'ai'
+    ? 'AI'
+    : replyTo.sender?.name || '알 수 없는 사용자';
+
+  return (
+    <button
+      type="button"
+      className="message-quote"
+      onClick={() => onClick?.(replyTo._id)}
+      title="원본 메시지로 이동"
+    >
+      <span className="message-quote-sender">
+        <Reply className="w-3 h-3" />
+        {senderName}
+      </span>
+      <span className="message-quote-text">
+        {getMessagePreview(replyTo)}
+      </span>
+    </button>
+  );
+};
+
+export default React.memo(MessageQuote);
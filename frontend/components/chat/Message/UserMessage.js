@@ -1,4 +1,5 @@
-import React, { useMemo } from "react";
+import React, { useMemo, useState, useCallback } from "react";
+import { Button } from "@goorm-dev/vapor-components";
 import MessageContent from "./MessageContent";
 import MessageActions from "./MessageActions";
 import PersistentAvatar from "../../common/PersistentAvatar";
@@ -7,6 +8,10 @@ import {
   generateColorFromEmail,
   getContrastTextColor,
 } from "../../../utils/colorUtils";
+import {
+  isMessageEditable,
+  isMessageDeletable,
+} from "../../../utils/messageUtils";
 
 const UserMessage = ({
   msg = {},
@@ -14,10 +19,22 @@ const UserMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageEdit,
+  onMessageDelete,
+  onThreadOpen,
+  onReply,
+  onQuoteClick,
+  onSenderClick,
+  isPinned = false,
+  onPinToggle,
+  isSaved = false,
+  onSaveToggle,
   room = null,
-  messageRef,
   socketRef,
 }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState("");
+
   const formattedTime = new Date(msg.timestamp)
     .toLocaleString("ko-KR", {
       year: "numeric",
@@ -42,16 +59,68 @@ const UserMessage = ({
   }, [isMine, currentUser?.email, msg.sender?.email]);
 
   const user = isMine ? currentUser : msg.sender;
+  const canStartDirect = !isMine && !!onSenderClick && !!msg.sender?._id;
+  const canEdit = isMine && isMessageEditable(msg, currentUser?.id);
+  const canDelete = isMessageDeletable(msg, currentUser?.id, room);
+
+  const handleEditStart = useCallback(() => {
+    setEditContent(msg.content || "");
+    setIsEditing(true);
+  }, [msg.content]);
+
+  const handleEditCancel = useCallback(() => {
+    setIsEditing(false);
+    setEditContent("");
+  }, []);
+
+  const handleEditSave = useCallback(() => {
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent || trimmedContent === msg.content) {
+      handleEditCancel();
+      return;
+    }
+
+    if (onMessageEdit?.(msg._id, trimmedContent) !== false) {
+      handleEditCancel();
+    }
+  }, [editContent, msg._id, msg.content, onMessageEdit, handleEditCancel]);
+
+  const handleEditKeyDown = useCallback(
+    (e) => {
+      if (e.nativeEvent.isComposing) return;
+
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        handleEditSave();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        handleEditCancel();
+      }
+    },
+    [handleEditSave, handleEditCancel]
+  );
+
+  const editedTitle = msg.editedAt
+    ? `${new Date(msg.editedAt).toLocaleString("ko-KR")}에 수정됨`
+    : undefined;
 
   return (
     <div className="messages">
-      <div className={`message-group ${isMine ? "mine" : "yours"}`}>
-        <div className="message-sender-info">
+      <div
+        className={`message-group ${isMine ? "mine" : "yours"}`}
+        data-message-id={msg._id}
+      >
+        <div
+          className={`message-sender-info ${canStartDirect ? "clickable" : ""}`}
+          onClick={canStartDirect ? () => onSenderClick(msg.sender) : undefined}
+          title={canStartDirect ? `${msg.sender.name}님과 1:1 대화` : undefined}
+        >
           <PersistentAvatar
             user={user}
             size="lg"
             style={avatarStyles}
             showInitials={true}
+            showStatus
           />
           <span className="sender-name">
             {isMine ? "나" : msg.sender?.name}
@@ -63,16 +132,53 @@ const UserMessage = ({
           } last relative group`}
         >
           <div className="message-content">
-            <MessageContent content={msg.content} />
+            {isEditing ? (
+              <div className="message-edit-form">
+                <textarea
+                  className="message-edit-input"
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  rows={Math.min(editContent.split("\n").length, 10)}
+                  autoFocus
+                />
+                <div className="message-edit-actions">
+                  <Button size="sm" variant="ghost" onClick={handleEditCancel}>
+                    취소
+                  </Button>
+                  <Button
+                    size="sm"
+                    color="primary"
+                    onClick={handleEditSave}
+                    disabled={!editContent.trim()}
+                  >
+                    저장
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <MessageContent
+                content={msg.content}
+                replyTo={msg.replyTo}
+                onQuoteClick={onQuoteClick}
+              />
+            )}
           </div>
           <div className="message-footer">
+            {msg.isEdited && (
+              <span className="message-edited" title={editedTitle}>
+                (수정됨)
+              </span>
+            )}
             <div className="message-time mr-3">{formattedTime}</div>
             <ReadStatus
               messageType={msg.type}
               participants={room.participants}
               readers={msg.readers}
+              readCursors={room.readCursors}
+              timestamp={msg.timestamp}
+              isThreadReply={!!msg.parentMessage}
               messageId={msg._id}
-              messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
             />
@@ -88,6 +194,21 @@ const UserMessage = ({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          canEdit={canEdit && !isEditing}
+          onEdit={handleEditStart}
+          canDelete={canDelete && !isEditing}
+          onDelete={onMessageDelete}
+          threadReplyCount={msg.threadReplyCount}
+          onThreadOpen={
+            onThreadOpen && !msg.parentMessage ? () => onThreadOpen(msg) : undefined
+          }
+          onReply={onReply && !isEditing ? () => onReply(msg) : undefined}
+          isPinned={isPinned}
+          onPinToggle={
+            onPinToggle && !msg.parentMessage ? () => onPinToggle(msg) : undefined
+          }
+          isSaved={isSaved}
+          onSaveToggle={onSaveToggle && !isEditing ? () => onSaveToggle(msg) : undefined}
         />
       </div>
     </div>
@@ -100,6 +221,8 @@ UserMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageEdit: () => {},
+  onMessageDelete: () => {},
   room: null,
 };
 
@@ -0,0 +1,227 @@
+import React, { useCallback } from 'react';
+import { Button, Input, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Search, MessageSquare } from 'lucide-react';
+import { useAIPersonas } from '../../hooks/useAIPersonas';
+
+const TYPE_OPTIONS = [
+  { value: '', label: '전체 유형' },
+  { value: 'text', label: '텍스트' },
+  { value: 'file', label: '파일' },
+  { value: 'ai', label: 'AI' }
+];
+
+const HAS_FILE_OPTIONS = [
+  { value: '', label: '첨부 무관' },
+  { value: 'true', label: '첨부 있음' },
+  { value: 'false', label: '첨부 없음' }
+];
+
+// 서버에서 받은 하이라이트 구간을 <mark>로 감싸서 렌더링
+const HighlightedSnippet = ({ snippet }) => {
+  if (!snippet?.text) return null;
+
+  const { text, highlights = [] } = snippet;
+  const parts = [];
+  let lastIndex = 0;
+
+  highlights.forEach(({ start, end }, index) => {
+    if (start > lastIndex) {
+      parts.push(<span key={`text-${index}`}>{text.slice(lastIndex, start)}</span>);
+    }
+    parts.push(<mark key={`mark-${index}`}>{text.slice(start, end)}</mark>);
+    lastIndex = end;
+  });
+
+  if (lastIndex < text.length) {
+    parts.push(<span key="text-last">{text.slice(lastIndex)}</span>);
+  }
+
+  return <div className="search-result-snippet">{parts}</div>;
+};
+
+const getResultSenderName = (result, getAIName) => {
+  if (result.type === 'ai') {
+    return getAIName(result.aiType);
+  }
+  return result.sender?.name || '알 수 없는 사용자';
+};
+
+const MessageSearchPanel = ({
+  room = null,
+  query = '',
+  filters = {},
+  results = [],
+  hasMore = false,
+  loading = false,
+  searched = false,
+  onQueryChange = () => {},
+  onFilterChange = () => {},
+  onSearch = () => {},
+  onLoadMore = () => {},
+  onResultClick = () => {},
+  onClose = () => {}
+}) => {
+  const { getName: getAIName } = useAIPersonas();
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    onSearch();
+  }, [onSearch]);
+
+  const handleFilterChange = useCallback((e) => {
+    onFilterChange(e.target.name, e.target.value);
+  }, [onFilterChange]);
+
+  return (
+    <aside className="side-panel" aria-label="메시지 검색">
+      <div className="side-panel-header">
+        <Text size="lg" weight="bold">메시지 검색</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          title="검색 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <div className="search-query">
+          <Input
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder="검색어를 입력하세요"
+            autoFocus
+          />
+          <Button
+            type="submit"
+            variant="ghost"
+            className="toolbar-button"
+            disabled={!query.trim() || loading}
+            title="검색"
+          >
+            <Search className="w-4 h-4" />
+          </Button>
+        </div>
+
+        <div className="search-filters">
+          <select
+            name="sender"
+            value={filters.sender}
+            onChange={handleFilterChange}
+            className="search-filter"
+          >
+            <option value="">모든 참여자</option>
+            {room?.participants?.map(participant => (
+              <option key={participant._id} value={participant._id}>
+                {participant.name}
+              </option>
+            ))}
+          </select>
+          <select
+            name="type"
+            value={filters.type}
+            onChange={handleFilterChange}
+            className="search-filter"
+          >
+            {TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            name="hasFile"
+            value={filters.hasFile}
+            onChange={handleFilterChange}
+            className="search-filter"
+          >
+            {HAS_FILE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="search-date-range">
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+              className="search-filter"
+              title="시작일"
+            />
+            <span>~</span>
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+              className="search-filter"
+              title="종료일"
+            />
+          </div>
+        </div>
+      </form>
+
+      <div className="side-panel-body">
+        {searched && !loading && results.length === 0 && (
+          <Text size="sm" color="secondary" className="text-center">
+            검색 결과가 없습니다.
+          </Text>
+        )}
+
+        {results.map(result => (
+          <button
+            key={result._id}
+            type="button"
+            className="search-result"
+            onClick={() => onResultClick(result)}
+          >
+            <div className="search-result-meta">
+              <span className="search-result-sender">
+                {getResultSenderName(result, getAIName)}
+              </span>
+              {result.parentMessage && (
+                <span className="search-result-thread" title="스레드 답글">
+                  <MessageSquare className="w-3 h-3" />
+                  스레드
+                </span>
+              )}
+              <span className="search-result-time">
+                {new Date(result.timestamp).toLocaleString('ko-KR')}
+              </span>
+            </div>
+            {result.file?.originalname && (
+              <div className="search-result-file">📎 {result.file.originalname}</div>
+            )}
+            <HighlightedSnippet snippet={result.snippet} />
+          </button>
+        ))}
+
+        {loading && (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+            <Text size="sm" color="secondary">검색 중...</Text>
+          </div>
+        )}
+
+        {hasMore && !loading && (
+          <Button
+            size="sm"
+            variant="ghost"
+            className="side-panel-load-more"
+            onClick={onLoadMore}
+          >
+            결과 더 보기
+          </Button>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+MessageSearchPanel.displayName = 'MessageSearchPanel';
+
+export default React.memo(MessageSearchPanel);
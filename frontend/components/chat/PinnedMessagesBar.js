@@ -0,0 +1,95 @@
+import React, { useState, useCallback } from 'react';
+import { Button, Text } from '@goorm-dev/vapor-components';
+import { Pin, PinOff, ChevronDown, ChevronUp } from 'lucide-react';
+import { getMessagePreview } from '../../utils/messageUtils';
+import { useAIPersonas } from '../../hooks/useAIPersonas';
+
+const getSenderName = (msg, getAIName) => {
+  if (msg.type === 'ai') {
+    return getAIName(msg.aiType);
+  }
+  return msg.sender?.name || '알 수 없음';
+};
+
+const PinnedMessagesBar = ({
+  pinnedMessages = [],
+  canUnpin = false,
+  onMessageClick = () => {},
+  onUnpin = () => {}
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const { getName: getAIName } = useAIPersonas();
+
+  const handleMessageClick = useCallback((messageId) => {
+    setExpanded(false);
+    onMessageClick(messageId);
+  }, [onMessageClick]);
+
+  const handleUnpin = useCallback((e, messageId) => {
+    e.stopPropagation();
+    onUnpin(messageId);
+  }, [onUnpin]);
+
+  if (pinnedMessages.length === 0) return null;
+
+  const [latest] = pinnedMessages;
+  const visibleMessages = expanded ? pinnedMessages : [latest];
+
+  return (
+    <div className={`pinned-messages-bar ${expanded ? 'expanded' : ''}`}>
+      <div className="pinned-messages-header">
+        <Pin className="w-4 h-4" />
+        <Text size="sm" weight="bold">고정 메시지 {pinnedMessages.length}개</Text>
+        {pinnedMessages.length > 1 && (
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => setExpanded(prev => !prev)}
+            title={expanded ? '접기' : '모두 보기'}
+          >
+            {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </Button>
+        )}
+      </div>
+
+      <div className="pinned-messages-list">
+        {visibleMessages.map(msg => (
+          <div
+            key={msg._id}
+            className="pinned-message-item"
+            role="button"
+            tabIndex={0}
+            onClick={() => handleMessageClick(msg._id)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleMessageClick(msg._id);
+            }}
+            title="원본 메시지로 이동"
+          >
+            <div className="pinned-message-content">
+              <Text size="xs" color="secondary">
+                {getSenderName(msg, getAIName)} · {new Date(msg.timestamp).toLocaleString('ko-KR')}
+              </Text>
+              <Text size="sm" className="pinned-message-preview">
+                {getMessagePreview(msg)}
+              </Text>
+            </div>
+            {canUnpin && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={(e) => handleUnpin(e, msg._id)}
+                title="고정 해제"
+              >
+                <PinOff className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+PinnedMessagesBar.displayName = 'PinnedMessagesBar';
+
+export default React.memo(PinnedMessagesBar);
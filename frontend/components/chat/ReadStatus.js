@@ -2,14 +2,36 @@ import React, { useMemo, useEffect, useState, useCallback, useRef } from 'react'
 import { Text, Tooltip } from '@goorm-dev/vapor-components';
 import { CheckCheck, Check } from 'lucide-react';
 
+// 함께 화면에 들어온 메시지들의 읽음 처리를 모아서 한 번에 전송
+const READ_BATCH_DELAY = 300;
+const pendingReads = new Map();
+
+const queueMarkAsRead = (socket, messageId) => {
+  if (!pendingReads.has(socket)) {
+    pendingReads.set(socket, new Set());
+    setTimeout(() => {
+      const messageIds = Array.from(pendingReads.get(socket) || []);
+      pendingReads.delete(socket);
+      if (messageIds.length > 0 && socket.connected) {
+        socket.emit('markMessagesAsRead', { messageIds });
+      }
+    }, READ_BATCH_DELAY);
+  }
+  pendingReads.get(socket).add(messageId);
+};
+
+// 타임라인 메시지는 참여자별 마지막 읽음 위치(readCursors)로,
+// 스레드 답글은 메시지별 읽음 기록(readers)으로 읽음 여부 판단
 const ReadStatus = ({ 
   messageType = 'text',
   participants = [],
   readers = [],
+  readCursors = null,
+  timestamp = null,
+  isThreadReply = false,
   className = '',
   socketRef = null,
   messageId = null,
-  messageRef = null, // 메시지 요소의 ref 추가
   currentUserId = null // 현재 사용자 ID 추가
 }) => {
   const [currentReaders, setCurrentReaders] = useState(readers || []);
@@ -18,17 +40,21 @@ const ReadStatus = ({
   const statusRef = useRef(null);
   const observerRef = useRef(null);
 
+  const hasRead = useCallback((userId) => {
+    if (!userId) return false;
+    if (currentReaders.some(reader => reader.userId === userId)) return true;
+    if (isThreadReply || !readCursors?.[userId] || !timestamp) return false;
+    return new Date(readCursors[userId]) >= new Date(timestamp);
+  }, [currentReaders, readCursors, timestamp, isThreadReply]);
+
   // 읽지 않은 참여자 명단 생성 
   const unreadParticipants = useMemo(() => {
     if (messageType === 'system') return [];
     
     return participants.filter(participant => 
-      !currentReaders.some(reader => 
-        reader.userId === participant._id || 
-        reader.userId === participant.id
-      )
+      !hasRead(participant._id || participant.id)
     );
-  }, [participants, currentReaders, messageType]);
+  }, [participants, hasRead, messageType]);
 
   // 읽지 않은 참여자 수 계산
   const unreadCount = useMemo(() => {
@@ -47,9 +73,7 @@ const ReadStatus = ({
 
     try {
       // Socket.IO를 통해 서버에 읽음 상태 전송
-      socketRef.current.emit('markMessagesAsRead', {
-        messageIds: [messageId]
-      });
+      queueMarkAsRead(socketRef.current, messageId);
 
       setHasMarkedAsRead(true);
 
@@ -69,18 +93,14 @@ const ReadStatus = ({
     }
   }, [messageId, currentUserId, hasMarkedAsRead, messageType, socketRef]);
 
-  // Intersection Observer 설정
+  // Intersection Observer 설정 (메시지 하단의 읽음 표시가 보이면 읽음 처리)
   useEffect(() => {
-    if (!messageRef?.current || !currentUserId || hasMarkedAsRead || messageType === 'system') {
+    if (!statusRef.current || !currentUserId || hasMarkedAsRead || messageType === 'system') {
       return;
     }
 
     // 이미 읽은 메시지인지 확인
-    const isAlreadyRead = currentReaders.some(reader => 
-      reader.userId === currentUserId
-    );
-
-    if (isAlreadyRead) {
+    if (hasRead(currentUserId)) {
       setHasMarkedAsRead(true);
       return;
     }
@@ -100,14 +120,14 @@ const ReadStatus = ({
     };
 
     observerRef.current = new IntersectionObserver(handleIntersect, observerOptions);
-    observerRef.current.observe(messageRef.current);
+    observerRef.current.observe(statusRef.current);
 
     return () => {
       if (observerRef.current) {
         observerRef.current.disconnect();
       }
     };
-  }, [messageRef, currentUserId, hasMarkedAsRead, messageType, currentReaders, markMessageAsRead]);
+  }, [currentUserId, hasMarkedAsRead, messageType, hasRead, markMessageAsRead]);
 
   // 툴팁 텍스트 생성
   const getTooltipText = useCallback(() => {
@@ -116,8 +136,8 @@ const ReadStatus = ({
     return `${unreadNames.join(', ')}이 읽지 않음`;
   }, [unreadCount, unreadParticipants]);
 
-  // 읽음 상태 업데이트 핸들러
-  const handleReadStatusUpdate = useCallback(({ userId, messageIds, timestamp }) => {
+  // 스레드 답글 읽음 상태 업데이트 핸들러
+  const handleReadStatusUpdate = useCallback(({ userId, messageIds, timestamp: readAt }) => {
     if (!messageId || !messageIds.includes(messageId)) return;
 
     setCurrentReaders(prev => {
@@ -127,7 +147,7 @@ const ReadStatus = ({
       
       return [...prev, { 
         userId, 
-        readAt: timestamp || new Date()
+        readAt: readAt || new Date()
       }];
     });
   }, [messageId]);
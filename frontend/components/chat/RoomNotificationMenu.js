@@ -0,0 +1,65 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Dropdown,
+  DropdownToggle,
+  DropdownMenu
+} from '@goorm-dev/vapor-components';
+import { Bell, BellOff, AtSign, Check } from 'lucide-react';
+import { NOTIFICATION_LEVELS } from '../../utils/notificationPreferences';
+
+const LEVEL_ICONS = {
+  all: Bell,
+  mentions: AtSign,
+  muted: BellOff
+};
+
+// 채팅방 헤더의 알림 설정 메뉴 (모든 메시지 / 멘션만 / 알림 끄기)
+const RoomNotificationMenu = ({ level, saving, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const toggle = useCallback(() => setIsOpen(prev => !prev), []);
+  const CurrentIcon = LEVEL_ICONS[level] || Bell;
+
+  const handleSelect = (nextLevel) => {
+    setIsOpen(false);
+    onChange(nextLevel);
+  };
+
+  return (
+    <Dropdown isOpen={isOpen} toggle={toggle} direction="down" className="room-notification-menu">
+      <DropdownToggle
+        className={`room-notification-toggle ${level !== 'all' ? 'active' : ''}`}
+        title={`알림: ${NOTIFICATION_LEVELS[level]?.label || ''}`}
+        aria-label="채팅방 알림 설정"
+        disabled={saving}
+      >
+        <CurrentIcon className="w-4 h-4" />
+      </DropdownToggle>
+      <DropdownMenu className="room-notification-options">
+        <div className="room-notification-title">이 채팅방 알림</div>
+        {Object.entries(NOTIFICATION_LEVELS).map(([value, { label, description }]) => {
+          const Icon = LEVEL_ICONS[value];
+          return (
+            <button
+              key={value}
+              type="button"
+              role="menuitemradio"
+              aria-checked={level === value}
+              className={`room-notification-option ${level === value ? 'selected' : ''}`}
+              onClick={() => handleSelect(value)}
+              disabled={saving}
+            >
+              <Icon className="w-4 h-4 flex-shrink-0" />
+              <span className="room-notification-text">
+                <span className="room-notification-label">{label}</span>
+                <span className="room-notification-description">{description}</span>
+              </span>
+              {level === value && <Check className="w-4 h-4 flex-shrink-0" />}
+            </button>
+          );
+        })}
+      </DropdownMenu>
+    </Dropdown>
+  );
+};
+
+export default RoomNotificationMenu;
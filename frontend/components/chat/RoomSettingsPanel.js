@@ -0,0 +1,268 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  Button,
+  Input,
+  Text,
+  Switch,
+  FormGroup,
+  Label
+} from '@goorm-dev/vapor-components';
+import { X, Trash2 } from 'lucide-react';
+import { aiPersonaStore } from '../../utils/aiPersonaStore';
+
+const MAX_PIN_LIMIT = 50;
+const MAX_AI_CONTEXT_SIZE = 50;
+
+const getPersonaIds = (personas = []) => personas.map(persona => persona._id);
+
+const isSameIds = (a, b) => (
+  a.length === b.length && a.every(id => b.includes(id))
+);
+
+const RoomSettingsPanel = ({
+  room = null,
+  saving = false,
+  onSave = () => false,
+  onDelete = () => {},
+  onClose = () => {}
+}) => {
+  const [name, setName] = useState(room?.name || '');
+  const [hasPassword, setHasPassword] = useState(!!room?.hasPassword);
+  const [password, setPassword] = useState('');
+  const [pinLimit, setPinLimit] = useState(room?.pinLimit ? String(room.pinLimit) : '');
+  const [aiContextSize, setAIContextSize] = useState(
+    room?.aiContextSize != null ? String(room.aiContextSize) : ''
+  );
+  // 기본 AI 사용 여부와 직접 선택한 AI 목록
+  const [useDefaultAI, setUseDefaultAI] = useState(room?.usesDefaultAIPersonas ?? true);
+  const [selectedPersonaIds, setSelectedPersonaIds] = useState(() => getPersonaIds(room?.aiPersonas));
+  const [availablePersonas, setAvailablePersonas] = useState([]);
+
+  useEffect(() => {
+    aiPersonaStore.load({ force: true })
+      .then(data => setAvailablePersonas(data.personas || []))
+      .catch(error => console.error('AI persona load error:', error));
+  }, []);
+
+  const togglePersona = useCallback((personaId) => {
+    setSelectedPersonaIds(prev => (
+      prev.includes(personaId)
+        ? prev.filter(id => id !== personaId)
+        : [...prev, personaId]
+    ));
+  }, []);
+
+  // 비밀번호를 새로 설정하는 경우에만 입력 필요 (기존 비밀번호 유지 가능)
+  const needsPassword = hasPassword && !room?.hasPassword && !password;
+  const parsedPinLimit = Number(pinLimit);
+  const invalidPinLimit = !Number.isInteger(parsedPinLimit) || parsedPinLimit < 1 || parsedPinLimit > MAX_PIN_LIMIT;
+  const parsedAIContextSize = Number(aiContextSize);
+  const invalidAIContextSize = aiContextSize === '' || !Number.isInteger(parsedAIContextSize)
+    || parsedAIContextSize < 0 || parsedAIContextSize > MAX_AI_CONTEXT_SIZE;
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+
+    const settings = { name: name.trim() };
+    if (!hasPassword && room?.hasPassword) {
+      settings.removePassword = true;
+    } else if (hasPassword && password) {
+      settings.password = password;
+    }
+    if (parsedPinLimit !== room?.pinLimit) {
+      settings.pinLimit = parsedPinLimit;
+    }
+    if (parsedAIContextSize !== room?.aiContextSize) {
+      settings.aiContextSize = parsedAIContextSize;
+    }
+    if (useDefaultAI) {
+      if (!room?.usesDefaultAIPersonas) {
+        settings.aiPersonas = null;
+      }
+    } else if (room?.usesDefaultAIPersonas || !isSameIds(selectedPersonaIds, getPersonaIds(room?.aiPersonas))) {
+      settings.aiPersonas = selectedPersonaIds;
+    }
+
+    if (await onSave(settings)) {
+      setPassword('');
+    }
+  }, [
+    name,
+    hasPassword,
+    password,
+    parsedPinLimit,
+    parsedAIContextSize,
+    useDefaultAI,
+    selectedPersonaIds,
+    room?.hasPassword,
+    room?.pinLimit,
+    room?.aiContextSize,
+    room?.usesDefaultAIPersonas,
+    room?.aiPersonas,
+    onSave
+  ]);
+
+  const handleDelete = useCallback(() => {
+    if (window.confirm('채팅방을 삭제하시겠습니까? 모든 메시지와 파일이 함께 삭제되며 되돌릴 수 없습니다.')) {
+      onDelete();
+    }
+  }, [onDelete]);
+
+  return (
+    <aside className="side-panel" aria-label="채팅방 설정">
+      <div className="side-panel-header">
+        <Text size="lg" weight="bold">채팅방 설정</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          title="설정 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="side-panel-body">
+        <form onSubmit={handleSubmit} className="room-settings-form">
+          <FormGroup>
+            <Label for="roomSettingsName">채팅방 이름</Label>
+            <Input
+              id="roomSettingsName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={saving}
+            />
+          </FormGroup>
+
+          <FormGroup>
+            <div className="d-flex justify-content-between align-items-center">
+              <Label for="roomSettingsHasPassword" inline>
+                비밀번호 설정
+              </Label>
+              <Switch
+                id="roomSettingsHasPassword"
+                checked={hasPassword}
+                onChange={(e) => setHasPassword(e.target.checked)}
+                disabled={saving}
+              />
+            </div>
+          </FormGroup>
+
+          {hasPassword && (
+            <FormGroup>
+              <Label for="roomSettingsPassword">
+                {room?.hasPassword ? '새 비밀번호 (비워두면 유지)' : '비밀번호'}
+              </Label>
+              <Input
+                id="roomSettingsPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="비밀번호를 입력하세요"
+                disabled={saving}
+              />
+            </FormGroup>
+          )}
+
+          <FormGroup>
+            <Label for="roomSettingsPinLimit">고정 메시지 한도</Label>
+            <Input
+              id="roomSettingsPinLimit"
+              type="number"
+              min={1}
+              max={MAX_PIN_LIMIT}
+              value={pinLimit}
+              onChange={(e) => setPinLimit(e.target.value)}
+              disabled={saving}
+            />
+            <Text size="xs" color="secondary">
+              현재 {room?.pinnedMessages?.length || 0}개 고정됨 (최대 {MAX_PIN_LIMIT}개)
+            </Text>
+          </FormGroup>
+
+          <FormGroup>
+            <Label for="roomSettingsAIContextSize">AI 대화 맥락 메시지 수</Label>
+            <Input
+              id="roomSettingsAIContextSize"
+              type="number"
+              min={0}
+              max={MAX_AI_CONTEXT_SIZE}
+              value={aiContextSize}
+              onChange={(e) => setAIContextSize(e.target.value)}
+              disabled={saving}
+            />
+            <Text size="xs" color="secondary">
+              AI를 호출하면 최근 메시지를 이 개수만큼 함께 전달합니다. 0이면 질문만 전달합니다.
+            </Text>
+          </FormGroup>
+
+          <FormGroup>
+            <div className="d-flex justify-content-between align-items-center">
+              <Label for="roomSettingsDefaultAI" inline>
+                기본 AI 사용
+              </Label>
+              <Switch
+                id="roomSettingsDefaultAI"
+                checked={useDefaultAI}
+                onChange={(e) => setUseDefaultAI(e.target.checked)}
+                disabled={saving}
+              />
+            </div>
+            {useDefaultAI ? (
+              <Text size="xs" color="secondary">
+                기본 AI({availablePersonas
+                  .filter(persona => persona.isDefault)
+                  .map(persona => `@${persona.handle}`)
+                  .join(', ')})를 멘션으로 호출할 수 있습니다.
+              </Text>
+            ) : (
+              <div className="room-settings-ai-list" role="group" aria-label="사용할 AI">
+                {availablePersonas.map(persona => (
+                  <label key={persona._id} className="room-settings-ai-option">
+                    <input
+                      type="checkbox"
+                      checked={selectedPersonaIds.includes(persona._id)}
+                      onChange={() => togglePersona(persona._id)}
+                      disabled={saving}
+                    />
+                    {persona.name}
+                    <Text as="span" size="xs" color="secondary">@{persona.handle}</Text>
+                  </label>
+                ))}
+                <Text size="xs" color="secondary">
+                  선택한 AI만 호출할 수 있으며, 선택하지 않으면 AI를 사용하지 않습니다.
+                </Text>
+              </div>
+            )}
+          </FormGroup>
+
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={saving || !name.trim() || needsPassword || invalidPinLimit || invalidAIContextSize}
+          >
+            {saving ? '저장 중...' : '저장'}
+          </Button>
+        </form>
+
+        <div className="room-settings-danger">
+          <Text size="sm" color="secondary">
+            채팅방을 삭제하면 모든 메시지와 첨부 파일이 함께 삭제됩니다.
+          </Text>
+          <Button
+            color="danger"
+            onClick={handleDelete}
+            disabled={saving}
+          >
+            <Trash2 className="w-4 h-4" />
+            채팅방 삭제
+          </Button>
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+RoomSettingsPanel.displayName = 'RoomSettingsPanel';
+
+export default React.memo(RoomSettingsPanel);
@@ -0,0 +1,176 @@
+import React, { useState, useCallback, useRef, useEffect } from 'react';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Send } from 'lucide-react';
+import {
+  SystemMessage,
+  FileMessage,
+  UserMessage,
+  AIMessage,
+  DeletedMessage
+} from './Message';
+import { getSenderId } from '../../utils/messageUtils';
+
+const ThreadPanel = ({
+  parentMessage = null,
+  messages = [],
+  hasMore = false,
+  loading = false,
+  currentUser = null,
+  room = null,
+  socketRef,
+  onClose = () => {},
+  onLoadMore = () => {},
+  onSend = () => false,
+  onReactionAdd = () => {},
+  onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  savedMessageIds = null,
+  onSaveToggle
+}) => {
+  const [reply, setReply] = useState('');
+  const [isComposing, setIsComposing] = useState(false);
+  const listRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  // 마지막 답글이 바뀐 경우(새 답글)에만 하단으로 스크롤, 이전 답글 로드 시에는 유지
+  useEffect(() => {
+    const container = listRef.current;
+    const lastMessageId = messages[messages.length - 1]?._id || null;
+    if (!container || lastMessageId === lastMessageIdRef.current) return;
+
+    lastMessageIdRef.current = lastMessageId;
+    container.scrollTop = container.scrollHeight;
+  }, [messages]);
+
+  const isMine = useCallback((msg) => {
+    return String(getSenderId(msg)) === String(currentUser?.id);
+  }, [currentUser?.id]);
+
+  const handleSend = useCallback(() => {
+    if (!reply.trim()) return;
+    if (onSend(reply) !== false) {
+      setReply('');
+    }
+  }, [reply, onSend]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (isComposing || e.nativeEvent.isComposing) return;
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  }, [isComposing, handleSend, onClose]);
+
+  const renderMessage = useCallback((msg) => {
+    if (!msg) return null;
+
+    if (msg.isDeleted) {
+      return <DeletedMessage key={msg._id} msg={msg} isMine={isMine(msg)} />;
+    }
+
+    const MessageComponent = {
+      system: SystemMessage,
+      file: FileMessage,
+      ai: AIMessage
+    }[msg.type] || UserMessage;
+
+    return (
+      <MessageComponent
+        key={msg._id}
+        msg={msg}
+        content={msg.content}
+        currentUser={currentUser}
+        room={room}
+        isMine={msg.type !== 'system' ? isMine(msg) : undefined}
+        onReactionAdd={onReactionAdd}
+        onReactionRemove={onReactionRemove}
+        onMessageEdit={onMessageEdit}
+        onMessageDelete={onMessageDelete}
+        isSaved={!!savedMessageIds?.has(msg._id)}
+        onSaveToggle={onSaveToggle}
+        socketRef={socketRef}
+      />
+    );
+  }, [currentUser, room, isMine, onReactionAdd, onReactionRemove, onMessageEdit, onMessageDelete, savedMessageIds, onSaveToggle, socketRef]);
+
+  if (!parentMessage) return null;
+
+  return (
+    <aside className="side-panel" aria-label="스레드">
+      <div className="side-panel-header">
+        <Text size="lg" weight="bold">스레드</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          title="스레드 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="side-panel-body" ref={listRef}>
+        <div className="thread-parent">
+          {renderMessage(parentMessage)}
+        </div>
+
+        <div className="thread-divider">
+          <Text size="sm" color="secondary">
+            답글 {parentMessage.threadReplyCount || 0}개
+          </Text>
+        </div>
+
+        {hasMore && (
+          <Button
+            size="sm"
+            variant="ghost"
+            className="side-panel-load-more"
+            onClick={onLoadMore}
+            disabled={loading}
+          >
+            이전 답글 불러오기
+          </Button>
+        )}
+
+        {loading && (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+            <Text size="sm" color="secondary">답글을 불러오는 중...</Text>
+          </div>
+        )}
+
+        {messages.map(msg => renderMessage(msg))}
+      </div>
+
+      <div className="side-panel-footer">
+        <textarea
+          className="thread-input"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onCompositionStart={() => setIsComposing(true)}
+          onCompositionEnd={() => setIsComposing(false)}
+          placeholder="스레드에 답글 달기... (Shift + Enter로 줄바꿈)"
+          rows={2}
+        />
+        <Button
+          variant="ghost"
+          onClick={handleSend}
+          disabled={!reply.trim()}
+          className="toolbar-button"
+          title="답글 보내기"
+        >
+          <Send className="w-4 h-4" />
+        </Button>
+      </div>
+    </aside>
+  );
+};
+
+ThreadPanel.displayName = 'ThreadPanel';
+
+export default React.memo(ThreadPanel);
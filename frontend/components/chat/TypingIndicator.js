@@ -0,0 +1,21 @@
+import React from 'react';
+import { Text } from '@goorm-dev/vapor-components';
+
+const TypingIndicator = ({ text = '' }) => (
+  <div className="typing-status" aria-live="polite">
+    {text && (
+      <>
+        <span className="typing-status-dots" aria-hidden="true">
+          <span />
+          <span />
+          <span />
+        </span>
+        <Text size="sm" color="secondary">{text}</Text>
+      </>
+    )}
+  </div>
+);
+
+TypingIndicator.displayName = 'TypingIndicator';
+
+export default React.memo(TypingIndicator);
@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useCallback, forwardRef } from 'react';
 import { Avatar } from '@goorm-dev/vapor-core';
 import { getConsistentAvatarStyles } from '../../utils/colorUtils';
+import { getPresenceLabel } from '../../utils/presenceStore';
+import { formatCustomStatus } from '../../utils/userStatus';
+import { usePresence } from '../../hooks/usePresence';
 
 const PersistentAvatar = forwardRef(({
   user,
@@ -8,10 +11,12 @@ const PersistentAvatar = forwardRef(({
   className = "",
   onClick,
   showInitials = true,
+  showStatus = false,
   ...props
 }, ref) => {
   const [currentImage, setCurrentImage] = useState('');
   const [imageError, setImageError] = useState(false);
+  const presence = usePresence(user, showStatus);
 
   // getProfileImageUrl 함수 memoization
   const getProfileImageUrl = useCallback((imagePath) => {
@@ -90,7 +95,7 @@ const PersistentAvatar = forwardRef(({
     });
   };
 
-  return (
+  const avatar = (
     <Avatar
       ref={ref}
       size={size}
@@ -122,6 +127,28 @@ const PersistentAvatar = forwardRef(({
       ) : null}
     </Avatar>
   );
+
+  // 아바타는 overflow: hidden이라 상태 표시 점은 바깥 래퍼에 배치
+  if (!showStatus) return avatar;
+
+  const status = presence?.status || 'offline';
+  const isDnd = !!presence?.doNotDisturb && status !== 'offline';
+  const label = [
+    getPresenceLabel(status, presence?.lastActive),
+    isDnd && '방해 금지',
+    formatCustomStatus(presence?.customStatus)
+  ].filter(Boolean).join('\n');
+
+  return (
+    <span className="avatar-presence">
+      {avatar}
+      <span
+        className={`presence-dot ${status} ${isDnd ? 'dnd' : ''}`}
+        title={label}
+        aria-label={label}
+      />
+    </span>
+  );
 });
 
 PersistentAvatar.displayName = 'PersistentAvatar';
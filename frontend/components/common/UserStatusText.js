@@ -0,0 +1,19 @@
+import React from 'react';
+import { usePresence } from '../../hooks/usePresence';
+import { formatCustomStatus } from '../../utils/userStatus';
+
+// 사용자 상태 메시지 (실시간 변경 반영, 상태가 없으면 렌더링하지 않음)
+const UserStatusText = ({ user, className = '' }) => {
+  const presence = usePresence(user);
+  const text = formatCustomStatus(presence?.customStatus);
+  if (!text && !presence?.doNotDisturb) return null;
+
+  return (
+    <span className={`user-status-text ${className}`} title={text || undefined}>
+      {presence?.doNotDisturb && <span className="user-status-dnd">방해 금지</span>}
+      {text && <span className="user-status-message">{text}</span>}
+    </span>
+  );
+};
+
+export default UserStatusText;
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { Toast } from '../components/Toast';
+import { aiPersonaStore } from '../utils/aiPersonaStore';
 
 export const useAIMessageHandling = (
   socketRef,
@@ -11,6 +12,9 @@ export const useAIMessageHandling = (
 
   const handleAIMessageStart = useCallback((data) => {
     console.log('AI message stream started:', data.messageId);
+    if (data.aiPersona) {
+      aiPersonaStore.setMany([data.aiPersona]);
+    }
     
     setStreamingMessages(prev => ({
       ...prev,
@@ -19,6 +23,8 @@ export const useAIMessageHandling = (
         type: 'ai',
         aiType: data.aiType,
         content: '',
+        targetMessageId: data.targetMessageId || null,
+        requestedBy: data.requestedBy || null,
         timestamp: new Date(data.timestamp),
         isStreaming: true
       }
@@ -68,11 +74,31 @@ export const useAIMessageHandling = (
       return rest;
     });
 
+    // 다시 생성한 응답은 기존 메시지에 반영
+    if (data.targetMessageId) {
+      setMessages(prev => prev.map(msg => (
+        msg._id === data.targetMessageId
+          ? {
+            ...msg,
+            content: data.content,
+            aiVariants: data.aiVariants,
+            metadata: { ...msg.metadata, sources: data.sources }
+          }
+          : msg
+      )));
+      return;
+    }
+
     setMessages(prev => [...prev, {
       _id: data._id,
       type: 'ai',
       aiType: data.aiType,
       content: data.content,
+      aiVariants: data.aiVariants || [],
+      metadata: {
+        ...(data.stopped && { stopped: true }),
+        ...(data.sources?.length > 0 && { sources: data.sources })
+      },
       timestamp: new Date(data.timestamp),
       isComplete: true
     }]);
@@ -80,6 +106,30 @@ export const useAIMessageHandling = (
     scrollToBottom();
   }, [setMessages, scrollToBottom]);
 
+  // 생성이 중지되어 저장할 내용이 없는 경우 (다시 생성 중이었다면 기존 응답 유지)
+  const handleAIMessageCancelled = useCallback(({ messageId }) => {
+    setStreamingMessages(prev => {
+      const { [messageId]: cancelled, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  const handleAIMessageActionError = useCallback(({ message }) => {
+    Toast.error(message || 'AI 응답 처리 중 오류가 발생했습니다.');
+  }, []);
+
+  // 생성 중인 응답 중지 (messageId: 스트리밍 메시지 ID)
+  const cancelAIMessage = useCallback((messageId) => {
+    if (!socketRef.current?.connected || !messageId) return;
+    socketRef.current.emit('aiMessageCancel', { messageId });
+  }, [socketRef]);
+
+  // 저장된 AI 응답 다시 생성
+  const regenerateAIMessage = useCallback((messageId) => {
+    if (!socketRef.current?.connected || !messageId) return;
+    socketRef.current.emit('aiMessageRegenerate', { messageId });
+  }, [socketRef]);
+
   const handleAIMessageError = useCallback((data) => {
     console.error('AI message error:', data);
 
@@ -104,26 +154,34 @@ export const useAIMessageHandling = (
     socket.off('aiMessageStart')
           .off('aiMessageChunk')
           .off('aiMessageComplete')
-          .off('aiMessageError');
+          .off('aiMessageError')
+          .off('aiMessageCancelled')
+          .off('aiMessageActionError');
 
     // 새 리스너 등록
     socket.on('aiMessageStart', handleAIMessageStart);
     socket.on('aiMessageChunk', handleAIMessageChunk);
     socket.on('aiMessageComplete', handleAIMessageComplete);
     socket.on('aiMessageError', handleAIMessageError);
+    socket.on('aiMessageCancelled', handleAIMessageCancelled);
+    socket.on('aiMessageActionError', handleAIMessageActionError);
 
     return () => {
       socket.off('aiMessageStart')
             .off('aiMessageChunk')
             .off('aiMessageComplete')
-            .off('aiMessageError');
+            .off('aiMessageError')
+            .off('aiMessageCancelled')
+            .off('aiMessageActionError');
     };
   }, [
     socketRef,
     handleAIMessageStart,
     handleAIMessageChunk,
     handleAIMessageComplete,
-    handleAIMessageError
+    handleAIMessageError,
+    handleAIMessageCancelled,
+    handleAIMessageActionError
   ]);
 
   // AI 메시지 전송 함수
@@ -156,7 +214,9 @@ export const useAIMessageHandling = (
     handleAIMessageComplete,
     handleAIMessageError,
     setupAIMessageListeners,
-    sendAIMessage
+    sendAIMessage,
+    cancelAIMessage,
+    regenerateAIMessage
   };
 };
 
@@ -0,0 +1,88 @@
+// hooks/useAIPersonaManager.js
+
+import { useState, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+import { aiPersonaStore } from '../utils/aiPersonaStore';
+
+// AI 관리 페이지 (AI 목록 조회, 만들기, 수정, 삭제)
+export const useAIPersonaManager = () => {
+  const [personas, setPersonas] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadPersonas = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await aiPersonaStore.load({ force: true });
+      setPersonas(data.personas || []);
+      setProviders(data.providers || []);
+      setModels(data.models || []);
+    } catch (error) {
+      console.error('AI persona load error:', error);
+      Toast.error(error.response?.data?.message || 'AI 목록을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  // 성공하면 저장된 AI 반환
+  const savePersona = useCallback(async (personaId, values) => {
+    setSaving(true);
+    try {
+      const response = personaId
+        ? await axiosInstance.put(`/api/ai-personas/${personaId}`, values)
+        : await axiosInstance.post('/api/ai-personas', values);
+      const saved = response.data?.data;
+
+      setPersonas(prev => (
+        personaId
+          ? prev.map(persona => (persona._id === personaId ? saved : persona))
+          : [...prev, saved]
+      ));
+      aiPersonaStore.setMany([saved]);
+      Toast.success(response.data?.message || 'AI가 저장되었습니다.');
+      return saved;
+    } catch (error) {
+      console.error('AI persona save error:', error);
+      Toast.error(error.response?.data?.message || 'AI 저장 중 오류가 발생했습니다.');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const removePersona = useCallback(async (personaId) => {
+    setSaving(true);
+    try {
+      await axiosInstance.delete(`/api/ai-personas/${personaId}`);
+      setPersonas(prev => prev.filter(persona => persona._id !== personaId));
+      Toast.success('AI가 삭제되었습니다.');
+      return true;
+    } catch (error) {
+      console.error('AI persona delete error:', error);
+      Toast.error(error.response?.data?.message || 'AI 삭제 중 오류가 발생했습니다.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  return {
+    personas,
+    providers,
+    models,
+    loading,
+    loaded,
+    saving,
+    loadPersonas,
+    savePersona,
+    removePersona
+  };
+};
+
+export default useAIPersonaManager;
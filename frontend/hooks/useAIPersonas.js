@@ -0,0 +1,29 @@
+// hooks/useAIPersonas.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { aiPersonaStore } from '../utils/aiPersonaStore';
+
+// AI 이름 표시용 저장소 구독 (처음 사용할 때 AI 목록을 불러옴)
+export const useAIPersonas = () => {
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const unsubscribe = aiPersonaStore.subscribe(() => {
+      setVersion(prev => prev + 1);
+    });
+    aiPersonaStore.load().catch(error => {
+      console.error('AI persona load error:', error);
+    });
+    return unsubscribe;
+  }, []);
+
+  // version이 바뀔 때마다 새 함수를 반환해 이름을 사용하는 memo/callback도 갱신
+  const getName = useCallback(
+    (handle) => aiPersonaStore.getName(handle),
+    [version]
+  );
+
+  return { getName };
+};
+
+export default useAIPersonas;
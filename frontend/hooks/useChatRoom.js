@@ -5,11 +5,20 @@ import socketService from "../services/socket";
 import { useFileHandling } from "./useFileHandling";
 import { useMessageHandling } from "./useMessageHandling";
 import { useReactionHandling } from "./useReactionHandling";
+import { useMessageEditHandling } from "./useMessageEditHandling";
+import { useMessageDeleteHandling } from "./useMessageDeleteHandling";
+import { useThreadHandling } from "./useThreadHandling";
+import { useRoomModeration } from "./useRoomModeration";
+import { useRoomSettings } from "./useRoomSettings";
+import { usePinnedMessages } from "./usePinnedMessages";
+import { useReadState } from "./useReadState";
+import { useTypingIndicator } from "./useTypingIndicator";
 import { useAIMessageHandling } from "./useAIMessageHandling";
 import { useScrollHandling } from "./useScrollHandling";
 import { useSocketHandling } from "./useSocketHandling";
 import { useRoomHandling } from "./useRoomHandling";
 import { Toast } from "../components/Toast";
+import { getDeletedMessageFields } from "../utils/messageUtils";
 
 const CLEANUP_REASONS = {
   DISCONNECT: "disconnect",
@@ -32,6 +41,9 @@ export const useChatRoom = () => {
 
   // Refs
   const messageInputRef = useRef(null);
+  // 소켓 리스너에서 최신 채팅방 정보(알림 설정 판단용)를 참조
+  const roomRef = useRef(room);
+  roomRef.current = room;
   const messageLoadAttemptRef = useRef(0);
   const mountedRef = useRef(true);
   const initializingRef = useRef(false);
@@ -69,6 +81,7 @@ export const useChatRoom = () => {
     handleScroll,
     setHasMoreMessages,
     setLoadingMessages,
+    scrollToMessage,
   } = useScrollHandling(socketRef, router, messages);
 
   // AI Message handling hook
@@ -80,6 +93,8 @@ export const useChatRoom = () => {
     handleAIMessageComplete,
     handleAIMessageError,
     setupAIMessageListeners,
+    cancelAIMessage,
+    regenerateAIMessage,
   } = useAIMessageHandling(
     socketRef,
     setMessages,
@@ -98,6 +113,7 @@ export const useChatRoom = () => {
     uploading,
     uploadProgress,
     uploadError,
+    replyTarget,
     setMessage,
     setShowEmojiPicker,
     setShowMentionList,
@@ -111,6 +127,9 @@ export const useChatRoom = () => {
     getFilteredParticipants,
     insertMention,
     removeFilePreview,
+    startReply,
+    cancelReply,
+    notifyIncomingMessage,
   } = useMessageHandling(socketRef, currentUser, router);
 
   // Cleanup 함수 수정
@@ -147,7 +166,27 @@ export const useChatRoom = () => {
           socketRef.current.off("aiMessageChunk");
           socketRef.current.off("aiMessageComplete");
           socketRef.current.off("aiMessageError");
+          socketRef.current.off("aiMessageCancelled");
+          socketRef.current.off("aiMessageActionError");
           socketRef.current.off("messageReactionUpdate");
+          socketRef.current.off("messageUpdated");
+          socketRef.current.off("messageEditError");
+          socketRef.current.off("messageDeleted");
+          socketRef.current.off("messageDeleteError");
+          socketRef.current.off("threadLoaded");
+          socketRef.current.off("threadMessage");
+          socketRef.current.off("threadUpdated");
+          socketRef.current.off("threadLoadError");
+          socketRef.current.off("moderationUpdate");
+          socketRef.current.off("participantsUpdate", handleParticipantsUpdate);
+          socketRef.current.off("removedFromRoom");
+          socketRef.current.off("moderationError");
+          socketRef.current.off("roomUpdate");
+          socketRef.current.off("roomDeleted");
+          socketRef.current.off("pinsUpdated");
+          socketRef.current.off("pinError");
+          socketRef.current.off("readCursorUpdated");
+          socketRef.current.off("typingUpdate");
           socketRef.current.off("session_ended");
           socketRef.current.off("error");
         }
@@ -212,6 +251,85 @@ export const useChatRoom = () => {
   const { handleReactionAdd, handleReactionRemove, handleReactionUpdate } =
     useReactionHandling(socketRef, currentUser, messages, setMessages);
 
+  // Message edit handling hook
+  const { handleMessageEdit, handleMessageUpdate, handleMessageEditError } =
+    useMessageEditHandling(socketRef, setMessages);
+
+  // Message delete handling hook
+  const {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError,
+  } = useMessageDeleteHandling(socketRef, setMessages);
+
+  // Thread handling hook
+  const {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleThreadLoaded,
+    handleThreadMessage,
+    handleThreadUpdated,
+    handleThreadLoadError,
+    updateThreadMessage,
+  } = useThreadHandling(socketRef, router, setMessages);
+
+  // Room moderation hook
+  const {
+    myRole,
+    myMute,
+    setMemberRole,
+    kickMember,
+    banMember,
+    unbanMember,
+    muteMember,
+    unmuteMember,
+    handleModerationUpdate,
+    handleParticipantsUpdate,
+    handleRemovedFromRoom,
+    handleModerationError,
+  } = useRoomModeration(socketRef, router, room, setRoom, currentUser);
+
+  // Room settings hook
+  const {
+    savingRoomSettings,
+    updateRoomSettings,
+    deleteRoom,
+    handleRoomUpdate,
+    handleRoomDeleted,
+  } = useRoomSettings(router, room, setRoom);
+
+  // Pinned messages hook
+  const {
+    pinnedMessages,
+    canPin,
+    unpinMessage,
+    togglePin,
+    handlePinsUpdated,
+    handlePinError,
+  } = usePinnedMessages(socketRef, room, setRoom, currentUser);
+
+  // Read state hook
+  const {
+    unreadMarker,
+    showUnreadJump,
+    dismissUnreadJump,
+    handleReadCursorUpdated,
+  } = useReadState(room, setRoom);
+
+  // Typing indicator hook
+  const {
+    typingText,
+    notifyTyping,
+    stopTyping,
+    handleTypingUpdate,
+  } = useTypingIndicator(socketRef, room?._id, currentUser);
+
   // 메시지 처리 유틸리티 함수
   const processMessages = useCallback(
     (loadedMessages, hasMore, isInitialLoad = false) => {
@@ -315,6 +433,17 @@ export const useChatRoom = () => {
     setHasMoreMessages,
   ]);
 
+  // 원본 메시지 탐색 중에는 항상 최신 메시지 목록 기준으로 이전 메시지를 불러오도록 ref 사용
+  const loadPreviousMessagesRef = useRef(loadPreviousMessages);
+  loadPreviousMessagesRef.current = loadPreviousMessages;
+
+  const jumpToMessage = useCallback(
+    (messageId) => {
+      scrollToMessage(messageId, () => loadPreviousMessagesRef.current());
+    },
+    [scrollToMessage]
+  );
+
   // Event listeners setup
   const setupEventListeners = useCallback(() => {
     if (!socketRef.current || !mountedRef.current) return;
@@ -344,6 +473,7 @@ export const useChatRoom = () => {
         }
         return [...prev, message];
       });
+      notifyIncomingMessage(message, roomRef.current);
 
       if (isNearBottom) {
         scrollToBottom();
@@ -383,9 +513,106 @@ export const useChatRoom = () => {
     socketRef.current.on("messageReactionUpdate", (data) => {
       if (!mountedRef.current) return;
       handleReactionUpdate(data);
+      updateThreadMessage(data.messageId, { reactions: data.reactions });
+    });
+
+    // 메시지 수정 이벤트
+    socketRef.current.on("messageUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageUpdate(data);
+      const { messageId, ...updates } = data;
+      updateThreadMessage(messageId, updates);
+    });
+
+    socketRef.current.on("messageEditError", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageEditError(data);
+    });
+
+    // 메시지 삭제 이벤트
+    socketRef.current.on("messageDeleted", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleted(data);
+      updateThreadMessage(
+        data.messageId,
+        getDeletedMessageFields(data.deletedAt)
+      );
+    });
+
+    socketRef.current.on("messageDeleteError", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleteError(data);
+    });
+
+    // 스레드 이벤트
+    socketRef.current.on("threadLoaded", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadLoaded(data);
+    });
+
+    socketRef.current.on("threadMessage", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessage(data);
+    });
+
+    socketRef.current.on("threadUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadUpdated(data);
+    });
+
+    socketRef.current.on("threadLoadError", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadLoadError(data);
     });
 
     // 세션 이벤트
+    socketRef.current.on("moderationUpdate", (data) => {
+      if (!mountedRef.current) return;
+      handleModerationUpdate(data);
+    });
+
+    socketRef.current.on("participantsUpdate", handleParticipantsUpdate);
+
+    socketRef.current.on("removedFromRoom", (data) => {
+      if (!mountedRef.current) return;
+      handleRemovedFromRoom(data);
+    });
+
+    socketRef.current.on("moderationError", (data) => {
+      if (!mountedRef.current) return;
+      handleModerationError(data);
+    });
+
+    socketRef.current.on("roomUpdate", (data) => {
+      if (!mountedRef.current) return;
+      handleRoomUpdate(data);
+    });
+
+    socketRef.current.on("roomDeleted", (data) => {
+      if (!mountedRef.current) return;
+      handleRoomDeleted(data);
+    });
+
+    socketRef.current.on("pinsUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handlePinsUpdated(data);
+    });
+
+    socketRef.current.on("pinError", (data) => {
+      if (!mountedRef.current) return;
+      handlePinError(data);
+    });
+
+    socketRef.current.on("readCursorUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handleReadCursorUpdated(data);
+    });
+
+    socketRef.current.on("typingUpdate", (data) => {
+      if (!mountedRef.current) return;
+      handleTypingUpdate(data);
+    });
+
     socketRef.current.on("session_ended", () => {
       if (!mountedRef.current) return;
       cleanup();
@@ -396,11 +623,18 @@ export const useChatRoom = () => {
     socketRef.current.on("error", (error) => {
       if (!mountedRef.current) return;
       console.error("Socket error:", error);
+
+      // 채팅 금지 상태에서의 전송 실패는 화면 전체 오류로 처리하지 않음
+      if (error?.code === "MUTED") {
+        Toast.error(error.message);
+        return;
+      }
       setError(error.message || "채팅 연결에 문제가 발생했습니다.");
     });
   }, [
     isNearBottom,
     scrollToBottom,
+    notifyIncomingMessage,
     messages.length,
     processMessages,
     setupAIMessageListeners,
@@ -408,6 +642,25 @@ export const useChatRoom = () => {
     cleanup,
     router,
     handleReactionUpdate,
+    handleMessageUpdate,
+    handleMessageEditError,
+    handleMessageDeleted,
+    handleMessageDeleteError,
+    handleThreadLoaded,
+    handleThreadMessage,
+    handleThreadUpdated,
+    handleThreadLoadError,
+    updateThreadMessage,
+    handleModerationUpdate,
+    handleParticipantsUpdate,
+    handleRemovedFromRoom,
+    handleModerationError,
+    handleRoomUpdate,
+    handleRoomDeleted,
+    handlePinsUpdated,
+    handlePinError,
+    handleReadCursorUpdated,
+    handleTypingUpdate,
     setLoadingMessages,
     setError,
   ]);
@@ -640,6 +893,19 @@ export const useChatRoom = () => {
     isNearBottom,
     hasMoreMessages,
     loadingMessages,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    replyTarget,
+    myRole,
+    myMute,
+    savingRoomSettings,
+    pinnedMessages,
+    canPin,
+    unreadMarker,
+    showUnreadJump,
+    typingText,
 
     // Refs
     fileInputRef,
@@ -662,6 +928,30 @@ export const useChatRoom = () => {
     removeFilePreview,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    startReply,
+    cancelReply,
+    jumpToMessage,
+    dismissUnreadJump,
+    notifyTyping,
+    stopTyping,
+    setMemberRole,
+    kickMember,
+    banMember,
+    unbanMember,
+    muteMember,
+    unmuteMember,
+    updateRoomSettings,
+    deleteRoom,
+    unpinMessage,
+    togglePin,
+    cancelAIMessage,
+    regenerateAIMessage,
     cleanup,
 
     // Setters
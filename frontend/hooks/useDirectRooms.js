@@ -0,0 +1,82 @@
+// hooks/useDirectRooms.js
+
+import { useState, useCallback, useEffect } from 'react';
+import axiosInstance from '../services/axios';
+import { getSenderId, getMessagePreview, getNotificationReason } from '../utils/messageUtils';
+import { presenceStore } from '../utils/presenceStore';
+import { notificationPreferences } from '../utils/notificationPreferences';
+import { Toast } from '../components/Toast';
+
+export const useDirectRooms = (currentUser) => {
+  const [directRooms, setDirectRooms] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchDirectRooms = useCallback(async () => {
+    if (!currentUser?.token) return;
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/rooms/direct');
+      const rooms = response.data?.data || [];
+      presenceStore.setMany(rooms.map(room => room.otherUser));
+      setDirectRooms(rooms);
+    } catch (error) {
+      console.error('Direct rooms fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser?.token]);
+
+  useEffect(() => {
+    fetchDirectRooms();
+  }, [fetchDirectRooms]);
+
+  // 새 메시지가 온 대화방을 맨 위로 올리고, 상대방 메시지면 읽지 않은 수 증가
+  // 상대방 메시지는 채팅방 알림 설정에 따라 토스트와 알림음으로 알림
+  const handleDirectMessage = useCallback(({ roomId, message }) => {
+    const isMine = String(getSenderId(message)) === String(currentUser?.id);
+    const reason = getNotificationReason(message, currentUser?.id, { type: 'direct' });
+    if (!isMine && notificationPreferences.shouldAlert(roomId, reason)) {
+      Toast.notify(`${message.sender?.name || '알 수 없음'}: ${getMessagePreview(message, 60)}`, {
+        toastId: `message:${message._id}`
+      });
+    }
+
+    setDirectRooms(prev => {
+      const target = prev.find(room => room._id === roomId);
+      if (!target) return prev;
+
+      const updatedRoom = {
+        ...target,
+        unreadCount: isMine ? target.unreadCount : (target.unreadCount || 0) + 1
+      };
+
+      return [updatedRoom, ...prev.filter(room => room._id !== roomId)];
+    });
+  }, [currentUser?.id]);
+
+  // 다른 화면에서 읽음 처리된 경우 서버가 계산한 읽지 않은 수로 갱신
+  const handleUnreadUpdate = useCallback(({ roomId, unreadCount }) => {
+    setDirectRooms(prev => prev.map(room => (
+      room._id === roomId ? { ...room, unreadCount } : room
+    )));
+  }, []);
+
+  const handleDirectRoomCreated = useCallback((room) => {
+    if (!room?._id) return;
+    setDirectRooms(prev => (
+      prev.some(existing => existing._id === room._id) ? prev : [room, ...prev]
+    ));
+  }, []);
+
+  return {
+    directRooms,
+    loading,
+    fetchDirectRooms,
+    handleDirectMessage,
+    handleUnreadUpdate,
+    handleDirectRoomCreated
+  };
+};
+
+export default useDirectRooms;
@@ -0,0 +1,68 @@
+// hooks/useMessageBookmarks.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+// 채팅방 화면에서 메시지 저장/저장 취소
+export const useMessageBookmarks = (roomId) => {
+  const [savedMessageIds, setSavedMessageIds] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    let cancelled = false;
+    axiosInstance.get('/api/users/me/saved/ids', { params: { roomId } })
+      .then(response => {
+        if (!cancelled) {
+          setSavedMessageIds(new Set(response.data?.data || []));
+        }
+      })
+      .catch(error => {
+        console.error('Saved message ids load error:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  const updateSavedIds = useCallback((messageId, saved) => {
+    setSavedMessageIds(prev => {
+      const next = new Set(prev);
+      if (saved) {
+        next.add(messageId);
+      } else {
+        next.delete(messageId);
+      }
+      return next;
+    });
+  }, []);
+
+  const toggleSaved = useCallback(async (msg) => {
+    if (!msg?._id) return;
+    const wasSaved = savedMessageIds.has(msg._id);
+
+    // 응답 전에 먼저 반영하고 실패 시 되돌림
+    updateSavedIds(msg._id, !wasSaved);
+    try {
+      if (wasSaved) {
+        await axiosInstance.delete(`/api/users/me/saved/${msg._id}`);
+      } else {
+        await axiosInstance.post(`/api/users/me/saved/${msg._id}`);
+        Toast.success('메시지를 저장했습니다.');
+      }
+    } catch (error) {
+      console.error('Message bookmark error:', error);
+      updateSavedIds(msg._id, wasSaved);
+      Toast.error(error.response?.data?.message || '메시지 저장 처리 중 오류가 발생했습니다.');
+    }
+  }, [savedMessageIds, updateSavedIds]);
+
+  return {
+    savedMessageIds,
+    toggleSaved
+  };
+};
+
+export default useMessageBookmarks;
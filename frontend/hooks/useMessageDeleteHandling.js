@@ -0,0 +1,46 @@
+// hooks/useMessageDeleteHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+import {
+  getDeletedMessageFields,
+  updateMessageInList
+} from '../utils/messageUtils';
+
+export const useMessageDeleteHandling = (socketRef, setMessages) => {
+  const handleMessageDelete = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      socketRef.current.emit('deleteMessage', { messageId });
+    } catch (error) {
+      console.error('Delete message error:', error);
+      Toast.error('메시지 삭제에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 삭제된 메시지는 목록에서 제거하지 않고 내용만 비워서 표시
+  const handleMessageDeleted = useCallback(({ messageId, deletedAt }) => {
+    setMessages(prevMessages =>
+      updateMessageInList(
+        prevMessages,
+        messageId,
+        getDeletedMessageFields(deletedAt)
+      )
+    );
+  }, [setMessages]);
+
+  const handleMessageDeleteError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 삭제에 실패했습니다.');
+  }, []);
+
+  return {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError
+  };
+};
+
+export default useMessageDeleteHandling;
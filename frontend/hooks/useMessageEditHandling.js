@@ -0,0 +1,49 @@
+// hooks/useMessageEditHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+import { updateMessageInList } from '../utils/messageUtils';
+
+export const useMessageEditHandling = (socketRef, setMessages) => {
+  const handleMessageEdit = useCallback((messageId, content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!trimmedContent) {
+        Toast.error('메시지 내용을 입력해주세요.');
+        return false;
+      }
+
+      socketRef.current.emit('editMessage', {
+        messageId,
+        content: trimmedContent
+      });
+      return true;
+    } catch (error) {
+      console.error('Edit message error:', error);
+      Toast.error('메시지 수정에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  const handleMessageUpdate = useCallback(({ messageId, ...updates }) => {
+    setMessages(prevMessages =>
+      updateMessageInList(prevMessages, messageId, updates)
+    );
+  }, [setMessages]);
+
+  const handleMessageEditError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 수정에 실패했습니다.');
+  }, []);
+
+  return {
+    handleMessageEdit,
+    handleMessageUpdate,
+    handleMessageEditError
+  };
+};
+
+export default useMessageEditHandling;
@@ -1,6 +1,13 @@
 import { useState, useCallback } from "react";
 import { Toast } from "../components/Toast";
 import fileService from "../services/fileService";
+import { notificationPreferences } from "../utils/notificationPreferences";
+import { getAIEmail } from "../utils/aiPersonaStore";
+import {
+  getSenderId,
+  getMessagePreview,
+  getNotificationReason,
+} from "../utils/messageUtils";
 
 export const useMessageHandling = (
   socketRef,
@@ -19,6 +26,7 @@ export const useMessageHandling = (
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadError, setUploadError] = useState(null);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [replyTarget, setReplyTarget] = useState(null);
 
   const handleMessageChange = useCallback((e) => {
     const newValue = e.target.value;
@@ -110,6 +118,7 @@ export const useMessageHandling = (
 
       try {
         console.log("[Chat] Sending message:", messageData);
+        const replyTo = replyTarget?._id;
 
         if (messageData.type === "file") {
           setUploading(true);
@@ -138,6 +147,7 @@ export const useMessageHandling = (
               mimetype: uploadResponse.data.file.mimetype,
               size: uploadResponse.data.file.size,
             },
+            ...(replyTo && { replyTo }),
           });
 
           setFilePreview(null);
@@ -149,11 +159,13 @@ export const useMessageHandling = (
             room: roomId,
             type: "text",
             content: messageData.content.trim(),
+            ...(replyTo && { replyTo }),
           });
 
           setMessage("");
         }
 
+        setReplyTarget(null);
         setShowEmojiPicker(false);
         setShowMentionList(false);
       } catch (error) {
@@ -175,9 +187,39 @@ export const useMessageHandling = (
         }
       }
     },
-    [currentUser, router, handleSessionError, socketRef]
+    [currentUser, router, handleSessionError, socketRef, replyTarget]
   );
 
+  // 보고 있는 채팅방의 새 메시지 알림
+  // 화면을 보고 있을 때는 생략하고, 다른 탭/창에 있을 때만 채팅방 알림 설정에 따라 토스트와 알림음 표시
+  const notifyIncomingMessage = useCallback(
+    (incoming, room) => {
+      if (!incoming || incoming.type === "system" || incoming.type === "ai") return;
+      if (String(getSenderId(incoming)) === String(currentUser?.id)) return;
+      if (typeof document === "undefined" || !document.hidden) return;
+
+      const reason = getNotificationReason(incoming, currentUser?.id, room);
+      if (!notificationPreferences.shouldAlert(room?._id || incoming.room, reason)) {
+        return;
+      }
+
+      const senderName = incoming.sender?.name || "알 수 없음";
+      Toast.notify(`${senderName}: ${getMessagePreview(incoming, 60)}`, {
+        toastId: `message:${incoming._id}`,
+      });
+    },
+    [currentUser?.id]
+  );
+
+  const startReply = useCallback((targetMessage) => {
+    if (!targetMessage?._id) return;
+    setReplyTarget(targetMessage);
+  }, []);
+
+  const cancelReply = useCallback(() => {
+    setReplyTarget(null);
+  }, []);
+
   const handleEmojiToggle = useCallback(() => {
     setShowEmojiPicker((prev) => !prev);
   }, []);
@@ -186,25 +228,21 @@ export const useMessageHandling = (
     (room) => {
       if (!room?.participants) return [];
 
-      const allParticipants = [
-        {
-          _id: "wayneAI",
-          name: "wayneAI",
-          email: "ai@wayne.ai",
-          isAI: true,
-        },
-        {
-          _id: "consultingAI",
-          name: "consultingAI",
-          email: "ai@consulting.ai",
-          isAI: true,
-        },
-        ...room.participants,
-      ];
+      // 채팅방에서 사용 가능한 AI (name: 멘션 이름, displayName: 표시 이름)
+      const aiParticipants = (room.aiPersonas || []).map((persona) => ({
+        _id: `ai:${persona.handle}`,
+        name: persona.handle,
+        displayName: persona.name,
+        email: getAIEmail(persona.handle),
+        isAI: true,
+      }));
+
+      const allParticipants = [...aiParticipants, ...room.participants];
 
       return allParticipants.filter(
         (user) =>
           user.name.toLowerCase().includes(mentionFilter) ||
+          user.displayName?.toLowerCase().includes(mentionFilter) ||
           user.email.toLowerCase().includes(mentionFilter)
       );
     },
@@ -254,6 +292,7 @@ export const useMessageHandling = (
     uploadProgress,
     uploadError,
     loadingMessages,
+    replyTarget,
     setMessage,
     setShowEmojiPicker,
     setShowMentionList,
@@ -268,6 +307,9 @@ export const useMessageHandling = (
     getFilteredParticipants,
     insertMention,
     removeFilePreview,
+    startReply,
+    cancelReply,
+    notifyIncomingMessage,
   };
 };
 
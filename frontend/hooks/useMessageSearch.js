@@ -0,0 +1,116 @@
+// hooks/useMessageSearch.js
+
+import { useState, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+const INITIAL_FILTERS = {
+  sender: '',
+  type: '',
+  from: '',
+  to: '',
+  hasFile: ''
+};
+
+// 날짜 입력값(YYYY-MM-DD)을 해당 일의 시작/끝 시각으로 변환
+const toDateBoundary = (value, endOfDay = false) => {
+  if (!value) return undefined;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+export const useMessageSearch = (roomId) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const nextCursorRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  const fetchResults = useCallback(async (cursor) => {
+    const trimmedQuery = query.trim();
+    if (!roomId || !trimmedQuery) return;
+
+    const requestId = ++requestIdRef.current;
+    setLoading(true);
+
+    try {
+      const response = await axiosInstance.get(
+        `/api/rooms/${roomId}/messages/search`,
+        {
+          params: {
+            q: trimmedQuery,
+            sender: filters.sender || undefined,
+            type: filters.type || undefined,
+            hasFile: filters.hasFile || undefined,
+            from: toDateBoundary(filters.from),
+            to: toDateBoundary(filters.to, true),
+            cursor
+          }
+        }
+      );
+
+      // 더 최근에 보낸 검색 요청이 있으면 이전 응답은 무시
+      if (requestId !== requestIdRef.current) return;
+
+      const { data = [], metadata = {} } = response.data || {};
+      setResults(prev => (cursor ? [...prev, ...data] : data));
+      setHasMore(!!metadata.hasMore);
+      nextCursorRef.current = metadata.nextCursor || null;
+      setSearched(true);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Message search error:', error);
+      Toast.error(
+        error.response?.data?.message || '메시지 검색 중 오류가 발생했습니다.'
+      );
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [roomId, query, filters]);
+
+  const search = useCallback(() => {
+    nextCursorRef.current = null;
+    return fetchResults();
+  }, [fetchResults]);
+
+  const loadMore = useCallback(() => {
+    if (loading || !hasMore || !nextCursorRef.current) return;
+    return fetchResults(nextCursorRef.current);
+  }, [loading, hasMore, fetchResults]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const resetSearch = useCallback(() => {
+    requestIdRef.current++;
+    nextCursorRef.current = null;
+    setQuery('');
+    setFilters(INITIAL_FILTERS);
+    setResults([]);
+    setHasMore(false);
+    setLoading(false);
+    setSearched(false);
+  }, []);
+
+  return {
+    query,
+    filters,
+    results,
+    hasMore,
+    loading,
+    searched,
+    setQuery,
+    updateFilter,
+    search,
+    loadMore,
+    resetSearch
+  };
+};
+
+export default useMessageSearch;
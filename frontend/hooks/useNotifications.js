@@ -0,0 +1,164 @@
+// hooks/useNotifications.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+import { notificationPreferences } from '../utils/notificationPreferences';
+
+// 멘션 알림함 (Navbar)
+// 새 알림은 소켓 이벤트를 socketService가 window 이벤트(notificationReceived)로 전달
+export const useNotifications = (currentUser, activeRoomId) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const loadingRef = useRef(false);
+  const activeRoomIdRef = useRef(activeRoomId);
+  activeRoomIdRef.current = activeRoomId;
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/notifications/unread-count');
+      setUnreadCount(response.data?.data?.unreadCount || 0);
+    } catch (error) {
+      console.error('Notification count load error:', error);
+    }
+  }, []);
+
+  const fetchPage = useCallback(async (before) => {
+    if (loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/notifications', {
+        params: before ? { before } : {}
+      });
+      const {
+        notifications: results = [],
+        hasMore: more = false,
+        unreadCount: count = 0
+      } = response.data?.data || {};
+
+      setNotifications(prev => (before ? [...prev, ...results] : results));
+      setHasMore(more);
+      setUnreadCount(count);
+    } catch (error) {
+      console.error('Notifications load error:', error);
+      Toast.error(error.response?.data?.message || '알림을 불러오는데 실패했습니다.');
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  const loadNotifications = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    const last = notifications[notifications.length - 1];
+    if (!hasMore || !last) return;
+    fetchPage(last._id);
+  }, [fetchPage, notifications, hasMore]);
+
+  const applyRead = useCallback((ids) => {
+    setNotifications(prev => prev.map(item => (
+      !ids || ids.includes(item._id) ? { ...item, isRead: true } : item
+    )));
+  }, []);
+
+  const markRead = useCallback(async (ids) => {
+    if (!ids?.length) return;
+    applyRead(ids);
+    try {
+      const response = await axiosInstance.post('/api/notifications/read', { ids });
+      setUnreadCount(response.data?.data?.unreadCount || 0);
+    } catch (error) {
+      console.error('Notification read error:', error);
+    }
+  }, [applyRead]);
+
+  const markAllRead = useCallback(async () => {
+    applyRead(null);
+    try {
+      const response = await axiosInstance.post('/api/notifications/read-all');
+      setUnreadCount(response.data?.data?.unreadCount || 0);
+    } catch (error) {
+      console.error('Notification read-all error:', error);
+      Toast.error(error.response?.data?.message || '알림 읽음 처리 중 오류가 발생했습니다.');
+    }
+  }, [applyRead]);
+
+  // 토스트/알림음 판단에 쓰는 채팅방별 알림 설정
+  const fetchNotificationSettings = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/rooms/notification-settings');
+      notificationPreferences.setAll(response.data?.data || {});
+    } catch (error) {
+      console.error('Notification settings load error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!currentUser?.token) {
+      setNotifications([]);
+      setUnreadCount(0);
+      setLoaded(false);
+      notificationPreferences.clear();
+      return;
+    }
+    fetchUnreadCount();
+    fetchNotificationSettings();
+  }, [currentUser?.token, fetchUnreadCount, fetchNotificationSettings]);
+
+  useEffect(() => {
+    if (!currentUser?.token) return;
+
+    const handleNotification = (event) => {
+      const { notification, unreadCount: count } = event.detail || {};
+      if (!notification) return;
+
+      setNotifications(prev => [
+        notification,
+        ...prev.filter(item => item._id !== notification._id)
+      ]);
+      setUnreadCount(count ?? (prev => prev + 1));
+
+      // 해당 채팅방을 보고 있거나 방해 금지 모드/채팅방 알림 설정으로 꺼져 있으면 토스트 생략
+      const roomId = notification.room?._id;
+      if (roomId === activeRoomIdRef.current) return;
+      if (!notificationPreferences.shouldAlert(roomId, 'mention')) return;
+      Toast.notify(`${notification.actor?.name || '알 수 없음'}님이 회원님을 멘션했습니다.`, {
+        toastId: `notification:${notification._id}`
+      });
+    };
+
+    const handleRead = (event) => {
+      const { ids, unreadCount: count } = event.detail || {};
+      applyRead(ids || null);
+      if (typeof count === 'number') setUnreadCount(count);
+    };
+
+    window.addEventListener('notificationReceived', handleNotification);
+    window.addEventListener('notificationsRead', handleRead);
+    return () => {
+      window.removeEventListener('notificationReceived', handleNotification);
+      window.removeEventListener('notificationsRead', handleRead);
+    };
+  }, [currentUser?.token, applyRead]);
+
+  return {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    loaded,
+    loadNotifications,
+    loadMore,
+    markRead,
+    markAllRead
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,63 @@
+// hooks/usePinnedMessages.js
+
+import { useCallback, useMemo } from 'react';
+import { Toast } from '../components/Toast';
+import { canPinMessages } from '../utils/messageUtils';
+
+export const usePinnedMessages = (socketRef, room, setRoom, currentUser) => {
+  const pinnedMessages = useMemo(
+    () => room?.pinnedMessages || [],
+    [room?.pinnedMessages]
+  );
+
+  const canPin = useMemo(
+    () => canPinMessages(room, currentUser?.id),
+    [room, currentUser?.id]
+  );
+
+  const emitPin = useCallback((event, messageId) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return false;
+    }
+
+    socketRef.current.emit(event, { messageId });
+    return true;
+  }, [socketRef]);
+
+  const pinMessage = useCallback((messageId) =>
+    emitPin('pinMessage', messageId), [emitPin]);
+
+  const unpinMessage = useCallback((messageId) =>
+    emitPin('unpinMessage', messageId), [emitPin]);
+
+  const togglePin = useCallback((msg) => {
+    if (!msg?._id) return false;
+    const isPinned = pinnedMessages.some(pinned => pinned._id === msg._id);
+    return isPinned ? unpinMessage(msg._id) : pinMessage(msg._id);
+  }, [pinnedMessages, pinMessage, unpinMessage]);
+
+  const handlePinsUpdated = useCallback(({ roomId, pinnedMessages: pins, pinLimit }) => {
+    setRoom(prev => (
+      prev && prev._id === roomId
+        ? { ...prev, pinnedMessages: pins || [], pinLimit }
+        : prev
+    ));
+  }, [setRoom]);
+
+  const handlePinError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 고정 처리 중 오류가 발생했습니다.');
+  }, []);
+
+  return {
+    pinnedMessages,
+    canPin,
+    pinMessage,
+    unpinMessage,
+    togglePin,
+    handlePinsUpdated,
+    handlePinError
+  };
+};
+
+export default usePinnedMessages;
@@ -0,0 +1,30 @@
+// hooks/usePresence.js
+
+import { useState, useEffect } from 'react';
+import { presenceStore } from '../utils/presenceStore';
+
+// 특정 사용자의 접속 상태/상태 메시지 구독 (저장소에 없는 항목은 user 객체의 값 사용)
+export const usePresence = (user, enabled = true) => {
+  const userId = user?._id || user?.id;
+  const [presence, setPresence] = useState(() => presenceStore.get(userId));
+
+  useEffect(() => {
+    if (!enabled || !userId) return;
+
+    setPresence(presenceStore.get(userId));
+    return presenceStore.subscribe(() => {
+      setPresence(presenceStore.get(userId));
+    });
+  }, [userId, enabled]);
+
+  if (!enabled || !userId) return null;
+  return {
+    status: user?.status,
+    lastActive: user?.lastActive || null,
+    customStatus: user?.customStatus || null,
+    doNotDisturb: !!user?.doNotDisturb,
+    ...presence
+  };
+};
+
+export default usePresence;
@@ -0,0 +1,41 @@
+// hooks/useReadState.js
+
+import { useState, useEffect, useCallback } from 'react';
+
+// 채팅방 읽음 위치: 참여자별 읽음 표시와 입장 시점의 "새 메시지" 구분선
+export const useReadState = (room, setRoom) => {
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const [unreadJumpDismissed, setUnreadJumpDismissed] = useState(false);
+
+  // 입장 시 받은 읽음 정보(readState)를 고정해 두고, 읽음 처리 중에도 구분선 위치를 유지
+  const readState = room?.readState;
+  useEffect(() => {
+    setUnreadMarker(
+      readState?.firstUnreadMessageId && readState.unreadCount > 0
+        ? readState
+        : null
+    );
+    setUnreadJumpDismissed(false);
+  }, [readState]);
+
+  const dismissUnreadJump = useCallback(() => {
+    setUnreadJumpDismissed(true);
+  }, []);
+
+  const handleReadCursorUpdated = useCallback(({ roomId, userId, lastReadAt }) => {
+    setRoom(prev => (
+      prev && prev._id === roomId
+        ? { ...prev, readCursors: { ...prev.readCursors, [userId]: lastReadAt } }
+        : prev
+    ));
+  }, [setRoom]);
+
+  return {
+    unreadMarker,
+    showUnreadJump: !!unreadMarker && !unreadJumpDismissed,
+    dismissUnreadJump,
+    handleReadCursorUpdated
+  };
+};
+
+export default useReadState;
@@ -2,6 +2,8 @@ import { useRef, useEffect, useCallback } from 'react';
 import socketService from '../services/socket';
 import authService from '../services/authService';
 import { Toast } from '../components/Toast';
+import { presenceStore } from '../utils/presenceStore';
+import { aiPersonaStore } from '../utils/aiPersonaStore';
 
 export const useRoomHandling = (
   socketRef,
@@ -234,6 +236,7 @@ export const useRoomHandling = (
       const handleSuccess = (data) => {
         clearTimeout(timeout);
         userRooms?.set(socket.id, roomId);
+        presenceStore.setMany(data?.participants);
         socket.off('joinRoomError', handleError);
         socket.off('error', handleError);
         resolve(data);
@@ -361,6 +364,8 @@ export const useRoomHandling = (
         console.log('Fetching room data...');
         const roomData = await fetchRoomData(router.query.room);
         setRoom(roomData);
+        presenceStore.setMany(roomData?.participants);
+        aiPersonaStore.setMany(roomData?.aiPersonas);
 
         // 3. Setup Event Listeners
         console.log('Setting up event listeners...');
@@ -372,6 +377,14 @@ export const useRoomHandling = (
         if (mountedRef.current && socketRef.current?.connected) {
           console.log('Joining room...');
           await joinRoom(router.query.room);
+
+          // 참여 전에는 공개 정보만 받으므로 입장 후 전체 정보를 다시 조회
+          if (!roomData?.isParticipant && mountedRef.current) {
+            const joinedRoomData = await fetchRoomData(router.query.room);
+            setRoom(joinedRoomData);
+            presenceStore.setMany(joinedRoomData?.participants);
+            aiPersonaStore.setMany(joinedRoomData?.aiPersonas);
+          }
           
           console.log('Loading initial messages...');
           await loadInitialMessages(router.query.room);
@@ -0,0 +1,83 @@
+// hooks/useRoomInvites.js
+
+import { useState, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const useRoomInvites = (roomId) => {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const loadInvites = useCallback(async () => {
+    if (!roomId) return;
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/invites`);
+      setInvites(response.data?.data || []);
+    } catch (error) {
+      console.error('Invite list error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크 목록을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  // options: { maxUses, expiresInMinutes } (null이면 제한 없음)
+  const createInvite = useCallback(async (options) => {
+    if (!roomId) return null;
+
+    setCreating(true);
+    try {
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/invites`, options);
+      const invite = response.data?.data;
+      if (invite) {
+        setInvites(prev => [invite, ...prev]);
+      }
+      return invite || null;
+    } catch (error) {
+      console.error('Invite create error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크 생성에 실패했습니다.');
+      return null;
+    } finally {
+      setCreating(false);
+    }
+  }, [roomId]);
+
+  const revokeInvite = useCallback(async (inviteId) => {
+    if (!roomId) return;
+
+    try {
+      await axiosInstance.delete(`/api/rooms/${roomId}/invites/${inviteId}`);
+      setInvites(prev => prev.filter(invite => invite._id !== inviteId));
+      Toast.success('초대 링크가 폐기되었습니다.');
+    } catch (error) {
+      console.error('Invite revoke error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크 폐기에 실패했습니다.');
+    }
+  }, [roomId]);
+
+  const copyInviteLink = useCallback(async (invite) => {
+    const url = `${window.location.origin}${invite.path}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      Toast.success('초대 링크가 복사되었습니다.');
+    } catch (error) {
+      console.error('Invite copy error:', error);
+      window.prompt('초대 링크를 복사하세요.', url);
+    }
+  }, []);
+
+  return {
+    invites,
+    loading,
+    creating,
+    loadInvites,
+    createInvite,
+    revokeInvite,
+    copyInviteLink
+  };
+};
+
+export default useRoomInvites;
@@ -0,0 +1,109 @@
+// hooks/useRoomModeration.js
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { Toast } from '../components/Toast';
+import { getRoomRole, getActiveMute } from '../utils/messageUtils';
+
+const REMOVED_MESSAGES = {
+  kick: '채팅방에서 내보내졌습니다.',
+  ban: '채팅방에서 차단되었습니다.'
+};
+
+export const useRoomModeration = (socketRef, router, room, setRoom, currentUser) => {
+  const myRole = useMemo(
+    () => getRoomRole(room, currentUser?.id),
+    [room, currentUser?.id]
+  );
+
+  const myMute = useMemo(
+    () => getActiveMute(room, currentUser?.id),
+    [room, currentUser?.id]
+  );
+
+  // 기간이 정해진 채팅 금지는 만료 시점에 다시 계산
+  useEffect(() => {
+    if (!myMute?.expiresAt) return;
+
+    const remaining = new Date(myMute.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      setRoom(prev => (prev ? { ...prev } : prev));
+    }, Math.max(remaining, 0) + 500);
+
+    return () => clearTimeout(timer);
+  }, [myMute?.expiresAt, setRoom]);
+
+  const emitModeration = useCallback((event, payload) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return false;
+    }
+
+    socketRef.current.emit(event, { roomId: room?._id, ...payload });
+    return true;
+  }, [socketRef, room?._id]);
+
+  const setMemberRole = useCallback((userId, role) =>
+    emitModeration('setMemberRole', { userId, role }), [emitModeration]);
+
+  const kickMember = useCallback((userId, reason) =>
+    emitModeration('kickMember', { userId, reason }), [emitModeration]);
+
+  const banMember = useCallback((userId, durationMinutes, reason) =>
+    emitModeration('banMember', { userId, durationMinutes, reason }), [emitModeration]);
+
+  const unbanMember = useCallback((userId) =>
+    emitModeration('unbanMember', { userId }), [emitModeration]);
+
+  const muteMember = useCallback((userId, durationMinutes, reason) =>
+    emitModeration('muteMember', { userId, durationMinutes, reason }), [emitModeration]);
+
+  const unmuteMember = useCallback((userId) =>
+    emitModeration('unmuteMember', { userId }), [emitModeration]);
+
+  const handleModerationUpdate = useCallback(({ roomId, moderators, mutes }) => {
+    setRoom(prev => (
+      prev && prev._id === roomId ? { ...prev, moderators, mutes } : prev
+    ));
+  }, [setRoom]);
+
+  const handleParticipantsUpdate = useCallback((participants) => {
+    if (!Array.isArray(participants)) return;
+    setRoom(prev => (prev ? { ...prev, participants } : prev));
+  }, [setRoom]);
+
+  // 내보내기/차단된 경우 채팅방 목록으로 이동
+  const handleRemovedFromRoom = useCallback(({ roomId, action, reason, expiresAt }) => {
+    if (roomId !== router?.query?.room) return;
+
+    const details = [
+      reason && `사유: ${reason}`,
+      expiresAt && `${new Date(expiresAt).toLocaleString('ko-KR')}까지`
+    ].filter(Boolean).join(' / ');
+
+    Toast.error(
+      `${REMOVED_MESSAGES[action] || REMOVED_MESSAGES.kick}${details ? ` (${details})` : ''}`
+    );
+    router.replace('/chat-rooms');
+  }, [router]);
+
+  const handleModerationError = useCallback(({ message }) => {
+    Toast.error(message || '채팅방 관리 작업에 실패했습니다.');
+  }, []);
+
+  return {
+    myRole,
+    myMute,
+    setMemberRole,
+    kickMember,
+    banMember,
+    unbanMember,
+    muteMember,
+    unmuteMember,
+    handleModerationUpdate,
+    handleParticipantsUpdate,
+    handleRemovedFromRoom,
+    handleModerationError
+  };
+};
+
+export default useRoomModeration;
@@ -0,0 +1,57 @@
+// hooks/useRoomNotificationLevel.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+import {
+  notificationPreferences,
+  NOTIFICATION_LEVELS
+} from '../utils/notificationPreferences';
+
+// 현재 채팅방의 알림 설정 (채팅방 조회 응답의 notificationLevel로 저장소 초기화)
+export const useRoomNotificationLevel = (room) => {
+  const roomId = room?._id;
+  const [level, setLevel] = useState(() => notificationPreferences.get(roomId));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (roomId && room?.notificationLevel) {
+      notificationPreferences.set(roomId, room.notificationLevel);
+    }
+  }, [roomId, room?.notificationLevel]);
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    setLevel(notificationPreferences.get(roomId));
+    return notificationPreferences.subscribe(() => {
+      setLevel(notificationPreferences.get(roomId));
+    });
+  }, [roomId]);
+
+  const updateLevel = useCallback(async (nextLevel) => {
+    if (!roomId || !NOTIFICATION_LEVELS[nextLevel]) return;
+
+    const previous = notificationPreferences.get(roomId);
+    if (previous === nextLevel) return;
+
+    setSaving(true);
+    notificationPreferences.set(roomId, nextLevel);
+    try {
+      await axiosInstance.put(`/api/rooms/${roomId}/notification-settings`, {
+        level: nextLevel
+      });
+      Toast.success(`알림 설정을 '${NOTIFICATION_LEVELS[nextLevel].label}'(으)로 변경했습니다.`);
+    } catch (error) {
+      console.error('Notification level update error:', error);
+      notificationPreferences.set(roomId, previous);
+      Toast.error(error.response?.data?.message || '알림 설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  }, [roomId]);
+
+  return { level, saving, updateLevel };
+};
+
+export default useRoomNotificationLevel;
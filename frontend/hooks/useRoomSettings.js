@@ -0,0 +1,92 @@
+// hooks/useRoomSettings.js
+
+import { useState, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const useRoomSettings = (router, room, setRoom) => {
+  const [saving, setSaving] = useState(false);
+  const deletingRef = useRef(false);
+
+  const updateRoomSettings = useCallback(async (settings) => {
+    if (!room?._id) return false;
+
+    setSaving(true);
+    try {
+      const response = await axiosInstance.put(`/api/rooms/${room._id}`, settings);
+      const updatedRoom = response.data?.data;
+      if (updatedRoom) {
+        setRoom(prev => (prev ? {
+          ...prev,
+          name: updatedRoom.name,
+          hasPassword: updatedRoom.hasPassword,
+          pinLimit: updatedRoom.pinLimit,
+          aiContextSize: updatedRoom.aiContextSize,
+          aiPersonas: updatedRoom.aiPersonas,
+          usesDefaultAIPersonas: updatedRoom.usesDefaultAIPersonas
+        } : prev));
+      }
+      Toast.success('채팅방 설정이 저장되었습니다.');
+      return true;
+    } catch (error) {
+      console.error('Room update error:', error);
+      Toast.error(error.response?.data?.message || '채팅방 설정 변경에 실패했습니다.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [room?._id, setRoom]);
+
+  const deleteRoom = useCallback(async () => {
+    if (!room?._id) return false;
+
+    setSaving(true);
+    deletingRef.current = true;
+    try {
+      await axiosInstance.delete(`/api/rooms/${room._id}`);
+      Toast.success('채팅방이 삭제되었습니다.');
+      router.replace('/chat-rooms');
+      return true;
+    } catch (error) {
+      console.error('Room delete error:', error);
+      Toast.error(error.response?.data?.message || '채팅방 삭제에 실패했습니다.');
+      deletingRef.current = false;
+      setSaving(false);
+      return false;
+    }
+  }, [room?._id, router]);
+
+  // 다른 참여자(방장)가 변경한 설정 반영
+  const handleRoomUpdate = useCallback((updatedRoom) => {
+    setRoom(prev => (
+      prev && prev._id === updatedRoom?._id
+        ? {
+          ...prev,
+          name: updatedRoom.name,
+          hasPassword: updatedRoom.hasPassword,
+          pinLimit: updatedRoom.pinLimit,
+          aiContextSize: updatedRoom.aiContextSize,
+          aiPersonas: updatedRoom.aiPersonas,
+          usesDefaultAIPersonas: updatedRoom.usesDefaultAIPersonas
+        }
+        : prev
+    ));
+  }, [setRoom]);
+
+  const handleRoomDeleted = useCallback(({ roomId }) => {
+    // 직접 삭제한 경우에는 deleteRoom에서 이동 처리
+    if (roomId !== router?.query?.room || deletingRef.current) return;
+    Toast.info('채팅방이 삭제되었습니다.');
+    router.replace('/chat-rooms');
+  }, [router]);
+
+  return {
+    savingRoomSettings: saving,
+    updateRoomSettings,
+    deleteRoom,
+    handleRoomUpdate,
+    handleRoomDeleted
+  };
+};
+
+export default useRoomSettings;
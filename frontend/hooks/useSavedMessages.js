@@ -0,0 +1,68 @@
+// hooks/useSavedMessages.js
+
+import { useState, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+// 저장한 메시지 목록 (저장한 메시지 페이지)
+export const useSavedMessages = () => {
+  const [items, setItems] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const nextCursorRef = useRef(null);
+  const loadingRef = useRef(false);
+
+  const fetchPage = useCallback(async (cursor) => {
+    if (loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/users/me/saved', {
+        params: cursor ? { cursor } : {}
+      });
+      const { results = [], hasMore: more = false, nextCursor = null } = response.data?.data || {};
+
+      setItems(prev => (cursor ? [...prev, ...results] : results));
+      setHasMore(more);
+      nextCursorRef.current = nextCursor;
+    } catch (error) {
+      console.error('Saved messages load error:', error);
+      Toast.error(error.response?.data?.message || '저장한 메시지를 불러오는데 실패했습니다.');
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  const loadSavedMessages = useCallback(() => fetchPage(null), [fetchPage]);
+
+  const loadMore = useCallback(() => {
+    if (!nextCursorRef.current) return;
+    fetchPage(nextCursorRef.current);
+  }, [fetchPage]);
+
+  const removeSavedMessage = useCallback(async (messageId) => {
+    try {
+      await axiosInstance.delete(`/api/users/me/saved/${messageId}`);
+      setItems(prev => prev.filter(item => item.message._id !== messageId));
+    } catch (error) {
+      console.error('Saved message remove error:', error);
+      Toast.error(error.response?.data?.message || '저장 취소 중 오류가 발생했습니다.');
+    }
+  }, []);
+
+  return {
+    items,
+    hasMore,
+    loading,
+    loaded,
+    loadSavedMessages,
+    loadMore,
+    removeSavedMessage
+  };
+};
+
+export default useSavedMessages;
@@ -1,4 +1,9 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { Toast } from '../components/Toast';
+
+// 원본 메시지를 찾기 위해 추가로 불러올 최대 페이지 수
+const MAX_JUMP_PAGES = 20;
+const HIGHLIGHT_DURATION = 2000;
 
 export const useScrollHandling = (socketRef, router, messages = []) => {
   const [isNearBottom, setIsNearBottom] = useState(true);
@@ -6,6 +11,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
   const [loadingMessages, setLoadingMessages] = useState(false);
   const [initialScrollDone, setInitialScrollDone] = useState(false);
   const [isLoadingPreviousMessages, setIsLoadingPreviousMessages] = useState(false);
+  const [scrollTarget, setScrollTarget] = useState(null);
 
   const messagesEndRef = useRef(null);
   const previousScrollHeightRef = useRef(0);
@@ -281,6 +287,54 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     }
   }, [loadingMessages, logDebug]);
 
+  const highlightMessage = useCallback((messageId) => {
+    const element = document.querySelector(
+      `.message-list [data-message-id="${messageId}"]`
+    );
+    if (!element) return false;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('message-highlight');
+    setTimeout(() => {
+      element.classList.remove('message-highlight');
+    }, HIGHLIGHT_DURATION);
+
+    logDebug('highlightMessage', { messageId });
+    return true;
+  }, [logDebug]);
+
+  // 특정 메시지로 스크롤 (목록에 없으면 이전 메시지를 불러오며 탐색)
+  const scrollToMessage = useCallback((messageId, loadMore) => {
+    if (!messageId) return;
+    setScrollTarget({ messageId, loadMore, pagesLoaded: 0 });
+  }, []);
+
+  useEffect(() => {
+    if (!scrollTarget || loadingMessages) return;
+
+    const { messageId, loadMore, pagesLoaded } = scrollTarget;
+
+    if (messages?.some(msg => msg._id === messageId)) {
+      setScrollTarget(null);
+      requestAnimationFrame(() => {
+        if (!highlightMessage(messageId)) {
+          Toast.info('원본 메시지를 찾을 수 없습니다.');
+        }
+      });
+      return;
+    }
+
+    if (!hasMoreMessages || !loadMore || pagesLoaded >= MAX_JUMP_PAGES) {
+      setScrollTarget(null);
+      Toast.info('원본 메시지를 찾을 수 없습니다.');
+      return;
+    }
+
+    logDebug('scrollToMessage loadMore', { messageId, pagesLoaded });
+    setScrollTarget(prev => prev && { ...prev, pagesLoaded: prev.pagesLoaded + 1 });
+    loadMore();
+  }, [scrollTarget, messages, loadingMessages, hasMoreMessages, highlightMessage, logDebug]);
+
   // Cleanup
   useEffect(() => {
     return () => {
@@ -313,6 +367,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     setLoadingMessages,
     setInitialScrollDone,
     setIsNearBottom,
+    scrollToMessage,
     isLoadingPreviousMessages
   };
 };
@@ -0,0 +1,150 @@
+// hooks/useThreadHandling.js
+
+import { useState, useCallback, useRef } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useThreadHandling = (socketRef, router, setMessages) => {
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [threadHasMore, setThreadHasMore] = useState(false);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const activeThreadIdRef = useRef(null);
+
+  const fetchThread = useCallback((messageId, before) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return;
+    }
+
+    setThreadLoading(true);
+    socketRef.current.emit('fetchThread', { messageId, before });
+  }, [socketRef]);
+
+  const openThread = useCallback((message) => {
+    if (!message?._id) return;
+
+    activeThreadIdRef.current = message._id;
+    setActiveThread(message);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    fetchThread(message._id);
+  }, [fetchThread]);
+
+  const closeThread = useCallback(() => {
+    activeThreadIdRef.current = null;
+    setActiveThread(null);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    setThreadLoading(false);
+  }, []);
+
+  const loadMoreThreadMessages = useCallback(() => {
+    if (!activeThreadIdRef.current || threadLoading || !threadHasMore) return;
+    fetchThread(activeThreadIdRef.current, threadMessages[0]?.timestamp);
+  }, [fetchThread, threadLoading, threadHasMore, threadMessages]);
+
+  const sendThreadReply = useCallback((content) => {
+    const trimmedContent = content?.trim();
+    if (!trimmedContent || !activeThreadIdRef.current) return false;
+
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return false;
+    }
+
+    socketRef.current.emit('chatMessage', {
+      room: router?.query?.room,
+      type: 'text',
+      content: trimmedContent,
+      parentMessage: activeThreadIdRef.current
+    });
+    return true;
+  }, [socketRef, router?.query?.room]);
+
+  const handleThreadLoaded = useCallback(({
+    parentMessage,
+    messages = [],
+    hasMore,
+    isInitialLoad
+  }) => {
+    if (!parentMessage || parentMessage._id !== activeThreadIdRef.current) {
+      return;
+    }
+
+    setActiveThread(parentMessage);
+    setThreadMessages(prev => {
+      const merged = isInitialLoad ? messages : [...messages, ...prev];
+      const messageMap = new Map();
+      merged.forEach(msg => messageMap.set(msg._id, msg));
+      return Array.from(messageMap.values()).sort(
+        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+      );
+    });
+    setThreadHasMore(!!hasMore);
+    setThreadLoading(false);
+  }, []);
+
+  const handleThreadMessage = useCallback(({ parentMessageId, message }) => {
+    if (!message?._id || parentMessageId !== activeThreadIdRef.current) return;
+
+    setThreadMessages(prev => {
+      if (prev.some(msg => msg._id === message._id)) return prev;
+      return [...prev, message];
+    });
+
+    // 열려 있는 스레드의 새 답글은 바로 읽음 처리
+    socketRef.current?.emit('markMessagesAsRead', {
+      roomId: router?.query?.room,
+      messageIds: [message._id]
+    });
+  }, [socketRef, router?.query?.room]);
+
+  const handleThreadUpdated = useCallback(({ messageId, ...threadInfo }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ? { ...msg, ...threadInfo } : msg
+      )
+    );
+
+    if (messageId === activeThreadIdRef.current) {
+      setActiveThread(prev => prev ? { ...prev, ...threadInfo } : prev);
+    }
+  }, [setMessages]);
+
+  // 수정/삭제/리액션 등 메시지 변경 사항을 스레드에도 반영
+  const updateThreadMessage = useCallback((messageId, updates) => {
+    if (!activeThreadIdRef.current) return;
+
+    if (messageId === activeThreadIdRef.current) {
+      setActiveThread(prev => prev ? { ...prev, ...updates } : prev);
+      return;
+    }
+
+    setThreadMessages(prev =>
+      prev.map(msg => msg._id === messageId ? { ...msg, ...updates } : msg)
+    );
+  }, []);
+
+  const handleThreadLoadError = useCallback(({ message }) => {
+    setThreadLoading(false);
+    Toast.error(message || '스레드를 불러오는데 실패했습니다.');
+  }, []);
+
+  return {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleThreadLoaded,
+    handleThreadMessage,
+    handleThreadUpdated,
+    handleThreadLoadError,
+    updateThreadMessage
+  };
+};
+
+export default useThreadHandling;
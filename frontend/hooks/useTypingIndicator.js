@@ -0,0 +1,90 @@
+// hooks/useTypingIndicator.js
+
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+
+// 입력 중에는 이 간격마다 typingStart를 다시 보내 서버의 자동 만료를 연장
+const TYPING_EMIT_INTERVAL = 2000;
+// 마지막 입력 후 이 시간 동안 입력이 없으면 typingStop 전송
+const TYPING_IDLE_DELAY = 3000;
+const MAX_LISTED_NAMES = 2;
+
+// "A님, B님 외 3명이 입력 중..." 형식의 문구 생성 (자신은 제외)
+const formatTypingText = (users, count, currentUserId) => {
+  const others = users.filter(user => user._id !== currentUserId);
+  const total = count - (users.length > others.length ? 1 : 0);
+  if (total <= 0 || others.length === 0) return '';
+
+  const names = others.slice(0, MAX_LISTED_NAMES).map(user => `${user.name}님`);
+  const rest = total - names.length;
+  return rest > 0
+    ? `${names.join(', ')} 외 ${rest}명이 입력 중...`
+    : `${names.join(', ')}이 입력 중...`;
+};
+
+export const useTypingIndicator = (socketRef, roomId, currentUser) => {
+  const [typingState, setTypingState] = useState({ users: [], count: 0 });
+  const lastEmitRef = useRef(0);
+  const idleTimerRef = useRef(null);
+  const isTypingRef = useRef(false);
+  // 소켓 리스너가 채팅방 정보를 받기 전에 등록될 수 있어 ref로 현재 채팅방 확인
+  const roomIdRef = useRef(roomId);
+  roomIdRef.current = roomId;
+
+  const stopTyping = useCallback(() => {
+    if (idleTimerRef.current) {
+      clearTimeout(idleTimerRef.current);
+      idleTimerRef.current = null;
+    }
+    if (!isTypingRef.current) return;
+
+    isTypingRef.current = false;
+    lastEmitRef.current = 0;
+    if (roomId && socketRef.current?.connected) {
+      socketRef.current.emit('typingStop', { roomId });
+    }
+  }, [socketRef, roomId]);
+
+  // 입력 활동 발생 시 호출 (IME 조합 중 입력도 포함)
+  const notifyTyping = useCallback(() => {
+    if (!roomId || !socketRef.current?.connected) return;
+
+    const now = Date.now();
+    if (!isTypingRef.current || now - lastEmitRef.current >= TYPING_EMIT_INTERVAL) {
+      socketRef.current.emit('typingStart', { roomId });
+      lastEmitRef.current = now;
+      isTypingRef.current = true;
+    }
+
+    if (idleTimerRef.current) {
+      clearTimeout(idleTimerRef.current);
+    }
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_DELAY);
+  }, [socketRef, roomId, stopTyping]);
+
+  const handleTypingUpdate = useCallback(({ roomId: updatedRoomId, users = [], count = 0 }) => {
+    if (updatedRoomId !== roomIdRef.current) return;
+    setTypingState({ users, count });
+  }, []);
+
+  // 채팅방을 벗어나면 입력 중 상태 정리
+  useEffect(() => {
+    setTypingState({ users: [], count: 0 });
+    return () => {
+      stopTyping();
+    };
+  }, [stopTyping]);
+
+  const typingText = useMemo(
+    () => formatTypingText(typingState.users, typingState.count, currentUser?.id),
+    [typingState, currentUser?.id]
+  );
+
+  return {
+    typingText,
+    notifyTyping,
+    stopTyping,
+    handleTypingUpdate
+  };
+};
+
+export default useTypingIndicator;
@@ -0,0 +1,145 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Spinner } from '@goorm-dev/vapor-components';
+import { Bot, Pencil, Trash2, Plus } from 'lucide-react';
+import { withAuth } from '../middleware/withAuth';
+import { useAIPersonaManager } from '../hooks/useAIPersonaManager';
+import AIPersonaForm from '../components/AIPersonaForm';
+import PersistentAvatar from '../components/common/PersistentAvatar';
+import { getAIEmail } from '../utils/aiPersonaStore';
+
+const AIPersonasPage = () => {
+  const {
+    personas,
+    providers,
+    models,
+    loading,
+    loaded,
+    saving,
+    loadPersonas,
+    savePersona,
+    removePersona
+  } = useAIPersonaManager();
+  // null: 폼 닫힘, 'new': 새 AI, 그 외: 수정 중인 AI ID
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    loadPersonas();
+  }, [loadPersonas]);
+
+  const handleSubmit = useCallback(async (values) => {
+    const personaId = editingId === 'new' ? null : editingId;
+    if (await savePersona(personaId, values)) {
+      setEditingId(null);
+    }
+  }, [editingId, savePersona]);
+
+  const handleDelete = useCallback(async (persona) => {
+    if (!window.confirm(`${persona.name}을(를) 삭제하시겠습니까? 사용 중인 채팅방에서도 제외됩니다.`)) return;
+    if (await removePersona(persona._id) && editingId === persona._id) {
+      setEditingId(null);
+    }
+  }, [editingId, removePersona]);
+
+  const editingPersona = personas.find(persona => persona._id === editingId) || null;
+
+  return (
+    <div className="chat-container">
+      <Card className="chat-rooms-card ai-personas-card">
+        <Card.Header>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <Bot className="w-5 h-5" />
+              <Card.Title>AI 관리</Card.Title>
+            </div>
+            {editingId === null && (
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={() => setEditingId('new')}
+              >
+                <Plus className="w-4 h-4" />
+                새 AI
+              </Button>
+            )}
+          </div>
+        </Card.Header>
+
+        <Card.Body className="p-6">
+          {editingId !== null && (
+            <div className="ai-persona-editor">
+              <Text size="lg" weight="bold" className="mb-3">
+                {editingPersona ? `${editingPersona.name} 수정` : '새 AI 만들기'}
+              </Text>
+              <AIPersonaForm
+                key={editingId}
+                persona={editingPersona}
+                providers={providers}
+                models={models}
+                saving={saving}
+                onSubmit={handleSubmit}
+                onCancel={() => setEditingId(null)}
+              />
+            </div>
+          )}
+
+          {!loaded && loading ? (
+            <div className="loading-messages">
+              <Spinner size="sm" className="text-primary" />
+              <Text size="sm" color="secondary">AI 목록을 불러오는 중...</Text>
+            </div>
+          ) : (
+            <div className="ai-persona-list">
+              <Text size="sm" color="secondary">
+                채팅방 설정에서 채팅방에서 사용할 AI를 선택할 수 있습니다. 기본 AI는 따로 선택하지 않은 채팅방에서 사용됩니다.
+              </Text>
+              {personas.map(persona => (
+                <div key={persona._id} className="ai-persona-item">
+                  <PersistentAvatar
+                    user={{ name: persona.name, email: getAIEmail(persona.handle) }}
+                    size="md"
+                    showInitials={true}
+                  />
+                  <div className="ai-persona-body">
+                    <div className="ai-persona-meta">
+                      <Text size="sm" weight="bold">{persona.name}</Text>
+                      <Text size="xs" color="secondary">@{persona.handle}</Text>
+                      {persona.isDefault && <span className="ai-persona-badge">기본</span>}
+                    </div>
+                    <Text size="sm" color="secondary" className="ai-persona-prompt-preview">
+                      {persona.systemPrompt || persona.tone}
+                    </Text>
+                  </div>
+                  {persona.canEdit && (
+                    <div className="ai-persona-actions">
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => setEditingId(persona._id)}
+                        disabled={saving}
+                        title="수정"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleDelete(persona)}
+                        disabled={saving}
+                        title="삭제"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default withAuth(AIPersonasPage);
@@ -20,6 +20,8 @@ import authService from '../services/authService';
 import axiosInstance from '../services/axios';
 import { withAuth } from '../middleware/withAuth';
 import { Toast } from '../components/Toast';
+import DirectRoomList from '../components/chat/DirectRoomList';
+import { useDirectRooms } from '../hooks/useDirectRooms';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
 
@@ -51,6 +53,40 @@ const SCROLL_THRESHOLD = 50;
 const SCROLL_DEBOUNCE_DELAY = 150;
 const INITIAL_PAGE_SIZE = 10;
 
+// 로비 채널의 일괄 변경 사항(생성/수정/삭제/참여자 수)을 목록에 반영
+const applyRoomListUpdate = (rooms, batch = {}, currentUserId) => {
+  const {
+    created = [],
+    updated = [],
+    deleted = [],
+    participantCounts = {}
+  } = batch;
+
+  const withCreator = (room) => ({
+    ...room,
+    isCreator: room.creator?._id === currentUserId
+  });
+
+  const updatedMap = new Map(updated.map(room => [room._id, room]));
+  const deletedIds = new Set(deleted);
+  const existingIds = new Set(rooms.map(room => room._id));
+
+  const newRooms = created
+    .filter(room => !existingIds.has(room._id) && !deletedIds.has(room._id))
+    .map(withCreator);
+
+  return [...newRooms, ...rooms]
+    .filter(room => !deletedIds.has(room._id))
+    .map(room => {
+      // 읽지 않은 수는 사용자별 값이라 목록 갱신 데이터에 없으므로 유지
+      const nextRoom = updatedMap.has(room._id)
+        ? { ...withCreator(updatedMap.get(room._id)), unreadCount: room.unreadCount }
+        : room;
+      const count = participantCounts[room._id];
+      return count === undefined ? nextRoom : { ...nextRoom, participantsCount: count };
+    });
+};
+
 const LoadingIndicator = ({ text }) => (
   <div className="loading-indicator">
     <Spinner size="sm" className="mr-3" />
@@ -191,6 +227,28 @@ function ChatRoomsComponent() {
   const previousRoomsRef = useRef([]);
   const lastLoadedPageRef = useRef(0);
 
+  const {
+    directRooms,
+    loading: directRoomsLoading,
+    handleDirectMessage,
+    handleUnreadUpdate: handleDirectUnreadUpdate,
+    handleDirectRoomCreated
+  } = useDirectRooms(currentUser);
+
+  // 로비에서 받은 읽지 않은 수 변경 반영 (목록에 없는 채팅방은 무시)
+  const updateRoomUnread = useCallback((roomId, getCount) => {
+    setRooms(prev => {
+      if (!prev.some(room => room._id === roomId)) return prev;
+      const updatedRooms = prev.map(room => (
+        room._id === roomId
+          ? { ...room, unreadCount: getCount(room.unreadCount || 0) }
+          : room
+      ));
+      previousRoomsRef.current = updatedRooms;
+      return updatedRooms;
+    });
+  }, []);
+
   const getRetryDelay = useCallback((retryCount) => {
     const delay = RETRY_CONFIG.baseDelay * 
       Math.pow(RETRY_CONFIG.backoffFactor, retryCount) *
@@ -508,35 +566,33 @@ function ChatRoomsComponent() {
             console.error('Socket error:', error);
             setConnectionStatus(CONNECTION_STATUS.ERROR);
           },
-          roomCreated: (newRoom) => {
+          roomListUpdate: (batch) => {
             setRooms(prev => {
-              const updatedRooms = [newRoom, ...prev];
+              const updatedRooms = applyRoomListUpdate(prev, batch, currentUser?.id);
               previousRoomsRef.current = updatedRooms;
               return updatedRooms;
             });
           },
-          roomDeleted: (roomId) => {
-            setRooms(prev => {
-              const updatedRooms = prev.filter(room => room._id !== roomId);
-              previousRoomsRef.current = updatedRooms;
-              return updatedRooms;
-            });
+          unreadIncrement: ({ roomId }) => {
+            updateRoomUnread(roomId, count => count + 1);
           },
-          roomUpdated: (updatedRoom) => {
-            setRooms(prev => {
-              const updatedRooms = prev.map(room => 
-                room._id === updatedRoom._id ? updatedRoom : room
-              );
-              previousRoomsRef.current = updatedRooms;
-              return updatedRooms;
-            });
-          }
+          unreadUpdate: (data) => {
+            updateRoomUnread(data.roomId, () => data.unreadCount);
+            handleDirectUnreadUpdate(data);
+          },
+          directMessage: handleDirectMessage,
+          directRoomCreated: handleDirectRoomCreated
         };
 
         Object.entries(handlers).forEach(([event, handler]) => {
           socket.on(event, handler);
         });
 
+        // 이미 연결된 소켓을 받은 경우 connect 이벤트가 다시 발생하지 않으므로 바로 구독
+        if (socket.connected) {
+          handlers.connect();
+        }
+
       } catch (error) {
         console.error('Socket connection error:', error);
         if (!isSubscribed) return;
@@ -555,11 +611,12 @@ function ChatRoomsComponent() {
     return () => {
       isSubscribed = false;
       if (socketRef.current) {
+        socketRef.current.emit('leaveRoomList');
         socketRef.current.disconnect();
         socketRef.current = null;
       }
     };
-  }, [currentUser, handleAuthError]);
+  }, [currentUser, handleAuthError, handleDirectMessage, handleDirectUnreadUpdate, handleDirectRoomCreated, updateRoomUnread]);
 
   const handleJoinRoom = async (roomId) => {
     if (connectionStatus !== CONNECTION_STATUS.CONNECTED) {
@@ -605,6 +662,11 @@ function ChatRoomsComponent() {
         <div className="d-flex align-items-center gap-2">
           <Text className="font-medium">{value}</Text>
           {rowData.hasPassword && <Lock size={14} className="text-gray-500" />}
+          {rowData.unreadCount > 0 && (
+            <span className="room-unread-badge" title="읽지 않은 메시지">
+              {rowData.unreadCount > 99 ? '99+' : rowData.unreadCount}
+            </span>
+          )}
         </div>
       )),
       size: 200,
@@ -613,9 +675,9 @@ function ChatRoomsComponent() {
     {
       accessorKey: 'participants',
       header: '참여자',
-      cell: cellHelper(({ value }) => (
+      cell: cellHelper(({ value, rowData }) => (
         <Text className="participants-count">
-          {value?.length || 0}명
+          {rowData.participantsCount ?? value?.length ?? 0}명
         </Text>
       )),
       size: 100,
@@ -729,6 +791,16 @@ function ChatRoomsComponent() {
             </Alert>
           )}
           
+          <section className="direct-rooms-section">
+            <Text size="md" weight="bold" className="mb-2">1:1 대화</Text>
+            <DirectRoomList
+              rooms={directRooms}
+              loading={directRoomsLoading}
+              disabled={connectionStatus !== CONNECTION_STATUS.CONNECTED}
+              onSelect={handleJoinRoom}
+            />
+          </section>
+
           {loading ? (
             <LoadingIndicator text="채팅방 목록을 불러오는 중..." />
           ) : rooms.length > 0 ? (
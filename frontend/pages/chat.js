@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
 import { Card } from '@goorm-dev/vapor-core';
 import { 
   Text,
@@ -12,15 +13,33 @@ import {
 } from '@goorm-dev/vapor-components';
 import { 
   AlertCircle, 
-  WifiOff 
+  WifiOff,
+  Search,
+  Users,
+  Settings,
+  UserPlus
 } from 'lucide-react';
 import { withAuth } from '../middleware/withAuth';
 import { useChatRoom } from '../hooks/useChatRoom';
+import { useMessageSearch } from '../hooks/useMessageSearch';
+import { useRoomInvites } from '../hooks/useRoomInvites';
+import { useMessageBookmarks } from '../hooks/useMessageBookmarks';
+import { useRoomNotificationLevel } from '../hooks/useRoomNotificationLevel';
 import ChatMessages from '../components/chat/ChatMessages';
 import ChatInput from '../components/chat/ChatInput';
+import TypingIndicator from '../components/chat/TypingIndicator';
+import ThreadPanel from '../components/chat/ThreadPanel';
+import MessageSearchPanel from '../components/chat/MessageSearchPanel';
+import MemberPanel from '../components/chat/MemberPanel';
+import RoomSettingsPanel from '../components/chat/RoomSettingsPanel';
+import InviteModal from '../components/chat/InviteModal';
+import RoomNotificationMenu from '../components/chat/RoomNotificationMenu';
+import { Toast } from '../components/Toast';
+import axiosInstance from '../services/axios';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const ChatPage = () => {
+  const router = useRouter();
   const {
     room,
     messages,
@@ -56,11 +75,152 @@ const ChatPage = () => {
     error,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    replyTarget,
+    startReply,
+    cancelReply,
+    jumpToMessage,
+    myRole,
+    myMute,
+    setMemberRole,
+    kickMember,
+    banMember,
+    unbanMember,
+    muteMember,
+    unmuteMember,
+    savingRoomSettings,
+    updateRoomSettings,
+    deleteRoom,
+    pinnedMessages,
+    canPin,
+    unpinMessage,
+    togglePin,
+    cancelAIMessage,
+    regenerateAIMessage,
+    unreadMarker,
+    showUnreadJump,
+    dismissUnreadJump,
+    typingText,
+    notifyTyping,
+    stopTyping,
     loadingMessages,
     hasMoreMessages,
     handleLoadMore
   } = useChatRoom();
 
+  // 오른쪽 패널 (search | members | settings), 스레드가 열려 있으면 스레드 패널이 우선
+  const [sidePanel, setSidePanel] = useState(null);
+  const {
+    query: searchQuery,
+    filters: searchFilters,
+    results: searchResults,
+    hasMore: searchHasMore,
+    loading: searchLoading,
+    searched,
+    setQuery: setSearchQuery,
+    updateFilter: updateSearchFilter,
+    search,
+    loadMore: loadMoreSearchResults,
+    resetSearch
+  } = useMessageSearch(room?._id);
+
+  const [showInviteModal, setShowInviteModal] = useState(false);
+  const {
+    invites,
+    loading: invitesLoading,
+    creating: creatingInvite,
+    loadInvites,
+    createInvite,
+    revokeInvite,
+    copyInviteLink
+  } = useRoomInvites(room?._id);
+
+  const { savedMessageIds, toggleSaved } = useMessageBookmarks(room?._id);
+  const {
+    level: notificationLevel,
+    saving: notificationLevelSaving,
+    updateLevel: updateNotificationLevel
+  } = useRoomNotificationLevel(room);
+
+  // 저장한 메시지, 알림 등에서 링크로 진입한 경우 해당 메시지(또는 스레드)로 한 번 이동
+  // 같은 채팅방에서 다른 메시지 링크를 열 수 있어 마지막으로 처리한 링크를 기억
+  const linkedMessageHandledRef = useRef(null);
+  useEffect(() => {
+    if (loading || !room || messages.length === 0) return;
+
+    const { message: linkedMessageId, thread: linkedThreadId } = router.query;
+    if (!linkedMessageId && !linkedThreadId) return;
+
+    const linkKey = linkedThreadId ? `thread:${linkedThreadId}` : `message:${linkedMessageId}`;
+    if (linkedMessageHandledRef.current === linkKey) return;
+
+    linkedMessageHandledRef.current = linkKey;
+    if (linkedThreadId) {
+      openThread({ _id: linkedThreadId });
+    } else {
+      jumpToMessage(linkedMessageId);
+    }
+  }, [loading, room, messages.length, router.query, openThread, jumpToMessage]);
+
+  const closeSidePanel = useCallback(() => {
+    if (sidePanel === 'search') {
+      resetSearch();
+    }
+    setSidePanel(null);
+  }, [sidePanel, resetSearch]);
+
+  const toggleSidePanel = useCallback((panel) => {
+    if (sidePanel === 'search') {
+      resetSearch();
+    }
+    setSidePanel(sidePanel === panel ? null : panel);
+  }, [sidePanel, resetSearch]);
+
+  // 검색 결과 클릭 시 원본 위치로 이동 (스레드 답글은 스레드를 열어서 표시)
+  const handleSearchResultClick = useCallback((result) => {
+    if (result.parentMessage) {
+      openThread({ _id: result.parentMessage });
+      return;
+    }
+    jumpToMessage(result._id);
+  }, [openThread, jumpToMessage]);
+
+  // 입장 시점의 첫 번째 읽지 않은 메시지로 이동
+  const handleJumpToUnread = useCallback(() => {
+    if (!unreadMarker?.firstUnreadMessageId) return;
+    dismissUnreadJump();
+    jumpToMessage(unreadMarker.firstUnreadMessageId);
+  }, [unreadMarker, dismissUnreadJump, jumpToMessage]);
+
+  // 상대방과의 1:1 대화방으로 이동 (없으면 서버에서 생성)
+  const handleStartDirect = useCallback(async (user) => {
+    if (!user?._id) return;
+
+    try {
+      const response = await axiosInstance.post('/api/rooms/direct', {
+        userId: user._id
+      });
+      const directRoomId = response.data?.data?._id;
+      if (directRoomId && directRoomId !== room?._id) {
+        router.push(`/chat?room=${directRoomId}`);
+      }
+    } catch (error) {
+      console.error('Direct room start error:', error);
+      Toast.error(
+        error.response?.data?.message || '1:1 대화를 시작하지 못했습니다.'
+      );
+    }
+  }, [router, room?._id]);
+
   const renderParticipants = () => {
     if (!room?.participants) return null;
 
@@ -184,6 +344,24 @@ const ChatPage = () => {
         messagesEndRef={messagesEndRef}
         onReactionAdd={handleReactionAdd}
         onReactionRemove={handleReactionRemove}
+        onMessageEdit={handleMessageEdit}
+        onMessageDelete={handleMessageDelete}
+        onThreadOpen={openThread}
+        onReply={startReply}
+        onQuoteClick={jumpToMessage}
+        onSenderClick={room?.type === 'direct' ? undefined : handleStartDirect}
+        pinnedMessages={pinnedMessages}
+        onPinToggle={canPin ? togglePin : undefined}
+        onAICancel={cancelAIMessage}
+        onAIRegenerate={regenerateAIMessage}
+        onPinnedMessageClick={jumpToMessage}
+        onUnpin={unpinMessage}
+        savedMessageIds={savedMessageIds}
+        onSaveToggle={toggleSaved}
+        unreadMarker={unreadMarker}
+        showUnreadJump={showUnreadJump}
+        onJumpToUnread={handleJumpToUnread}
+        onDismissUnreadJump={dismissUnreadJump}
         loadingMessages={loadingMessages}
         hasMoreMessages={hasMoreMessages}
         onLoadMore={handleLoadMore}
@@ -221,30 +399,144 @@ const ChatPage = () => {
 
   const status = getConnectionStatus();
 
+  // 1:1 대화방은 상대방 이름을 제목으로 표시
+  const roomTitle = room.type === 'direct'
+    ? room.participants?.find(p => p._id !== currentUser?.id)?.name || '1:1 대화'
+    : room.name;
+
   return (
     <div className="chat-container">
       <Card className="chat-room-card">
         <Card.Header className="chat-room-header">
           <div className="flex items-center gap-3">
             <Text size="xl" weight="bold" className="chat-room-title">
-              {room.name}
+              {roomTitle}
             </Text>
             {renderParticipants()}
           </div>
-          <Status
-            label={status.label}
+          <div className="flex items-center gap-2">
+            {room.type !== 'direct' && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => toggleSidePanel('members')}
+                title="참여자 목록"
+                className={sidePanel === 'members' ? 'active' : ''}
+              >
+                <Users className="w-4 h-4" />
+              </Button>
+            )}
+            {myRole === 'owner' && room.type !== 'direct' && (
+              <>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => setShowInviteModal(true)}
+                  title="초대 링크"
+                >
+                  <UserPlus className="w-4 h-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => toggleSidePanel('settings')}
+                  title="채팅방 설정"
+                  className={sidePanel === 'settings' ? 'active' : ''}
+                >
+                  <Settings className="w-4 h-4" />
+                </Button>
+              </>
+            )}
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => toggleSidePanel('search')}
+              title="메시지 검색"
+              className={sidePanel === 'search' ? 'active' : ''}
+            >
+              <Search className="w-4 h-4" />
+            </Button>
+            <RoomNotificationMenu
+              level={notificationLevel}
+              saving={notificationLevelSaving}
+              onChange={updateNotificationLevel}
+            />
+            <Status
+              label={status.label}
             color={status.color}
-            title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
-          />
+              title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
+            />
+          </div>
         </Card.Header>
 
-        <Card.Body className="chat-room-body">
+        <Card.Body
+          className={`chat-room-body ${activeThread || sidePanel ? 'with-side-panel' : ''}`}
+        >
           <div className="chat-messages">
             {renderContent()}
           </div>
+          <ThreadPanel
+            parentMessage={activeThread}
+            messages={threadMessages}
+            hasMore={threadHasMore}
+            loading={threadLoading}
+            currentUser={currentUser}
+            room={room}
+            socketRef={socketRef}
+            onClose={closeThread}
+            onLoadMore={loadMoreThreadMessages}
+            onSend={sendThreadReply}
+            onReactionAdd={handleReactionAdd}
+            onReactionRemove={handleReactionRemove}
+            onMessageEdit={handleMessageEdit}
+            onMessageDelete={handleMessageDelete}
+            savedMessageIds={savedMessageIds}
+            onSaveToggle={toggleSaved}
+          />
+          {sidePanel === 'search' && !activeThread && (
+            <MessageSearchPanel
+              room={room}
+              query={searchQuery}
+              filters={searchFilters}
+              results={searchResults}
+              hasMore={searchHasMore}
+              loading={searchLoading}
+              searched={searched}
+              onQueryChange={setSearchQuery}
+              onFilterChange={updateSearchFilter}
+              onSearch={search}
+              onLoadMore={loadMoreSearchResults}
+              onResultClick={handleSearchResultClick}
+              onClose={closeSidePanel}
+            />
+          )}
+          {sidePanel === 'members' && !activeThread && (
+            <MemberPanel
+              room={room}
+              currentUser={currentUser}
+              myRole={myRole}
+              onClose={closeSidePanel}
+              onSetRole={setMemberRole}
+              onKick={kickMember}
+              onBan={banMember}
+              onUnban={unbanMember}
+              onMute={muteMember}
+              onUnmute={unmuteMember}
+            />
+          )}
+          {sidePanel === 'settings' && !activeThread && (
+            <RoomSettingsPanel
+              room={room}
+              saving={savingRoomSettings}
+              onSave={updateRoomSettings}
+              onDelete={deleteRoom}
+              onClose={closeSidePanel}
+            />
+          )}
         </Card.Body>
 
         <Card.Footer className="chat-room-footer">
+          <TypingIndicator text={typingText} />
           <ChatInput 
             message={message}
             onMessageChange={handleMessageChange}
@@ -253,7 +545,14 @@ const ChatPage = () => {
             fileInputRef={fileInputRef}
             messageInputRef={messageInputRef}
             filePreview={filePreview}
-            disabled={connectionStatus !== 'connected'}
+            disabled={connectionStatus !== 'connected' || !!myMute}
+            disabledReason={
+              myMute
+                ? myMute.expiresAt
+                  ? `${new Date(myMute.expiresAt).toLocaleString('ko-KR')}까지 채팅이 금지되었습니다.`
+                  : '채팅이 금지된 상태입니다.'
+                : ''
+            }
             uploading={false}
             showEmojiPicker={showEmojiPicker}
             showMentionList={showMentionList}
@@ -271,11 +570,35 @@ const ChatPage = () => {
               setShowMentionList(false);
             }}
             onFileRemove={removeFilePreview}
+            replyTarget={replyTarget}
+            onReplyCancel={cancelReply}
+            onTyping={notifyTyping}
+            onTypingStop={stopTyping}
           />
         </Card.Footer>
       </Card>
+
+      {myRole === 'owner' && room.type !== 'direct' && (
+        <InviteModal
+          isOpen={showInviteModal}
+          invites={invites}
+          loading={invitesLoading}
+          creating={creatingInvite}
+          onLoad={loadInvites}
+          onCreate={createInvite}
+          onRevoke={revokeInvite}
+          onCopy={copyInviteLink}
+          onClose={() => setShowInviteModal(false)}
+        />
+      )}
     </div>
   );
 };
 
-export default withAuth(ChatPage);
\ No newline at end of file
+// 같은 페이지 안에서 다른 채팅방으로 이동하면(1:1 대화 시작 등) 채팅방 상태를 새로 초기화
+const ChatPageContainer = () => {
+  const router = useRouter();
+  return <ChatPage key={router.query.room} />;
+};
+
+export default withAuth(ChatPageContainer);
\ No newline at end of file
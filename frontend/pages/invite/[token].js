@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Alert } from '@goorm-dev/vapor-components';
+import { AlertCircle, Users, Lock } from 'lucide-react';
+import axiosInstance from '../../services/axios';
+import { withAuth } from '../../middleware/withAuth';
+
+const INVITE_STATUS_MESSAGES = {
+  revoked: '폐기된 초대 링크입니다.',
+  expired: '만료된 초대 링크입니다.',
+  exhausted: '사용 횟수가 모두 소진된 초대 링크입니다.'
+};
+
+function InvitePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+    const loadInvite = async () => {
+      try {
+        setLoading(true);
+        const response = await axiosInstance.get(`/api/invites/${encodeURIComponent(token)}`);
+        if (!cancelled) {
+          setInvite(response.data?.data || null);
+          setError('');
+        }
+      } catch (error) {
+        console.error('Invite load error:', error);
+        if (!cancelled) {
+          setError(error.response?.data?.message || '초대 링크 정보를 불러오는데 실패했습니다.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadInvite();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleAccept = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      setAccepting(true);
+      setError('');
+      const response = await axiosInstance.post(`/api/invites/${encodeURIComponent(token)}/accept`);
+      const roomId = response.data?.data?.roomId;
+      if (roomId) {
+        router.replace(`/chat?room=${roomId}`);
+      }
+    } catch (error) {
+      console.error('Invite accept error:', error);
+      setError(error.response?.data?.message || '초대 수락 중 오류가 발생했습니다.');
+      setAccepting(false);
+    }
+  }, [token, router]);
+
+  const isUsable = invite && (invite.alreadyMember || invite.status === 'active');
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card invite-card">
+        <Card.Header>
+          <Text as="h5" typography="heading5">채팅방 초대</Text>
+        </Card.Header>
+        <Card.Body className="p-8">
+          {error && (
+            <Alert color="danger" className="mb-6">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <Text color="secondary">초대 정보를 불러오는 중...</Text>
+          ) : invite && (
+            <div className="invite-preview">
+              <Text as="h6" typography="heading6" className="invite-room-name">
+                {invite.room.name}
+              </Text>
+              <div className="invite-room-meta">
+                <span>
+                  <Users className="w-4 h-4" />
+                  {invite.room.participantsCount}명 참여 중
+                </span>
+                {invite.room.hasPassword && (
+                  <span>
+                    <Lock className="w-4 h-4" />
+                    비밀번호 없이 입장
+                  </span>
+                )}
+              </div>
+
+              {invite.expiresAt && invite.status === 'active' && (
+                <Text size="sm" color="secondary">
+                  {new Date(invite.expiresAt).toLocaleString('ko-KR')}까지 유효
+                </Text>
+              )}
+              {invite.remainingUses !== null && invite.status === 'active' && (
+                <Text size="sm" color="secondary">
+                  남은 사용 횟수: {invite.remainingUses}회
+                </Text>
+              )}
+
+              {!isUsable && (
+                <Alert color="warning" className="mt-4">
+                  {INVITE_STATUS_MESSAGES[invite.status] || '사용할 수 없는 초대 링크입니다.'}
+                </Alert>
+              )}
+
+              <div className="invite-actions">
+                <Button
+                  variant="primary"
+                  size="lg"
+                  onClick={handleAccept}
+                  disabled={!isUsable || accepting}
+                >
+                  {invite.alreadyMember
+                    ? '채팅방으로 이동'
+                    : accepting ? '입장 중...' : '초대 수락'}
+                </Button>
+                <Button
+                  variant="secondary"
+                  size="lg"
+                  onClick={() => router.push('/chat-rooms')}
+                  disabled={accepting}
+                >
+                  채팅방 목록
+                </Button>
+              </div>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
+
+export default withAuth(InvitePage);
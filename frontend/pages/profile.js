@@ -13,6 +13,9 @@ import { AlertCircle } from 'lucide-react';
 import authService from '../services/authService';
 import { withAuth } from '../middleware/withAuth';
 import ProfileImageUpload from '../components/ProfileImageUpload';
+import StatusSettings from '../components/StatusSettings';
+import PushNotificationSettings from '../components/PushNotificationSettings';
+import EmailDigestSettings from '../components/EmailDigestSettings';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const Profile = () => {
@@ -287,6 +290,16 @@ const Profile = () => {
               </Button>
             </div>
           </form>
+
+          <div className="profile-status-section mt-4">
+            <StatusSettings />
+          </div>
+
+          <div className="profile-status-section mt-4">
+            <Text as="h6" typography="heading6">알림</Text>
+            <PushNotificationSettings />
+            <EmailDigestSettings />
+          </div>
         </Card.Body>
       </Card>
     </div>
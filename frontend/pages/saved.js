@@ -0,0 +1,135 @@
+import React, { useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Spinner } from '@goorm-dev/vapor-components';
+import { Bookmark, BookmarkX, MessageSquare } from 'lucide-react';
+import { withAuth } from '../middleware/withAuth';
+import { useSavedMessages } from '../hooks/useSavedMessages';
+import { useAIPersonas } from '../hooks/useAIPersonas';
+import { getMessagePreview } from '../utils/messageUtils';
+
+const getSenderName = (message, getAIName) => {
+  if (message.type === 'ai') {
+    return getAIName(message.aiType);
+  }
+  return message.sender?.name || '알 수 없음';
+};
+
+const SavedMessagesPage = () => {
+  const router = useRouter();
+  const {
+    items,
+    hasMore,
+    loading,
+    loaded,
+    loadSavedMessages,
+    loadMore,
+    removeSavedMessage
+  } = useSavedMessages();
+  const { getName: getAIName } = useAIPersonas();
+
+  useEffect(() => {
+    loadSavedMessages();
+  }, [loadSavedMessages]);
+
+  // 원본 채팅방의 해당 메시지로 이동 (스레드 답글은 스레드를 열어서 표시)
+  const handleOpen = useCallback((item) => {
+    const { room, message } = item;
+    if (!room._id || message.isDeleted) return;
+
+    const query = message.parentMessage
+      ? `thread=${message.parentMessage}`
+      : `message=${message._id}`;
+    router.push(`/chat?room=${room._id}&${query}`);
+  }, [router]);
+
+  return (
+    <div className="chat-container">
+      <Card className="chat-rooms-card saved-messages-card">
+        <Card.Header>
+          <div className="flex items-center gap-2">
+            <Bookmark className="w-5 h-5" />
+            <Card.Title>저장한 메시지</Card.Title>
+          </div>
+        </Card.Header>
+
+        <Card.Body className="p-6">
+          {!loaded && loading ? (
+            <div className="loading-messages">
+              <Spinner size="sm" className="text-primary" />
+              <Text size="sm" color="secondary">저장한 메시지를 불러오는 중...</Text>
+            </div>
+          ) : items.length === 0 ? (
+            <div className="chat-rooms-empty">
+              <Text className="mb-4">저장한 메시지가 없습니다.</Text>
+              <Text size="sm" color="secondary">
+                메시지에 마우스를 올리고 저장 아이콘을 눌러 나중에 다시 볼 메시지를 저장하세요.
+              </Text>
+            </div>
+          ) : (
+            <div className="saved-message-list">
+              {items.map(item => (
+                <div
+                  key={item._id}
+                  className={`saved-message-item ${item.message.isDeleted ? 'deleted' : ''}`}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => handleOpen(item)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleOpen(item);
+                  }}
+                >
+                  <div className="saved-message-body">
+                    <div className="saved-message-meta">
+                      <Text size="sm" weight="bold">{item.room.name}</Text>
+                      {!item.message.isDeleted && (
+                        <Text size="xs" color="secondary">
+                          {getSenderName(item.message, getAIName)}
+                          {' · '}
+                          {new Date(item.message.timestamp).toLocaleString('ko-KR')}
+                        </Text>
+                      )}
+                      {item.message.parentMessage && (
+                        <span className="saved-message-thread">
+                          <MessageSquare className="w-3 h-3" />
+                          스레드
+                        </span>
+                      )}
+                    </div>
+                    <Text size="sm" className="saved-message-preview">
+                      {getMessagePreview(item.message, 200)}
+                    </Text>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      removeSavedMessage(item.message._id);
+                    }}
+                    title="저장 취소"
+                  >
+                    <BookmarkX className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+
+              {hasMore && (
+                <Button
+                  variant="secondary"
+                  onClick={loadMore}
+                  disabled={loading}
+                  className="saved-message-more"
+                >
+                  {loading ? '불러오는 중...' : '더 보기'}
+                </Button>
+              )}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default withAuth(SavedMessagesPage);
@@ -0,0 +1,44 @@
+// Web Push 알림 서비스 워커
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { title: '새 알림', body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || '새 알림', {
+      body: data.body || '',
+      icon: '/images/logo.png',
+      tag: data.tag,
+      renotify: !!data.tag,
+      data: { url: data.url || '/chat-rooms' }
+    })
+  );
+});
+
+// 알림을 누르면 열린 탭이 있으면 해당 탭에서, 없으면 새 탭으로 이동
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/chat-rooms', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      const client = clientList.find(item => new URL(item.url).origin === self.location.origin);
+      if (client) {
+        return client.focus().then(() => client.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
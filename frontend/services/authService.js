@@ -1,5 +1,6 @@
 import axios from 'axios';
 import socketService from './socket';
+import pushNotificationService from './pushNotificationService';
 import { Toast } from '../components/Toast';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
@@ -160,6 +161,10 @@ class AuthService {
     try {
       const user = this.getCurrentUser();
       if (user?.token) {
+        // 로그아웃한 브라우저로 푸시 알림이 가지 않도록 구독 해제
+        await pushNotificationService.unsubscribe().catch(error => {
+          console.error('Push unsubscribe error:', error);
+        });
         await api.post('/api/auth/logout');
       }
     } catch (error) {
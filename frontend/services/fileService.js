@@ -2,6 +2,13 @@ import axios, { isCancel, CancelToken } from 'axios';
 import authService from './authService';
 import { Toast } from '../components/Toast';
 
+// 서버에서 텍스트를 추출해 채팅방 문서 색인에 추가할 수 있는 문서 형식
+const INDEXABLE_DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain'
+];
+
 class FileService {
   constructor() {
     this.baseUrl = process.env.NEXT_PUBLIC_API_URL;
@@ -101,6 +108,10 @@ class FileService {
     return { success: true };
   }
 
+  isIndexableDocument(file) {
+    return INDEXABLE_DOCUMENT_TYPES.includes(file?.type);
+  }
+
   async uploadFile(file, onProgress) {
     const validationResult = await this.validateFile(file);
     if (!validationResult.success) {
@@ -117,6 +128,10 @@ class FileService {
       }
 
       const formData = new FormData();
+      // AI 답변에 활용할 문서는 채팅방 문서 색인용으로 업로드
+      if (this.isIndexableDocument(file)) {
+        formData.append('purpose', 'document');
+      }
       formData.append('file', file);
 
       const source = CancelToken.source();
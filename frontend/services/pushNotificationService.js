@@ -0,0 +1,87 @@
+import axiosInstance from './axios';
+
+const SERVICE_WORKER_PATH = '/sw.js';
+
+// VAPID 공개 키(base64url)를 PushManager가 받는 형식으로 변환
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+// 브라우저 Web Push 구독 관리
+class PushNotificationService {
+  isSupported() {
+    return typeof window !== 'undefined' &&
+      'serviceWorker' in navigator &&
+      'PushManager' in window &&
+      'Notification' in window;
+  }
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  async getRegistration() {
+    return navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+  }
+
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_PATH);
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+
+  async getConfig() {
+    const response = await axiosInstance.get('/api/users/me/push-subscriptions/config');
+    return response.data?.data || { enabled: false, publicKey: null };
+  }
+
+  async subscribe() {
+    if (!this.isSupported()) {
+      throw new Error('이 브라우저는 푸시 알림을 지원하지 않습니다.');
+    }
+
+    const { enabled, publicKey } = await this.getConfig();
+    if (!enabled || !publicKey) {
+      throw new Error('서버에 푸시 알림이 설정되지 않았습니다.');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('브라우저 알림 권한이 허용되지 않았습니다.');
+    }
+
+    const registration = await this.getRegistration();
+    await navigator.serviceWorker.ready;
+
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+
+    await axiosInstance.post('/api/users/me/push-subscriptions', {
+      subscription: subscription.toJSON()
+    });
+    return subscription;
+  }
+
+  // 서버 구독 삭제 후 브라우저 구독 해제 (로그아웃 시에도 호출)
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    try {
+      await axiosInstance.delete('/api/users/me/push-subscriptions', {
+        data: { endpoint: subscription.endpoint }
+      });
+    } finally {
+      await subscription.unsubscribe();
+    }
+  }
+}
+
+const pushNotificationService = new PushNotificationService();
+export default pushNotificationService;
@@ -3,6 +3,12 @@ import { Modal, Alert, Button } from '@goorm-dev/vapor-components';
 import { AlertCircle, Timer, ExternalLink, AlertTriangle } from 'lucide-react';
 import { Toast } from '../components/Toast';
 import authService from './authService';
+import { presenceStore } from '../utils/presenceStore';
+import { notificationPreferences } from '../utils/notificationPreferences';
+
+// 입력이 없거나 탭이 숨겨진 상태가 이 시간 이상 지속되면 자리 비움
+const AWAY_AFTER = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'touchstart', 'focus'];
 
 const CLEANUP_REASONS = {
   DISCONNECT: 'disconnect',
@@ -24,6 +30,50 @@ class SocketService {
     this.duplicateLoginTimeout = 30000;
     this.reactionHandlers = new Set();
     this.connected = false;
+    this.lastInteractionAt = Date.now();
+    this.presenceStatus = 'online';
+    this.activityTrackingStarted = false;
+  }
+
+  getPresenceStatus() {
+    if (typeof document !== 'undefined' && document.hidden) return 'away';
+    return Date.now() - this.lastInteractionAt >= AWAY_AFTER ? 'away' : 'online';
+  }
+
+  sendPresence() {
+    if (!this.socket?.connected) return;
+    this.presenceStatus = this.getPresenceStatus();
+    this.socket.emit('presenceHeartbeat', { status: this.presenceStatus }, (error) => {
+      if (error) {
+        console.error('Heartbeat failed:', error);
+        this.cleanup(CLEANUP_REASONS.MANUAL);
+      } else {
+        console.debug('Heartbeat succeeded');
+      }
+    });
+  }
+
+  // 자리 비움에서 돌아오면 다음 하트비트를 기다리지 않고 바로 상태 전송
+  startActivityTracking() {
+    if (this.activityTrackingStarted || typeof window === 'undefined') return;
+    this.activityTrackingStarted = true;
+
+    const handleActivity = () => {
+      this.lastInteractionAt = Date.now();
+      if (this.presenceStatus === 'away' && this.getPresenceStatus() === 'online') {
+        this.sendPresence();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => {
+      window.addEventListener(event, handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.lastInteractionAt = Date.now();
+      }
+      this.sendPresence();
+    });
   }
 
   async handleDuplicateLogin(data) {
@@ -123,6 +173,7 @@ class SocketService {
       this.reconnectAttempts = 0;
       this.isReconnecting = false;
       clearTimeout(connectionTimeout);
+      this.startActivityTracking();
       this.startHeartbeat();
       resolve(this.socket);
     });
@@ -189,6 +240,28 @@ class SocketService {
       reject(new Error('Reconnection failed'));
     });
 
+    this.socket.on('presenceUpdate', (data) => {
+      presenceStore.update(data);
+    });
+
+    this.socket.on('userStatusUpdate', (data) => {
+      presenceStore.update(data);
+    });
+
+    // 알림함(Navbar)은 채팅 화면과 별개로 동작하므로 전역 이벤트로 전달
+    this.socket.on('notification', (data) => {
+      window.dispatchEvent(new CustomEvent('notificationReceived', { detail: data }));
+    });
+
+    this.socket.on('notificationsRead', (data) => {
+      window.dispatchEvent(new CustomEvent('notificationsRead', { detail: data }));
+    });
+
+    // 다른 탭/기기에서 변경한 채팅방 알림 설정 동기화
+    this.socket.on('notificationPreferenceUpdated', ({ roomId, level }) => {
+      notificationPreferences.set(roomId, level);
+    });
+
     this.socket.on('messageReaction', (data) => {
       console.log('[Socket] Message reaction:', data);
       this.reactionHandlers.forEach(handler => handler(data));
@@ -281,16 +354,10 @@ class SocketService {
       clearInterval(this.heartbeatInterval);
     }
 
+    // 접속 상태(online/away) 하트비트, 서버는 하트비트가 끊긴 연결을 오프라인으로 처리
     this.heartbeatInterval = setInterval(() => {
       if (this.socket?.connected) {
-        this.socket.emit('ping', null, (error) => {
-          if (error) {
-            console.error('Heartbeat failed:', error);
-            this.cleanup(CLEANUP_REASONS.MANUAL);
-          } else {
-            console.debug('Heartbeat succeeded');
-          }
-        });
+        this.sendPresence();
       } else {
         this.cleanup(CLEANUP_REASONS.MANUAL);
       }
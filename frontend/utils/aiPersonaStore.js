@@ -0,0 +1,65 @@
+import axiosInstance from '../services/axios';
+
+// AI 페르소나 저장소 (멘션 이름 → { _id, name, handle })
+// AI 목록 API, 채팅방 정보(aiPersonas), aiMessageStart 이벤트로 갱신
+const personas = new Map();
+const listeners = new Set();
+let loadPromise = null;
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+export const aiPersonaStore = {
+  get(handle) {
+    return handle ? personas.get(handle) || null : null;
+  },
+
+  // 목록에 없는 AI(삭제된 AI 등)는 멘션 이름으로 표시
+  getName(handle) {
+    return personas.get(handle)?.name || handle || 'AI';
+  },
+
+  setMany(list = []) {
+    let changed = false;
+    list.forEach(persona => {
+      if (!persona?.handle) return;
+      const previous = personas.get(persona.handle);
+      if (previous?.name === persona.name && previous?._id === persona._id) return;
+      personas.set(persona.handle, {
+        _id: persona._id,
+        name: persona.name,
+        handle: persona.handle
+      });
+      changed = true;
+    });
+    if (changed) notify();
+  },
+
+  // 전체 AI 목록은 한 번만 불러오고, 필요하면 force로 다시 조회
+  async load({ force = false } = {}) {
+    if (loadPromise && !force) return loadPromise;
+
+    loadPromise = axiosInstance.get('/api/ai-personas')
+      .then(response => {
+        const data = response.data?.data || {};
+        this.setMany(data.personas);
+        return data;
+      })
+      .catch(error => {
+        loadPromise = null;
+        throw error;
+      });
+    return loadPromise;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+// 아바타 색상 계산용 AI 계정 이메일
+export const getAIEmail = (handle) => `${handle}@ai`;
+
+export default aiPersonaStore;
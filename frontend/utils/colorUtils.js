@@ -22,21 +22,28 @@ const USER_COLORS = [
   '#00BBF9', '#00F5D4', '#738276', '#A6D8D4'
 ];
 
-// AI 아바타 스타일 가져오기
+// 문자열 해시로 팔레트 색상 선택
+const pickPaletteColor = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash) + value.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
+
+// AI 아바타 스타일 가져오기 (기본 AI는 고정 색상, 그 외 AI는 멘션 이름 기반 색상)
 export const getAIAvatarStyles = (aiName) => {
   if (!aiName) return AI_COLORS.wayneAI; // 기본값
 
-  const formattedName = aiName.toLowerCase();
-  
-  if (formattedName === 'wayneai') {
-    return AI_COLORS.wayneAI;
-  }
-  if (formattedName === 'consultingai') {
-    return AI_COLORS.consultingAI;
+  if (AI_COLORS[aiName]) {
+    return AI_COLORS[aiName];
   }
-  
-  // 알 수 없는 AI의 경우 기본값 반환
-  return AI_COLORS.wayneAI;
+
+  return {
+    backgroundColor: pickPaletteColor(aiName),
+    color: '#FFFFFF'
+  };
 };
 
 // 이메일로부터 고유한 색상 생성
@@ -48,25 +55,15 @@ export const generateColorFromEmail = (email) => {
     return globalColorCache.get(email);
   }
 
-  // AI 계정 처리
-  if (email.endsWith('@wayne.ai')) {
-    globalColorCache.set(email, AI_COLORS.wayneAI.backgroundColor);
-    return AI_COLORS.wayneAI.backgroundColor;
-  }
-  if (email.endsWith('@consulting.ai')) {
-    globalColorCache.set(email, AI_COLORS.consultingAI.backgroundColor);
-    return AI_COLORS.consultingAI.backgroundColor;
-  }
-
-  // 해시 생성
-  let hash = 0;
-  for (let i = 0; i < email.length; i++) {
-    hash = ((hash << 5) - hash) + email.charCodeAt(i);
-    hash = hash & hash;
+  // AI 계정 처리 (멘션 이름@ai)
+  if (email.endsWith('@ai')) {
+    const { backgroundColor } = getAIAvatarStyles(email.slice(0, -'@ai'.length));
+    globalColorCache.set(email, backgroundColor);
+    return backgroundColor;
   }
 
   // 색상 선택
-  const color = USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+  const color = pickPaletteColor(email);
   globalColorCache.set(email, color);
   
   return color;
@@ -0,0 +1,142 @@
+// utils/messageUtils.js
+
+// 메시지 수정 가능 시간 (백엔드 MESSAGE_EDIT_WINDOW_MS와 동일하게 유지)
+export const MESSAGE_EDIT_WINDOW_MS =
+  parseInt(process.env.NEXT_PUBLIC_MESSAGE_EDIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+// 메시지 발신자 ID 추출
+export const getSenderId = (msg) => {
+  if (!msg?.sender) return null;
+  if (typeof msg.sender === 'string') return msg.sender;
+  return msg.sender._id || msg.sender.id || null;
+};
+
+// 현재 사용자가 메시지를 수정할 수 있는지 확인
+export const isMessageEditable = (msg, currentUserId) => {
+  if (!msg?._id || !currentUserId) return false;
+  if (msg.type !== 'text' || msg.isDeleted) return false;
+  if (String(getSenderId(msg)) !== String(currentUserId)) return false;
+
+  const sentAt = new Date(msg.timestamp).getTime();
+  if (Number.isNaN(sentAt)) return false;
+
+  return Date.now() - sentAt <= MESSAGE_EDIT_WINDOW_MS;
+};
+
+// 현재 사용자가 채팅방 생성자인지 확인
+export const isRoomCreator = (room, currentUserId) => {
+  if (!room?.creator || !currentUserId) return false;
+  const creatorId = room.creator._id || room.creator.id || room.creator;
+  return String(creatorId) === String(currentUserId);
+};
+
+// 채팅방 내 역할 조회 (owner: 방장, moderator: 관리자, member: 일반 참여자)
+// 1:1 대화방은 두 참여자 모두 member (백엔드 Room.getRole과 동일)
+export const getRoomRole = (room, userId) => {
+  if (!room || !userId || room.type === 'direct') return 'member';
+  if (isRoomCreator(room, userId)) return 'owner';
+
+  const isModerator = (room.moderators || []).some(
+    moderator => String(moderator._id || moderator) === String(userId)
+  );
+  return isModerator ? 'moderator' : 'member';
+};
+
+// 방장 또는 관리자인지 확인
+export const isRoomModerator = (room, userId) =>
+  getRoomRole(room, userId) !== 'member';
+
+// 메시지 고정 권한 확인 (1:1 대화방은 두 참여자 모두, 그룹 채팅방은 방장/관리자)
+export const canPinMessages = (room, userId) => {
+  if (!room || !userId) return false;
+  if (room.type === 'direct') return true;
+  return isRoomModerator(room, userId);
+};
+
+// 현재 유효한 채팅 금지 정보 조회
+export const getActiveMute = (room, userId) => {
+  if (!room?.mutes || !userId) return null;
+  const now = Date.now();
+
+  return room.mutes.find(mute =>
+    String(mute.user?._id || mute.user) === String(userId) &&
+    (!mute.expiresAt || new Date(mute.expiresAt).getTime() > now)
+  ) || null;
+};
+
+// 현재 사용자가 메시지를 삭제할 수 있는지 확인
+// 본인의 텍스트/파일 메시지 또는 채팅방 방장/관리자인 경우 삭제 가능
+export const isMessageDeletable = (msg, currentUserId, room) => {
+  if (!msg?._id || !currentUserId) return false;
+  if (msg.isDeleted || msg.isStreaming || msg.type === 'system') return false;
+  if (isRoomModerator(room, currentUserId)) return true;
+
+  return (
+    ['text', 'file'].includes(msg.type) &&
+    String(getSenderId(msg)) === String(currentUserId)
+  );
+};
+
+// AI 응답 다시 생성 최대 횟수 (백엔드 MAX_AI_VARIANTS와 동일하게 유지)
+export const MAX_AI_VARIANTS = 10;
+
+// 생성 중인 AI 응답을 중지할 수 있는지 확인 (AI를 호출한 사용자 또는 방장/관리자)
+export const canCancelAIMessage = (msg, currentUserId, room) => {
+  if (!msg?.isStreaming || !currentUserId) return false;
+  if (String(msg.requestedBy) === String(currentUserId)) return true;
+  return isRoomModerator(room, currentUserId);
+};
+
+// AI 응답을 다시 생성할 수 있는지 확인 (채팅방에서 사용 중인 AI, 최대 횟수 미만)
+export const canRegenerateAIMessage = (msg, room) => {
+  if (!msg?._id || msg.isDeleted || msg.isStreaming) return false;
+  if (!(room?.aiPersonas || []).some(persona => persona.handle === msg.aiType)) return false;
+  return (msg.aiVariants?.length || 0) < MAX_AI_VARIANTS;
+};
+
+// 삭제된 메시지에 적용할 필드 (내용은 비우고 삭제 표시만 남김)
+export const getDeletedMessageFields = (deletedAt) => ({
+  content: '',
+  file: null,
+  reactions: {},
+  isDeleted: true,
+  deletedAt
+});
+
+// 인용/답장 미리보기에 표시할 짧은 텍스트 생성
+export const getMessagePreview = (msg, maxLength = 100) => {
+  if (!msg) return '';
+  if (msg.isDeleted) return '삭제된 메시지입니다.';
+
+  const text = (msg.content || '').replace(/\s+/g, ' ').trim();
+  const preview = msg.type === 'file'
+    ? `📎 ${msg.file?.originalname || '파일'}${text ? ` ${text}` : ''}`
+    : text;
+
+  return preview.length > maxLength
+    ? `${preview.slice(0, maxLength)}…`
+    : preview;
+};
+
+// 새 메시지의 알림 사유 (채팅방 알림 설정 판단용, 우선순위: 멘션 > 답장 > 1:1 메시지)
+export const getNotificationReason = (msg, currentUserId, room) => {
+  const userId = String(currentUserId);
+  const mentioned = (msg?.mentions || []).some(
+    mention => String(mention?._id || mention) === userId
+  );
+  if (mentioned) return 'mention';
+  if (msg?.replyTo && String(getSenderId(msg.replyTo)) === userId) return 'reply';
+  return room?.type === 'direct' ? 'direct' : 'message';
+};
+
+// 메시지 변경 사항을 해당 메시지를 인용한 답장의 미리보기에도 반영
+export const updateMessageInList = (messages, messageId, updates) =>
+  messages.map(msg => {
+    if (msg._id === messageId) {
+      return { ...msg, ...updates };
+    }
+    if (msg.replyTo?._id === messageId) {
+      return { ...msg, replyTo: { ...msg.replyTo, ...updates } };
+    }
+    return msg;
+  });
@@ -0,0 +1,78 @@
+// 채팅방별 알림 설정 저장소 (API 응답과 소켓 notificationPreferenceUpdated 이벤트로 갱신)
+// 설정이 없는 채팅방은 기본값(all)으로 취급
+import authService from '../services/authService';
+
+export const DEFAULT_NOTIFICATION_LEVEL = 'all';
+
+export const NOTIFICATION_LEVELS = {
+  all: {
+    label: '모든 메시지',
+    description: '새 메시지마다 알림을 받습니다.'
+  },
+  mentions: {
+    label: '멘션만',
+    description: '나를 멘션하거나 내 메시지에 답장한 경우에만 알림을 받습니다.'
+  },
+  muted: {
+    label: '알림 끄기',
+    description: '이 채팅방의 알림을 받지 않습니다.'
+  }
+};
+
+// 서버(notificationPreferenceService)와 같은 기준으로 설정별 허용 알림 사유
+const ALLOWED_REASONS = {
+  all: ['direct', 'message', 'mention', 'reply'],
+  mentions: ['mention', 'reply'],
+  muted: []
+};
+
+const levels = new Map();
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+export const notificationPreferences = {
+  get(roomId) {
+    return (roomId && levels.get(String(roomId))) || DEFAULT_NOTIFICATION_LEVEL;
+  },
+
+  set(roomId, level) {
+    if (!roomId || !NOTIFICATION_LEVELS[level]) return;
+    if (levels.get(String(roomId)) === level) return;
+    levels.set(String(roomId), level);
+    notify();
+  },
+
+  // 내 알림 설정 목록 API 응답(roomId → 설정)으로 전체 교체
+  setAll(data = {}) {
+    levels.clear();
+    Object.entries(data).forEach(([roomId, level]) => {
+      if (NOTIFICATION_LEVELS[level]) levels.set(roomId, level);
+    });
+    notify();
+  },
+
+  clear() {
+    levels.clear();
+    notify();
+  },
+
+  allows(level, reason) {
+    return (ALLOWED_REASONS[level] || ALLOWED_REASONS[DEFAULT_NOTIFICATION_LEVEL]).includes(reason);
+  },
+
+  // 토스트/소리 알림 여부 (방해 금지 모드면 모든 알림 생략)
+  shouldAlert(roomId, reason) {
+    if (authService.getCurrentUser()?.doNotDisturb) return false;
+    return this.allows(this.get(roomId), reason);
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default notificationPreferences;
@@ -0,0 +1,54 @@
+// 새 메시지 알림음 (별도 음원 파일 없이 Web Audio로 짧은 2음 재생)
+const MIN_INTERVAL = 1500;
+const TONES = [
+  { frequency: 880, start: 0, duration: 0.12 },
+  { frequency: 1320, start: 0.14, duration: 0.16 }
+];
+
+let audioContext = null;
+let lastPlayedAt = 0;
+
+const getAudioContext = () => {
+  if (typeof window === 'undefined') return null;
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  if (!audioContext) {
+    audioContext = new AudioContext();
+  }
+  return audioContext;
+};
+
+// 연속으로 메시지가 와도 일정 간격 안에서는 한 번만 재생
+export const playNotificationSound = () => {
+  const now = Date.now();
+  if (now - lastPlayedAt < MIN_INTERVAL) return;
+
+  try {
+    const context = getAudioContext();
+    // 사용자 상호작용 전에는 브라우저 정책상 재생되지 않을 수 있음
+    if (!context || context.state === 'closed') return;
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+
+    lastPlayedAt = now;
+    const startAt = context.currentTime;
+    TONES.forEach(({ frequency, start, duration }) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, startAt + start);
+      gain.gain.exponentialRampToValueAtTime(0.15, startAt + start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, startAt + start + duration);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(startAt + start);
+      oscillator.stop(startAt + start + duration);
+    });
+  } catch (error) {
+    console.error('Notification sound error:', error);
+  }
+};
+
+export default playNotificationSound;
@@ -0,0 +1,68 @@
+// 사용자 접속 상태 저장소 (소켓 presenceUpdate/userStatusUpdate 이벤트와 API 응답으로 갱신)
+// 접속 상태(status, lastActive)와 상태 메시지(customStatus, doNotDisturb)를 함께 보관
+const PRESENCE_FIELDS = ['status', 'lastActive', 'customStatus', 'doNotDisturb'];
+
+const presence = new Map();
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+// 전달된 항목만 기존 값에 덮어쓰기
+const merge = (userId, data = {}) => {
+  const next = { ...presence.get(userId) };
+  PRESENCE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) next[field] = data[field];
+  });
+  presence.set(userId, next);
+};
+
+export const presenceStore = {
+  get(userId) {
+    return userId ? presence.get(String(userId)) || null : null;
+  },
+
+  update({ userId, ...data }) {
+    if (!userId) return;
+    merge(String(userId), data);
+    notify();
+  },
+
+  // API 응답의 사용자 목록(status, lastActive 등 포함)으로 한 번에 갱신
+  setMany(users = []) {
+    let changed = false;
+    users.forEach(user => {
+      const userId = user?._id || user?.id;
+      if (!userId || !PRESENCE_FIELDS.some(field => user[field] !== undefined)) return;
+      merge(String(userId), user);
+      changed = true;
+    });
+    if (changed) notify();
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export const PRESENCE_LABELS = {
+  online: '온라인',
+  away: '자리 비움',
+  offline: '오프라인'
+};
+
+// "오프라인 · 3시간 전 접속" 형식의 상태 설명
+export const getPresenceLabel = (status, lastActive) => {
+  const label = PRESENCE_LABELS[status] || PRESENCE_LABELS.offline;
+  if (status === 'online' || !lastActive) return label;
+
+  const minutes = Math.floor((Date.now() - new Date(lastActive).getTime()) / 60000);
+  if (minutes < 1) return `${label} · 방금 전 활동`;
+  if (minutes < 60) return `${label} · ${minutes}분 전 활동`;
+  if (minutes < 60 * 24) return `${label} · ${Math.floor(minutes / 60)}시간 전 활동`;
+  return `${label} · ${new Date(lastActive).toLocaleDateString('ko-KR')} 마지막 활동`;
+};
+
+export default presenceStore;
@@ -0,0 +1,47 @@
+// 사용자 상태 메시지 / 방해 금지 표시용 유틸
+
+export const STATUS_TEXT_MAX_LENGTH = 100;
+
+export const STATUS_EMOJI_PRESETS = ['💬', '📅', '🍽️', '🚗', '🤒', '🌴', '🏠', '🎧'];
+
+// 상태 유지 시간 선택지 (getExpiresAt이 null이면 직접 지울 때까지 유지)
+export const STATUS_EXPIRY_OPTIONS = [
+  { value: 'never', label: '지우지 않음', getExpiresAt: () => null },
+  { value: '30m', label: '30분', getExpiresAt: () => new Date(Date.now() + 30 * 60 * 1000) },
+  { value: '1h', label: '1시간', getExpiresAt: () => new Date(Date.now() + 60 * 60 * 1000) },
+  { value: '4h', label: '4시간', getExpiresAt: () => new Date(Date.now() + 4 * 60 * 60 * 1000) },
+  {
+    value: 'today',
+    label: '오늘',
+    getExpiresAt: () => {
+      const endOfDay = new Date();
+      endOfDay.setHours(23, 59, 59, 999);
+      return endOfDay;
+    }
+  },
+  { value: '1w', label: '1주일', getExpiresAt: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) }
+];
+
+// 비어 있거나 만료된 상태 메시지는 null
+export const getActiveCustomStatus = (customStatus) => {
+  if (!customStatus?.text && !customStatus?.emoji) return null;
+  if (customStatus.expiresAt && new Date(customStatus.expiresAt) <= new Date()) return null;
+  return customStatus;
+};
+
+// "🍽️ 점심 식사 중" 형식
+export const formatCustomStatus = (customStatus) => {
+  const active = getActiveCustomStatus(customStatus);
+  if (!active) return '';
+  return [active.emoji, active.text].filter(Boolean).join(' ');
+};
+
+export const formatStatusExpiry = (expiresAt) => {
+  if (!expiresAt) return '';
+  return `${new Date(expiresAt).toLocaleString('ko-KR', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })}까지`;
+};